@@ -0,0 +1,164 @@
+// Test suite for the Habits page
+
+import 'fake-indexeddb/auto'
+import React from 'react'
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import Habits from '../pages/Habits'
+import { createHabit, getHabitLog } from '../utils/habitsManager'
+import { clear, STORES } from '../utils/indexedDBManager'
+
+describe('Habits Page', () => {
+  beforeEach(async () => {
+    await clear(STORES.HABITS)
+    await clear(STORES.HABIT_LOG)
+    localStorage.clear()
+  })
+
+  test('shows empty state when no habits exist', async () => {
+    render(<Habits />)
+    expect(await screen.findByText('No habits yet')).toBeInTheDocument()
+  })
+
+  test('creates a habit from the editor', async () => {
+    render(<Habits />)
+    fireEvent.click(await screen.findByLabelText('Create new habit'))
+    fireEvent.change(screen.getByLabelText('Name'), {
+      target: { value: 'Drink water' }
+    })
+    fireEvent.click(screen.getByText('Create habit'))
+
+    expect(await screen.findByText('Drink water')).toBeInTheDocument()
+    expect(
+      screen.getByRole('img', {
+        name: 'Drink water: 0 check-ins in the last 12 weeks'
+      })
+    ).toBeInTheDocument()
+  })
+
+  test('creates a habit on specific weekdays', async () => {
+    render(<Habits />)
+    fireEvent.click(await screen.findByLabelText('Create new habit'))
+    fireEvent.change(screen.getByLabelText('Name'), {
+      target: { value: 'Gym' }
+    })
+    fireEvent.change(screen.getByLabelText('Schedule'), {
+      target: { value: 'weekdays' }
+    })
+    // Mon/Wed/Fri are preselected; add Sunday
+    fireEvent.click(screen.getByLabelText('Sun'))
+    fireEvent.click(screen.getByText('Create habit'))
+
+    expect(await screen.findByText('Sun, Mon, Wed, Fri')).toBeInTheDocument()
+  })
+
+  test("checks in and undoes today's check-in", async () => {
+    const id = await createHabit({ name: 'Stretch' })
+    render(<Habits />)
+
+    fireEvent.click(await screen.findByLabelText('Check in Stretch for today'))
+    const undo = await screen.findByLabelText(
+      "Undo today's check-in for Stretch"
+    )
+    expect(
+      screen.getByRole('img', {
+        name: 'Stretch: 1 check-ins in the last 12 weeks'
+      })
+    ).toBeInTheDocument()
+    expect(await getHabitLog(id)).toHaveLength(1)
+
+    fireEvent.click(undo)
+    expect(
+      await screen.findByLabelText('Check in Stretch for today')
+    ).toBeInTheDocument()
+    expect(await getHabitLog(id)).toHaveLength(0)
+  })
+
+  test('logs partial progress for a quantity habit', async () => {
+    await createHabit({
+      name: 'Water',
+      kind: 'quantity',
+      target: 8,
+      unit: 'glasses'
+    })
+    render(<Habits />)
+
+    fireEvent.click(await screen.findByLabelText('Add 5 glasses to Water'))
+    expect(await screen.findByText('5 / 8 glasses')).toBeInTheDocument()
+    expect(
+      screen.getByRole('progressbar', { name: 'Water progress today' })
+    ).toHaveAttribute('aria-valuenow', '63')
+
+    fireEvent.change(screen.getByLabelText('Custom amount for Water'), {
+      target: { value: '3' }
+    })
+    fireEvent.click(screen.getByText('Add'))
+    expect(
+      await screen.findByLabelText("Undo today's check-in for Water")
+    ).toBeInTheDocument()
+  })
+
+  test('logs elapsed time from the timer', async () => {
+    jest.useFakeTimers()
+    try {
+      await createHabit({ name: 'Meditate', kind: 'timed', target: 10 })
+      render(<Habits />)
+
+      fireEvent.click(await screen.findByLabelText('Start timer for Meditate'))
+      act(() => {
+        jest.advanceTimersByTime(3 * 60 * 1000)
+      })
+      fireEvent.click(
+        screen.getByLabelText('Stop timer for Meditate and log time')
+      )
+      expect(await screen.findByText('3 / 10 min')).toBeInTheDocument()
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+
+  test('pauses and archives a habit', async () => {
+    await createHabit({ name: 'Journal' })
+    render(<Habits />)
+
+    fireEvent.click(await screen.findByLabelText('Pause habit Journal'))
+    expect(await screen.findByText('Paused')).toBeInTheDocument()
+    expect(screen.getByLabelText('Check in Journal for today')).toBeDisabled()
+
+    fireEvent.click(screen.getByLabelText('Archive habit Journal'))
+    expect(await screen.findByText('No habits yet')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Archived (1)'))
+    await waitFor(() => {
+      expect(screen.getByLabelText('Restore habit Journal')).toBeInTheDocument()
+    })
+  })
+
+  test('plans a vacation and shows rest tokens', async () => {
+    await createHabit({ name: 'Walk' })
+    render(<Habits />)
+
+    expect(await screen.findByText('rest tokens')).toBeInTheDocument()
+    fireEvent.click(screen.getByText('Vacation & rest tokens'))
+    expect(screen.getByText('No vacations planned.')).toBeInTheDocument()
+
+    // Defaults to a week starting today
+    fireEvent.click(screen.getByText('Add vacation'))
+    expect(await screen.findByRole('status')).toHaveTextContent(
+      'every habit is frozen'
+    )
+    expect(screen.getByText('Now')).toBeInTheDocument()
+
+    fireEvent.change(screen.getByLabelText('Check-ins per rest token'), {
+      target: { value: '0' }
+    })
+    fireEvent.click(screen.getByText('Save tokens'))
+    await waitFor(() => {
+      expect(screen.queryByText('rest tokens')).not.toBeInTheDocument()
+    })
+
+    fireEvent.click(screen.getByLabelText(/^Remove vacation from/))
+    expect(await screen.findByText('No vacations planned.')).toBeInTheDocument()
+    expect(screen.queryByRole('status')).not.toBeInTheDocument()
+  })
+})
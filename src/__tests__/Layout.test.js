@@ -3,10 +3,18 @@
  * Validates navbar structure, accessibility, keyboard navigation, and responsive behavior
  */
 
+import 'fake-indexeddb/auto'
 import React from 'react'
-import { render, screen, fireEvent, waitFor } from '@testing-library/react'
-import { BrowserRouter } from 'react-router-dom'
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
+import { BrowserRouter, useNavigate } from 'react-router-dom'
 import Layout from '../components/Layout.jsx'
+import {
+  recordCommand,
+  registerApplier,
+  clearHistory
+} from '../utils/commandHistory'
+import { getTasks } from '../utils/tasksManager'
+import { clear, STORES } from '../utils/indexedDBManager'
 
 // Helper to render component with router
 const renderWithRouter = (component, { route = '/' } = {}) => {
@@ -289,7 +297,10 @@ describe('Layout Component - Global Navbar (TAB-NAV)', () => {
 
       const searchButton = screen.getByRole('button', { name: /search/i })
       expect(searchButton).toBeInTheDocument()
-      expect(searchButton).toHaveAttribute('title', 'Search (Coming soon)')
+      expect(searchButton).toHaveAttribute(
+        'title',
+        'Search and quick add (Ctrl+K)'
+      )
     })
 
     test('theme toggle button is present', () => {
@@ -535,4 +546,241 @@ describe('Layout Component - Global Navbar (TAB-NAV)', () => {
       expect(planet).toBeInTheDocument()
     })
   })
+
+  describe('Undo and redo', () => {
+    let apply
+    let unregister
+
+    const deleteNote = () =>
+      act(() => {
+        recordCommand({
+          domain: 'note',
+          id: 'n1',
+          label: 'Deleted note "Draft"',
+          before: { index: 0, note: { id: 'n1', title: 'Draft' } },
+          after: null,
+          destructive: true
+        })
+      })
+
+    beforeEach(() => {
+      clearHistory()
+      apply = jest.fn()
+      unregister = registerApplier('note', apply)
+      renderWithRouter(
+        <Layout onExport={mockOnExport} onImport={mockOnImport}>
+          <input aria-label='Field' />
+        </Layout>
+      )
+    })
+
+    afterEach(() => {
+      unregister()
+    })
+
+    test('offers Undo after a destructive change', async () => {
+      deleteNote()
+      expect(screen.getByRole('status')).toHaveTextContent(
+        'Deleted note "Draft".'
+      )
+
+      fireEvent.click(screen.getByRole('button', { name: 'Undo' }))
+      await waitFor(() => {
+        expect(screen.getByRole('status')).toHaveTextContent(
+          'Undone: Deleted note "Draft"'
+        )
+      })
+      expect(apply).toHaveBeenCalledWith('n1', {
+        index: 0,
+        note: { id: 'n1', title: 'Draft' }
+      })
+      expect(
+        screen.queryByRole('button', { name: 'Undo' })
+      ).not.toBeInTheDocument()
+
+      fireEvent.click(screen.getByRole('button', { name: 'Dismiss' }))
+      expect(screen.queryByRole('status')).not.toBeInTheDocument()
+    })
+
+    test('Ctrl+Z undoes and Ctrl+Shift+Z redoes', async () => {
+      deleteNote()
+
+      fireEvent.keyDown(document.body, { key: 'z', ctrlKey: true })
+      await waitFor(() => expect(apply).toHaveBeenCalledTimes(1))
+
+      fireEvent.keyDown(document.body, {
+        key: 'Z',
+        ctrlKey: true,
+        shiftKey: true
+      })
+      await waitFor(() => {
+        expect(apply).toHaveBeenLastCalledWith('n1', null)
+      })
+      expect(screen.getByRole('status')).toHaveTextContent(
+        'Redone: Deleted note "Draft"'
+      )
+    })
+
+    test('leaves Ctrl+Z in text fields to the browser', async () => {
+      deleteNote()
+      fireEvent.keyDown(screen.getByLabelText('Field'), {
+        key: 'z',
+        ctrlKey: true
+      })
+      await act(() => Promise.resolve())
+      expect(apply).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Command palette', () => {
+    const openPalette = () =>
+      fireEvent.keyDown(document.body, { key: 'k', ctrlKey: true })
+    const input = () => screen.getByRole('combobox')
+
+    beforeEach(async () => {
+      clearHistory()
+      localStorage.clear()
+      await clear(STORES.TASKS)
+    })
+
+    test('Ctrl+K opens it from any page and Esc closes it', () => {
+      renderWithRouter(
+        <Layout onExport={mockOnExport} onImport={mockOnImport}>
+          <input aria-label='Field' />
+        </Layout>
+      )
+      screen.getByLabelText('Field').focus()
+
+      openPalette()
+      expect(
+        screen.getByRole('dialog', { name: 'Command palette' })
+      ).toBeInTheDocument()
+      expect(input()).toHaveFocus()
+      expect(input()).toHaveAttribute('aria-expanded', 'true')
+      expect(screen.getAllByRole('option')[0]).toHaveTextContent('Go to Tasks')
+
+      fireEvent.keyDown(input(), { key: 'Escape' })
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+      expect(screen.getByLabelText('Field')).toHaveFocus()
+    })
+
+    test('opens from the search button', () => {
+      renderWithRouter(
+        <Layout onExport={mockOnExport} onImport={mockOnImport}>
+          <div>Content</div>
+        </Layout>
+      )
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }))
+      expect(input()).toHaveFocus()
+    })
+
+    test('arrow keys move through the results and Enter runs one', () => {
+      renderWithRouter(
+        <Layout onExport={mockOnExport} onImport={mockOnImport}>
+          <div>Content</div>
+        </Layout>
+      )
+      openPalette()
+      const options = screen.getAllByRole('option')
+
+      expect(input()).toHaveAttribute('aria-activedescendant', options[0].id)
+      fireEvent.keyDown(input(), { key: 'ArrowUp' })
+      expect(input()).toHaveAttribute(
+        'aria-activedescendant',
+        options[options.length - 1].id
+      )
+      fireEvent.keyDown(input(), { key: 'ArrowDown' })
+      fireEvent.keyDown(input(), { key: 'ArrowDown' })
+      expect(options[1]).toHaveAttribute('aria-selected', 'true')
+
+      fireEvent.keyDown(input(), { key: 'Enter' })
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+      // useNavigate is mocked in tests
+      expect(useNavigate()).toHaveBeenCalledWith('/sequences')
+    })
+
+    test('adds what was typed as a task, with Undo', async () => {
+      renderWithRouter(
+        <Layout onExport={mockOnExport} onImport={mockOnImport}>
+          <div>Content</div>
+        </Layout>
+      )
+      openPalette()
+      fireEvent.change(input(), { target: { value: 'Pay rent !!' } })
+      expect(screen.getAllByRole('option')[0]).toHaveTextContent(
+        'Add task "Pay rent" to Urgent & Important'
+      )
+
+      fireEvent.keyDown(input(), { key: 'Enter' })
+      await waitFor(() => {
+        expect(screen.getByRole('status')).toHaveTextContent(
+          'Added task "Pay rent".'
+        )
+      })
+      expect((await getTasks()).urgent_important).toEqual([
+        expect.objectContaining({ text: 'Pay rent', completed: false })
+      ])
+
+      fireEvent.click(screen.getByRole('button', { name: 'Undo' }))
+      await waitFor(() => {
+        expect(screen.getByRole('status')).toHaveTextContent(
+          'Undone: Added task "Pay rent"'
+        )
+      })
+      expect((await getTasks()).urgent_important).toEqual([])
+    })
+
+    test('appends what was typed to a chosen note', async () => {
+      localStorage.setItem(
+        'brainDumpEntries',
+        JSON.stringify([
+          { id: 'n1', title: 'Shopping', content: '- milk', category: '' }
+        ])
+      )
+      renderWithRouter(
+        <Layout onExport={mockOnExport} onImport={mockOnImport}>
+          <div>Content</div>
+        </Layout>
+      )
+      openPalette()
+      fireEvent.change(input(), { target: { value: '- eggs' } })
+      fireEvent.click(
+        screen.getByRole('option', { name: 'Append "- eggs" to a note…' })
+      )
+
+      expect(input()).toHaveValue('')
+      expect(input()).toHaveAccessibleName('Note to append to')
+      fireEvent.keyDown(input(), { key: 'Enter' })
+
+      await waitFor(() => {
+        expect(screen.getByRole('status')).toHaveTextContent(
+          'Added to note "Shopping".'
+        )
+      })
+      expect(
+        JSON.parse(localStorage.getItem('brainDumpEntries'))[0].content
+      ).toBe('- milk\n- eggs')
+    })
+
+    test('Esc goes back from choosing a note', () => {
+      localStorage.setItem(
+        'brainDumpEntries',
+        JSON.stringify([{ id: 'n1', title: 'Shopping', content: '' }])
+      )
+      renderWithRouter(
+        <Layout onExport={mockOnExport} onImport={mockOnImport}>
+          <div>Content</div>
+        </Layout>
+      )
+      openPalette()
+      fireEvent.change(input(), { target: { value: 'Idea' } })
+      fireEvent.click(
+        screen.getByRole('option', { name: 'Append "Idea" to a note…' })
+      )
+
+      fireEvent.keyDown(input(), { key: 'Escape' })
+      expect(input()).toHaveValue('Idea')
+      expect(screen.getByRole('dialog')).toBeInTheDocument()
+    })
+  })
 })
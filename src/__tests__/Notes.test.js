@@ -2,9 +2,13 @@
  * Integration tests for Notes component
  */
 
+import 'fake-indexeddb/auto'
 import React from 'react'
 import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
 import Notes from '../pages/Notes.jsx'
+import { getTasks, saveTaskChanges } from '../utils/tasksManager'
+import { clear, getStatsByType, STORES } from '../utils/indexedDBManager'
+import { clearHistory } from '../utils/commandHistory'
 
 // Mock marked and DOMPurify
 jest.mock('marked', () => ({
@@ -698,11 +702,9 @@ describe('Notes Component', () => {
       const deleteButton = screen.getByRole('button', { name: /delete/i })
       fireEvent.click(deleteButton)
 
-      // Wait for toast to appear (indicates delete completed)
+      // Wait for the note to leave the list (indicates delete completed)
       await waitFor(() => {
-        expect(
-          screen.getByText('✓ Note deleted successfully')
-        ).toBeInTheDocument()
+        expect(screen.queryByText('Second Note')).not.toBeInTheDocument()
       })
 
       // Wait for any pending auto-save (500ms debounce + buffer)
@@ -914,4 +916,138 @@ describe('Notes Component', () => {
       expect(screen.getByText('Personal')).toBeInTheDocument()
     })
   })
+
+  describe('Send to Tasks', () => {
+    const sendButton = () =>
+      screen.getByRole('button', { name: 'Send to Tasks' })
+    const editor = () =>
+      screen.getByPlaceholderText('Start writing your note in Markdown...')
+    const putCaretOnLine = (line) => {
+      const lines = editor().value.split('\n')
+      const position = lines.slice(0, line).join('\n').length + 1
+      editor().setSelectionRange(position, position)
+      fireEvent.select(editor())
+    }
+    const allTasks = async () => Object.values(await getTasks()).flat()
+
+    beforeEach(async () => {
+      clearHistory()
+      await clear(STORES.TASKS)
+      localStorage.setItem(
+        'brainDumpEntries',
+        JSON.stringify([
+          {
+            id: 'n1',
+            title: 'Shopping',
+            content: 'List\n- [ ] Buy milk tomorrow !u\n- Bread',
+            category: '',
+            locked: false
+          }
+        ])
+      )
+    })
+
+    test('sends the checklist item under the caret, linked both ways', async () => {
+      render(<Notes />)
+      expect(sendButton()).toBeDisabled()
+      putCaretOnLine(2)
+      expect(sendButton()).toBeDisabled()
+
+      putCaretOnLine(1)
+      expect(sendButton()).toBeEnabled()
+      fireEvent.click(sendButton())
+
+      const [task] = await waitFor(async () => {
+        const tasks = await allTasks()
+        expect(tasks).toHaveLength(1)
+        return tasks
+      })
+      expect(task).toMatchObject({
+        text: 'Buy milk',
+        noteId: 'n1',
+        completed: false
+      })
+      expect((await getTasks()).urgent_important).toHaveLength(1)
+      expect(editor().value.split('\n')[1]).toBe(
+        `- [ ] Buy milk tomorrow !u <!-- task:${task.id} -->`
+      )
+
+      // The preview marks it, and it can't be sent twice
+      await waitFor(() => {
+        expect(screen.getByLabelText('Markdown preview')).toHaveTextContent(
+          'Buy milk tomorrow !u Task'
+        )
+      })
+      expect(sendButton()).toBeDisabled()
+    })
+
+    test('ticking a tracked item in the note completes its task', async () => {
+      render(<Notes />)
+      putCaretOnLine(1)
+      fireEvent.click(sendButton())
+      await waitFor(() =>
+        expect(screen.getByLabelText('Markdown preview')).toHaveTextContent(
+          'Task'
+        )
+      )
+
+      fireEvent.change(editor(), {
+        target: { value: editor().value.replace('- [ ]', '- [x]') }
+      })
+      await waitFor(async () => {
+        const [task] = await allTasks()
+        expect(task.completed).toBe(true)
+      })
+    })
+
+    test('ticking the item of a recurring task spawns its next instance', async () => {
+      await clear(STORES.STATS)
+      await saveTaskChanges(
+        {},
+        {
+          urgent_important: [
+            {
+              id: 'r1',
+              text: 'Water plants',
+              completed: false,
+              createdAt: 1,
+              dueDate: '2025-03-03',
+              recurrence: { freq: 'daily', interval: 1, start: '2025-03-03' },
+              noteId: 'n1'
+            }
+          ]
+        }
+      )
+      localStorage.setItem(
+        'brainDumpEntries',
+        JSON.stringify([
+          {
+            id: 'n1',
+            title: 'Garden',
+            content: '- [ ] Water plants <!-- task:r1 -->',
+            category: '',
+            locked: false
+          }
+        ])
+      )
+      render(<Notes />)
+      await waitFor(() =>
+        expect(screen.getByLabelText('Markdown preview')).toHaveTextContent(
+          'Task'
+        )
+      )
+
+      fireEvent.change(editor(), {
+        target: { value: editor().value.replace('- [ ]', '- [x]') }
+      })
+      await waitFor(async () => {
+        const [done, next] = (await getTasks()).urgent_important
+        expect(done).toMatchObject({ id: 'r1', completed: true })
+        expect(next).toMatchObject({ completed: false, seriesId: 'r1' })
+      })
+      expect(await getStatsByType('task_completion')).toEqual([
+        expect.objectContaining({ taskId: 'r1', recurring: true })
+      ])
+    })
+  })
 })
@@ -0,0 +1,449 @@
+// Test suite for the Schedule page
+
+import 'fake-indexeddb/auto'
+import React from 'react'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import Schedule from '../pages/Schedule'
+import {
+  createEvent,
+  getEventsForDay,
+  getAvailability
+} from '../utils/scheduleManager'
+import { clear, getStatsByType, STORES } from '../utils/indexedDBManager'
+import { toDateKey, addDays } from '../utils/dateUtils'
+import { getTasks, saveTaskChanges } from '../utils/tasksManager'
+import { createSequence } from '../utils/sequencesManager'
+import { SEQUENCE_DRAG_TYPE } from '../components/Schedule/CalendarGrid'
+
+// The grid starts at 06:00 and each hour is 46px tall
+const yFor = (hours) => (hours - 6) * 46
+
+// jsdom has no PointerEvent or DragEvent; a MouseEvent carries the button
+// and coordinates
+if (!window.PointerEvent) {
+  window.PointerEvent = class PointerEvent extends MouseEvent {}
+}
+if (!window.DragEvent) {
+  window.DragEvent = class DragEvent extends MouseEvent {}
+}
+
+describe('Schedule Page', () => {
+  const today = toDateKey()
+
+  beforeEach(async () => {
+    await clear(STORES.SCHEDULE)
+    await clear(STORES.SEQUENCES)
+    await clear(STORES.RUNNER)
+    await clear(STORES.STATS)
+    await clear(STORES.TASKS)
+    localStorage.clear()
+  })
+
+  test("renders the day's events from the schedule", async () => {
+    await createEvent({
+      title: 'Deep work',
+      day: today,
+      startTime: '09:00',
+      endTime: '10:30'
+    })
+    await createEvent({
+      title: 'Tomorrow',
+      day: addDays(today, 1),
+      startTime: '09:00',
+      endTime: '10:00'
+    })
+    render(<Schedule />)
+
+    expect(
+      await screen.findByRole('button', {
+        name: `Deep work, ${today} 09:00–10:30`
+      })
+    ).toBeInTheDocument()
+    expect(screen.queryByText('Tomorrow')).not.toBeInTheDocument()
+    expect(screen.getByText(/^Today · /)).toBeInTheDocument()
+  })
+
+  test('switches to week view and navigates between weeks', async () => {
+    await createEvent({
+      title: 'Review',
+      day: addDays(today, 7),
+      startTime: '09:00',
+      endTime: '10:00'
+    })
+    render(<Schedule />)
+
+    fireEvent.click(await screen.findByText('Week'))
+    expect(screen.getByText('Week')).toHaveAttribute('aria-pressed', 'true')
+    expect(screen.queryByText('Review')).not.toBeInTheDocument()
+
+    fireEvent.click(screen.getByLabelText('Next week'))
+    expect(
+      await screen.findByRole('button', {
+        name: `Review, ${addDays(today, 7)} 09:00–10:00`
+      })
+    ).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Today'))
+    await waitFor(() => {
+      expect(screen.queryByText('Review')).not.toBeInTheDocument()
+    })
+  })
+
+  test('creates a block by dragging over empty slots', async () => {
+    const { container } = render(<Schedule />)
+    const column = await waitFor(() => {
+      const found = container.querySelector(`[data-day="${today}"]`)
+      expect(found).not.toBeNull()
+      return found
+    })
+    fireEvent.pointerDown(column, { button: 0, clientY: yFor(9) })
+    fireEvent.pointerMove(window, { clientY: yFor(10.5) })
+    fireEvent.pointerUp(window)
+
+    expect(screen.getByLabelText('Start')).toHaveValue('09:00')
+    expect(screen.getByLabelText('End')).toHaveValue('10:30')
+    fireEvent.change(screen.getByLabelText('Title'), {
+      target: { value: 'Writing' }
+    })
+    fireEvent.click(screen.getByText('Add event'))
+
+    expect(
+      await screen.findByRole('button', {
+        name: `Writing, ${today} 09:00–10:30`
+      })
+    ).toBeInTheDocument()
+    const [event] = await getEventsForDay(today)
+    expect(event.duration).toBe(90)
+  })
+
+  test('moves and resizes blocks by dragging', async () => {
+    const id = await createEvent({
+      title: 'Gym',
+      day: today,
+      startTime: '09:00',
+      endTime: '10:00'
+    })
+    render(<Schedule />)
+
+    const block = await screen.findByRole('button', {
+      name: `Gym, ${today} 09:00–10:00`
+    })
+    fireEvent.pointerDown(block, { button: 0, clientY: yFor(9.25) })
+    fireEvent.pointerMove(window, { clientY: yFor(11.25) })
+    fireEvent.pointerUp(window)
+
+    const moved = await screen.findByRole('button', {
+      name: `Gym, ${today} 11:00–12:00`
+    })
+    fireEvent.pointerDown(moved.querySelector('.resize-handle'), {
+      button: 0,
+      clientY: yFor(12)
+    })
+    fireEvent.pointerMove(window, { clientY: yFor(12.5) })
+    fireEvent.pointerUp(window)
+
+    expect(
+      await screen.findByRole('button', {
+        name: `Gym, ${today} 11:00–12:30`
+      })
+    ).toBeInTheDocument()
+    const [event] = await getEventsForDay(today)
+    expect(event).toMatchObject({ id, duration: 90 })
+  })
+
+  test('moves blocks with the keyboard and edits on click', async () => {
+    await createEvent({
+      title: 'Call',
+      day: today,
+      startTime: '13:00',
+      endTime: '13:30'
+    })
+    render(<Schedule />)
+
+    const block = await screen.findByRole('button', {
+      name: `Call, ${today} 13:00–13:30`
+    })
+    fireEvent.keyDown(block, { key: 'ArrowDown' })
+    const moved = await screen.findByRole('button', {
+      name: `Call, ${today} 13:15–13:45`
+    })
+
+    fireEvent.pointerDown(moved, { button: 0, clientY: yFor(13.5) })
+    fireEvent.pointerUp(window)
+    expect(screen.getByText('Edit Event')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Delete'))
+    expect(await screen.findByText('Nothing scheduled')).toBeInTheDocument()
+  })
+
+  test('keeps keyboard moves and resizes within the day', async () => {
+    await createEvent({
+      title: 'Late',
+      day: today,
+      startTime: '23:00',
+      endTime: '23:45'
+    })
+    render(<Schedule />)
+
+    const block = await screen.findByRole('button', {
+      name: `Late, ${today} 23:00–23:45`
+    })
+    fireEvent.keyDown(block, { key: 'ArrowDown', shiftKey: true })
+    const resized = await screen.findByRole('button', {
+      name: `Late, ${today} 23:00–24:00`
+    })
+
+    fireEvent.keyDown(resized, { key: 'ArrowDown', shiftKey: true })
+    fireEvent.keyDown(resized, { key: 'ArrowDown' })
+    await waitFor(async () => {
+      const [event] = await getEventsForDay(today)
+      expect(event).toMatchObject({ startTime: '23:00', endTime: '24:00' })
+    })
+    expect(
+      screen.getByRole('button', { name: `Late, ${today} 23:00–24:00` })
+    ).toBeInTheDocument()
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument()
+  })
+
+  test('creates a repeating event and asks which occurrences a drag changes', async () => {
+    render(<Schedule />)
+    fireEvent.click(await screen.findByLabelText('Add event'))
+    fireEvent.change(screen.getByLabelText('Title'), {
+      target: { value: 'Standup' }
+    })
+    fireEvent.change(screen.getByLabelText('Start'), {
+      target: { value: '09:00' }
+    })
+    fireEvent.change(screen.getByLabelText('End'), {
+      target: { value: '09:30' }
+    })
+    fireEvent.change(screen.getByLabelText('Repeat'), {
+      target: { value: 'daily' }
+    })
+    fireEvent.change(screen.getByLabelText('Ends'), {
+      target: { value: 'count' }
+    })
+    fireEvent.change(screen.getByLabelText('Number of times'), {
+      target: { value: '3' }
+    })
+    expect(screen.getByText('Every day, 3 times')).toBeInTheDocument()
+    fireEvent.click(screen.getByText('Add event'))
+
+    const block = await screen.findByRole('button', {
+      name: `Standup, ${today} 09:00–09:30`
+    })
+    fireEvent.keyDown(block, { key: 'ArrowDown' })
+    expect(screen.getByText('Change recurring event')).toBeInTheDocument()
+    fireEvent.click(screen.getByText('This event'))
+
+    expect(
+      await screen.findByRole('button', {
+        name: `Standup, ${today} 09:15–09:45`
+      })
+    ).toBeInTheDocument()
+    const tomorrow = await getEventsForDay(addDays(today, 1))
+    expect(tomorrow).toHaveLength(1)
+    expect(tomorrow[0].startTime).toBe('09:00')
+  })
+
+  test('offers resolutions when a block is dragged onto another', async () => {
+    await createEvent({
+      title: 'Lunch',
+      day: today,
+      startTime: '12:00',
+      endTime: '13:00'
+    })
+    await createEvent({
+      title: 'Focus',
+      day: today,
+      startTime: '09:00',
+      endTime: '10:00'
+    })
+    render(<Schedule />)
+
+    const block = await screen.findByRole('button', {
+      name: `Focus, ${today} 09:00–10:00`
+    })
+    fireEvent.pointerDown(block, { button: 0, clientY: yFor(9) })
+    fireEvent.pointerMove(window, { clientY: yFor(12.5) })
+    fireEvent.pointerUp(window)
+
+    expect(await screen.findByText('Schedule conflict')).toBeInTheDocument()
+    fireEvent.click(screen.getByText('Keep overlap'))
+    expect(
+      await screen.findByRole('button', {
+        name: `Focus, ${today} 12:30–13:30, overlaps another block`
+      })
+    ).toBeInTheDocument()
+
+    const moved = screen.getByRole('button', {
+      name: `Focus, ${today} 12:30–13:30, overlaps another block`
+    })
+    fireEvent.keyDown(moved, { key: 'ArrowUp' })
+    fireEvent.click(await screen.findByText('Move to 13:00–14:00'))
+    expect(
+      await screen.findByRole('button', {
+        name: `Focus, ${today} 13:00–14:00`
+      })
+    ).toBeInTheDocument()
+  })
+
+  test('edits working hours and shades protected time', async () => {
+    const { container } = render(<Schedule />)
+    await waitFor(() => {
+      expect(container.querySelector(`[data-day="${today}"]`)).not.toBeNull()
+    })
+    // The default 08:00-22:00 window leaves 06:00-08:00 shaded
+    expect(container.querySelectorAll('.off-hours')).toHaveLength(1)
+
+    fireEvent.click(screen.getByText('Working hours'))
+    fireEvent.change(screen.getByLabelText('Mon window 1 start'), {
+      target: { value: '23:00' }
+    })
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'Mon: must end after it starts'
+    )
+    expect(screen.getByText('Save')).toBeDisabled()
+    fireEvent.change(screen.getByLabelText('Mon window 1 start'), {
+      target: { value: '08:00' }
+    })
+
+    fireEvent.click(screen.getByText('Add protected block'))
+    fireEvent.click(screen.getByLabelText('Sat'))
+    fireEvent.click(screen.getByLabelText('Sun'))
+    fireEvent.click(screen.getByText('Save'))
+
+    await waitFor(() => {
+      expect(screen.queryByText('Protected blocks')).not.toBeInTheDocument()
+    })
+    expect(getAvailability().protectedBlocks).toMatchObject([
+      { label: 'Lunch', start: '12:00', end: '13:00' }
+    ])
+    expect(container.querySelectorAll('.off-hours')).toHaveLength(2)
+  })
+
+  test('plans tasks into the day and completes them from their block', async () => {
+    const tomorrow = addDays(today, 1)
+    await saveTaskChanges(
+      {},
+      {
+        urgent_important: [
+          { id: 't1', text: 'Write report', completed: false, createdAt: 1 }
+        ]
+      }
+    )
+    render(<Schedule />)
+    fireEvent.click(await screen.findByLabelText('Next day'))
+    fireEvent.click(screen.getByText('Plan my day'))
+
+    expect(await screen.findByRole('status')).toHaveTextContent(
+      'Planned 1 task.'
+    )
+    fireEvent.keyDown(
+      await screen.findByRole('button', {
+        name: `Write report, ${tomorrow} 08:00–08:30`
+      }),
+      { key: 'Enter' }
+    )
+    expect(screen.getByLabelText(/^Pinned/)).not.toBeChecked()
+    fireEvent.click(screen.getByText('Mark done'))
+
+    await waitFor(async () => {
+      expect((await getTasks()).urgent_important[0].completed).toBe(true)
+    })
+    await waitFor(() => {
+      expect(
+        screen.getByRole('button', {
+          name: `Write report, ${tomorrow} 08:00–08:30`
+        })
+      ).toHaveClass('done')
+    })
+  })
+
+  test('schedules a dropped routine and runs it from its block', async () => {
+    const sequenceId = await createSequence({
+      name: 'Stretch',
+      steps: [{ name: 'Hamstrings', duration: 600 }]
+    })
+    const { container } = render(<Schedule />)
+    await screen.findByLabelText('Schedule Stretch')
+    await waitFor(() => {
+      expect(container.querySelector(`[data-day="${today}"]`)).not.toBeNull()
+    })
+    fireEvent.drop(container.querySelector(`[data-day="${today}"]`), {
+      clientY: yFor(9),
+      dataTransfer: {
+        types: [SEQUENCE_DRAG_TYPE],
+        getData: () => sequenceId
+      }
+    })
+
+    fireEvent.keyDown(
+      await screen.findByRole('button', {
+        name: `Stretch, ${today} 09:00–09:10`
+      }),
+      { key: 'Enter' }
+    )
+    expect(screen.getByLabelText('Routine')).toHaveValue(sequenceId)
+    fireEvent.click(screen.getByText('Start routine'))
+
+    expect(
+      await screen.findByRole('dialog', { name: 'Routine runner' })
+    ).toBeInTheDocument()
+    expect(
+      screen.getByRole('progressbar', { name: 'Stretch progress 0%' })
+    ).toBeInTheDocument()
+
+    fireEvent.click(screen.getByLabelText('Complete current step'))
+    expect(await screen.findByText('Routine complete.')).toBeInTheDocument()
+    await waitFor(() => {
+      expect(
+        screen.getByRole('button', { name: `Stretch, ${today} 09:00–09:10` })
+      ).toHaveClass('done')
+    })
+    const [stat] = await getStatsByType('routine_time')
+    expect(stat).toMatchObject({
+      sequenceId,
+      plannedDuration: 600,
+      completed: true
+    })
+  })
+
+  test('imports an .ics file as read-only blocks', async () => {
+    const stamp = today.replace(/-/g, '')
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:sync-1',
+      'SUMMARY:Team sync',
+      `DTSTART:${stamp}T100000`,
+      `DTEND:${stamp}T110000`,
+      'LOCATION:Room 2',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n')
+    render(<Schedule />)
+
+    const input = await screen.findByLabelText('Import calendar file')
+    fireEvent.change(input, {
+      target: { files: [new File([ics], 'work.ics')] }
+    })
+    expect(await screen.findByRole('status')).toHaveTextContent(
+      'Imported work.ics: 1 added, 0 updated, 0 removed.'
+    )
+    expect(await screen.findByText('Imported calendars')).toBeInTheDocument()
+
+    const block = await screen.findByRole('button', {
+      name: `Team sync, ${today} 10:00–11:00`
+    })
+    expect(block).toHaveClass('imported')
+    fireEvent.keyDown(block, { key: 'ArrowDown' })
+    fireEvent.pointerDown(block, { button: 0, clientY: yFor(10) })
+
+    expect(screen.getByText('Room 2')).toBeInTheDocument()
+    expect(screen.getByText(/Imported from work.ics/)).toBeInTheDocument()
+    const [event] = await getEventsForDay(today)
+    expect(event).toMatchObject({ startTime: '10:00', readOnly: true })
+  })
+})
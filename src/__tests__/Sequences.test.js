@@ -0,0 +1,156 @@
+// Test suite for the Sequences (Routines) page runner
+
+import 'fake-indexeddb/auto'
+import React from 'react'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import Sequences from '../pages/Sequences'
+import {
+  createSequence,
+  getSequences,
+  getSequenceState
+} from '../utils/sequencesManager'
+import { clear, STORES } from '../utils/indexedDBManager'
+
+describe('Sequences Page', () => {
+  beforeEach(async () => {
+    await clear(STORES.SEQUENCES)
+    await clear(STORES.RUNNER)
+  })
+
+  test('shows empty library when no routines exist', async () => {
+    render(<Sequences />)
+    expect(await screen.findByText('No routines yet')).toBeInTheDocument()
+    expect(screen.queryByText('Current Routine')).not.toBeInTheDocument()
+  })
+
+  test('starts a routine and renders the live triptych', async () => {
+    await createSequence({
+      name: 'Morning Launch',
+      steps: [
+        { id: 's1', name: 'Water', duration: 30 },
+        { id: 's2', name: 'Meds', duration: 90 },
+        { id: 's3', name: 'Stretch', duration: 300 }
+      ]
+    })
+
+    render(<Sequences />)
+    fireEvent.click(
+      await screen.findByLabelText('Start routine Morning Launch')
+    )
+
+    expect(await screen.findByText('Current Routine')).toBeInTheDocument()
+    expect(screen.getByRole('progressbar')).toHaveAttribute(
+      'aria-valuenow',
+      '0'
+    )
+
+    fireEvent.click(screen.getByLabelText('Complete current step'))
+    await waitFor(() => {
+      expect(screen.getByText('Step 2 of 3: Meds')).toBeInTheDocument()
+    })
+
+    fireEvent.click(screen.getByLabelText('Pause current step'))
+    expect(
+      await screen.findByLabelText('Resume current step')
+    ).toBeInTheDocument()
+  })
+
+  test('resumes a persisted run on mount', async () => {
+    await createSequence({
+      name: 'Evening',
+      steps: [
+        { id: 's1', name: 'Tidy', duration: 60 },
+        { id: 's2', name: 'Read', duration: 600 }
+      ]
+    })
+    const first = render(<Sequences />)
+    fireEvent.click(await screen.findByLabelText('Start routine Evening'))
+    await screen.findByText('Current Routine')
+    fireEvent.click(screen.getByLabelText('Skip current step'))
+    await screen.findByText('Step 2 of 2: Read')
+    await waitFor(async () => {
+      expect((await getSequenceState()).currentStepIndex).toBe(1)
+    })
+    first.unmount()
+
+    render(<Sequences />)
+    expect(await screen.findByText('Step 2 of 2: Read')).toBeInTheDocument()
+  })
+
+  test('creates a routine and edits steps live', async () => {
+    render(<Sequences />)
+    fireEvent.click(await screen.findByLabelText('Create your first routine'))
+
+    fireEvent.change(screen.getByLabelText('Name'), {
+      target: { value: 'Focus Block' }
+    })
+    fireEvent.click(screen.getByText('Create routine'))
+    fireEvent.click(await screen.findByText('Add step'))
+
+    const title = await screen.findByLabelText('Step 1 title')
+    fireEvent.change(title, { target: { value: 'Plan' } })
+    fireEvent.change(screen.getByLabelText('Step 1 minutes'), {
+      target: { value: '5' }
+    })
+
+    await waitFor(async () => {
+      const [saved] = await getSequences()
+      expect(saved.steps[0]).toMatchObject({ name: 'Plan', duration: 300 })
+    })
+
+    fireEvent.change(screen.getByLabelText('Step 1 title'), {
+      target: { value: '' }
+    })
+    expect(await screen.findByText('Fix errors to save')).toBeInTheDocument()
+    expect(screen.getByText('Step title is required')).toBeInTheDocument()
+  })
+
+  test('duplicates a routine as a template', async () => {
+    await createSequence({
+      name: 'Shutdown',
+      steps: [{ id: 's1', name: 'Review', duration: 120 }]
+    })
+    render(<Sequences />)
+    fireEvent.click(await screen.findByLabelText('Duplicate routine Shutdown'))
+
+    expect(await screen.findByText('Edit Routine')).toBeInTheDocument()
+    expect(
+      await screen.findByLabelText('Start routine Shutdown (Copy)')
+    ).toBeInTheDocument()
+  })
+
+  test('imports routines from Markdown and reports line errors', async () => {
+    const { container } = render(<Sequences />)
+    await screen.findByText('No routines yet')
+    const input = container.querySelector('input[type="file"]')
+
+    fireEvent.change(input, {
+      target: {
+        files: [
+          new File(['# Broken\n- Stretch (5x)'], 'bad.md', {
+            type: 'text/markdown'
+          })
+        ]
+      }
+    })
+    expect(
+      await screen.findByText(/Line 2: Invalid duration "5x"/)
+    ).toBeInTheDocument()
+    expect(await getSequences()).toHaveLength(0)
+
+    fireEvent.change(input, {
+      target: {
+        files: [
+          new File(['# Imported\n- Stretch (5m)'], 'good.md', {
+            type: 'text/markdown'
+          })
+        ]
+      }
+    })
+    expect(
+      await screen.findByLabelText('Start routine Imported')
+    ).toBeInTheDocument()
+    expect(screen.queryByText(/Line 2/)).not.toBeInTheDocument()
+  })
+})
@@ -1,7 +1,38 @@
 import React from 'react'
-import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  within,
+  act
+} from '@testing-library/react'
 import '@testing-library/jest-dom'
+import { marked } from 'marked'
+import 'fake-indexeddb/auto'
 import Tasks from '../pages/Tasks'
+import { LONG_PRESS_MS } from '../hooks/useTaskGestures'
+import {
+  getTasks,
+  saveTaskChanges,
+  saveToArchive,
+  getArchivedTasks
+} from '../utils/tasksManager'
+import { clear, STORES } from '../utils/indexedDBManager'
+import {
+  undo,
+  redo,
+  clearHistory,
+  getHistoryState
+} from '../utils/commandHistory'
+import { toDateKey } from '../utils/dateUtils'
+
+// marked ships as ESM only; notes rendering is checked through DOMPurify
+jest.mock('marked', () => ({
+  marked: {
+    parse: jest.fn((content) => `<p>${content}</p>`)
+  }
+}))
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -24,9 +55,29 @@ Object.defineProperty(window, 'localStorage', {
   value: localStorageMock
 })
 
+// Exports revoke their object URL a second later, after the export tests have
+// restored their mocks; jsdom doesn't implement it
+if (!global.URL.revokeObjectURL) {
+  global.URL.revokeObjectURL = () => {}
+}
+
+// jsdom has no PointerEvent; a MouseEvent carrying pointerType stands in
+if (!window.PointerEvent) {
+  window.PointerEvent = class PointerEvent extends MouseEvent {
+    constructor(type, init = {}) {
+      super(type, init)
+      this.pointerType = init.pointerType || 'mouse'
+    }
+  }
+}
+
+// Let each test's task writes land before the next test clears the store
+afterEach(() => saveTaskChanges({}, {}))
+
 describe('Tasks Component', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     localStorage.clear()
+    await clear(STORES.TASKS)
   })
 
   test('renders Tasks component', () => {
@@ -131,7 +182,7 @@ describe('Tasks Component', () => {
     })
   })
 
-  test('persists tasks to localStorage', async () => {
+  test('persists tasks to IndexedDB', async () => {
     render(<Tasks />)
 
     const input = screen.getByPlaceholderText('Add a new task...')
@@ -140,17 +191,14 @@ describe('Tasks Component', () => {
     fireEvent.change(input, { target: { value: 'Persistent task' } })
     fireEvent.click(addButton)
 
-    await waitFor(() => {
-      const savedData = localStorage.getItem('aurorae_tasks')
-      expect(savedData).toBeTruthy()
-
-      const parsed = JSON.parse(savedData)
-      expect(parsed.urgent_important).toHaveLength(1)
-      expect(parsed.urgent_important[0].text).toBe('Persistent task')
+    await waitFor(async () => {
+      const saved = await getTasks()
+      expect(saved.urgent_important).toHaveLength(1)
+      expect(saved.urgent_important[0].text).toBe('Persistent task')
     })
   })
 
-  test('loads tasks from localStorage on mount', () => {
+  test('migrates tasks saved in localStorage on mount', async () => {
     const mockTasks = {
       urgent_important: [
         {
@@ -169,7 +217,8 @@ describe('Tasks Component', () => {
 
     render(<Tasks />)
 
-    expect(screen.getByText('Loaded task')).toBeInTheDocument()
+    expect(await screen.findByText('Loaded task')).toBeInTheDocument()
+    expect(localStorage.getItem('aurorae_tasks')).toBeNull()
   })
 
   test('displays empty state for quadrants with no tasks', () => {
@@ -823,9 +872,13 @@ describe('Tasks Component', () => {
       expect(screen.getByText('Round-trip test')).toBeInTheDocument()
     })
 
-    // Get the exported data from localStorage
-    const exportedData = localStorage.getItem('aurorae_tasks')
-    const parsedData = JSON.parse(exportedData)
+    // Get the saved tasks in the export format
+    let parsedData
+    await waitFor(async () => {
+      parsedData = await getTasks()
+      expect(parsedData.urgent_important).toHaveLength(1)
+    })
+    const exportedData = JSON.stringify(parsedData)
 
     // Verify the ID is a string (UUID)
     expect(parsedData.urgent_important.length).toBe(1)
@@ -833,7 +886,7 @@ describe('Tasks Component', () => {
     expect(parsedData.urgent_important[0].text).toBe('Round-trip test')
 
     // Clear and re-import
-    localStorage.clear()
+    await clear(STORES.TASKS)
     const file = new File([exportedData], 'tasks.json', {
       type: 'application/json'
     })
@@ -851,3 +904,1403 @@ describe('Tasks Component', () => {
     })
   })
 })
+
+describe('Task details', () => {
+  const seed = (tasks) => saveTaskChanges({}, tasks)
+
+  const stored = () => getTasks()
+
+  const renderTasks = async () => {
+    const result = render(<Tasks />)
+    await screen.findByText('Write report')
+    return result
+  }
+
+  const importFile = (container, data) => {
+    const file = new File([JSON.stringify(data)], 'tasks.json', {
+      type: 'application/json'
+    })
+    const importInput = container.querySelector('input[type="file"]')
+    Object.defineProperty(importInput, 'files', {
+      value: [file],
+      writable: false
+    })
+    fireEvent.change(importInput)
+  }
+
+  beforeEach(async () => {
+    localStorage.clear()
+    await clear(STORES.TASKS)
+    await seed({
+      urgent_important: [
+        { id: 'a', text: 'Write report', completed: false, createdAt: 1 },
+        { id: 'b', text: 'Call bank', completed: false, createdAt: 2 }
+      ]
+    })
+  })
+
+  test('new tasks start with empty metadata', async () => {
+    await renderTasks()
+    fireEvent.change(screen.getByPlaceholderText('Add a new task...'), {
+      target: { value: 'Fresh task' }
+    })
+    fireEvent.click(screen.getByText('Add Task'))
+
+    await waitFor(async () => {
+      expect((await stored()).urgent_important[2]).toMatchObject({
+        text: 'Fresh task',
+        dueDate: null,
+        dueTime: null,
+        estimate: null,
+        notes: '',
+        tags: []
+      })
+    })
+  })
+
+  test('expands a task and sets its due date, time and estimate', async () => {
+    await renderTasks()
+    const toggle = screen.getByLabelText('Show details for "Write report"')
+    fireEvent.click(toggle)
+
+    expect(toggle).toHaveAttribute('aria-expanded', 'true')
+    const panel = screen.getByRole('region', {
+      name: 'Details for "Write report"'
+    })
+    expect(toggle).toHaveAttribute('aria-controls', panel.id)
+
+    expect(screen.getByLabelText('Due time')).toBeDisabled()
+    fireEvent.change(screen.getByLabelText('Due date'), {
+      target: { value: '2020-01-15' }
+    })
+    fireEvent.change(screen.getByLabelText('Due time'), {
+      target: { value: '14:30' }
+    })
+    const estimate = screen.getByLabelText('Estimate (min)')
+    fireEvent.change(estimate, { target: { value: '45' } })
+    fireEvent.blur(estimate)
+
+    await waitFor(async () => {
+      expect((await stored()).urgent_important[0]).toMatchObject({
+        dueDate: '2020-01-15',
+        dueTime: '14:30',
+        estimate: 45
+      })
+    })
+    const due = screen.getByText(/Due 2020-01-15 14:30/)
+    expect(due).toHaveClass('overdue')
+    expect(screen.getByText('~45 min')).toBeInTheDocument()
+
+    // Clearing the date clears the time with it
+    fireEvent.change(screen.getByLabelText('Due date'), {
+      target: { value: '' }
+    })
+    await waitFor(async () => {
+      expect((await stored()).urgent_important[0]).toMatchObject({
+        dueDate: null,
+        dueTime: null
+      })
+    })
+  })
+
+  test('flags an invalid estimate under the field', async () => {
+    await renderTasks()
+    fireEvent.click(screen.getByLabelText('Show details for "Write report"'))
+
+    const estimate = screen.getByLabelText('Estimate (min)')
+    fireEvent.change(estimate, { target: { value: '2000' } })
+    fireEvent.blur(estimate)
+
+    const error = screen.getByText('Enter whole minutes between 1 and 1440.')
+    expect(estimate).toHaveAttribute('aria-invalid', 'true')
+    expect(estimate).toHaveAttribute('aria-describedby', error.id)
+    expect((await stored()).urgent_important[0].estimate).toBeUndefined()
+  })
+
+  test('saves notes and previews them as sanitized Markdown', async () => {
+    const { container } = await renderTasks()
+    fireEvent.click(screen.getByLabelText('Show details for "Write report"'))
+
+    const notes = screen.getByLabelText('Task notes')
+    const markdown = '**Bold** point <img src=x onerror="alert(1)">'
+    fireEvent.change(notes, { target: { value: markdown } })
+    fireEvent.blur(notes)
+    await waitFor(async () => {
+      expect((await stored()).urgent_important[0].notes).toBe(markdown)
+    })
+
+    fireEvent.click(screen.getByRole('button', { name: 'Preview' }))
+    expect(marked.parse).toHaveBeenCalledWith(markdown, {
+      breaks: true,
+      gfm: true
+    })
+    const preview = container.querySelector('.task-notes-preview')
+    expect(preview).toHaveTextContent('**Bold** point')
+    expect(preview.querySelector('img')).toBeInTheDocument()
+    expect(preview.innerHTML).not.toContain('onerror')
+
+    fireEvent.click(screen.getByRole('button', { name: 'Edit' }))
+    expect(screen.getByLabelText('Task notes')).toHaveValue(markdown)
+  })
+
+  test('adds and removes colour tags', async () => {
+    await renderTasks()
+    fireEvent.click(screen.getByLabelText('Show details for "Write report"'))
+
+    fireEvent.change(screen.getByLabelText('New tag'), {
+      target: { value: 'work' }
+    })
+    fireEvent.change(screen.getByLabelText('Tag colour'), {
+      target: { value: 'blue' }
+    })
+    fireEvent.click(screen.getByText('Add tag'))
+
+    // Duplicate labels are ignored
+    fireEvent.change(screen.getByLabelText('New tag'), {
+      target: { value: 'Work' }
+    })
+    fireEvent.click(screen.getByText('Add tag'))
+
+    await waitFor(async () => {
+      expect((await stored()).urgent_important[0].tags).toEqual([
+        { label: 'work', color: 'blue' }
+      ])
+    })
+
+    fireEvent.click(screen.getByLabelText('Remove tag work'))
+    await waitFor(async () => {
+      expect((await stored()).urgent_important[0].tags).toEqual([])
+    })
+  })
+
+  test('reorders a task within its quadrant', async () => {
+    await renderTasks()
+    fireEvent.click(screen.getByLabelText('Show details for "Call bank"'))
+
+    expect(screen.getByText('Position 2 of 2')).toBeInTheDocument()
+    expect(screen.getByText('Move down')).toBeDisabled()
+    fireEvent.click(screen.getByText('Move up'))
+
+    await waitFor(async () => {
+      expect((await stored()).urgent_important.map((t) => t.id)).toEqual([
+        'b',
+        'a'
+      ])
+    })
+    expect(screen.getByText('Position 1 of 2')).toBeInTheDocument()
+    expect(screen.getByText('Move up')).toBeDisabled()
+  })
+
+  test('imports tasks with metadata', async () => {
+    const { container } = await renderTasks()
+    importFile(container, {
+      urgent_important: [],
+      not_urgent_important: [
+        {
+          id: 'm',
+          text: 'Plan trip',
+          completed: false,
+          createdAt: 1,
+          dueDate: '2030-05-01',
+          dueTime: null,
+          estimate: 90,
+          notes: 'Check _flights_',
+          tags: [{ label: 'travel', color: 'green' }]
+        }
+      ],
+      urgent_not_important: [],
+      not_urgent_not_important: []
+    })
+
+    await waitFor(() => {
+      expect(screen.getByText('Plan trip')).toBeInTheDocument()
+    })
+    expect(screen.getByText('Due 2030-05-01')).toBeInTheDocument()
+    expect(screen.getByText('travel')).toHaveClass('tag-green')
+  })
+
+  test.each([
+    ['due date', { dueDate: '2025-02-30' }, /Due dates must be valid/],
+    ['due time', { dueTime: '09:00' }, /A due time needs a due date/],
+    ['estimate', { estimate: 0 }, /Estimates must be whole minutes/],
+    ['notes', { notes: 'x'.repeat(10001) }, /notes exceed maximum length/],
+    ['tags', { tags: [{ label: 'x', color: 'teal' }] }, /Tags need a label/],
+    ['subtask', { subtasks: [{ id: 's', text: 'Step' }] }, /Subtasks have/]
+  ])('rejects import with an invalid %s', async (_, fields, message) => {
+    const { container } = await renderTasks()
+    importFile(container, {
+      urgent_important: [
+        { id: 'x', text: 'Bad', completed: false, createdAt: 1, ...fields }
+      ],
+      not_urgent_important: [],
+      urgent_not_important: [],
+      not_urgent_not_important: []
+    })
+
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent(message)
+    })
+    expect(screen.queryByText('Bad')).not.toBeInTheDocument()
+  })
+})
+
+describe('Subtasks', () => {
+  const subtask = (id, text, completed = false) => ({
+    id,
+    text,
+    completed,
+    completedAt: null
+  })
+
+  const stored = () => getTasks()
+
+  const seed = (task) =>
+    saveTaskChanges(
+      {},
+      {
+        urgent_important: [
+          {
+            id: 'k',
+            text: 'Clean kitchen',
+            completed: false,
+            createdAt: 1,
+            ...task
+          }
+        ]
+      }
+    )
+
+  const renderTasks = async () => {
+    const result = render(<Tasks />)
+    await screen.findByText('Clean kitchen')
+    return result
+  }
+
+  const openDetails = () =>
+    fireEvent.click(screen.getByLabelText('Show details for "Clean kitchen"'))
+
+  beforeEach(async () => {
+    localStorage.clear()
+    await clear(STORES.TASKS)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('adds and completes subtasks with a progress rollup', async () => {
+    await seed({})
+    await renderTasks()
+    openDetails()
+
+    for (const text of ['Dishes', 'Counters', 'Floor']) {
+      fireEvent.change(screen.getByLabelText('New subtask'), {
+        target: { value: text }
+      })
+      fireEvent.click(screen.getByRole('button', { name: 'Add' }))
+    }
+    fireEvent.click(screen.getByLabelText('Counters'))
+
+    const progress = screen.getByRole('progressbar', {
+      name: '1 of 3 subtasks done'
+    })
+    expect(progress).toHaveAttribute('aria-valuenow', '1')
+    await waitFor(async () => {
+      expect((await stored()).urgent_important[0].subtasks).toEqual([
+        expect.objectContaining({ text: 'Dishes', completed: false }),
+        expect.objectContaining({ text: 'Counters', completed: true }),
+        expect.objectContaining({ text: 'Floor', completed: false })
+      ])
+    })
+
+    fireEvent.click(screen.getByLabelText('Delete subtask "Floor"'))
+    expect(
+      screen.getByRole('progressbar', { name: '1 of 2 subtasks done' })
+    ).toBeInTheDocument()
+  })
+
+  test('auto-completes the parent when every subtask is done', async () => {
+    await seed({
+      subtasks: [subtask('a', 'Dishes', true), subtask('b', 'Floor')]
+    })
+    await renderTasks()
+    openDetails()
+
+    fireEvent.click(
+      screen.getByLabelText('Complete the task when all subtasks are done')
+    )
+    const parent = screen.getByLabelText('Mark "Clean kitchen" as complete')
+    fireEvent.click(screen.getByLabelText('Floor'))
+    expect(parent).toBeChecked()
+    await waitFor(async () => {
+      expect((await stored()).urgent_important[0].completedAt).toEqual(
+        expect.any(Number)
+      )
+    })
+
+    // Reopening a subtask reopens the parent
+    fireEvent.click(screen.getByLabelText('Floor'))
+    expect(parent).not.toBeChecked()
+  })
+
+  test('asks whether to complete open subtasks with the parent', async () => {
+    await seed({
+      subtasks: [subtask('a', 'Dishes'), subtask('b', 'Floor', true)]
+    })
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValue(true)
+    await renderTasks()
+
+    fireEvent.click(screen.getByLabelText('Mark "Clean kitchen" as complete'))
+
+    expect(confirm).toHaveBeenCalledWith(
+      '"Clean kitchen" has 1 open subtask. Complete it too?'
+    )
+    await waitFor(async () => {
+      const task = (await stored()).urgent_important[0]
+      expect(task.completed).toBe(true)
+      expect(task.subtasks.every((s) => s.completed)).toBe(true)
+    })
+  })
+
+  test('completes the parent only when the prompt is declined', async () => {
+    await seed({ subtasks: [subtask('a', 'Dishes'), subtask('b', 'Floor')] })
+    jest.spyOn(window, 'confirm').mockReturnValue(false)
+    await renderTasks()
+
+    fireEvent.click(screen.getByLabelText('Mark "Clean kitchen" as complete'))
+
+    await waitFor(async () => {
+      const task = (await stored()).urgent_important[0]
+      expect(task.completed).toBe(true)
+      expect(task.subtasks.map((s) => s.completed)).toEqual([false, false])
+    })
+  })
+
+  test('collapses and operates the checklist from the keyboard', async () => {
+    await seed({
+      subtasks: [
+        subtask('a', 'Dishes'),
+        subtask('b', 'Counters'),
+        subtask('c', 'Floor')
+      ]
+    })
+    await renderTasks()
+    openDetails()
+
+    const dishes = screen.getByLabelText('Dishes')
+    dishes.focus()
+    fireEvent.keyDown(dishes, { key: 'ArrowDown' })
+    expect(screen.getByLabelText('Counters')).toHaveFocus()
+
+    fireEvent.keyDown(screen.getByLabelText('Counters'), {
+      key: 'ArrowDown',
+      altKey: true
+    })
+    await waitFor(async () => {
+      expect(
+        (await stored()).urgent_important[0].subtasks.map((s) => s.id)
+      ).toEqual(['a', 'c', 'b'])
+    })
+    expect(screen.getByLabelText('Counters')).toHaveFocus()
+
+    fireEvent.click(screen.getByLabelText('Move "Floor" up'))
+    await waitFor(async () => {
+      expect(
+        (await stored()).urgent_important[0].subtasks.map((s) => s.id)
+      ).toEqual(['c', 'a', 'b'])
+    })
+
+    const toggle = screen.getByRole('button', { name: /Subtasks/ })
+    fireEvent.click(toggle)
+    expect(toggle).toHaveAttribute('aria-expanded', 'false')
+    expect(screen.queryByLabelText('Dishes')).not.toBeVisible()
+  })
+
+  test('moving a task to another quadrant carries its subtasks', async () => {
+    await seed({
+      subtasks: [subtask('a', 'Dishes', true), subtask('b', 'Floor')]
+    })
+    const { container } = await renderTasks()
+
+    fireEvent.dragStart(container.querySelector('.task-item'))
+    fireEvent.drop(container.querySelector('.quadrant-green'))
+
+    await waitFor(async () => {
+      const { urgent_important, not_urgent_not_important } = await stored()
+      expect(urgent_important).toEqual([])
+      expect(not_urgent_not_important[0].subtasks).toEqual([
+        subtask('a', 'Dishes', true),
+        subtask('b', 'Floor')
+      ])
+    })
+    expect(
+      screen.getByRole('progressbar', { name: '1 of 2 subtasks done' })
+    ).toBeInTheDocument()
+  })
+})
+
+describe('Recurring tasks', () => {
+  const stored = () => getTasks()
+
+  const renderTasks = async () => {
+    const result = render(<Tasks />)
+    await screen.findByText('Water plants')
+    return result
+  }
+
+  const dayKey = (offset = 0) => {
+    const date = new Date()
+    date.setDate(date.getDate() + offset)
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-')
+  }
+
+  beforeEach(async () => {
+    localStorage.clear()
+    await clear(STORES.TASKS)
+    await saveTaskChanges(
+      {},
+      {
+        not_urgent_important: [
+          {
+            id: 'w',
+            text: 'Water plants',
+            completed: false,
+            createdAt: 1,
+            dueDate: dayKey()
+          },
+          { id: 'x', text: 'Other', completed: false, createdAt: 2 }
+        ]
+      }
+    )
+  })
+
+  test('repeats a task some days after each completion', async () => {
+    await renderTasks()
+    fireEvent.click(screen.getByLabelText('Show details for "Water plants"'))
+
+    fireEvent.change(screen.getByLabelText('Repeat'), {
+      target: { value: 'after_completion' }
+    })
+    const days = screen.getByLabelText('Days after completion')
+    fireEvent.change(days, { target: { value: '3' } })
+    fireEvent.blur(days)
+    expect(
+      screen.getByText(/3 days after completion\. Completing it adds/)
+    ).toBeInTheDocument()
+    expect(screen.getByText('Recurring')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByLabelText('Mark "Water plants" as complete'))
+
+    await waitFor(async () => {
+      expect((await stored()).not_urgent_important).toHaveLength(3)
+    })
+    const [done, next, other] = (await stored()).not_urgent_important
+    expect(done).toMatchObject({ completed: true, nextInstanceId: next.id })
+    expect(next).toMatchObject({
+      text: 'Water plants',
+      completed: false,
+      dueDate: dayKey(3),
+      seriesId: 'w',
+      recurrence: { freq: 'after_completion', interval: 3 }
+    })
+    expect(other.id).toBe('x')
+
+    // Reopening and completing again doesn't spawn a second instance
+    const [doneBox] = screen.getAllByLabelText(
+      'Mark "Water plants" as incomplete'
+    )
+    fireEvent.click(doneBox)
+    fireEvent.click(
+      screen.getAllByLabelText('Mark "Water plants" as complete')[0]
+    )
+    expect((await stored()).not_urgent_important).toHaveLength(3)
+  })
+
+  test('shows the series history on the next instance', async () => {
+    await renderTasks()
+    fireEvent.click(screen.getByLabelText('Show details for "Water plants"'))
+    fireEvent.change(screen.getByLabelText('Repeat'), {
+      target: { value: 'daily' }
+    })
+    fireEvent.click(screen.getByLabelText('Mark "Water plants" as complete'))
+
+    await waitFor(() => {
+      expect(screen.getByText(`Due ${dayKey(1)}`)).toBeInTheDocument()
+    })
+    // The panel stays with the completed task; open the new instance
+    fireEvent.click(screen.getByLabelText('Hide details for "Water plants"'))
+    fireEvent.click(
+      screen.getAllByLabelText('Show details for "Water plants"')[1]
+    )
+
+    const history = screen.getByRole('list', { name: 'Completed instances' })
+    expect(history).toHaveTextContent(`Completed ${dayKey()} (due ${dayKey()})`)
+  })
+
+  test('offers weekday and monthly options', async () => {
+    await renderTasks()
+    fireEvent.click(screen.getByLabelText('Show details for "Water plants"'))
+
+    fireEvent.change(screen.getByLabelText('Repeat'), {
+      target: { value: 'weekly' }
+    })
+    const weekday = new Date().getDay()
+    const labels = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+    expect(screen.getByLabelText(labels[weekday])).toBeChecked()
+    fireEvent.click(screen.getByLabelText(labels[(weekday + 2) % 7]))
+    await waitFor(async () => {
+      expect(
+        (await stored()).not_urgent_important[0].recurrence.byWeekday
+      ).toEqual([weekday, (weekday + 2) % 7].sort((a, b) => a - b))
+    })
+
+    fireEvent.change(screen.getByLabelText('Repeat'), {
+      target: { value: 'monthly' }
+    })
+    fireEvent.change(screen.getByLabelText('Monthly on'), {
+      target: { value: 'weekday' }
+    })
+    await waitFor(async () => {
+      expect((await stored()).not_urgent_important[0].recurrence).toEqual({
+        freq: 'monthly',
+        interval: 1,
+        start: dayKey(),
+        monthlyBy: 'weekday'
+      })
+    })
+
+    fireEvent.change(screen.getByLabelText('Repeat'), {
+      target: { value: '' }
+    })
+    await waitFor(async () => {
+      expect((await stored()).not_urgent_important[0].recurrence).toBeNull()
+    })
+  })
+})
+
+describe('Keyboard matrix', () => {
+  const item = (text) => screen.getByRole('button', { name: `Task: ${text}` })
+
+  beforeEach(async () => {
+    localStorage.clear()
+    await clear(STORES.TASKS)
+    await saveTaskChanges(
+      {},
+      {
+        urgent_important: [
+          { id: 'a', text: 'Write report', completed: false, createdAt: 1 },
+          { id: 'b', text: 'Call bank', completed: false, createdAt: 2 }
+        ],
+        not_urgent_important: [
+          { id: 'c', text: 'Plan trip', completed: false, createdAt: 3 }
+        ]
+      }
+    )
+    render(<Tasks />)
+    await screen.findByText('Write report')
+  })
+
+  test('keeps one tab stop and moves focus with the arrow keys', () => {
+    expect(item('Write report')).toHaveAttribute('tabIndex', '0')
+    expect(item('Call bank')).toHaveAttribute('tabIndex', '-1')
+    expect(item('Plan trip')).toHaveAttribute('tabIndex', '-1')
+
+    item('Write report').focus()
+    fireEvent.keyDown(item('Write report'), { key: 'ArrowDown' })
+    expect(item('Call bank')).toHaveFocus()
+    expect(item('Call bank')).toHaveAttribute('tabIndex', '0')
+    expect(item('Write report')).toHaveAttribute('tabIndex', '-1')
+
+    // Right goes to the quadrant beside, left comes back
+    fireEvent.keyDown(item('Call bank'), { key: 'ArrowRight' })
+    expect(item('Plan trip')).toHaveFocus()
+    fireEvent.keyDown(item('Plan trip'), { key: 'ArrowLeft' })
+    expect(item('Write report')).toHaveFocus()
+
+    // Nothing below an empty quadrant
+    fireEvent.keyDown(item('Plan trip'), { key: 'ArrowDown' })
+    fireEvent.keyDown(item('Write report'), { key: 'End' })
+    expect(item('Call bank')).toHaveFocus()
+  })
+
+  test('moves a task to the adjacent quadrant with Alt + Arrow', async () => {
+    item('Write report').focus()
+    fireEvent.keyDown(item('Write report'), {
+      key: 'ArrowRight',
+      altKey: true
+    })
+
+    await waitFor(() => {
+      expect(
+        screen
+          .getByRole('heading', { name: 'Not Urgent & Important' })
+          .closest('.matrix-quadrant')
+      ).toHaveTextContent('Write report')
+    })
+    expect(item('Write report')).toHaveFocus()
+    expect(screen.getByRole('status')).toHaveTextContent(
+      'Moved "Write report" to Not Urgent & Important.'
+    )
+
+    fireEvent.keyDown(item('Write report'), { key: 'ArrowUp', altKey: true })
+    expect(screen.getByRole('status')).toHaveTextContent(
+      '"Write report" can\'t move further up.'
+    )
+
+    await waitFor(async () => {
+      const stored = await getTasks()
+      expect(stored.urgent_important.map((t) => t.id)).toEqual(['b'])
+      expect(stored.not_urgent_important.map((t) => t.id)).toEqual(['c', 'a'])
+    })
+  })
+
+  test('reorders within a quadrant with Alt + Shift + Up/Down', async () => {
+    item('Write report').focus()
+    fireEvent.keyDown(item('Write report'), {
+      key: 'ArrowDown',
+      altKey: true,
+      shiftKey: true
+    })
+
+    expect(item('Write report')).toHaveFocus()
+    expect(screen.getByRole('status')).toHaveTextContent(
+      '"Write report" moved to position 2 of 2 in Urgent & Important.'
+    )
+    await waitFor(async () => {
+      expect((await getTasks()).urgent_important.map((t) => t.id)).toEqual([
+        'b',
+        'a'
+      ])
+    })
+  })
+
+  test('completes, expands, edits and deletes the focused task', async () => {
+    item('Write report').focus()
+
+    fireEvent.keyDown(item('Write report'), { key: ' ' })
+    expect(
+      screen.getByLabelText('Mark "Write report" as incomplete')
+    ).toBeChecked()
+    expect(screen.getByRole('status')).toHaveTextContent(
+      'Completed "Write report".'
+    )
+
+    fireEvent.keyDown(item('Write report (completed)'), { key: 'Enter' })
+    expect(
+      screen.getByRole('region', { name: 'Details for "Write report"' })
+    ).toBeInTheDocument()
+
+    fireEvent.keyDown(item('Write report (completed)'), { key: 'e' })
+    const editInput = screen.getByLabelText('Edit task text')
+    expect(editInput).toHaveFocus()
+    fireEvent.change(editInput, { target: { value: 'Write summary' } })
+    fireEvent.keyDown(editInput, { key: 'Enter' })
+    expect(item('Write summary (completed)')).toHaveFocus()
+
+    fireEvent.keyDown(item('Write summary (completed)'), { key: 'Delete' })
+    expect(screen.queryByText('Write summary')).not.toBeInTheDocument()
+    expect(item('Call bank')).toHaveFocus()
+    expect(screen.getByRole('status')).toHaveTextContent(
+      'Deleted "Write summary".'
+    )
+  })
+
+  test('leaves keys typed in a task control alone', () => {
+    const checkbox = screen.getByLabelText('Mark "Write report" as complete')
+    fireEvent.keyDown(checkbox, { key: 'Delete' })
+    expect(screen.getByText('Write report')).toBeInTheDocument()
+  })
+})
+
+describe('Touch gestures', () => {
+  const item = (text) => screen.getByRole('button', { name: `Task: ${text}` })
+  const quadrant = (title) =>
+    screen.getByRole('heading', { name: title }).closest('.matrix-quadrant')
+  const touch = { pointerType: 'touch', button: 0 }
+
+  const swipe = (text, dx) => {
+    fireEvent.pointerDown(item(text), { ...touch, clientX: 200, clientY: 300 })
+    fireEvent.pointerMove(window, { ...touch, clientX: 200 + dx, clientY: 305 })
+    fireEvent.pointerUp(window, touch)
+  }
+
+  beforeEach(async () => {
+    localStorage.clear()
+    await clear(STORES.TASKS)
+    await saveTaskChanges(
+      {},
+      {
+        urgent_important: [
+          { id: 'a', text: 'Write report', completed: false, createdAt: 1 }
+        ]
+      }
+    )
+    navigator.vibrate = jest.fn(() => true)
+    render(<Tasks />)
+    await screen.findByText('Write report')
+  })
+
+  afterEach(() => {
+    delete navigator.vibrate
+    delete document.elementFromPoint
+  })
+
+  test('a long press picks a task up and drops it on another quadrant', async () => {
+    document.elementFromPoint = jest.fn(() =>
+      quadrant('Urgent & Not Important')
+    )
+    fireEvent.pointerDown(item('Write report'), {
+      ...touch,
+      clientX: 100,
+      clientY: 300
+    })
+    await act(() => new Promise((r) => setTimeout(r, LONG_PRESS_MS + 50)))
+
+    expect(navigator.vibrate).toHaveBeenCalled()
+    expect(item('Write report')).toHaveClass('dragging')
+    expect(document.querySelector('.task-drag-ghost')).toHaveTextContent(
+      'Write report'
+    )
+
+    fireEvent.pointerMove(window, { ...touch, clientX: 120, clientY: 400 })
+    expect(quadrant('Urgent & Not Important')).toHaveClass('drop-target')
+    fireEvent.pointerUp(window, touch)
+
+    expect(quadrant('Urgent & Not Important')).toHaveTextContent('Write report')
+    expect(document.querySelector('.task-drag-ghost')).not.toBeInTheDocument()
+    await waitFor(async () => {
+      const stored = await getTasks()
+      expect(stored.urgent_not_important.map((t) => t.id)).toEqual(['a'])
+    })
+  })
+
+  test('swiping right completes a task with a haptic pulse', () => {
+    swipe('Write report', 120)
+    expect(
+      screen.getByLabelText('Mark "Write report" as incomplete')
+    ).toBeChecked()
+    expect(navigator.vibrate).toHaveBeenCalled()
+  })
+
+  test('swiping left reveals move and delete actions', () => {
+    swipe('Write report', -120)
+    const actions = screen.getByRole('group', {
+      name: 'Quick actions for "Write report"'
+    })
+    expect(actions).toBeInTheDocument()
+
+    fireEvent.click(
+      screen.getByRole('button', {
+        name: 'Move "Write report" to Not Urgent & Important'
+      })
+    )
+    expect(quadrant('Not Urgent & Important')).toHaveTextContent('Write report')
+
+    swipe('Write report', -120)
+    fireEvent.click(screen.getByRole('button', { name: 'Delete' }))
+    expect(screen.queryByText('Write report')).not.toBeInTheDocument()
+  })
+
+  test('ignores short swipes, vertical scrolls and mouse presses', async () => {
+    swipe('Write report', 40)
+    expect(
+      screen.getByLabelText('Mark "Write report" as complete')
+    ).not.toBeChecked()
+    expect(screen.queryByRole('group')).not.toBeInTheDocument()
+
+    // Scrolling the page cancels the long press
+    fireEvent.pointerDown(item('Write report'), {
+      ...touch,
+      clientX: 200,
+      clientY: 300
+    })
+    fireEvent.pointerMove(window, { ...touch, clientX: 202, clientY: 360 })
+    await act(() => new Promise((r) => setTimeout(r, LONG_PRESS_MS + 50)))
+    expect(item('Write report')).not.toHaveClass('dragging')
+    fireEvent.pointerUp(window, touch)
+
+    fireEvent.pointerDown(item('Write report'), {
+      pointerType: 'mouse',
+      button: 0,
+      clientX: 200,
+      clientY: 300
+    })
+    fireEvent.pointerMove(window, { pointerType: 'mouse', clientX: 350 })
+    fireEvent.pointerUp(window)
+    expect(
+      screen.getByLabelText('Mark "Write report" as complete')
+    ).not.toBeChecked()
+    expect(navigator.vibrate).not.toHaveBeenCalled()
+  })
+})
+
+describe('Archive and bulk edit', () => {
+  const DAY = 24 * 60 * 60 * 1000
+  const quadrant = (title) =>
+    screen.getByRole('heading', { name: title }).closest('.matrix-quadrant')
+  const archivePanel = () => screen.getByRole('region', { name: 'Archive' })
+
+  const seed = (tasks) => saveTaskChanges({}, tasks)
+  const renderTasks = async (text = 'Write report') => {
+    render(<Tasks />)
+    await screen.findByText(text)
+  }
+  const openArchive = async () => {
+    fireEvent.click(screen.getByRole('button', { name: 'Archive' }))
+    await waitFor(() => {
+      expect(screen.queryByText('Loading archive...')).not.toBeInTheDocument()
+    })
+  }
+
+  beforeEach(async () => {
+    localStorage.clear()
+    await clear(STORES.TASKS)
+    await clear(STORES.TASK_ARCHIVE)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('archives tasks completed longer ago than the delay, and restores them', async () => {
+    await seed({
+      urgent_important: [
+        { id: 'a', text: 'Write report', completed: false, createdAt: 1 },
+        {
+          id: 'b',
+          text: 'Filed taxes',
+          completed: true,
+          createdAt: 2,
+          completedAt: Date.now() - 10 * DAY
+        }
+      ]
+    })
+    await renderTasks()
+
+    await waitFor(() => {
+      expect(quadrant('Urgent & Important')).not.toHaveTextContent(
+        'Filed taxes'
+      )
+    })
+    expect((await getArchivedTasks()).map((t) => t.id)).toEqual(['b'])
+
+    await openArchive()
+    const panel = archivePanel()
+    expect(panel).toHaveTextContent('Filed taxes')
+    expect(panel).toHaveTextContent('Urgent & Important')
+
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Restore "Filed taxes"' })
+    )
+    await waitFor(() => {
+      expect(quadrant('Urgent & Important')).toHaveTextContent('Filed taxes')
+    })
+    await waitFor(async () => {
+      expect(await getArchivedTasks()).toEqual([])
+    })
+    await waitFor(() => {
+      expect(archivePanel()).toHaveTextContent('No archived tasks')
+    })
+  })
+
+  test('changing the delay archives completed tasks straight away', async () => {
+    await seed({
+      urgent_important: [
+        {
+          id: 'a',
+          text: 'Write report',
+          completed: true,
+          createdAt: 1,
+          completedAt: Date.now() - 2 * DAY
+        }
+      ]
+    })
+    await renderTasks()
+    await openArchive()
+
+    fireEvent.change(screen.getByLabelText('Archive completed tasks'), {
+      target: { value: '1' }
+    })
+
+    await waitFor(() => {
+      expect(quadrant('Urgent & Important')).not.toHaveTextContent(
+        'Write report'
+      )
+    })
+    expect(
+      await within(archivePanel()).findByText('Write report')
+    ).toBeVisible()
+    expect(JSON.parse(localStorage.getItem('aurorae_settings')).tasks).toEqual({
+      archiveAfterDays: 1
+    })
+  })
+
+  test('searches, filters and purges the archive', async () => {
+    await seed({
+      urgent_important: [
+        { id: 'a', text: 'Write report', completed: false, createdAt: 1 }
+      ]
+    })
+    await saveToArchive([
+      {
+        task: {
+          id: 'x',
+          text: 'Pay rent',
+          completed: true,
+          createdAt: 1,
+          completedAt: new Date(2024, 0, 5, 9).getTime()
+        },
+        quadrant: 'urgent_important'
+      },
+      {
+        task: {
+          id: 'y',
+          text: 'Read novel',
+          completed: true,
+          createdAt: 1,
+          completedAt: new Date(2024, 2, 5, 9).getTime()
+        },
+        quadrant: 'not_urgent_not_important'
+      }
+    ])
+    await renderTasks()
+    await openArchive()
+    const panel = within(archivePanel())
+
+    fireEvent.change(panel.getByLabelText('Search archived tasks'), {
+      target: { value: 'rent' }
+    })
+    expect(panel.getByText('Pay rent')).toBeInTheDocument()
+    expect(panel.queryByText('Read novel')).not.toBeInTheDocument()
+
+    fireEvent.change(panel.getByLabelText('Search archived tasks'), {
+      target: { value: '' }
+    })
+    fireEvent.change(panel.getByLabelText('From'), {
+      target: { value: '2024-02-01' }
+    })
+    expect(panel.queryByText('Pay rent')).not.toBeInTheDocument()
+    fireEvent.change(panel.getByLabelText('Filter by quadrant'), {
+      target: { value: 'urgent_important' }
+    })
+    expect(panel.getByText('No archived tasks match')).toBeInTheDocument()
+
+    fireEvent.change(panel.getByLabelText('Filter by quadrant'), {
+      target: { value: '' }
+    })
+    jest.spyOn(window, 'confirm').mockReturnValue(true)
+    fireEvent.click(
+      panel.getByRole('button', { name: 'Delete "Read novel" permanently' })
+    )
+    await waitFor(() => {
+      expect(panel.queryByText('Read novel')).not.toBeInTheDocument()
+    })
+    expect((await getArchivedTasks()).map((t) => t.id)).toEqual(['x'])
+  })
+
+  test('bulk completes, moves and tags the selected tasks', async () => {
+    await seed({
+      urgent_important: [
+        { id: 'a', text: 'Write report', completed: false, createdAt: 1 },
+        { id: 'b', text: 'Call bank', completed: false, createdAt: 2 },
+        { id: 'c', text: 'Book dentist', completed: false, createdAt: 3 }
+      ]
+    })
+    await renderTasks()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Bulk edit' }))
+    const toolbar = within(
+      screen.getByRole('toolbar', { name: 'Bulk actions' })
+    )
+    expect(toolbar.getByText('0 of 3 selected')).toBeInTheDocument()
+    expect(toolbar.getByRole('button', { name: 'Complete' })).toBeDisabled()
+
+    fireEvent.click(screen.getByLabelText('Select "Write report"'))
+    fireEvent.click(screen.getByLabelText('Select "Call bank"'))
+    expect(toolbar.getByText('2 of 3 selected')).toBeInTheDocument()
+
+    fireEvent.click(toolbar.getByRole('button', { name: 'Complete' }))
+    expect(
+      screen.getByLabelText('Mark "Write report" as incomplete')
+    ).toBeChecked()
+    expect(
+      screen.getByLabelText('Mark "Call bank" as incomplete')
+    ).toBeChecked()
+    expect(
+      screen.getByLabelText('Mark "Book dentist" as complete')
+    ).not.toBeChecked()
+
+    fireEvent.change(toolbar.getByLabelText('Tag for selected tasks'), {
+      target: { value: 'Admin' }
+    })
+    fireEvent.click(toolbar.getByRole('button', { name: 'Tag' }))
+
+    fireEvent.change(toolbar.getByLabelText('Move selected tasks to'), {
+      target: { value: 'urgent_not_important' }
+    })
+    const delegate = quadrant('Urgent & Not Important')
+    expect(delegate).toHaveTextContent('Write report')
+    expect(delegate).toHaveTextContent('Call bank')
+    expect(quadrant('Urgent & Important')).toHaveTextContent('Book dentist')
+
+    await waitFor(async () => {
+      const stored = await getTasks()
+      expect(stored.urgent_not_important.map((t) => t.id)).toEqual(['a', 'b'])
+      expect(stored.urgent_not_important[0].tags).toEqual([
+        { label: 'Admin', color: 'red' }
+      ])
+      expect(stored.urgent_important[0].tags).toBeUndefined()
+    })
+  })
+
+  test('bulk delete and archive can be undone', async () => {
+    await seed({
+      urgent_important: [
+        { id: 'a', text: 'Write report', completed: false, createdAt: 1 },
+        { id: 'b', text: 'Call bank', completed: false, createdAt: 2 },
+        { id: 'c', text: 'Book dentist', completed: false, createdAt: 3 }
+      ]
+    })
+    await renderTasks()
+    fireEvent.click(screen.getByRole('button', { name: 'Bulk edit' }))
+    const toolbar = within(
+      screen.getByRole('toolbar', { name: 'Bulk actions' })
+    )
+
+    fireEvent.click(screen.getByLabelText('Select "Write report"'))
+    fireEvent.click(screen.getByLabelText('Select "Book dentist"'))
+    fireEvent.click(toolbar.getByRole('button', { name: 'Delete' }))
+    expect(screen.queryByText('Write report')).not.toBeInTheDocument()
+    expect(getHistoryState().undoLabel).toBe('Deleted 2 tasks')
+
+    await act(() => undo())
+    expect(
+      Array.from(
+        quadrant('Urgent & Important').querySelectorAll('.task-text'),
+        (el) => el.textContent
+      )
+    ).toEqual(['Write report', 'Call bank', 'Book dentist'])
+
+    fireEvent.click(screen.getByLabelText('Select "Call bank"'))
+    fireEvent.click(toolbar.getByRole('button', { name: 'Archive' }))
+    await waitFor(() => {
+      expect(getHistoryState().undoLabel).toBe('Archived 1 task')
+    })
+    expect(screen.queryByText('Call bank')).not.toBeInTheDocument()
+    expect((await getArchivedTasks()).map((t) => t.id)).toEqual(['b'])
+    // The page has no Undo of its own; the app-wide toast offers it
+    expect(
+      screen.queryByRole('button', { name: 'Undo' })
+    ).not.toBeInTheDocument()
+
+    await act(() => undo())
+    await waitFor(() => {
+      expect(quadrant('Urgent & Important')).toHaveTextContent('Call bank')
+    })
+    await waitFor(async () => {
+      expect(await getArchivedTasks()).toEqual([])
+      expect((await getTasks()).urgent_important.map((t) => t.id)).toEqual([
+        'a',
+        'b',
+        'c'
+      ])
+    })
+  })
+})
+
+describe('Undo and redo', () => {
+  const item = (text) => screen.getByRole('button', { name: `Task: ${text}` })
+  const texts = (title) =>
+    Array.from(
+      screen
+        .getByRole('heading', { name: title })
+        .closest('.matrix-quadrant')
+        .querySelectorAll('.task-text'),
+      (el) => el.textContent
+    )
+
+  beforeEach(async () => {
+    localStorage.clear()
+    clearHistory()
+    await clear(STORES.TASKS)
+    await saveTaskChanges(
+      {},
+      {
+        urgent_important: [
+          { id: 'a', text: 'Write report', completed: false, createdAt: 1 },
+          { id: 'b', text: 'Call bank', completed: false, createdAt: 2 }
+        ]
+      }
+    )
+    render(<Tasks />)
+    await screen.findByText('Write report')
+  })
+
+  test('steps back through edits, moves and deletes', async () => {
+    item('Write report').focus()
+    fireEvent.keyDown(item('Write report'), { key: 'e' })
+    const editInput = screen.getByLabelText('Edit task text')
+    fireEvent.change(editInput, { target: { value: 'Write summary' } })
+    fireEvent.keyDown(editInput, { key: 'Enter' })
+    fireEvent.keyDown(item('Write summary'), {
+      key: 'ArrowRight',
+      altKey: true
+    })
+    fireEvent.keyDown(item('Write summary'), { key: 'Delete' })
+    expect(screen.queryByText('Write summary')).not.toBeInTheDocument()
+
+    await act(() => undo())
+    expect(texts('Not Urgent & Important')).toEqual(['Write summary'])
+    await act(() => undo())
+    expect(texts('Urgent & Important')).toEqual(['Write summary', 'Call bank'])
+    await act(() => undo())
+    expect(texts('Urgent & Important')).toEqual(['Write report', 'Call bank'])
+
+    await act(() => redo())
+    expect(texts('Urgent & Important')).toEqual(['Write summary', 'Call bank'])
+    await waitFor(async () => {
+      expect((await getTasks()).urgent_important[0].text).toBe('Write summary')
+    })
+  })
+
+  test('undoes and redoes bulk deletes, moves and tags in one step', async () => {
+    fireEvent.click(screen.getByRole('button', { name: 'Bulk edit' }))
+    const toolbar = within(
+      screen.getByRole('toolbar', { name: 'Bulk actions' })
+    )
+    fireEvent.click(screen.getByLabelText('Select "Write report"'))
+    fireEvent.click(screen.getByLabelText('Select "Call bank"'))
+
+    fireEvent.change(toolbar.getByLabelText('Tag for selected tasks'), {
+      target: { value: 'Admin' }
+    })
+    fireEvent.click(toolbar.getByRole('button', { name: 'Tag' }))
+    fireEvent.change(toolbar.getByLabelText('Move selected tasks to'), {
+      target: { value: 'urgent_not_important' }
+    })
+    fireEvent.click(toolbar.getByRole('button', { name: 'Delete' }))
+    expect(texts('Urgent & Not Important')).toEqual([])
+    expect(getHistoryState().undoLabel).toBe('Deleted 2 tasks')
+
+    await act(() => undo())
+    expect(texts('Urgent & Not Important')).toEqual([
+      'Write report',
+      'Call bank'
+    ])
+    await act(() => undo())
+    expect(texts('Urgent & Important')).toEqual(['Write report', 'Call bank'])
+    expect(screen.getAllByText('Admin')).toHaveLength(2)
+    await act(() => undo())
+    expect(screen.queryByText('Admin')).not.toBeInTheDocument()
+
+    await act(() => redo())
+    await act(() => redo())
+    expect(texts('Urgent & Not Important')).toEqual([
+      'Write report',
+      'Call bank'
+    ])
+    await waitFor(async () => {
+      const stored = await getTasks()
+      expect(stored.urgent_not_important.map((t) => t.tags)).toEqual([
+        [{ label: 'Admin', color: 'red' }],
+        [{ label: 'Admin', color: 'red' }]
+      ])
+    })
+  })
+
+  test('undoes and redoes a bulk complete, next instances included', async () => {
+    fireEvent.click(screen.getByLabelText('Show details for "Call bank"'))
+    fireEvent.change(screen.getByLabelText('Repeat'), {
+      target: { value: 'daily' }
+    })
+    fireEvent.click(screen.getByRole('button', { name: 'Bulk edit' }))
+    fireEvent.click(screen.getByLabelText('Select "Write report"'))
+    fireEvent.click(screen.getByLabelText('Select "Call bank"'))
+    fireEvent.click(
+      within(screen.getByRole('toolbar', { name: 'Bulk actions' })).getByRole(
+        'button',
+        { name: 'Complete' }
+      )
+    )
+    expect(getHistoryState().undoLabel).toBe('Completed 2 tasks')
+    expect(texts('Urgent & Important')).toEqual([
+      'Write report',
+      'Call bank',
+      'Call bank'
+    ])
+
+    await act(() => undo())
+    expect(texts('Urgent & Important')).toEqual(['Write report', 'Call bank'])
+    expect(
+      screen.getByLabelText('Mark "Write report" as complete')
+    ).not.toBeChecked()
+    expect(
+      screen.getByLabelText('Mark "Call bank" as complete')
+    ).not.toBeChecked()
+    await waitFor(async () => {
+      const stored = await getTasks()
+      expect(stored.urgent_important).toEqual([
+        expect.objectContaining({ id: 'a', completed: false }),
+        expect.objectContaining({
+          id: 'b',
+          completed: false,
+          nextInstanceId: null
+        })
+      ])
+    })
+
+    await act(() => redo())
+    expect(texts('Urgent & Important')).toEqual([
+      'Write report',
+      'Call bank',
+      'Call bank'
+    ])
+    await waitFor(async () => {
+      const [a, b, next] = (await getTasks()).urgent_important
+      expect(a.completed).toBe(true)
+      expect(b).toMatchObject({ completed: true, nextInstanceId: next.id })
+      expect(next.completed).toBe(false)
+    })
+  })
+
+  test('undoes and redoes a bulk archive', async () => {
+    await clear(STORES.TASK_ARCHIVE)
+    fireEvent.click(screen.getByRole('button', { name: 'Bulk edit' }))
+    fireEvent.click(screen.getByLabelText('Select "Call bank"'))
+    fireEvent.click(
+      within(screen.getByRole('toolbar', { name: 'Bulk actions' })).getByRole(
+        'button',
+        { name: 'Archive' }
+      )
+    )
+    await waitFor(() => {
+      expect(getHistoryState().undoLabel).toBe('Archived 1 task')
+    })
+    expect(texts('Urgent & Important')).toEqual(['Write report'])
+
+    await act(() => undo())
+    expect(texts('Urgent & Important')).toEqual(['Write report', 'Call bank'])
+    expect(await getArchivedTasks()).toEqual([])
+
+    await act(() => redo())
+    expect(texts('Urgent & Important')).toEqual(['Write report'])
+    expect((await getArchivedTasks()).map((t) => t.id)).toEqual(['b'])
+  })
+
+  test('undoing an edit keeps later changes to the task', async () => {
+    item('Call bank').focus()
+    fireEvent.keyDown(item('Call bank'), { key: 'e' })
+    const editInput = screen.getByLabelText('Edit task text')
+    fireEvent.change(editInput, { target: { value: 'Call the bank' } })
+    fireEvent.keyDown(editInput, { key: 'Enter' })
+    fireEvent.keyDown(item('Call the bank'), { key: ' ' })
+
+    await act(() => undo())
+    expect(
+      screen.getByLabelText('Mark "Call bank" as incomplete')
+    ).toBeChecked()
+  })
+})
+
+describe('Quick add', () => {
+  beforeEach(async () => {
+    localStorage.clear()
+    await clear(STORES.TASKS)
+    render(<Tasks />)
+  })
+
+  test('previews and adds the details typed with a task', async () => {
+    const input = screen.getByPlaceholderText('Add a new task...')
+    fireEvent.change(input, {
+      target: { value: 'Call mum tomorrow 5pm !urgent #family ~15m' }
+    })
+
+    const preview = document.getElementById('quick-add-preview')
+    expect(preview).toHaveTextContent('Adds "Call mum"')
+    expect(preview).toHaveTextContent('To Urgent & Important')
+    expect(preview).toHaveTextContent(/Due .* 17:00/)
+    expect(preview).toHaveTextContent('~15 min')
+    expect(preview).toHaveTextContent('family')
+
+    fireEvent.click(screen.getByRole('button', { name: /add task/i }))
+    expect(input).toHaveValue('')
+    expect(preview).toBeEmptyDOMElement()
+    expect(
+      screen
+        .getByRole('heading', { name: 'Urgent & Important' })
+        .closest('.matrix-quadrant')
+    ).toHaveTextContent('Call mum')
+
+    const tomorrow = new Date()
+    tomorrow.setDate(tomorrow.getDate() + 1)
+    await waitFor(async () => {
+      expect((await getTasks()).urgent_important[0]).toMatchObject({
+        text: 'Call mum',
+        dueDate: toDateKey(tomorrow),
+        dueTime: '17:00',
+        estimate: 15,
+        tags: [{ label: 'family', color: 'red' }]
+      })
+    })
+  })
+
+  test('adds a repeating task', async () => {
+    fireEvent.change(screen.getByPlaceholderText('Add a new task...'), {
+      target: { value: 'Water plants every mon and thu' }
+    })
+    expect(document.getElementById('quick-add-preview')).toHaveTextContent(
+      'Repeats Weekly on Mon, Thu'
+    )
+    fireEvent.click(screen.getByRole('button', { name: /add task/i }))
+
+    expect(screen.getByText('Water plants')).toBeInTheDocument()
+    expect(screen.getByText('Recurring')).toBeInTheDocument()
+  })
+})
+
+describe('Tasks sent from a note', () => {
+  beforeEach(async () => {
+    localStorage.clear()
+    await clear(STORES.TASKS)
+    localStorage.setItem(
+      'brainDumpEntries',
+      JSON.stringify([
+        {
+          id: 'n1',
+          title: 'Shopping',
+          content: 'List\n- [ ] Buy milk <!-- task:a -->',
+          locked: false
+        }
+      ])
+    )
+    await saveTaskChanges(
+      {},
+      {
+        urgent_important: [
+          { id: 'a', text: 'Buy milk', completed: false, noteId: 'n1' }
+        ]
+      }
+    )
+    render(<Tasks />)
+    await screen.findByText('Buy milk')
+  })
+
+  test('link back to the note and line', () => {
+    fireEvent.click(screen.getByLabelText('Show details for "Buy milk"'))
+    expect(screen.getByRole('link', { name: 'Shopping' })).toBeInTheDocument()
+    expect(
+      screen.getByRole('region', { name: 'Details for "Buy milk"' })
+    ).toHaveTextContent('From note Shopping, line 2')
+  })
+
+  test('ticking one ticks its item in the note', () => {
+    fireEvent.click(screen.getByLabelText('Mark "Buy milk" as complete'))
+    expect(
+      JSON.parse(localStorage.getItem('brainDumpEntries'))[0].content
+    ).toBe('List\n- [x] Buy milk <!-- task:a -->')
+  })
+})
@@ -0,0 +1,125 @@
+// Test suite for working hours, energy windows and protected blocks
+
+import {
+  validateAvailability,
+  getAvailabilityWindows,
+  getFreeSlots,
+  rankSlots
+} from '../utils/availability'
+
+// 2025-01-15 is a Wednesday
+const availability = {
+  workingHours: {
+    3: [
+      { start: '09:00', end: '12:00', energy: 'high' },
+      { start: '12:00', end: '18:00', energy: null }
+    ]
+  },
+  protectedBlocks: [
+    { id: 1, label: 'Lunch', start: '12:30', end: '13:30', days: [1, 3] },
+    { id: 2, label: 'Gym', start: '07:00', end: '08:00', days: [3] }
+  ]
+}
+
+describe('availability', () => {
+  describe('validateAvailability', () => {
+    test('accepts windows and protected blocks', () => {
+      expect(validateAvailability(availability)).toEqual([])
+    })
+
+    test('reports invalid windows and blocks', () => {
+      expect(
+        validateAvailability({
+          workingHours: {
+            1: [
+              { start: '09:00', end: '13:00' },
+              { start: '12:00', end: '14:00', energy: 'medium' }
+            ],
+            2: [{ start: '9am', end: '17:00' }]
+          },
+          protectedBlocks: [{ label: '', start: '12:00', end: '12:00' }]
+        })
+      ).toEqual([
+        'Mon: energy must be high or low',
+        'Mon: windows must not overlap',
+        'Tue: times must be HH:MM',
+        'Protected blocks need a label',
+        'Protected block: must end after it starts',
+        'Protected block: pick at least one day'
+      ])
+    })
+
+    test('lets ranges run to midnight, but not start there', () => {
+      expect(
+        validateAvailability({
+          workingHours: { 5: [{ start: '20:00', end: '24:00' }] },
+          protectedBlocks: [
+            { label: 'Wind down', start: '22:00', end: '24:00', days: [1] }
+          ]
+        })
+      ).toEqual([])
+      expect(
+        validateAvailability({
+          workingHours: { 5: [{ start: '24:00', end: '24:00' }] },
+          protectedBlocks: [
+            { label: 'Late', start: '23:00', end: '24:30', days: [1] }
+          ]
+        })
+      ).toEqual(['Fri: times must be HH:MM', 'Late: times must be HH:MM'])
+    })
+  })
+
+  test('carves protected blocks out of the windows for their days', () => {
+    expect(getAvailabilityWindows(availability, '2025-01-15')).toEqual([
+      { startTime: '09:00', endTime: '12:00', energy: 'high' },
+      { startTime: '12:00', endTime: '12:30', energy: null },
+      { startTime: '13:30', endTime: '18:00', energy: null }
+    ])
+    // No windows on Thursday
+    expect(getAvailabilityWindows(availability, '2025-01-16')).toEqual([])
+  })
+
+  test('windows running to midnight end at 24:00', () => {
+    const lateShift = {
+      workingHours: { 3: [{ start: '20:00', end: '24:00' }] },
+      protectedBlocks: []
+    }
+    expect(getAvailabilityWindows(lateShift, '2025-01-15')).toEqual([
+      { startTime: '20:00', endTime: '24:00', energy: null }
+    ])
+  })
+
+  test('getFreeSlots leaves out events', () => {
+    const windows = getAvailabilityWindows(availability, '2025-01-15')
+    expect(
+      getFreeSlots(windows, [
+        { startTime: '08:00', endTime: '09:30' },
+        { startTime: '11:00', endTime: '14:00' }
+      ])
+    ).toEqual([
+      { startTime: '09:30', endTime: '11:00', duration: 90, energy: 'high' },
+      { startTime: '14:00', endTime: '18:00', duration: 240, energy: null }
+    ])
+  })
+
+  test('rankSlots prefers the requested energy, then untagged windows', () => {
+    const slots = [
+      { startTime: '08:00', energy: 'low' },
+      { startTime: '10:00', energy: null },
+      { startTime: '14:00', energy: 'high' },
+      { startTime: '16:00', energy: 'low' }
+    ]
+    expect(rankSlots(slots, 'low').map((s) => s.startTime)).toEqual([
+      '08:00',
+      '16:00',
+      '10:00',
+      '14:00'
+    ])
+    expect(rankSlots(slots).map((s) => s.startTime)).toEqual([
+      '08:00',
+      '10:00',
+      '14:00',
+      '16:00'
+    ])
+  })
+})
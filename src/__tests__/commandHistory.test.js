@@ -0,0 +1,249 @@
+// Test suite for app-wide undo/redo
+
+import 'fake-indexeddb/auto'
+import {
+  HISTORY_LIMIT,
+  MERGE_WINDOW_MS,
+  recordCommand,
+  registerApplier,
+  runCommand,
+  undo,
+  redo,
+  getHistoryState,
+  subscribe,
+  clearHistory
+} from '../utils/commandHistory'
+import { placeNote } from '../utils/notes/noteOperations'
+import { getTasks, saveTaskChanges } from '../utils/tasksManager'
+import { clear, STORES } from '../utils/indexedDBManager'
+
+const note = (id, title) => ({ id, title, content: '', category: '' })
+
+describe('commandHistory', () => {
+  let applied
+  let unregister
+
+  beforeEach(() => {
+    clearHistory()
+    applied = []
+    unregister = registerApplier('note', (id, snapshot) =>
+      applied.push({ id, snapshot })
+    )
+  })
+
+  afterEach(() => {
+    unregister()
+  })
+
+  const record = (overrides = {}) =>
+    recordCommand({
+      domain: 'note',
+      id: 'n1',
+      label: 'Edited note "One"',
+      before: { changes: { title: 'One' } },
+      after: { changes: { title: 'Two' } },
+      ...overrides
+    })
+
+  test('undo applies the before snapshot and redo the after one', async () => {
+    record()
+    expect(getHistoryState()).toEqual({
+      undoLabel: 'Edited note "One"',
+      redoLabel: null
+    })
+
+    await undo()
+    expect(applied).toEqual([
+      { id: 'n1', snapshot: { changes: { title: 'One' } } }
+    ])
+    expect(getHistoryState().redoLabel).toBe('Edited note "One"')
+
+    await redo()
+    expect(applied[1]).toEqual({
+      id: 'n1',
+      snapshot: { changes: { title: 'Two' } }
+    })
+    expect(getHistoryState().redoLabel).toBeNull()
+  })
+
+  test('a failed undo or redo leaves the history as it was', async () => {
+    record()
+    unregister()
+    unregister = registerApplier('note', () =>
+      Promise.reject(new Error('Note not found'))
+    )
+
+    await expect(undo()).rejects.toThrow('Note not found')
+    expect(getHistoryState()).toEqual({
+      undoLabel: 'Edited note "One"',
+      redoLabel: null
+    })
+
+    unregister()
+    unregister = registerApplier('note', () => {})
+    await undo()
+    unregister()
+    unregister = registerApplier('note', () =>
+      Promise.reject(new Error('Storage failed'))
+    )
+
+    await expect(redo()).rejects.toThrow('Storage failed')
+    expect(getHistoryState()).toEqual({
+      undoLabel: null,
+      redoLabel: 'Edited note "One"'
+    })
+  })
+
+  test('undo and redo with nothing to do resolve to null', async () => {
+    await expect(undo()).resolves.toBeNull()
+    await expect(redo()).resolves.toBeNull()
+    expect(applied).toEqual([])
+  })
+
+  test('a new change clears the redo stack', async () => {
+    record()
+    await undo()
+    record({ label: 'Deleted note "One"', after: null })
+    expect(getHistoryState().redoLabel).toBeNull()
+  })
+
+  test('merges changes with the same key inside the merge window', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000)
+    record({ mergeKey: 'note:n1' })
+    now.mockReturnValue(1000 + MERGE_WINDOW_MS)
+    record({
+      mergeKey: 'note:n1',
+      before: { changes: { title: 'Two' } },
+      after: { changes: { title: 'Three' } }
+    })
+    now.mockReturnValue(1000 + 3 * MERGE_WINDOW_MS)
+    record({
+      mergeKey: 'note:n1',
+      before: { changes: { title: 'Three' } },
+      after: { changes: { title: 'Four' } }
+    })
+    now.mockRestore()
+
+    await undo()
+    await undo()
+    expect(applied.map((a) => a.snapshot.changes.title)).toEqual([
+      'Three',
+      'One'
+    ])
+    await expect(undo()).resolves.toBeNull()
+  })
+
+  test(`keeps the last ${HISTORY_LIMIT} changes`, async () => {
+    for (let i = 0; i <= HISTORY_LIMIT; i++) {
+      record({ label: `Change ${i}` })
+    }
+    let undone = 0
+    while (await undo()) undone++
+    expect(undone).toBe(HISTORY_LIMIT)
+  })
+
+  test('tells subscribers about each change', async () => {
+    const events = []
+    const unsubscribe = subscribe(({ type, command }) =>
+      events.push(`${type}:${command?.label}`)
+    )
+    record({ destructive: true })
+    await undo()
+    await redo()
+    unsubscribe()
+    record()
+
+    expect(events).toEqual([
+      'record:Edited note "One"',
+      'undo:Edited note "One"',
+      'redo:Edited note "One"'
+    ])
+  })
+
+  test('runCommand applies the after snapshot, then records it', async () => {
+    const events = []
+    const unsubscribe = subscribe(({ type }) => events.push(type))
+    const command = await runCommand({
+      domain: 'note',
+      id: 'n1',
+      label: 'Added to note "One"',
+      before: { changes: { content: 'a' } },
+      after: { changes: { content: 'a\nb' } }
+    })
+    unsubscribe()
+
+    expect(command.label).toBe('Added to note "One"')
+    expect(applied).toEqual([
+      { id: 'n1', snapshot: { changes: { content: 'a\nb' } } }
+    ])
+    expect(events).toEqual(['record', 'run'])
+
+    await undo()
+    expect(applied[1].snapshot).toEqual({ changes: { content: 'a' } })
+  })
+
+  describe('without a page open', () => {
+    beforeEach(() => {
+      unregister()
+      localStorage.clear()
+    })
+
+    test('applies note changes to localStorage', async () => {
+      localStorage.setItem(
+        'brainDumpEntries',
+        JSON.stringify([note('n2', 'Other')])
+      )
+      record({
+        label: 'Deleted note "One"',
+        before: { index: 0, note: note('n1', 'One') },
+        after: null
+      })
+
+      await undo()
+      expect(
+        JSON.parse(localStorage.getItem('brainDumpEntries')).map((n) => n.id)
+      ).toEqual(['n1', 'n2'])
+
+      await redo()
+      expect(
+        JSON.parse(localStorage.getItem('brainDumpEntries')).map((n) => n.id)
+      ).toEqual(['n2'])
+    })
+
+    test('applies task changes to IndexedDB', async () => {
+      await clear(STORES.TASKS)
+      const task = { id: 't1', text: 'Pay rent', completed: false }
+      await saveTaskChanges({}, { urgent_important: [task] })
+      recordCommand({
+        domain: 'task',
+        id: 't1',
+        label: 'Deleted task "Pay rent"',
+        before: { quadrant: 'urgent_important', index: 0, task },
+        after: null,
+        destructive: true
+      })
+      await saveTaskChanges({ urgent_important: [task] }, {})
+
+      await undo()
+      expect((await getTasks()).urgent_important).toEqual([task])
+    })
+  })
+})
+
+describe('placeNote', () => {
+  const notes = [note('a', 'A'), note('b', 'B')]
+
+  test('removes, re-inserts and edits a note', () => {
+    const removed = placeNote(notes, 'a', null)
+    expect(removed.map((n) => n.id)).toEqual(['b'])
+    expect(placeNote(removed, 'a', { index: 0, note: notes[0] })).toEqual(notes)
+
+    const [edited] = placeNote(notes, 'a', { changes: { title: 'A2' } })
+    expect(edited).toMatchObject({ id: 'a', title: 'A2' })
+  })
+
+  test('leaves the notes alone when the note is gone', () => {
+    expect(placeNote(notes, 'x', null)).toBe(notes)
+    expect(placeNote(notes, 'x', { changes: { title: 'X' } })).toBe(notes)
+  })
+})
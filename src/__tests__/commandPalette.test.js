@@ -0,0 +1,210 @@
+// Test suite for the command palette's matching and page intents
+
+import {
+  MAX_MATCHES,
+  fuzzyScore,
+  buildPaletteItems,
+  buildNoteTargets,
+  appendToContent
+} from '../utils/commandPalette'
+import { registerIntentHandler, requestIntent } from '../utils/pageIntents'
+
+const now = new Date(2025, 0, 15, 10, 0)
+
+const routes = [
+  { path: '/tasks', label: 'Tasks' },
+  { path: '/habits', label: 'Habits' },
+  { path: '/braindump', label: 'Brain Dump' }
+]
+const notes = [
+  { id: 'n1', title: 'Shopping list', content: '- milk' },
+  { id: 'n2', title: 'Diary', content: '', locked: true }
+]
+const habits = [{ id: 1, name: 'Drink water' }]
+const routines = [{ id: 'r1', name: 'Morning routine' }]
+
+const build = (query) =>
+  buildPaletteItems(query, { routes, notes, habits, routines, now })
+const keys = (items) => items.map((item) => item.key)
+
+describe('fuzzyScore', () => {
+  test('matches characters in order, ignoring case and spaces', () => {
+    expect(fuzzyScore('bd', 'Brain Dump')).not.toBeNull()
+    expect(fuzzyScore('brain dump', 'Brain Dump')).not.toBeNull()
+    expect(fuzzyScore('db', 'Brain Dump')).toBeNull()
+    expect(fuzzyScore('tasks', 'Task')).toBeNull()
+  })
+
+  test('prefers runs and word starts', () => {
+    expect(fuzzyScore('sho', 'Shopping')).toBeGreaterThan(
+      fuzzyScore('sho', 'Sunday photos')
+    )
+    expect(fuzzyScore('mr', 'Morning routine')).toBeGreaterThan(
+      fuzzyScore('mr', 'Summer')
+    )
+  })
+
+  test('prefers shorter titles on a tie', () => {
+    expect(fuzzyScore('plan', 'Plan')).toBeGreaterThan(
+      fuzzyScore('plan', 'Plan the week')
+    )
+  })
+})
+
+describe('buildPaletteItems', () => {
+  test('lists the routes when nothing is typed', () => {
+    expect(build('  ')).toEqual([
+      expect.objectContaining({ type: 'navigate', label: 'Go to Tasks' }),
+      expect.objectContaining({ type: 'navigate', label: 'Go to Habits' }),
+      expect.objectContaining({ type: 'navigate', label: 'Go to Brain Dump' })
+    ])
+  })
+
+  test('puts titles containing the query before the capture actions', () => {
+    expect(keys(build('habits'))).toEqual([
+      'route:/habits',
+      'task:urgent_important',
+      'task:not_urgent_important',
+      'task:urgent_not_important',
+      'task:not_urgent_not_important',
+      'note:append'
+    ])
+    expect(keys(build('water')).slice(0, 2)).toEqual([
+      'habit:1',
+      'task:urgent_important'
+    ])
+  })
+
+  test('puts looser fuzzy matches after the capture actions', () => {
+    const items = build('mrng')
+    expect(items[0].type).toBe('addTask')
+    expect(items[items.length - 1]).toEqual(
+      expect.objectContaining({
+        type: 'startRoutine',
+        routineId: 'r1',
+        label: 'Start routine "Morning routine"'
+      })
+    )
+  })
+
+  test('matches notes, habits and routines by title', () => {
+    expect(build('shopping')[0]).toEqual(
+      expect.objectContaining({
+        type: 'openNote',
+        noteId: 'n1',
+        label: 'Open note "Shopping list"'
+      })
+    )
+    expect(build('drink')[0]).toEqual(
+      expect.objectContaining({
+        type: 'logHabit',
+        habitId: 1,
+        title: 'Drink water',
+        label: 'Log habit "Drink water" for today'
+      })
+    )
+  })
+
+  test('reads the query as a quick-add line for tasks', () => {
+    const [first, second] = build('Call mum tomorrow !i #family')
+    expect(first).toEqual(
+      expect.objectContaining({
+        type: 'addTask',
+        quadrant: 'not_urgent_important',
+        text: 'Call mum',
+        label: 'Add task "Call mum" to Not Urgent & Important'
+      })
+    )
+    expect(first.details).toEqual(
+      expect.objectContaining({
+        dueDate: '2025-01-16',
+        tags: [{ label: 'family', color: 'red' }]
+      })
+    )
+    expect(first.details).not.toHaveProperty('recurrence')
+    expect(second.quadrant).toBe('urgent_important')
+  })
+
+  test('appends the text as typed, and only when a note is unlocked', () => {
+    const append = build('Call mum tomorrow').find(
+      (item) => item.type === 'chooseNote'
+    )
+    expect(append).toEqual(
+      expect.objectContaining({
+        text: 'Call mum tomorrow',
+        label: 'Append "Call mum tomorrow" to a note…'
+      })
+    )
+
+    const lockedOnly = buildPaletteItems('idea', { notes: [notes[1]], now })
+    expect(lockedOnly.some((item) => item.type === 'chooseNote')).toBe(false)
+  })
+
+  test(`lists at most ${MAX_MATCHES} matches`, () => {
+    const many = Array.from({ length: 20 }, (_, i) => ({
+      id: `n${i}`,
+      title: `Note ${i}`
+    }))
+    const items = buildPaletteItems('note', { notes: many, now })
+    expect(items.filter((item) => item.type === 'openNote')).toHaveLength(
+      MAX_MATCHES
+    )
+  })
+})
+
+describe('buildNoteTargets', () => {
+  test('offers unlocked notes, filtered by the query', () => {
+    const all = buildNoteTargets('', notes, 'Buy eggs')
+    expect(all).toEqual([
+      expect.objectContaining({
+        type: 'appendNote',
+        noteId: 'n1',
+        text: 'Buy eggs',
+        label: 'Append to "Shopping list"'
+      })
+    ])
+    expect(buildNoteTargets('diary', notes, 'Buy eggs')).toEqual([])
+    expect(buildNoteTargets('shop', notes, 'Buy eggs')).toHaveLength(1)
+  })
+})
+
+describe('appendToContent', () => {
+  test('adds the text on a line of its own', () => {
+    expect(appendToContent('', 'Buy eggs')).toBe('Buy eggs')
+    expect(appendToContent('- milk', 'Buy eggs')).toBe('- milk\nBuy eggs')
+    expect(appendToContent('- milk\n', 'Buy eggs')).toBe('- milk\nBuy eggs')
+  })
+})
+
+describe('pageIntents', () => {
+  test('hands an intent straight to a mounted page', () => {
+    const handler = jest.fn()
+    const unregister = registerIntentHandler('openNote', handler)
+
+    expect(requestIntent('openNote', 'n1')).toBe(true)
+    expect(handler).toHaveBeenCalledWith('n1')
+    unregister()
+  })
+
+  test('keeps an intent until its page mounts', () => {
+    expect(requestIntent('startRoutine', 'r1')).toBe(false)
+
+    const handler = jest.fn()
+    const unregister = registerIntentHandler('startRoutine', handler)
+    expect(handler).toHaveBeenCalledWith('r1')
+    unregister()
+
+    // Handled once only
+    const again = jest.fn()
+    registerIntentHandler('startRoutine', again)()
+    expect(again).not.toHaveBeenCalled()
+  })
+
+  test('can drop an intent no page is open for', () => {
+    expect(requestIntent('reloadHabits', null, { queue: false })).toBe(false)
+
+    const handler = jest.fn()
+    registerIntentHandler('reloadHabits', handler)()
+    expect(handler).not.toHaveBeenCalled()
+  })
+})
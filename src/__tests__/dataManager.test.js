@@ -5,6 +5,9 @@ import {
   importJSON,
   SCHEDULE_EVENT_TYPES
 } from '../utils/dataManager'
+import { getTasks, saveToArchive } from '../utils/tasksManager'
+import { put, STORES } from '../utils/indexedDBManager'
+import { IDBFactory } from 'fake-indexeddb'
 
 describe('Data Manager', () => {
   beforeEach(() => {
@@ -168,41 +171,6 @@ describe('Data Manager', () => {
       expect(data.schedule).toEqual([])
     })
 
-    it('should export aurorae_tasks (Eisenhower matrix format)', async () => {
-      // Setup tasks in Eisenhower matrix format (actual storage format)
-      const auroraeTasksData = {
-        urgent_important: [
-          {
-            id: '1',
-            text: 'Important task',
-            completed: false,
-            createdAt: Date.now()
-          }
-        ],
-        not_urgent_important: [
-          {
-            id: '2',
-            text: 'Plan ahead',
-            completed: false,
-            createdAt: Date.now()
-          }
-        ],
-        urgent_not_important: [],
-        not_urgent_not_important: []
-      }
-      localStorage.setItem('aurorae_tasks', JSON.stringify(auroraeTasksData))
-
-      const data = await getDataTemplate()
-
-      // Should include the original Eisenhower format
-      expect(data.auroraeTasksData).toEqual(auroraeTasksData)
-
-      // Should also flatten to tasks array
-      expect(data.tasks).toHaveLength(2)
-      expect(data.tasks[0].text).toBe('Important task')
-      expect(data.tasks[1].text).toBe('Plan ahead')
-    })
-
     it('should export brainDumpEntries as dumps', async () => {
       // Setup brain dump entries (actual storage format for notes)
       const entries = [
@@ -226,39 +194,75 @@ describe('Data Manager', () => {
       expect(data.brainDump).toHaveProperty('entries')
       expect(data.brainDump.entries).toEqual(entries)
     })
+  })
 
-    it('should roundtrip aurorae_tasks through export and import', async () => {
-      // Setup tasks in Eisenhower matrix format (actual storage)
-      const auroraeTasksData = {
-        urgent_important: [
-          { id: '1', text: 'Critical task', completed: false, createdAt: Date.now() }
-        ],
-        not_urgent_important: [
-          { id: '2', text: 'Important task', completed: false, createdAt: Date.now() }
-        ],
-        urgent_not_important: [],
-        not_urgent_not_important: []
-      }
-      localStorage.setItem('aurorae_tasks', JSON.stringify(auroraeTasksData))
+  describe('Eisenhower matrix tasks', () => {
+    const tasksData = {
+      urgent_important: [
+        { id: '1', text: 'Critical task', completed: false, createdAt: 1 }
+      ],
+      not_urgent_important: [
+        { id: '2', text: 'Important task', completed: false, createdAt: 2 }
+      ],
+      urgent_not_important: [],
+      not_urgent_not_important: []
+    }
+
+    // Tasks live in IndexedDB, so give these tests a fresh database
+    beforeEach(() => {
+      window.indexedDB = new IDBFactory()
+    })
 
-      // Export
-      const exportedData = await getDataTemplate()
+    afterAll(() => {
+      delete window.indexedDB
+    })
 
-      // Verify export includes both formats
-      expect(exportedData.auroraeTasksData).toEqual(auroraeTasksData)
-      expect(exportedData.tasks).toHaveLength(2)
+    it('should export tasks as records with their quadrant', async () => {
+      localStorage.setItem('aurorae_tasks', JSON.stringify(tasksData))
 
-      // Clear and import
-      localStorage.clear()
+      const data = await getDataTemplate()
+
+      expect(data).not.toHaveProperty('auroraeTasksData')
+      expect(data.tasks).toEqual([
+        {
+          ...tasksData.urgent_important[0],
+          quadrant: 'urgent_important',
+          order: 0
+        },
+        {
+          ...tasksData.not_urgent_important[0],
+          quadrant: 'not_urgent_important',
+          order: 0
+        }
+      ])
+    })
+
+    it('should export archived tasks and habit logs on their own', async () => {
+      const task = { id: 'a', text: 'Filed taxes', completed: true }
+      await saveToArchive([{ task, quadrant: 'urgent_important' }], 100)
+      let data = await getDataTemplate()
+      expect(data.taskArchive).toEqual([
+        { ...task, quadrant: 'urgent_important', archivedAt: 100 }
+      ])
+
+      window.indexedDB = new IDBFactory()
+      const entry = { id: 'log-1', habitId: 'h1', date: '2025-01-15' }
+      await put(STORES.HABIT_LOG, entry)
+      data = await getDataTemplate()
+      expect(data.habitLog).toEqual([entry])
+    })
+
+    it('should roundtrip tasks through export and import', async () => {
+      localStorage.setItem('aurorae_tasks', JSON.stringify(tasksData))
+      const exportedData = await getDataTemplate()
+
+      window.indexedDB = new IDBFactory()
       const mockFile = new Blob([JSON.stringify(exportedData)], {
         type: 'application/json'
       })
       await importJSON(mockFile)
 
-      // Verify import - should restore to dumps (not aurorae_tasks)
-      // Note: Import stores to 'tasks' key, not 'aurorae_tasks'
-      const importedTasks = JSON.parse(localStorage.getItem('tasks'))
-      expect(importedTasks).toHaveLength(2)
+      expect(await getTasks()).toEqual(tasksData)
     })
   })
 
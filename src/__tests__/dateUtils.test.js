@@ -0,0 +1,33 @@
+// Test suite for local day-key helpers
+
+import {
+  toDateKey,
+  parseDateKey,
+  addDays,
+  daysBetween
+} from '../utils/dateUtils'
+
+describe('dateUtils', () => {
+  test('formats local dates as YYYY-MM-DD', () => {
+    expect(toDateKey(new Date(2025, 0, 5, 23, 30))).toBe('2025-01-05')
+  })
+
+  test('parses day keys as local midnight', () => {
+    const date = parseDateKey('2025-03-09')
+    expect(date.getFullYear()).toBe(2025)
+    expect(date.getMonth()).toBe(2)
+    expect(date.getDate()).toBe(9)
+    expect(date.getHours()).toBe(0)
+  })
+
+  test('adds days across month and year boundaries', () => {
+    expect(addDays('2025-01-31', 1)).toBe('2025-02-01')
+    expect(addDays('2025-01-01', -1)).toBe('2024-12-31')
+    expect(addDays('2024-02-28', 1)).toBe('2024-02-29')
+  })
+
+  test('counts days between keys', () => {
+    expect(daysBetween('2025-03-01', '2025-04-01')).toBe(31)
+    expect(daysBetween('2025-03-10', '2025-03-08')).toBe(-2)
+  })
+})
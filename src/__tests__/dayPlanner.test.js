@@ -0,0 +1,167 @@
+// Test suite for the day planner
+
+import 'fake-indexeddb/auto'
+import { planDay, getPlannableTasks } from '../utils/dayPlanner'
+import {
+  createEvent,
+  getEventsForDay,
+  updateEvent,
+  updateAvailability,
+  completeEvent
+} from '../utils/scheduleManager'
+import { getTasks, saveTaskChanges } from '../utils/tasksManager'
+import { clear, getStatsByType, STORES } from '../utils/indexedDBManager'
+
+const DAY = '2025-01-15'
+
+const saveTasks = (tasks) => saveTaskChanges({}, tasks)
+
+const task = (id, fields = {}) => ({
+  id,
+  text: `Task ${id}`,
+  completed: false,
+  createdAt: 1,
+  dueDate: null,
+  ...fields
+})
+
+const blocks = async () =>
+  (await getEventsForDay(DAY)).map(
+    (e) => `${e.startTime}-${e.endTime} ${e.title}`
+  )
+
+describe('dayPlanner', () => {
+  beforeEach(async () => {
+    await clear(STORES.SCHEDULE)
+    await clear(STORES.TASKS)
+    localStorage.clear()
+    updateAvailability({
+      workingHours: { 3: [{ start: '09:00', end: '12:00' }] },
+      protectedBlocks: []
+    })
+  })
+
+  test('orders Do First before Schedule, then by due date', async () => {
+    await saveTasks({
+      not_urgent_important: [task('s1', { dueDate: '2025-01-10' })],
+      urgent_important: [
+        task('d1'),
+        task('d2', { dueDate: '2025-02-01' }),
+        task('d3', { dueDate: '2025-01-20' }),
+        task('done', { completed: true })
+      ],
+      urgent_not_important: [task('delegate')]
+    })
+
+    expect((await getPlannableTasks()).map((t) => t.id)).toEqual([
+      'd3',
+      'd2',
+      'd1',
+      's1'
+    ])
+  })
+
+  test('places tasks into free slots as linked task blocks', async () => {
+    await saveTasks({
+      urgent_important: [task('a', { estimate: 60 }), task('b')],
+      not_urgent_important: [task('c', { estimate: 120 })]
+    })
+    await createEvent({
+      title: 'Standup',
+      day: DAY,
+      startTime: '09:00',
+      endTime: '09:30'
+    })
+
+    const { placed, unplaced } = await planDay(DAY)
+    expect(await blocks()).toEqual([
+      '09:00-09:30 Standup',
+      '09:30-10:30 Task a',
+      '10:30-11:00 Task b'
+    ])
+    expect(placed[0]).toMatchObject({
+      type: 'task',
+      taskId: 'a',
+      planned: true,
+      flexible: true
+    })
+    expect(unplaced.map((t) => t.id)).toEqual(['c'])
+  })
+
+  test('reshuffles unpinned blocks and keeps pinned ones on rerun', async () => {
+    await saveTasks({ urgent_important: [task('a'), task('b')] })
+    await planDay(DAY)
+    const [first, second] = await getEventsForDay(DAY)
+
+    // Pin "b" later in the morning, then add an urgent task before "a"
+    await updateEvent({
+      ...second,
+      startTime: '11:00',
+      endTime: '11:30',
+      pinned: true
+    })
+    await saveTasks({
+      urgent_important: [
+        task('z', { dueDate: '2025-01-15' }),
+        task('a'),
+        task('b')
+      ]
+    })
+
+    await planDay(DAY)
+    expect(await blocks()).toEqual([
+      '09:00-09:30 Task z',
+      '09:30-10:00 Task a',
+      '11:00-11:30 Task b'
+    ])
+    expect((await getEventsForDay(DAY)).map((e) => e.id)).not.toContain(
+      first.id
+    )
+  })
+
+  test('completing a planned block completes its task', async () => {
+    await saveTasks({ urgent_important: [task('a')] })
+    const {
+      placed: [block]
+    } = await planDay(DAY)
+
+    await completeEvent(block.id)
+    expect((await getTasks()).urgent_important[0].completed).toBe(true)
+    expect((await getEventsForDay(DAY))[0].completed).toBe(true)
+
+    // Completed tasks are not planned again, and their block stays
+    await planDay(DAY)
+    expect(await blocks()).toEqual(['09:00-09:30 Task a'])
+  })
+
+  test('completing the block of a recurring task spawns its next instance', async () => {
+    await clear(STORES.STATS)
+    await saveTasks({
+      urgent_important: [
+        task('a', {
+          dueDate: DAY,
+          recurrence: { freq: 'daily', interval: 1, start: DAY }
+        })
+      ]
+    })
+    const {
+      placed: [block]
+    } = await planDay(DAY)
+
+    await completeEvent(block.id)
+    const [done, next] = (await getTasks()).urgent_important
+    expect(done).toMatchObject({
+      id: 'a',
+      completed: true,
+      nextInstanceId: next.id
+    })
+    expect(next).toMatchObject({
+      completed: false,
+      dueDate: expect.any(String),
+      seriesId: 'a'
+    })
+    expect(await getStatsByType('task_completion')).toEqual([
+      expect.objectContaining({ taskId: 'a', recurring: true })
+    ])
+  })
+})
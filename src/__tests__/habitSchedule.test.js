@@ -0,0 +1,308 @@
+// Test suite for habit schedules
+
+import {
+  SCHEDULE_TYPES,
+  validateSchedule,
+  describeSchedule,
+  getPeriodBounds,
+  evaluateHabitDays,
+  getPeriodProgress,
+  getRestTokenBalance,
+  isVacationDay
+} from '../utils/habitSchedule'
+import { calculateStreaks } from '../utils/habitsManager'
+
+// 2025-03-03 is a Monday
+const entries = (...dates) => dates.map((date) => ({ date }))
+
+describe('habitSchedule', () => {
+  describe('validateSchedule', () => {
+    test('accepts each schedule type', () => {
+      expect(validateSchedule({ type: 'daily' })).toEqual([])
+      expect(validateSchedule({ type: 'weekdays', days: [1, 3, 5] })).toEqual(
+        []
+      )
+      expect(
+        validateSchedule({ type: 'perPeriod', count: 3, period: 'week' })
+      ).toEqual([])
+      expect(validateSchedule({ type: 'interval', every: 2 })).toEqual([])
+    })
+
+    test('rejects invalid schedules', () => {
+      expect(validateSchedule({ type: 'weekdays', days: [] })).toHaveLength(1)
+      expect(
+        validateSchedule({ type: 'perPeriod', count: 8, period: 'week' })
+      ).toHaveLength(1)
+      expect(
+        validateSchedule({ type: 'perPeriod', count: 2, period: 'year' })
+      ).toHaveLength(1)
+      expect(validateSchedule({ type: 'interval', every: 0 })).toHaveLength(1)
+      expect(validateSchedule({ type: 'hourly' })).toEqual([
+        'Unknown schedule type'
+      ])
+    })
+  })
+
+  test('describes schedules', () => {
+    expect(describeSchedule({ type: 'daily' })).toBe('Daily')
+    expect(describeSchedule({ type: 'weekdays', days: [5, 1, 3] })).toBe(
+      'Mon, Wed, Fri'
+    )
+    expect(
+      describeSchedule({ type: 'perPeriod', count: 3, period: 'week' })
+    ).toBe('3× per week')
+    expect(describeSchedule({ type: 'interval', every: 2 })).toBe(
+      'Every 2 days'
+    )
+  })
+
+  test('computes week and month bounds', () => {
+    expect(getPeriodBounds('2025-03-05', 'week')).toEqual({
+      start: '2025-03-02',
+      end: '2025-03-08'
+    })
+    expect(getPeriodBounds('2024-02-10', 'month')).toEqual({
+      start: '2024-02-01',
+      end: '2024-02-29'
+    })
+  })
+
+  describe('weekday schedules', () => {
+    const habit = {
+      schedule: { type: SCHEDULE_TYPES.WEEKDAYS, days: [1, 3, 5] }
+    }
+
+    test('treats unscheduled days as rest days', () => {
+      const days = evaluateHabitDays(
+        habit,
+        entries('2025-03-03'),
+        '2025-03-03',
+        '2025-03-06'
+      )
+      expect(days.map((d) => d.status)).toEqual([
+        'done',
+        'rest',
+        'missed',
+        'open'
+      ])
+    })
+
+    test('keeps Mon/Wed/Fri streaks across rest days', () => {
+      const log = entries(
+        '2025-03-03',
+        '2025-03-05',
+        '2025-03-07',
+        '2025-03-10'
+      )
+      expect(calculateStreaks(habit, log, '2025-03-11')).toEqual({
+        current: 4,
+        longest: 4
+      })
+      // Missing Wednesday breaks it
+      expect(
+        calculateStreaks(
+          habit,
+          log.slice(0, 1).concat(log.slice(2)),
+          '2025-03-11'
+        ).current
+      ).toBe(2)
+    })
+  })
+
+  describe('interval schedules', () => {
+    const habit = { schedule: { type: SCHEDULE_TYPES.INTERVAL, every: 3 } }
+
+    test('is only due once the interval has passed', () => {
+      const days = evaluateHabitDays(
+        habit,
+        entries('2025-03-01'),
+        '2025-03-01',
+        '2025-03-05'
+      )
+      expect(days.map((d) => d.status)).toEqual([
+        'done',
+        'rest',
+        'rest',
+        'missed',
+        'open'
+      ])
+    })
+
+    test('streaks survive gaps shorter than the interval', () => {
+      const log = entries('2025-03-01', '2025-03-04', '2025-03-06')
+      expect(calculateStreaks(habit, log, '2025-03-08').current).toBe(3)
+      expect(calculateStreaks(habit, log, '2025-03-10').current).toBe(0)
+    })
+  })
+
+  describe('N-per-period schedules', () => {
+    const habit = {
+      schedule: { type: SCHEDULE_TYPES.PER_PERIOD, count: 2, period: 'week' }
+    }
+
+    test('breaks only when a closed week falls short', () => {
+      // Week of Mar 2: two check-ins; week of Mar 9: one check-in
+      const log = entries('2025-03-03', '2025-03-06', '2025-03-12')
+      expect(calculateStreaks(habit, log, '2025-03-14').current).toBe(3)
+      expect(calculateStreaks(habit, log, '2025-03-16')).toEqual({
+        current: 0,
+        longest: 3
+      })
+    })
+
+    test('reports progress in the current period', () => {
+      expect(
+        getPeriodProgress(
+          habit,
+          entries('2025-03-01', '2025-03-03'),
+          '2025-03-04'
+        )
+      ).toEqual({ count: 1, target: 2, period: 'week' })
+      expect(getPeriodProgress({}, [], '2025-03-04')).toBeNull()
+    })
+  })
+
+  describe('rest tokens', () => {
+    const habit = { createdAt: '2025-03-01T08:00:00' }
+    const options = { restTokens: { earnEvery: 3, max: 1 } }
+
+    test('bridges a missed day once a token is earned', () => {
+      const log = entries(
+        '2025-03-01',
+        '2025-03-02',
+        '2025-03-03',
+        '2025-03-05'
+      )
+      const days = evaluateHabitDays(
+        habit,
+        log,
+        '2025-03-03',
+        '2025-03-06',
+        options
+      )
+      expect(days.map((d) => d.status)).toEqual([
+        'done',
+        'frozen',
+        'done',
+        'open'
+      ])
+      expect(days[1]).toMatchObject({ breaks: false, frozen: true })
+      expect(calculateStreaks(habit, log, '2025-03-06', options).current).toBe(
+        4
+      )
+      expect(getRestTokenBalance(habit, log, '2025-03-06', options)).toBe(0)
+      // Without tokens the gap breaks the streak
+      expect(calculateStreaks(habit, log, '2025-03-06').current).toBe(1)
+    })
+
+    test('holds at most the configured number of tokens', () => {
+      const log = entries(
+        '2025-03-01',
+        '2025-03-02',
+        '2025-03-03',
+        '2025-03-04',
+        '2025-03-05',
+        '2025-03-06'
+      )
+      expect(
+        getRestTokenBalance(habit, log, '2025-03-07', {
+          restTokens: { earnEvery: 2, max: 2 }
+        })
+      ).toBe(2)
+      expect(getRestTokenBalance(habit, log, '2025-03-07')).toBe(0)
+    })
+
+    test('breaks the streak once tokens run out', () => {
+      const log = entries('2025-03-01', '2025-03-02', '2025-03-03')
+      const days = evaluateHabitDays(
+        habit,
+        log,
+        '2025-03-04',
+        '2025-03-06',
+        options
+      )
+      expect(days.map((d) => d.status)).toEqual(['frozen', 'missed', 'open'])
+      expect(calculateStreaks(habit, log, '2025-03-06', options)).toEqual({
+        current: 0,
+        longest: 3
+      })
+    })
+
+    test('covers an N-per-period week that fell short', () => {
+      const weekly = {
+        createdAt: '2025-03-02T08:00:00',
+        schedule: { type: SCHEDULE_TYPES.PER_PERIOD, count: 1, period: 'week' }
+      }
+      // One check-in per week earns a token; the week of Mar 16 is empty
+      const log = entries('2025-03-03', '2025-03-10', '2025-03-24')
+      const days = evaluateHabitDays(weekly, log, '2025-03-22', '2025-03-25', {
+        restTokens: { earnEvery: 2, max: 1 }
+      })
+      expect(days[0]).toMatchObject({
+        date: '2025-03-22',
+        status: 'frozen',
+        frozen: true,
+        breaks: false
+      })
+      expect(
+        calculateStreaks(weekly, log, '2025-03-25', {
+          restTokens: { earnEvery: 2, max: 1 }
+        }).current
+      ).toBe(3)
+    })
+  })
+
+  describe('vacations', () => {
+    const vacations = [{ id: 1, start: '2025-03-04', end: '2025-03-06' }]
+
+    test('matches days inside a range', () => {
+      expect(isVacationDay(vacations, '2025-03-04')).toBe(true)
+      expect(isVacationDay(vacations, '2025-03-06')).toBe(true)
+      expect(isVacationDay(vacations, '2025-03-07')).toBe(false)
+      expect(isVacationDay(undefined, '2025-03-07')).toBe(false)
+    })
+
+    test('freezes daily habits without breaking the streak', () => {
+      const habit = { createdAt: '2025-03-01T08:00:00' }
+      const log = entries('2025-03-02', '2025-03-03', '2025-03-07')
+      const days = evaluateHabitDays(habit, log, '2025-03-03', '2025-03-08', {
+        vacations
+      })
+      expect(days.map((d) => d.status)).toEqual([
+        'done',
+        'vacation',
+        'vacation',
+        'vacation',
+        'done',
+        'open'
+      ])
+      expect(
+        calculateStreaks(habit, log, '2025-03-08', { vacations }).current
+      ).toBe(3)
+    })
+
+    test('restarts intervals and excuses short periods', () => {
+      const interval = {
+        createdAt: '2025-03-01T08:00:00',
+        schedule: { type: SCHEDULE_TYPES.INTERVAL, every: 2 }
+      }
+      const days = evaluateHabitDays(
+        interval,
+        entries('2025-03-03'),
+        '2025-03-07',
+        '2025-03-09',
+        { vacations }
+      )
+      expect(days.map((d) => d.status)).toEqual(['rest', 'missed', 'open'])
+
+      const weekly = {
+        createdAt: '2025-03-01T08:00:00',
+        schedule: { type: SCHEDULE_TYPES.PER_PERIOD, count: 3, period: 'week' }
+      }
+      const log = entries('2025-03-03', '2025-03-10')
+      expect(
+        calculateStreaks(weekly, log, '2025-03-11', { vacations })
+      ).toEqual({ current: 2, longest: 2 })
+    })
+  })
+})
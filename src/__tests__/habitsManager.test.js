@@ -9,13 +9,31 @@ import {
   deleteHabit,
   completeHabit,
   pauseHabit,
-  getHabitStats
+  archiveHabit,
+  undoCompletion,
+  logHabitProgress,
+  getHabitLog,
+  getHabitStats,
+  calculateStreaks,
+  getHabitHistory,
+  getStreakOptions,
+  getVacations,
+  addVacation,
+  removeVacation,
+  updateRestTokenSettings
 } from '../utils/habitsManager'
-import { clear, STORES } from '../utils/indexedDBManager'
+import { clear, getAll, STORES } from '../utils/indexedDBManager'
+import { toDateKey, addDays } from '../utils/dateUtils'
+
+// Build log entries for day offsets relative to a day key
+const entriesFor = (today, offsets) =>
+  offsets.map((offset) => ({ date: addDays(today, -offset) }))
 
 describe('Habits Manager', () => {
   beforeEach(async () => {
     await clear(STORES.HABITS)
+    await clear(STORES.HABIT_LOG)
+    localStorage.clear()
   })
 
   describe('createHabit', () => {
@@ -39,8 +57,21 @@ describe('Habits Manager', () => {
     // TODO: Add test for habit with custom fields
     test.todo('should create habit with custom fields')
 
-    // TODO: Add test for habit validation
-    test.todo('should validate habit data before creation')
+    test('should validate habit data before creation', async () => {
+      await expect(createHabit({ name: '  ' })).rejects.toThrow(
+        'Habit name is required'
+      )
+    })
+
+    test('should keep IDs unique within the same millisecond', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000)
+      const first = await createHabit({ name: 'Read' })
+      const second = await createHabit({ name: 'Walk' })
+      jest.restoreAllMocks()
+
+      expect(second).not.toBe(first)
+      expect(await getHabits()).toHaveLength(2)
+    })
   })
 
   describe('getHabits', () => {
@@ -62,8 +93,16 @@ describe('Habits Manager', () => {
     // TODO: Add test for sorting habits
     test.todo('should sort habits by streak')
 
-    // TODO: Add test for filtering habits
-    test.todo('should filter paused habits')
+    test('should exclude archived habits on request', async () => {
+      const id = await createHabit({ name: 'Old' })
+      await new Promise((resolve) => setTimeout(resolve, 10))
+      await createHabit({ name: 'Current' })
+      await archiveHabit(id, true)
+
+      const active = await getHabits({ includeArchived: false })
+      expect(active.map((h) => h.name)).toEqual(['Current'])
+      expect(await getHabits()).toHaveLength(2)
+    })
   })
 
   describe('updateHabit', () => {
@@ -96,8 +135,13 @@ describe('Habits Manager', () => {
       expect(habits).toHaveLength(0)
     })
 
-    // TODO: Add test for cascade delete
-    test.todo('should cascade delete related data')
+    test('should cascade delete related data', async () => {
+      const id = await createHabit({ name: 'To Delete' })
+      await completeHabit(id)
+      await deleteHabit(id)
+
+      expect(await getAll(STORES.HABIT_LOG)).toHaveLength(0)
+    })
   })
 
   describe('completeHabit', () => {
@@ -117,14 +161,59 @@ describe('Habits Manager', () => {
       expect(result.streak).toBe(1)
     })
 
-    // TODO: Add test for streak break detection
-    test.todo('should detect streak breaks')
+    test('should detect streak breaks', async () => {
+      const id = await createHabit({ name: 'Monthly' })
+      const today = toDateKey()
+      await completeHabit(id, addDays(today, -30))
+      const result = await completeHabit(id, today)
+
+      expect(result.streak).toBe(1)
+    })
+
+    test('should track longest streak', async () => {
+      const id = await createHabit({ name: 'Daily' })
+      const today = toDateKey()
+      for (const offset of [10, 9, 8, 7, 2, 1]) {
+        await completeHabit(id, addDays(today, -offset))
+      }
+      const result = await completeHabit(id, today)
+
+      expect(result.streak).toBe(3)
+      expect(result.longestStreak).toBe(4)
+    })
+
+    test('should maintain completion history', async () => {
+      const id = await createHabit({ name: 'Daily' })
+      const today = toDateKey()
+      await completeHabit(id, today)
+      await completeHabit(id, addDays(today, -1))
+      await completeHabit(id, today)
+
+      const log = await getHabitLog(id)
+      expect(log.map((entry) => entry.date)).toEqual([
+        addDays(today, -1),
+        today
+      ])
+      expect(log[0].habitId).toBe(id)
+    })
+
+    test('should throw for a missing habit', async () => {
+      await expect(completeHabit(12345)).rejects.toThrow('Habit not found')
+    })
+  })
 
-    // TODO: Add test for longest streak tracking
-    test.todo('should track longest streak')
+  describe('undoCompletion', () => {
+    test("should undo today's check-in and restore the streak", async () => {
+      const id = await createHabit({ name: 'Daily' })
+      const today = toDateKey()
+      await completeHabit(id, addDays(today, -1))
+      await completeHabit(id, today)
 
-    // TODO: Add test for completion history
-    test.todo('should maintain completion history')
+      const result = await undoCompletion(id)
+      expect(result.streak).toBe(1)
+      expect(result.lastCompleted).toBe(addDays(today, -1))
+      expect(await getHabitLog(id)).toHaveLength(1)
+    })
   })
 
   describe('pauseHabit', () => {
@@ -143,8 +232,37 @@ describe('Habits Manager', () => {
       expect(result.paused).toBe(false)
     })
 
-    // TODO: Add test for pause preserving streak
-    test.todo('should preserve streak when paused')
+    test('should preserve streak when paused', () => {
+      const today = '2025-03-20'
+      const habit = {
+        pausedRanges: [{ start: '2025-03-14', end: '2025-03-18' }]
+      }
+      const entries = entriesFor(today, [9, 8, 7, 1, 0])
+
+      expect(calculateStreaks(habit, entries, today)).toEqual({
+        current: 5,
+        longest: 5
+      })
+      expect(calculateStreaks({}, entries, today).current).toBe(2)
+    })
+
+    test('should record paused ranges', async () => {
+      const id = await createHabit({ name: 'Pausable Habit' })
+      await pauseHabit(id, true)
+      const result = await pauseHabit(id, false)
+
+      expect(result.pausedRanges).toEqual([
+        { start: toDateKey(), end: toDateKey() }
+      ])
+    })
+  })
+
+  describe('archiveHabit', () => {
+    test('should archive and restore a habit', async () => {
+      const id = await createHabit({ name: 'Archivable' })
+      expect((await archiveHabit(id, true)).archived).toBe(true)
+      expect((await archiveHabit(id, false)).archived).toBe(false)
+    })
   })
 
   describe('getHabitStats', () => {
@@ -158,13 +276,236 @@ describe('Habits Manager', () => {
       expect(stats).toHaveProperty('lastCompleted')
     })
 
-    // TODO: Add test for comprehensive stats
-    test.todo('should include completion rate in stats')
+    test('should include completion rate in stats', async () => {
+      const id = await createHabit({ name: 'Tracked Habit' })
+      const today = toDateKey()
+      await completeHabit(id, today)
+
+      const stats = await getHabitStats(id)
+      expect(stats.completedToday).toBe(true)
+      expect(stats.totalCompletions).toBe(1)
+      // Created today: only today counts, and it is done
+      expect(stats.completionRate).toBe(100)
+    })
+
+    test('should include longest streak in stats', async () => {
+      const id = await createHabit({ name: 'Tracked Habit' })
+      const today = toDateKey()
+      await completeHabit(id, addDays(today, -5))
+      await completeHabit(id, addDays(today, -4))
+
+      const stats = await getHabitStats(id)
+      expect(stats.streak).toBe(0)
+      expect(stats.longestStreak).toBe(2)
+    })
+
+    test('should recompute streaks at read time', () => {
+      const entries = entriesFor('2025-03-20', [2, 1])
+      expect(calculateStreaks({}, entries, '2025-03-20').current).toBe(2)
+      expect(calculateStreaks({}, entries, '2025-03-21').current).toBe(0)
+    })
+  })
+
+  describe('getHabitHistory', () => {
+    test('should describe each day in the range', () => {
+      const habit = {
+        createdAt: '2025-03-16T12:00:00',
+        pausedRanges: [{ start: '2025-03-18', end: '2025-03-18' }]
+      }
+      const history = getHabitHistory(
+        habit,
+        entriesFor('2025-03-20', [3]),
+        '2025-03-15',
+        '2025-03-20'
+      )
+
+      expect(history.map((day) => day.status)).toEqual([
+        'open',
+        'missed',
+        'done',
+        'paused',
+        'missed',
+        'open'
+      ])
+    })
+
+    test('should calculate completion rate against the schedule', async () => {
+      const today = toDateKey()
+      // Every other day: due days alternate, so a perfect record is 100%
+      const id = await createHabit({
+        name: 'Alternate days',
+        schedule: { type: 'interval', every: 2 }
+      })
+      for (let offset = 28; offset >= 2; offset -= 2) {
+        await completeHabit(id, addDays(today, -offset))
+      }
+
+      const stats = await getHabitStats(id, today)
+      expect(stats.completionRate).toBe(100)
+      expect(stats.streak).toBe(14)
+      expect(stats.schedule).toEqual({ type: 'interval', every: 2 })
+    })
+
+    test('should reject invalid schedules', async () => {
+      await expect(
+        createHabit({ name: 'Bad', schedule: { type: 'weekdays', days: [] } })
+      ).rejects.toThrow('Invalid schedule')
+    })
+  })
+
+  describe('logHabitProgress', () => {
+    const createGlasses = () =>
+      createHabit({
+        name: 'Water',
+        kind: 'quantity',
+        target: 8,
+        unit: 'glasses'
+      })
+
+    test('should accumulate partial progress until the target', async () => {
+      const id = await createGlasses()
+      await logHabitProgress(id, 1)
+      let result = await logHabitProgress(id, 5)
+      expect(result.streak).toBe(0)
+
+      let stats = await getHabitStats(id)
+      expect(stats.completedToday).toBe(false)
+      expect(stats.todayProgress).toEqual({
+        value: 6,
+        target: 8,
+        unit: 'glasses',
+        percent: 75
+      })
+
+      result = await logHabitProgress(id, 2)
+      expect(result.streak).toBe(1)
+      stats = await getHabitStats(id)
+      expect(stats.completedToday).toBe(true)
+      expect(stats.todayProgress.percent).toBe(100)
+    })
+
+    test('should not break on partial days but not count them done', async () => {
+      const id = await createGlasses()
+      const today = toDateKey()
+      await completeHabit(id, addDays(today, -2))
+      await logHabitProgress(id, 3, addDays(today, -1))
+      await completeHabit(id, today)
+
+      const stats = await getHabitStats(id)
+      expect(stats.streak).toBe(1)
+      expect(stats.totalCompletions).toBe(2)
+      expect(stats.completionHistory.slice(-3)).toEqual([
+        { date: addDays(today, -2), percent: 100 },
+        { date: addDays(today, -1), percent: 38 },
+        { date: today, percent: 100 }
+      ])
+    })
+
+    test('should log fractional minutes for timed habits', async () => {
+      const id = await createHabit({
+        name: 'Meditate',
+        kind: 'timed',
+        target: 10
+      })
+      await logHabitProgress(id, 4.5)
+      await logHabitProgress(id, 0.25)
+
+      const [entry] = await getHabitLog(id)
+      expect(entry.value).toBe(4.75)
+      expect((await getHabitStats(id)).todayProgress.unit).toBe('min')
+    })
+
+    test('should remove the entry when corrected back to zero', async () => {
+      const id = await createGlasses()
+      await logHabitProgress(id, 2)
+      await logHabitProgress(id, -5)
+      expect(await getHabitLog(id)).toHaveLength(0)
+    })
+
+    test('should reject check-off habits and missing targets', async () => {
+      const id = await createHabit({ name: 'Simple' })
+      await expect(logHabitProgress(id, 1)).rejects.toThrow('no target')
+      await expect(
+        createHabit({ name: 'Bad', kind: 'quantity', target: 0 })
+      ).rejects.toThrow('Daily target must be greater than zero')
+    })
+  })
+
+  describe('vacations and rest tokens', () => {
+    test('should default to earning a token every 7 check-ins', () => {
+      expect(getStreakOptions()).toEqual({
+        vacations: [],
+        restTokens: { earnEvery: 7, max: 2 }
+      })
+    })
+
+    test('should add and remove vacations', async () => {
+      const later = await addVacation({
+        start: '2025-08-01',
+        end: '2025-08-14'
+      })
+      await addVacation({ start: '2025-03-10', end: '2025-03-10' })
+      expect(getVacations().map((v) => v.start)).toEqual([
+        '2025-03-10',
+        '2025-08-01'
+      ])
+
+      await removeVacation(later)
+      expect(getVacations()).toHaveLength(1)
+    })
 
-    // TODO: Add test for streak history
-    test.todo('should include longest streak in stats')
+    test('should reject invalid vacation ranges', async () => {
+      await expect(
+        addVacation({ start: '2025-03-10', end: '2025-03-09' })
+      ).rejects.toThrow('Vacation end must be on or after its start')
+      await expect(
+        addVacation({ start: '2025-02-30', end: '2025-03-09' })
+      ).rejects.toThrow('Vacation needs a valid start and end date')
+      expect(getVacations()).toEqual([])
+    })
 
-    // TODO: Add test for weekly/monthly completion
-    test.todo('should calculate weekly completion rate')
+    test('should keep streaks through a vacation and report it in stats', async () => {
+      const today = toDateKey()
+      const id = await createHabit({ name: 'Read' })
+      await completeHabit(id, addDays(today, -5))
+      await completeHabit(id, addDays(today, -4))
+      expect((await getHabitStats(id, today)).streak).toBe(0)
+
+      await addVacation({ start: addDays(today, -3), end: addDays(today, -1) })
+      const [habit] = await getHabits()
+      expect(habit.streak).toBe(2)
+
+      const stats = await getHabitStats(id, today)
+      expect(stats.streak).toBe(2)
+      expect(stats.vacationDays).toBe(3)
+      expect(stats.completionRate).toBe(100)
+    })
+
+    test('should count days bridged by tokens as missed in the rate', async () => {
+      const today = toDateKey()
+      const id = await createHabit({ name: 'Stretch' })
+      await updateRestTokenSettings({ earnEvery: 2, max: 1 })
+      await completeHabit(id, addDays(today, -4))
+      await completeHabit(id, addDays(today, -3))
+      await completeHabit(id, addDays(today, -1))
+
+      const stats = await getHabitStats(id, today)
+      expect(stats.streak).toBe(3)
+      expect(stats.frozenDays).toBe(1)
+      expect(stats.restTokens).toBe(0)
+      expect(stats.completionRate).toBe(75)
+    })
+
+    test('should validate rest token settings', async () => {
+      await expect(
+        updateRestTokenSettings({ earnEvery: -1, max: 2 })
+      ).rejects.toThrow('Check-ins per rest token must be between 0 and 365')
+      await expect(
+        updateRestTokenSettings({ earnEvery: 5, max: 11 })
+      ).rejects.toThrow('Rest tokens held must be between 0 and 10')
+
+      await updateRestTokenSettings({ earnEvery: 0, max: 0 })
+      expect(getStreakOptions().restTokens).toEqual({ earnEvery: 0, max: 0 })
+    })
   })
 })
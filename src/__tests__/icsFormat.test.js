@@ -0,0 +1,379 @@
+// Test suite for the iCalendar schedule import/export format
+
+import { serializeCalendar, parseCalendar } from '../utils/icsFormat'
+import { toDateKey } from '../utils/dateUtils'
+
+const calendar = (...lines) =>
+  ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n')
+
+const localTime = (date) =>
+  `${String(date.getHours()).padStart(2, '0')}:${String(
+    date.getMinutes()
+  ).padStart(2, '0')}`
+
+describe('icsFormat', () => {
+  describe('serializeCalendar', () => {
+    const now = Date.UTC(2025, 0, 10, 8, 30)
+
+    test('writes events with recurrences, exceptions and categories', () => {
+      const ics = serializeCalendar(
+        {
+          events: [
+            {
+              id: 1,
+              title: 'Standup; daily, quick',
+              type: 'meeting',
+              day: '2025-01-15',
+              startTime: '09:00',
+              endTime: '09:15',
+              recurrence: { freq: 'weekdays', interval: 1, count: 10 },
+              exdates: ['2025-01-16']
+            },
+            {
+              id: 2,
+              title: 'Review',
+              type: 'task',
+              day: '2025-01-21',
+              startTime: '14:00',
+              endTime: '15:00',
+              recurrence: {
+                freq: 'monthly',
+                interval: 2,
+                monthlyBy: 'weekday',
+                until: '2025-12-31'
+              }
+            }
+          ]
+        },
+        now
+      )
+      const lines = ics.split('\r\n')
+
+      expect(lines[0]).toBe('BEGIN:VCALENDAR')
+      expect(lines).toEqual(
+        expect.arrayContaining([
+          'UID:1@aurorae-haven',
+          'DTSTAMP:20250110T083000Z',
+          'DTSTART:20250115T090000',
+          'DTEND:20250115T091500',
+          'SUMMARY:Standup\\; daily\\, quick',
+          'CATEGORIES:Meeting',
+          'RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;COUNT=10',
+          'EXDATE:20250116T090000',
+          'CATEGORIES:Task',
+          'RRULE:FREQ=MONTHLY;BYDAY=3TU;INTERVAL=2;UNTIL=20251231T235959'
+        ])
+      )
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true)
+    })
+
+    test('writes tasks as VTODOs', () => {
+      const ics = serializeCalendar(
+        {
+          tasks: {
+            urgent_important: [
+              { id: 't1', text: 'Pay rent', completed: false, createdAt: now }
+            ],
+            not_urgent_not_important: [
+              {
+                id: 't2',
+                text: 'Sort photos',
+                completed: true,
+                completedAt: now
+              }
+            ]
+          }
+        },
+        now
+      )
+
+      expect(ics).toContain(
+        [
+          'BEGIN:VTODO',
+          'UID:task-t1@aurorae-haven',
+          'DTSTAMP:20250110T083000Z',
+          'SUMMARY:Pay rent',
+          'CATEGORIES:Do First',
+          'CREATED:20250110T083000Z',
+          'STATUS:NEEDS-ACTION',
+          'END:VTODO'
+        ].join('\r\n')
+      )
+      expect(ics).toContain('STATUS:COMPLETED\r\nCOMPLETED:20250110T083000Z')
+    })
+
+    test('writes task due dates, times and notes', () => {
+      const ics = serializeCalendar(
+        {
+          tasks: {
+            urgent_important: [
+              {
+                id: 't1',
+                text: 'File taxes',
+                dueDate: '2025-04-15',
+                dueTime: '17:00',
+                notes: 'Forms:\n- W-2'
+              },
+              { id: 't2', text: 'Renew passport', dueDate: '2025-06-01' }
+            ]
+          }
+        },
+        now
+      )
+      const lines = ics.split('\r\n')
+
+      expect(lines).toEqual(
+        expect.arrayContaining([
+          'DESCRIPTION:Forms:\\n- W-2',
+          'DUE:20250415T170000',
+          'DUE;VALUE=DATE:20250601'
+        ])
+      )
+    })
+
+    test('folds lines longer than 75 octets', () => {
+      const title = 'Planning '.repeat(12).trim()
+      const ics = serializeCalendar({
+        events: [
+          {
+            id: 1,
+            title,
+            day: '2025-01-15',
+            startTime: '09:00',
+            endTime: '10:00'
+          }
+        ]
+      })
+
+      const lines = ics.split('\r\n')
+      expect(lines.every((line) => line.length <= 75)).toBe(true)
+      expect(parseCalendar(ics).events[0].title).toBe(title)
+    })
+  })
+
+  describe('parseCalendar', () => {
+    test('round-trips exported events', () => {
+      const events = [
+        {
+          id: 1,
+          title: 'Gym, legs',
+          type: 'break',
+          day: '2025-01-15',
+          startTime: '07:00',
+          endTime: '08:00',
+          recurrence: { freq: 'weekly', interval: 2, byWeekday: [1, 3] },
+          exdates: ['2025-01-20']
+        },
+        {
+          id: 2,
+          title: 'Rent',
+          type: 'task',
+          day: '2025-01-31',
+          startTime: '09:00',
+          endTime: '09:30',
+          recurrence: { freq: 'monthly', interval: 1, monthlyBy: 'date' },
+          exdates: []
+        }
+      ]
+
+      const { events: parsed, errors } = parseCalendar(
+        serializeCalendar({ events })
+      )
+      expect(errors).toEqual([])
+      expect(parsed).toEqual([
+        {
+          uid: '1@aurorae-haven',
+          title: 'Gym, legs',
+          type: 'break',
+          day: '2025-01-15',
+          startTime: '07:00',
+          endTime: '08:00',
+          recurrence: { freq: 'weekly', interval: 2, byWeekday: [1, 3] },
+          exdates: ['2025-01-20']
+        },
+        {
+          uid: '2@aurorae-haven',
+          title: 'Rent',
+          type: 'task',
+          day: '2025-01-31',
+          startTime: '09:00',
+          endTime: '09:30',
+          recurrence: { freq: 'monthly', interval: 1, monthlyBy: 'date' },
+          exdates: []
+        }
+      ])
+    })
+
+    test('converts UTC and zoned times to local time', () => {
+      const { events } = parseCalendar(
+        calendar(
+          'BEGIN:VEVENT',
+          'UID:a',
+          'SUMMARY:Sync',
+          'DTSTART:20250115T140000Z',
+          'DURATION:PT45M',
+          'END:VEVENT',
+          'BEGIN:VEVENT',
+          'UID:b',
+          'SUMMARY:Call',
+          'DTSTART;TZID=America/New_York:20250715T090000',
+          'DTEND;TZID=America/New_York:20250715T100000',
+          'END:VEVENT'
+        )
+      )
+
+      const sync = new Date(Date.UTC(2025, 0, 15, 14, 0))
+      const call = new Date(Date.UTC(2025, 6, 15, 13, 0)) // EDT is UTC-4
+      expect(events[0]).toMatchObject({
+        day: toDateKey(sync),
+        startTime: localTime(sync),
+        endTime: localTime(new Date(sync.getTime() + 45 * 60000)),
+        type: 'meeting'
+      })
+      expect(events[1]).toMatchObject({
+        day: toDateKey(call),
+        startTime: localTime(call)
+      })
+    })
+
+    test('reads descriptions, categories and multi-day all-day events', () => {
+      const { events } = parseCalendar(
+        calendar(
+          'BEGIN:VEVENT',
+          'UID:trip',
+          'SUMMARY:Conference',
+          'DTSTART;VALUE=DATE:20250310',
+          'DTEND;VALUE=DATE:20250313',
+          'CATEGORIES:Travel,BREAK',
+          'LOCATION:Berlin',
+          'DESCRIPTION:Hall 4\\nBooth 12',
+          'BEGIN:VALARM',
+          'TRIGGER:-PT15M',
+          'DESCRIPTION:Reminder',
+          'END:VALARM',
+          'END:VEVENT'
+        )
+      )
+
+      expect(events).toEqual([
+        {
+          uid: 'trip',
+          title: 'Conference',
+          type: 'break',
+          day: '2025-03-10',
+          startTime: null,
+          endTime: null,
+          recurrence: { freq: 'daily', interval: 1, count: 3 },
+          exdates: [],
+          location: 'Berlin',
+          description: 'Hall 4\nBooth 12'
+        }
+      ])
+    })
+
+    test('applies changed and cancelled occurrences to their series', () => {
+      const { events } = parseCalendar(
+        calendar(
+          'BEGIN:VEVENT',
+          'UID:standup',
+          'SUMMARY:Standup',
+          'DTSTART:20250113T090000',
+          'DTEND:20250113T091500',
+          'RRULE:FREQ=DAILY;COUNT=5',
+          'EXDATE:20250114T090000,20250115T090000',
+          'END:VEVENT',
+          'BEGIN:VEVENT',
+          'UID:standup',
+          'RECURRENCE-ID:20250116T090000',
+          'SUMMARY:Standup (late)',
+          'DTSTART:20250116T100000',
+          'DTEND:20250116T101500',
+          'END:VEVENT',
+          'BEGIN:VEVENT',
+          'UID:standup',
+          'RECURRENCE-ID:20250117T090000',
+          'STATUS:CANCELLED',
+          'DTSTART:20250117T090000',
+          'END:VEVENT'
+        )
+      )
+
+      expect(events).toHaveLength(2)
+      expect(events[0].exdates).toEqual([
+        '2025-01-14',
+        '2025-01-15',
+        '2025-01-16',
+        '2025-01-17'
+      ])
+      expect(events[1]).toMatchObject({
+        uid: 'standup/2025-01-16',
+        title: 'Standup (late)',
+        day: '2025-01-16',
+        startTime: '10:00',
+        recurrence: null
+      })
+    })
+
+    test('maps weekday and yearly rules onto schedule repeats', () => {
+      const { events } = parseCalendar(
+        calendar(
+          'BEGIN:VEVENT',
+          'UID:a',
+          'DTSTART:20250113T090000',
+          'RRULE:FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR',
+          'END:VEVENT',
+          'BEGIN:VEVENT',
+          'UID:b',
+          'DTSTART;VALUE=DATE:20250304',
+          'RRULE:FREQ=YEARLY;UNTIL=20300304',
+          'END:VEVENT'
+        )
+      )
+
+      expect(events[0].recurrence).toEqual({ freq: 'weekdays', interval: 1 })
+      expect(events[1].recurrence).toEqual({
+        freq: 'monthly',
+        interval: 12,
+        monthlyBy: 'date',
+        until: '2030-03-04'
+      })
+    })
+
+    test('skips events it cannot represent and reports their line', () => {
+      const { events, errors } = parseCalendar(
+        calendar(
+          'BEGIN:VEVENT',
+          'UID:a',
+          'SUMMARY:Payday',
+          'DTSTART:20250131T090000',
+          'RRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1',
+          'END:VEVENT',
+          'BEGIN:VEVENT',
+          'UID:b',
+          'SUMMARY:No start',
+          'END:VEVENT',
+          'BEGIN:VEVENT',
+          'UID:c',
+          'SUMMARY:Fine',
+          'DTSTART:20250131T100000',
+          'END:VEVENT'
+        )
+      )
+
+      expect(events.map((e) => e.title)).toEqual(['Fine'])
+      expect(errors).toEqual([
+        { line: 3, message: '"Payday": BYSETPOS rules are not supported' },
+        { line: 9, message: '"No start" has no valid start (DTSTART)' }
+      ])
+    })
+
+    test('rejects text that is not a calendar', () => {
+      expect(parseCalendar('# Morning\n- Water (30s)')).toEqual({
+        events: [],
+        errors: [
+          { line: 1, message: 'Not an iCalendar file (no BEGIN:VCALENDAR)' }
+        ]
+      })
+    })
+  })
+})
@@ -243,31 +243,50 @@ describe('IndexedDBManager', () => {
       expect(exported.brainDump).toBeDefined()
     })
 
-    test('exportAllData exports aurorae_tasks from localStorage', async () => {
-      const tasksData = {
-        urgent_important: [
-          {
-            id: 1,
-            text: 'Important task',
-            completed: false,
-            createdAt: Date.now()
-          }
-        ],
-        not_urgent_important: [],
-        urgent_not_important: [],
-        not_urgent_not_important: []
+    test('exportAllData migrates aurorae_tasks into task records', async () => {
+      const task = {
+        id: 'a',
+        text: 'Important task',
+        completed: false,
+        createdAt: Date.now()
       }
-      localStorage.setItem('aurorae_tasks', JSON.stringify(tasksData))
+      localStorage.setItem(
+        'aurorae_tasks',
+        JSON.stringify({ urgent_important: [task], not_urgent_important: [] })
+      )
 
       const exported = await exportAllData()
 
-      expect(exported.auroraeTasksData).toEqual(tasksData)
+      expect(exported.tasks).toEqual([
+        { ...task, quadrant: 'urgent_important', order: 0 }
+      ])
+      expect(exported).not.toHaveProperty('auroraeTasksData')
+      expect(localStorage.getItem('aurorae_tasks')).toBeNull()
     })
 
     test('exportAllData handles missing aurorae_tasks gracefully', async () => {
       const exported = await exportAllData()
 
-      expect(exported.auroraeTasksData).toBeNull()
+      expect(exported.tasks).toEqual([])
+      expect(exported).not.toHaveProperty('auroraeTasksData')
+    })
+
+    test('exportAllData and importAllData keep archived tasks', async () => {
+      const archived = {
+        id: 'a',
+        text: 'Done long ago',
+        quadrant: 'urgent_important',
+        archivedAt: 100
+      }
+      await put(STORES.TASK_ARCHIVE, archived)
+
+      const exported = await exportAllData()
+      expect(exported.taskArchive).toEqual([archived])
+
+      await clear(STORES.TASK_ARCHIVE)
+      const report = await importAllData(exported)
+      expect(report.imported.taskArchive).toBe(1)
+      expect(await getAll(STORES.TASK_ARCHIVE)).toEqual([archived])
     })
 
     test('importAllData imports all data', async () => {
@@ -324,41 +343,41 @@ describe('IndexedDBManager', () => {
       expect(tasks[0].title).toBe('New Task')
     })
 
-    test('importAllData imports auroraeTasksData to localStorage', async () => {
-      const tasksData = {
-        urgent_important: [
-          {
-            id: 1,
-            text: 'Important task',
-            completed: false,
-            createdAt: Date.now()
-          }
-        ],
-        not_urgent_important: [],
-        urgent_not_important: [],
-        not_urgent_not_important: []
+    test('importAllData turns legacy auroraeTasksData into task records', async () => {
+      const task = {
+        id: 'a',
+        text: 'Important task',
+        completed: false,
+        createdAt: Date.now()
       }
-
       const data = {
         version: 1,
-        tasks: [],
+        // Older exports also carried the tasks flattened, without quadrants
+        tasks: [task],
         sequences: [],
         habits: [],
         dumps: [],
         schedule: [],
         stats: [],
         fileRefs: [],
-        auroraeTasksData: tasksData,
+        auroraeTasksData: {
+          urgent_important: [],
+          not_urgent_important: [task],
+          urgent_not_important: [],
+          not_urgent_not_important: []
+        },
         brainDump: {}
       }
+      localStorage.setItem('aurorae_tasks', '{}')
 
       const report = await importAllData(data)
 
       expect(report.success).toBe(true)
-      expect(report.imported.auroraeTasksData).toBe(true)
-
-      const storedTasks = JSON.parse(localStorage.getItem('aurorae_tasks'))
-      expect(storedTasks).toEqual(tasksData)
+      expect(report.imported.auroraeTasksData).toBe(1)
+      expect(await getAll(STORES.TASKS)).toEqual([
+        { ...task, quadrant: 'not_urgent_important', order: 0 }
+      ])
+      expect(localStorage.getItem('aurorae_tasks')).toBeNull()
     })
 
     test('importAllData handles missing auroraeTasksData gracefully', async () => {
@@ -383,8 +402,22 @@ describe('IndexedDBManager', () => {
     test('exportAllData and importAllData work with all data types (nominal example)', async () => {
       // Setup nominal example data for all IndexedDB stores
       const nominalTasks = [
-        { id: 1, title: 'Task 1', status: 'active', timestamp: 1704453600000 },
-        { id: 2, title: 'Task 2', status: 'done', timestamp: 1704453601000 }
+        {
+          id: 'a',
+          text: 'Urgent task',
+          completed: false,
+          createdAt: 1704453600000,
+          quadrant: 'urgent_important',
+          order: 0
+        },
+        {
+          id: 'b',
+          text: 'Plan ahead',
+          completed: true,
+          createdAt: 1704453601000,
+          quadrant: 'not_urgent_important',
+          order: 0
+        }
       ]
 
       const nominalSequences = [
@@ -443,20 +476,6 @@ describe('IndexedDBManager', () => {
         }
       ]
 
-      const nominalAuroraeTasks = {
-        urgent_important: [
-          {
-            id: 1,
-            text: 'Urgent task',
-            completed: false,
-            createdAt: 1704453600000
-          }
-        ],
-        not_urgent_important: [],
-        urgent_not_important: [],
-        not_urgent_not_important: []
-      }
-
       const nominalBrainDump = {
         content: '# Notes\nSome content',
         tags: '<span class="tag">#important</span>',
@@ -490,7 +509,6 @@ describe('IndexedDBManager', () => {
       }
 
       // Populate localStorage data
-      localStorage.setItem('aurorae_tasks', JSON.stringify(nominalAuroraeTasks))
       localStorage.setItem('brainDumpContent', nominalBrainDump.content)
       localStorage.setItem('brainDumpTags', nominalBrainDump.tags)
       localStorage.setItem(
@@ -515,7 +533,6 @@ describe('IndexedDBManager', () => {
       expect(exported.schedule).toEqual(nominalSchedule)
       expect(exported.stats).toEqual(nominalStats)
       expect(exported.fileRefs).toEqual(nominalFileRefs)
-      expect(exported.auroraeTasksData).toEqual(nominalAuroraeTasks)
       expect(exported.brainDump).toEqual(nominalBrainDump)
 
       // Clear all data
@@ -540,7 +557,6 @@ describe('IndexedDBManager', () => {
       expect(report.imported.schedule).toBe(nominalSchedule.length)
       expect(report.imported.stats).toBe(nominalStats.length)
       expect(report.imported.fileRefs).toBe(nominalFileRefs.length)
-      expect(report.imported.auroraeTasksData).toBe(true)
 
       // Verify all data was restored correctly
       const restoredTasks = await getAll(STORES.TASKS)
@@ -564,11 +580,6 @@ describe('IndexedDBManager', () => {
       const restoredFileRefs = await getAll(STORES.FILE_REFS)
       expect(restoredFileRefs).toEqual(nominalFileRefs)
 
-      const restoredAuroraeTasks = JSON.parse(
-        localStorage.getItem('aurorae_tasks')
-      )
-      expect(restoredAuroraeTasks).toEqual(nominalAuroraeTasks)
-
       expect(localStorage.getItem('brainDumpContent')).toBe(
         nominalBrainDump.content
       )
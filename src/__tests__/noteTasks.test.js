@@ -0,0 +1,111 @@
+// Test suite for note checklist items sent to Tasks
+
+import {
+  parseChecklistLine,
+  findChecklistItems,
+  linkChecklistLine,
+  setLinkedItemChecked,
+  syncLinkedItem,
+  findTaskSource,
+  getLinkedTaskStates,
+  markTrackedItems
+} from '../utils/notes/noteTasks'
+
+const content = [
+  '# Groceries',
+  '- [ ] Milk <!-- task:t1 -->',
+  '- [x] Eggs',
+  '* [ ] Bread',
+  '- Butter'
+].join('\n')
+
+const storeNote = (note) =>
+  localStorage.setItem(
+    'brainDumpEntries',
+    JSON.stringify([{ id: 'n1', title: 'Shopping', locked: false, ...note }])
+  )
+const storedContent = () =>
+  JSON.parse(localStorage.getItem('brainDumpEntries'))[0].content
+
+describe('noteTasks', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  test('parseChecklistLine reads the item and its task link', () => {
+    expect(parseChecklistLine('  - [x] Milk <!-- task:t1 -->')).toEqual({
+      text: 'Milk',
+      checked: true,
+      taskId: 't1'
+    })
+    expect(parseChecklistLine('- [ ] Eggs')).toEqual({
+      text: 'Eggs',
+      checked: false,
+      taskId: null
+    })
+    expect(parseChecklistLine('- Eggs <!-- task:t1 -->')).toBeNull()
+  })
+
+  test('findChecklistItems lists every checklist line', () => {
+    expect(findChecklistItems(content)).toEqual([
+      { line: 1, text: 'Milk', checked: false, taskId: 't1' },
+      { line: 2, text: 'Eggs', checked: true, taskId: null },
+      { line: 3, text: 'Bread', checked: false, taskId: null }
+    ])
+  })
+
+  test('linkChecklistLine adds (or replaces) the link', () => {
+    expect(linkChecklistLine(content, 2, 't2').split('\n')[2]).toBe(
+      '- [x] Eggs <!-- task:t2 -->'
+    )
+    expect(linkChecklistLine(content, 1, 't3').split('\n')[1]).toBe(
+      '- [ ] Milk <!-- task:t3 -->'
+    )
+  })
+
+  test('setLinkedItemChecked ticks only the linked item', () => {
+    const ticked = setLinkedItemChecked(content, 't1', true)
+    expect(ticked.split('\n')[1]).toBe('- [x] Milk <!-- task:t1 -->')
+    expect(setLinkedItemChecked(ticked, 't1', false)).toBe(content)
+    expect(setLinkedItemChecked(content, 't1', false)).toBe(content)
+    expect(setLinkedItemChecked(content, 'other', true)).toBe(content)
+  })
+
+  test('syncLinkedItem updates the stored note, unless it is locked', () => {
+    storeNote({ content })
+    syncLinkedItem('n1', 't1', true)
+    expect(storedContent().split('\n')[1]).toBe('- [x] Milk <!-- task:t1 -->')
+
+    storeNote({ content, locked: true })
+    syncLinkedItem('n1', 't1', true)
+    expect(storedContent()).toBe(content)
+  })
+
+  test('findTaskSource names the note and line', () => {
+    storeNote({ content })
+    expect(findTaskSource('n1', 't1')).toEqual({ title: 'Shopping', line: 2 })
+    expect(findTaskSource('n1', 'gone')).toEqual({
+      title: 'Shopping',
+      line: null
+    })
+    expect(findTaskSource('n2', 't1')).toBeNull()
+  })
+
+  test('getLinkedTaskStates maps the note’s tasks to their state', () => {
+    const tasks = {
+      urgent_important: [
+        { id: 't1', noteId: 'n1', completed: false },
+        { id: 't2', completed: true }
+      ],
+      not_urgent_important: [{ id: 't3', noteId: 'n1', completed: true }]
+    }
+    expect(getLinkedTaskStates(tasks, 'n1')).toEqual({ t1: false, t3: true })
+  })
+
+  test('markTrackedItems badges tracked items and drops dead links', () => {
+    expect(markTrackedItems(content, { t1: false }).split('\n')[1]).toBe(
+      '- [ ] Milk <span class="note-task-badge" title="Tracked in Tasks">Task</span>'
+    )
+    expect(markTrackedItems(content, {}).split('\n')[1]).toBe('- [ ] Milk')
+  })
+})
@@ -0,0 +1,170 @@
+// Test suite for natural-language quick add
+
+import { parseQuickAdd } from '../utils/quickAdd'
+
+// Wednesday 15 January 2025, 10:00 local time
+const now = new Date(2025, 0, 15, 10, 0)
+const parse = (input, options = {}) => parseQuickAdd(input, { now, ...options })
+
+describe('parseQuickAdd', () => {
+  test('parses the example line', () => {
+    expect(parse('call mum tomorrow 5pm !urgent #family')).toEqual({
+      text: 'call mum',
+      quadrant: 'urgent_important',
+      dueDate: '2025-01-16',
+      dueTime: '17:00',
+      estimate: null,
+      tags: [{ label: 'family', color: 'red' }],
+      recurrence: null
+    })
+  })
+
+  test('leaves plain text alone', () => {
+    expect(parse('Enjoy the sun on the 5th floor')).toMatchObject({
+      text: 'Enjoy the sun on the 5th floor',
+      quadrant: null,
+      dueDate: null,
+      dueTime: null,
+      tags: [],
+      recurrence: null
+    })
+  })
+
+  test.each([
+    ['today', '2025-01-15'],
+    ['tonight', '2025-01-15'],
+    ['tomorrow', '2025-01-16'],
+    ['in 3 days', '2025-01-18'],
+    ['in a week', '2025-01-22'],
+    ['in 2 months', '2025-03-15'],
+    ['next week', '2025-01-22'],
+    ['friday', '2025-01-17'],
+    ['next fri', '2025-01-17'],
+    ['on wed', '2025-01-22'],
+    ['this wednesday', '2025-01-15'],
+    ['3 march', '2025-03-03'],
+    ['Jan 2nd', '2026-01-02'],
+    ['on 2025-02-28', '2025-02-28']
+  ])('reads "%s" as a due date', (phrase, dueDate) => {
+    expect(parse(`Pay rent ${phrase}`)).toMatchObject({
+      text: 'Pay rent',
+      dueDate
+    })
+  })
+
+  test('rejects dates that do not exist', () => {
+    expect(parse('Party 30 feb').dueDate).toBeNull()
+    expect(parse('Party 2025-02-30')).toMatchObject({
+      text: 'Party 2025-02-30',
+      dueDate: null
+    })
+  })
+
+  test.each([
+    ['5pm', '17:00'],
+    ['at 5:30 pm', '17:30'],
+    ['12am', '00:00'],
+    ['17:45', '17:45'],
+    ['at 9', '09:00'],
+    ['noon', '12:00']
+  ])('reads "%s" as a due time', (phrase, dueTime) => {
+    expect(parse(`Call bank tomorrow ${phrase}`)).toMatchObject({
+      text: 'Call bank',
+      dueDate: '2025-01-16',
+      dueTime
+    })
+  })
+
+  test('a time alone is the next time it comes round', () => {
+    expect(parse('Stand-up 11:00').dueDate).toBe('2025-01-15')
+    expect(parse('Stand-up 9am').dueDate).toBe('2025-01-16')
+  })
+
+  test.each([
+    ['!urgent !important', 'urgent_important'],
+    ['!!', 'urgent_important'],
+    ['!u', 'urgent_important'],
+    ['!urgent', 'urgent_important'],
+    ['!u !low', 'urgent_not_important'],
+    ['!urgent !notimportant', 'urgent_not_important'],
+    ['!i', 'not_urgent_important'],
+    ['!low', 'not_urgent_not_important'],
+    ['!notimportant', 'not_urgent_not_important'],
+    ['!low !i', 'not_urgent_important']
+  ])('"%s" picks the quadrant', (markers, quadrant) => {
+    expect(parse(`Renew passport ${markers}`)).toMatchObject({
+      text: 'Renew passport',
+      quadrant
+    })
+  })
+
+  test.each([
+    ['~30m', 30],
+    ['~45 min', 45],
+    ['~1h', 60],
+    ['~1.5h', 90],
+    ['~1h30m', 90],
+    ['~20', 20]
+  ])('reads "%s" as an estimate', (phrase, estimate) => {
+    expect(parse(`Write report ${phrase}`)).toMatchObject({
+      text: 'Write report',
+      estimate
+    })
+  })
+
+  test('ignores estimates out of range', () => {
+    expect(parse('Nap ~0m')).toMatchObject({ text: 'Nap ~0m', estimate: null })
+    expect(parse('Trek ~30h').estimate).toBeNull()
+  })
+
+  test('collects unique tags, reusing the colour of existing ones', () => {
+    expect(
+      parse('Buy paint #Home #diy #home #1', {
+        tags: [{ label: 'home', color: 'green' }]
+      })
+    ).toMatchObject({
+      text: 'Buy paint #1',
+      tags: [
+        { label: 'home', color: 'green' },
+        { label: 'diy', color: 'red' }
+      ]
+    })
+  })
+
+  test.each([
+    ['daily', { freq: 'daily', interval: 1 }, '2025-01-15'],
+    [
+      'every 2 weeks',
+      { freq: 'weekly', interval: 2, byWeekday: [3] },
+      '2025-01-15'
+    ],
+    [
+      'every other month',
+      { freq: 'monthly', interval: 2, monthlyBy: 'date' },
+      '2025-01-15'
+    ],
+    ['weekdays', { freq: 'weekdays', interval: 1 }, '2025-01-15'],
+    [
+      'every mon and thu',
+      { freq: 'weekly', interval: 1, byWeekday: [1, 4] },
+      '2025-01-16'
+    ],
+    [
+      'every monday from next week',
+      { freq: 'weekly', interval: 1, byWeekday: [1] },
+      '2025-01-22'
+    ]
+  ])('reads "%s" as a repeat', (phrase, rule, dueDate) => {
+    const parsed = parse(`Water plants ${phrase}`)
+    expect(parsed.dueDate).toBe(dueDate)
+    expect(parsed.recurrence).toEqual({ ...rule, start: dueDate })
+  })
+
+  test('repeats some days after completion without a due date', () => {
+    expect(parse('Clean filter 3 days after completion')).toMatchObject({
+      text: 'Clean filter',
+      dueDate: null,
+      recurrence: { freq: 'after_completion', interval: 3 }
+    })
+  })
+})
@@ -0,0 +1,194 @@
+// Test suite for schedule event recurrence rules
+
+import {
+  validateRecurrence,
+  expandRecurrence,
+  countOccurrencesBefore,
+  describeRecurrence,
+  getNthWeekday
+} from '../utils/recurrence'
+
+// 2025-01-15 is a Wednesday
+describe('recurrence', () => {
+  describe('validateRecurrence', () => {
+    test('accepts each frequency', () => {
+      expect(validateRecurrence({ freq: 'daily' })).toEqual([])
+      expect(validateRecurrence({ freq: 'weekdays' })).toEqual([])
+      expect(validateRecurrence({ freq: 'weekly', byWeekday: [1, 3] })).toEqual(
+        []
+      )
+      expect(
+        validateRecurrence({ freq: 'monthly', monthlyBy: 'weekday', count: 5 })
+      ).toEqual([])
+    })
+
+    test('reports invalid rules', () => {
+      expect(validateRecurrence({ freq: 'yearly' })).toEqual([
+        'Unknown repeat frequency'
+      ])
+      expect(validateRecurrence({ freq: 'daily', interval: 0 })).toEqual([
+        'Repeat interval must be between 1 and 99'
+      ])
+      expect(validateRecurrence({ freq: 'weekly', byWeekday: [] })).toEqual([
+        'Pick at least one weekday'
+      ])
+      expect(validateRecurrence({ freq: 'monthly', monthlyBy: 'day' })).toEqual(
+        ['Monthly repeats are by date or by weekday']
+      )
+      expect(
+        validateRecurrence({ freq: 'daily', until: '2025-02-01', count: 3 })
+      ).toEqual(['Choose an end date or a number of times, not both'])
+      expect(validateRecurrence({ freq: 'daily', count: 1000 })).toEqual([
+        'Number of times must be between 1 and 999'
+      ])
+      expect(validateRecurrence({ freq: 'daily', until: 'soon' })).toEqual([
+        'End date must be a valid date'
+      ])
+    })
+  })
+
+  describe('expandRecurrence', () => {
+    test('repeats every N days', () => {
+      expect(
+        expandRecurrence(
+          { freq: 'daily', interval: 2 },
+          '2025-01-15',
+          '2025-01-18',
+          '2025-01-23'
+        )
+      ).toEqual(['2025-01-19', '2025-01-21', '2025-01-23'])
+    })
+
+    test('skips weekends for weekday rules', () => {
+      expect(
+        expandRecurrence(
+          { freq: 'weekdays' },
+          '2025-01-15',
+          '2025-01-16',
+          '2025-01-21'
+        )
+      ).toEqual(['2025-01-16', '2025-01-17', '2025-01-20', '2025-01-21'])
+    })
+
+    test('repeats weekly on selected days, every N weeks', () => {
+      expect(
+        expandRecurrence(
+          { freq: 'weekly', interval: 2, byWeekday: [1, 3] },
+          '2025-01-15',
+          '2025-01-15',
+          '2025-02-10'
+        )
+      ).toEqual(['2025-01-15', '2025-01-27', '2025-01-29', '2025-02-10'])
+    })
+
+    test('repeats monthly by date and skips short months', () => {
+      expect(
+        expandRecurrence(
+          { freq: 'monthly' },
+          '2025-01-31',
+          '2025-01-01',
+          '2025-05-31'
+        )
+      ).toEqual(['2025-01-31', '2025-03-31', '2025-05-31'])
+    })
+
+    test('repeats monthly by nth and last weekday', () => {
+      // The 3rd Wednesday of each month
+      expect(
+        expandRecurrence(
+          { freq: 'monthly', monthlyBy: 'weekday' },
+          '2025-01-15',
+          '2025-02-01',
+          '2025-03-31'
+        )
+      ).toEqual(['2025-02-19', '2025-03-19'])
+      // 2025-01-31 is the last Friday of January
+      expect(getNthWeekday('2025-01-31')).toEqual({ weekday: 5, nth: -1 })
+      expect(
+        expandRecurrence(
+          { freq: 'monthly', monthlyBy: 'weekday' },
+          '2025-01-31',
+          '2025-02-01',
+          '2025-03-31'
+        )
+      ).toEqual(['2025-02-28', '2025-03-28'])
+    })
+
+    test('stops at the end date or after the count', () => {
+      expect(
+        expandRecurrence(
+          { freq: 'daily', until: '2025-01-17' },
+          '2025-01-15',
+          '2025-01-01',
+          '2025-01-31'
+        )
+      ).toEqual(['2025-01-15', '2025-01-16', '2025-01-17'])
+      // Skipped days still count towards the number of times
+      expect(
+        expandRecurrence(
+          { freq: 'daily', count: 3 },
+          '2025-01-15',
+          '2025-01-16',
+          '2025-01-31',
+          ['2025-01-16']
+        )
+      ).toEqual(['2025-01-17'])
+    })
+
+    test('always includes the first day and nothing before it', () => {
+      expect(
+        expandRecurrence(
+          { freq: 'weekly', byWeekday: [1] },
+          '2025-01-15',
+          '2025-01-01',
+          '2025-01-20'
+        )
+      ).toEqual(['2025-01-15', '2025-01-20'])
+    })
+
+    test('jumps far ranges without walking the series', () => {
+      expect(
+        expandRecurrence(
+          { freq: 'daily' },
+          '2000-01-01',
+          '2099-12-30',
+          '2099-12-31'
+        )
+      ).toEqual(['2099-12-30', '2099-12-31'])
+    })
+  })
+
+  test('countOccurrencesBefore counts skipped days too', () => {
+    expect(
+      countOccurrencesBefore({ freq: 'weekdays' }, '2025-01-15', '2025-01-21')
+    ).toBe(4)
+    expect(
+      countOccurrencesBefore({ freq: 'daily' }, '2025-01-15', '2025-01-15')
+    ).toBe(0)
+  })
+
+  test('describeRecurrence summarises rules', () => {
+    expect(describeRecurrence(null, '2025-01-15')).toBe('Does not repeat')
+    expect(describeRecurrence({ freq: 'daily' }, '2025-01-15')).toBe(
+      'Every day'
+    )
+    expect(describeRecurrence({ freq: 'weekdays' }, '2025-01-15')).toBe(
+      'Every weekday'
+    )
+    expect(
+      describeRecurrence(
+        { freq: 'weekly', interval: 2, byWeekday: [3, 1] },
+        '2025-01-15'
+      )
+    ).toBe('Every 2 weeks on Mon, Wed')
+    expect(
+      describeRecurrence({ freq: 'monthly', count: 6 }, '2025-01-15')
+    ).toBe('Monthly on day 15, 6 times')
+    expect(
+      describeRecurrence(
+        { freq: 'monthly', monthlyBy: 'weekday', until: '2025-06-30' },
+        '2025-01-15'
+      )
+    ).toBe('Monthly on the 3rd Wednesday until 2025-06-30')
+  })
+})
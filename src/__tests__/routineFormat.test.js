@@ -0,0 +1,162 @@
+// Test suite for the Markdown routine import/export format
+
+import {
+  parseDuration,
+  formatDuration,
+  serializeRoutines,
+  parseRoutines
+} from '../utils/routineFormat'
+
+describe('routineFormat', () => {
+  describe('parseDuration', () => {
+    test('parses unit and clock durations', () => {
+      expect(parseDuration('30s')).toBe(30)
+      expect(parseDuration('5m')).toBe(300)
+      expect(parseDuration('1h 30m')).toBe(5400)
+      expect(parseDuration('1m30s')).toBe(90)
+      expect(parseDuration('2:30')).toBe(150)
+    })
+
+    test('rejects unrecognised durations', () => {
+      expect(parseDuration('')).toBeNull()
+      expect(parseDuration('five minutes')).toBeNull()
+      expect(parseDuration('5x')).toBeNull()
+    })
+  })
+
+  describe('formatDuration', () => {
+    test('formats seconds compactly', () => {
+      expect(formatDuration(300)).toBe('5m')
+      expect(formatDuration(90)).toBe('1m 30s')
+      expect(formatDuration(5400)).toBe('1h 30m')
+      expect(formatDuration(0)).toBe('0s')
+    })
+  })
+
+  describe('parseRoutines', () => {
+    test('parses headings, descriptions, steps, notes and checklists', () => {
+      const { routines, errors } = parseRoutines(
+        [
+          '# Morning Launch',
+          'Get out the door calm',
+          '',
+          '- Water (30s)',
+          '- Stretch (5m)',
+          '  Go slow',
+          '  - [ ] Neck',
+          '  - [x] Back',
+          '',
+          '# Shutdown',
+          '* Review (2:00)'
+        ].join('\n')
+      )
+
+      expect(errors).toEqual([])
+      expect(routines).toEqual([
+        {
+          name: 'Morning Launch',
+          description: 'Get out the door calm',
+          steps: [
+            { name: 'Water', duration: 30 },
+            {
+              name: 'Stretch',
+              duration: 300,
+              notes: 'Go slow',
+              checklist: ['Neck', 'Back']
+            }
+          ]
+        },
+        {
+          name: 'Shutdown',
+          description: '',
+          steps: [{ name: 'Review', duration: 120 }]
+        }
+      ])
+    })
+
+    test('keeps parentheses in step names', () => {
+      const { routines } = parseRoutines('# R\n- Stretch (legs) (5m)')
+      expect(routines[0].steps[0]).toEqual({
+        name: 'Stretch (legs)',
+        duration: 300
+      })
+    })
+
+    test('reports line-numbered errors', () => {
+      const { errors } = parseRoutines(
+        [
+          '- Orphan (1m)',
+          '# Broken',
+          '- No duration',
+          '- Bad unit (5x)',
+          '- Too short (5s)',
+          '- (1m)',
+          '- Fine (1m)',
+          'Stray text',
+          '#'
+        ].join('\n')
+      )
+
+      expect(errors).toEqual([
+        { line: 1, message: expect.stringContaining('routine heading') },
+        { line: 3, message: expect.stringContaining('missing a duration') },
+        { line: 4, message: expect.stringContaining('Invalid duration "5x"') },
+        { line: 5, message: expect.stringContaining('between 10 seconds') },
+        { line: 6, message: 'Step title is required' },
+        { line: 8, message: expect.stringContaining('Unexpected text') },
+        { line: 9, message: 'Routine name is required' }
+      ])
+    })
+
+    test('reports an empty file', () => {
+      expect(parseRoutines('\n\n').errors).toEqual([
+        { line: 1, message: 'No routines found' }
+      ])
+    })
+  })
+
+  describe('serializeRoutines', () => {
+    test('round-trips through parseRoutines', () => {
+      const sequences = [
+        {
+          id: 'seq_1',
+          name: 'Focus',
+          description: 'Deep work',
+          steps: [
+            {
+              id: 'step_1',
+              name: 'Plan',
+              duration: 90,
+              notes: 'Pick one task\nClose chat',
+              checklist: ['Timer set']
+            },
+            { id: 'step_2', name: 'Work', duration: 3000 }
+          ]
+        }
+      ]
+
+      const markdown = serializeRoutines(sequences)
+      expect(markdown).toContain('# Focus')
+      expect(markdown).toContain('- Plan (1m 30s)')
+      expect(markdown).toContain('  - [ ] Timer set')
+
+      const { routines, errors } = parseRoutines(markdown)
+      expect(errors).toEqual([])
+      expect(routines).toEqual([
+        {
+          name: 'Focus',
+          description: 'Deep work',
+          steps: [
+            {
+              name: 'Plan',
+              duration: 90,
+              notes: 'Pick one task\nClose chat',
+              checklist: ['Timer set']
+            },
+            { name: 'Work', duration: 3000 }
+          ]
+        }
+      ])
+    })
+  })
+})
@@ -10,15 +10,31 @@ import {
   updateEvent,
   deleteEvent,
   moveEvent,
+  resizeEvent,
+  getWeekStart,
   checkConflicts,
   getAvailableSlots,
-  getTodaySummary
+  getTodaySummary,
+  getOccurrenceId,
+  getAvailability,
+  updateAvailability,
+  resolveConflict,
+  findOverlappingEvents,
+  scheduleSequence,
+  importCalendarEvents,
+  getCalendarSources,
+  removeCalendarSource,
+  exportCalendar,
+  ScheduleConflictError
 } from '../utils/scheduleManager'
+import { createSequence } from '../utils/sequencesManager'
 import { clear, STORES } from '../utils/indexedDBManager'
+import { toDateKey } from '../utils/dateUtils'
 
 describe('Schedule Manager', () => {
   beforeEach(async () => {
     await clear(STORES.SCHEDULE)
+    localStorage.clear()
   })
 
   describe('createEvent', () => {
@@ -43,8 +59,36 @@ describe('Schedule Manager', () => {
     // TODO: Add test for event validation
     test.todo('should validate event data')
 
-    // TODO: Add test for conflict detection
-    test.todo('should detect scheduling conflicts')
+    test('should detect scheduling conflicts', async () => {
+      await createEvent({
+        title: 'Meeting',
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+
+      const error = await createEvent({
+        title: 'Focus',
+        day: '2025-01-15',
+        startTime: '09:30',
+        endTime: '10:30'
+      }).catch((e) => e)
+      expect(error).toBeInstanceOf(ScheduleConflictError)
+      expect(error.message).toBe('Overlaps Meeting')
+      expect(error.isNew).toBe(true)
+      expect(error.conflicts.map((e) => e.title)).toEqual(['Meeting'])
+      expect(error.resolutions).toEqual([
+        { type: 'nextSlot', startTime: '10:00', endTime: '11:00' },
+        { type: 'overlap' }
+      ])
+      expect(await getEventsForDay('2025-01-15')).toHaveLength(1)
+
+      await createEvent(
+        { day: '2025-01-15', startTime: '09:30', endTime: '10:30' },
+        { allowOverlap: true }
+      )
+      expect(await getEventsForDay('2025-01-15')).toHaveLength(2)
+    })
   })
 
   describe('getEventsForDay', () => {
@@ -74,8 +118,32 @@ describe('Schedule Manager', () => {
       expect(events).toHaveLength(2)
     })
 
-    // TODO: Add test for sorted results
-    test.todo('should return events sorted by time')
+    test('should return events sorted by time', async () => {
+      await createEvent({
+        id: 1,
+        day: '2025-01-15',
+        startTime: '14:00',
+        endTime: '15:00'
+      })
+      await createEvent({
+        id: 2,
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+      await createEvent(
+        {
+          id: 3,
+          day: '2025-01-15',
+          startTime: '09:00',
+          endTime: '09:30'
+        },
+        { allowOverlap: true }
+      )
+
+      const events = await getEventsForDay('2025-01-15')
+      expect(events.map((e) => e.id)).toEqual([3, 2, 1])
+    })
   })
 
   describe('getEventsForRange', () => {
@@ -119,8 +187,21 @@ describe('Schedule Manager', () => {
       expect(Array.isArray(events)).toBe(true)
     })
 
-    // TODO: Add test with mocked date
-    test.todo('should get events for mocked current week')
+    test('should get events for the week containing a day', async () => {
+      // 2025-01-15 is a Wednesday: its week runs Sun 12th to Sat 18th
+      expect(getWeekStart('2025-01-15')).toBe('2025-01-12')
+      for (const [id, day] of [
+        [1, '2025-01-11'],
+        [2, '2025-01-12'],
+        [3, '2025-01-18'],
+        [4, '2025-01-19']
+      ]) {
+        await createEvent({ id, day, startTime: '09:00', endTime: '10:00' })
+      }
+
+      const events = await getEventsForWeek('2025-01-15')
+      expect(events.map((e) => e.id)).toEqual([2, 3])
+    })
   })
 
   describe('updateEvent', () => {
@@ -143,8 +224,18 @@ describe('Schedule Manager', () => {
       expect(found.title).toBe('New Title')
     })
 
-    // TODO: Add test for recalculating duration
-    test.todo('should recalculate duration on time change')
+    test('should recalculate duration on time change', async () => {
+      const id = await createEvent({
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+      const [event] = await getEventsForDay('2025-01-15')
+
+      await updateEvent({ ...event, id, endTime: '11:30' })
+      const [updated] = await getEventsForDay('2025-01-15')
+      expect(updated.duration).toBe(150)
+    })
   })
 
   describe('deleteEvent', () => {
@@ -161,8 +252,32 @@ describe('Schedule Manager', () => {
       expect(events).toHaveLength(0)
     })
 
-    // TODO: Add test for recurring events
-    test.todo('should handle recurring event deletion')
+    test('should handle recurring event deletion', async () => {
+      const id = await createEvent({
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00',
+        recurrence: { freq: 'daily' }
+      })
+      const days = async () =>
+        (await getEventsForRange('2025-01-15', '2025-01-19')).map((e) => e.day)
+
+      await deleteEvent(getOccurrenceId(id, '2025-01-16'), { scope: 'this' })
+      expect(await days()).toEqual([
+        '2025-01-15',
+        '2025-01-17',
+        '2025-01-18',
+        '2025-01-19'
+      ])
+
+      await deleteEvent(getOccurrenceId(id, '2025-01-18'), {
+        scope: 'following'
+      })
+      expect(await days()).toEqual(['2025-01-15', '2025-01-17'])
+
+      await deleteEvent(getOccurrenceId(id, '2025-01-17'), { scope: 'all' })
+      expect(await days()).toEqual([])
+    })
   })
 
   describe('moveEvent', () => {
@@ -180,8 +295,203 @@ describe('Schedule Manager', () => {
       expect(updated.endTime).toBe('15:00')
     })
 
-    // TODO: Add test for conflict detection on move
-    test.todo('should detect conflicts when moving')
+    test('should detect conflicts when moving', async () => {
+      await createEvent({
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+      const id = await createEvent({
+        day: '2025-01-15',
+        startTime: '11:00',
+        endTime: '12:00'
+      })
+
+      await expect(moveEvent(id, '2025-01-15', '09:30')).rejects.toThrow(
+        ScheduleConflictError
+      )
+      // Moving within its own time range is not a conflict with itself
+      const moved = await moveEvent(id, '2025-01-15', '11:30')
+      expect(moved.startTime).toBe('11:30')
+      await expect(resizeEvent(id, '13:00')).resolves.toMatchObject({
+        duration: 90
+      })
+    })
+
+    test('should keep blocks from running past midnight', async () => {
+      const id = await createEvent({
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+
+      await expect(moveEvent(id, '2025-01-15', '23:30')).rejects.toThrow(
+        'Event would run past midnight'
+      )
+      const moved = await moveEvent(id, '2025-01-15', '23:00')
+      expect(moved).toMatchObject({ startTime: '23:00', endTime: '24:00' })
+    })
+  })
+
+  describe('resizeEvent', () => {
+    test('should change the end time and duration', async () => {
+      const id = await createEvent({
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+
+      const updated = await resizeEvent(id, '09:45')
+      expect(updated.startTime).toBe('09:00')
+      expect(updated.endTime).toBe('09:45')
+      expect(updated.duration).toBe(45)
+    })
+
+    test('should reject ends before the start', async () => {
+      const id = await createEvent({
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+
+      await expect(resizeEvent(id, '09:00')).rejects.toThrow(
+        'Event must end after it starts'
+      )
+      await expect(resizeEvent(999, '11:00')).rejects.toThrow('Event not found')
+    })
+
+    test('should reject ends past midnight', async () => {
+      const id = await createEvent({
+        day: '2025-01-15',
+        startTime: '23:00',
+        endTime: '23:45'
+      })
+
+      await expect(resizeEvent(id, '24:15')).rejects.toThrow(
+        'Event would run past midnight'
+      )
+      await expect(resizeEvent(id, '24:00')).resolves.toMatchObject({
+        endTime: '24:00',
+        duration: 60
+      })
+    })
+  })
+
+  describe('recurring events', () => {
+    const createDaily = (recurrence = { freq: 'daily' }) =>
+      createEvent({
+        title: 'Standup',
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '09:15',
+        recurrence
+      })
+
+    test('should expand occurrences into ranges', async () => {
+      const id = await createDaily({ freq: 'weekdays' })
+
+      const events = await getEventsForRange('2025-01-17', '2025-01-20')
+      expect(events.map((e) => e.day)).toEqual(['2025-01-17', '2025-01-20'])
+      expect(events[0]).toMatchObject({
+        id: getOccurrenceId(id, '2025-01-17'),
+        seriesId: id,
+        occurrenceDay: '2025-01-17',
+        title: 'Standup'
+      })
+      expect(await getEventsForDay('2025-01-14')).toEqual([])
+    })
+
+    test('should reject invalid rules', async () => {
+      await expect(
+        createDaily({ freq: 'weekly', byWeekday: [] })
+      ).rejects.toThrow('Invalid recurrence: Pick at least one weekday')
+      await expect(
+        createDaily({ freq: 'daily', until: '2025-01-01' })
+      ).rejects.toThrow('Recurrence must end on or after the first day')
+    })
+
+    test('should move just one occurrence', async () => {
+      const id = await createDaily()
+
+      const moved = await moveEvent(
+        getOccurrenceId(id, '2025-01-16'),
+        '2025-01-16',
+        '11:00'
+      )
+      expect(moved).toMatchObject({
+        recurrence: null,
+        recurringEventId: id,
+        originalDay: '2025-01-16',
+        endTime: '11:15'
+      })
+
+      const events = await getEventsForRange('2025-01-15', '2025-01-17')
+      expect(events.map((e) => `${e.day} ${e.startTime}`)).toEqual([
+        '2025-01-15 09:00',
+        '2025-01-16 11:00',
+        '2025-01-17 09:00'
+      ])
+    })
+
+    test('should edit this and following occurrences', async () => {
+      const id = await createDaily({ freq: 'daily', count: 5 })
+      const [occurrence] = await getEventsForDay('2025-01-17')
+
+      await updateEvent(
+        { ...occurrence, title: 'Sync' },
+        { scope: 'following' }
+      )
+
+      const events = await getEventsForRange('2025-01-01', '2025-01-31')
+      expect(events.map((e) => `${e.day} ${e.title}`)).toEqual([
+        '2025-01-15 Standup',
+        '2025-01-16 Standup',
+        '2025-01-17 Sync',
+        '2025-01-18 Sync',
+        '2025-01-19 Sync'
+      ])
+      expect(events[0].seriesId).toBe(id)
+      expect(events[2].seriesId).not.toBe(id)
+    })
+
+    test('should edit all occurrences, keeping the series in step', async () => {
+      const id = await createDaily({ freq: 'daily', until: '2025-01-20' })
+      await deleteEvent(getOccurrenceId(id, '2025-01-18'), { scope: 'this' })
+      const [occurrence] = await getEventsForDay('2025-01-17')
+
+      // Moving one occurrence a day later shifts the whole series
+      await updateEvent(
+        {
+          ...occurrence,
+          day: '2025-01-18',
+          startTime: '10:00',
+          endTime: '10:30'
+        },
+        { scope: 'all' }
+      )
+
+      const events = await getEventsForRange('2025-01-01', '2025-01-31')
+      expect(events.map((e) => e.day)).toEqual([
+        '2025-01-16',
+        '2025-01-17',
+        '2025-01-18',
+        '2025-01-20'
+      ])
+      expect(events[0]).toMatchObject({ startTime: '10:00', duration: 30 })
+    })
+
+    test('should turn a series into a single event', async () => {
+      const id = await createDaily()
+
+      await updateEvent({
+        ...(await getEventsForDay('2025-01-15'))[0],
+        recurrence: null
+      })
+
+      const events = await getEventsForRange('2025-01-01', '2025-01-31')
+      expect(events).toHaveLength(1)
+      expect(events[0]).toMatchObject({ id, day: '2025-01-15' })
+    })
   })
 
   describe('checkConflicts', () => {
@@ -207,8 +517,140 @@ describe('Schedule Manager', () => {
       expect(conflicts).toHaveLength(0)
     })
 
-    // TODO: Add test for excluding current event
-    test.todo('should exclude specified event from conflict check')
+    test('should exclude specified event from conflict check', async () => {
+      const id = await createEvent({
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+      const seriesId = await createEvent({
+        day: '2025-01-01',
+        startTime: '09:30',
+        endTime: '09:45',
+        recurrence: { freq: 'daily' }
+      })
+
+      const conflicting = async (excludeId) =>
+        (await checkConflicts('2025-01-15', '09:00', '10:00', excludeId)).map(
+          (e) => e.seriesId ?? e.id
+        )
+      expect(await conflicting()).toEqual([id, seriesId])
+      expect(await conflicting(id)).toEqual([seriesId])
+      // A recurring event's ID excludes all of its occurrences
+      expect(await conflicting(seriesId)).toEqual([id])
+    })
+
+    test('should find overlapping blocks', () => {
+      const overlapping = findOverlappingEvents([
+        { id: 1, day: '2025-01-15', startTime: '09:00', endTime: '12:00' },
+        { id: 2, day: '2025-01-15', startTime: '09:30', endTime: '10:00' },
+        { id: 3, day: '2025-01-15', startTime: '12:00', endTime: '13:00' },
+        { id: 4, day: '2025-01-16', startTime: '09:00', endTime: '10:00' }
+      ])
+      expect([...overlapping].sort()).toEqual([1, 2])
+    })
+  })
+
+  describe('resolveConflict', () => {
+    const conflictFor = (promise) => promise.catch((e) => e)
+    const times = async () =>
+      (await getEventsForDay('2025-01-15')).map(
+        (e) => `${e.title} ${e.startTime}-${e.endTime}`
+      )
+
+    beforeEach(async () => {
+      await createEvent({
+        title: 'Call',
+        day: '2025-01-15',
+        startTime: '10:00',
+        endTime: '11:00',
+        flexible: true
+      })
+      await createEvent({
+        title: 'Lunch',
+        day: '2025-01-15',
+        startTime: '12:00',
+        endTime: '13:00'
+      })
+    })
+
+    test('should suggest and apply the next free slot or a shorter block', async () => {
+      const error = await conflictFor(
+        createEvent({
+          title: 'Focus',
+          day: '2025-01-15',
+          startTime: '09:00',
+          endTime: '10:30'
+        })
+      )
+      const [nextSlot, shorten] = error.resolutions
+      expect(nextSlot).toEqual({
+        type: 'nextSlot',
+        startTime: '13:00',
+        endTime: '14:30'
+      })
+      expect(shorten).toEqual({
+        type: 'shorten',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+
+      await resolveConflict(error, shorten)
+      expect(await times()).toEqual([
+        'Focus 09:00-10:00',
+        'Call 10:00-11:00',
+        'Lunch 12:00-13:00'
+      ])
+      const [focus] = await getEventsForDay('2025-01-15')
+      expect(focus.duration).toBe(60)
+    })
+
+    test('should push flexible blocks later to make room', async () => {
+      const error = await conflictFor(
+        createEvent({
+          title: 'Focus',
+          day: '2025-01-15',
+          startTime: '10:00',
+          endTime: '11:30'
+        })
+      )
+      const makeRoom = error.resolutions.find((r) => r.type === 'moveFlexible')
+      expect(makeRoom.moves).toEqual([
+        expect.objectContaining({ startTime: '13:00', endTime: '14:00' })
+      ])
+
+      await resolveConflict(error, makeRoom)
+      expect(await times()).toEqual([
+        'Focus 10:00-11:30',
+        'Lunch 12:00-13:00',
+        'Call 13:00-14:00'
+      ])
+    })
+
+    test('should not offer to move fixed blocks', async () => {
+      const error = await conflictFor(
+        createEvent({
+          day: '2025-01-15',
+          startTime: '12:30',
+          endTime: '13:30'
+        })
+      )
+      expect(error.resolutions.map((r) => r.type)).toEqual([
+        'nextSlot',
+        'overlap'
+      ])
+    })
+
+    test('should keep an explicit overlap when editing', async () => {
+      const [, lunch] = await getEventsForDay('2025-01-15')
+      const error = await conflictFor(
+        updateEvent({ ...lunch, startTime: '10:30' })
+      )
+      expect(error.isNew).toBe(false)
+
+      await resolveConflict(error, { type: 'overlap' })
+      expect(await times()).toEqual(['Call 10:00-11:00', 'Lunch 10:30-13:00'])
+    })
   })
 
   describe('getAvailableSlots', () => {
@@ -235,16 +677,333 @@ describe('Schedule Manager', () => {
       expect(midDaySlot).toBeDefined()
     })
 
-    // TODO: Add test for minimum duration filtering
-    test.todo('should filter slots by minimum duration')
+    test('should filter slots by minimum duration', async () => {
+      await createEvent({
+        day: '2025-01-15',
+        startTime: '08:30',
+        endTime: '10:00'
+      })
+      await createEvent(
+        { day: '2025-01-15', startTime: '09:00', endTime: '09:30' },
+        { allowOverlap: true }
+      )
+
+      const slots = await getAvailableSlots('2025-01-15', 60)
+      expect(slots).toEqual([
+        { startTime: '10:00', endTime: '22:00', duration: 720, energy: null }
+      ])
+    })
+
+    test('should respect business hours', async () => {
+      // 2025-01-15 is a Wednesday, 2025-01-18 a Saturday
+      updateAvailability({
+        workingHours: {
+          3: [
+            { start: '09:00', end: '12:00', energy: 'high' },
+            { start: '13:00', end: '17:00', energy: 'low' }
+          ]
+        },
+        protectedBlocks: [
+          { label: 'Walk', start: '15:00', end: '15:30', days: [1, 3, 5] }
+        ]
+      })
+      await createEvent({
+        day: '2025-01-15',
+        startTime: '10:00',
+        endTime: '11:00'
+      })
+
+      const slots = await getAvailableSlots('2025-01-15', 30)
+      expect(slots.map((s) => `${s.startTime}-${s.endTime}`)).toEqual([
+        '09:00-10:00',
+        '11:00-12:00',
+        '13:00-15:00',
+        '15:30-17:00'
+      ])
+      expect(await getAvailableSlots('2025-01-18', 30)).toEqual([])
+    })
+
+    test('should rank slots by energy level', async () => {
+      updateAvailability({
+        workingHours: {
+          3: [
+            { start: '08:00', end: '10:00', energy: 'low' },
+            { start: '10:00', end: '12:00' },
+            { start: '14:00', end: '16:00', energy: 'high' }
+          ]
+        },
+        protectedBlocks: []
+      })
 
-    // TODO: Add test for business hours
-    test.todo('should respect business hours')
+      const slots = await getAvailableSlots('2025-01-15', 90, {
+        energy: 'high'
+      })
+      expect(slots.map((s) => `${s.startTime} ${s.energy}`)).toEqual([
+        '14:00 high',
+        '10:00 null',
+        '08:00 low'
+      ])
+    })
+  })
+
+  describe('availability settings', () => {
+    test('should default to 08:00-22:00 every day', () => {
+      const { workingHours, protectedBlocks } = getAvailability()
+      expect(workingHours[0]).toEqual([
+        { start: '08:00', end: '22:00', energy: null }
+      ])
+      expect(protectedBlocks).toEqual([])
+    })
+
+    test('should save sorted windows and protected blocks with IDs', () => {
+      const saved = updateAvailability({
+        workingHours: {
+          1: [
+            { start: '13:00', end: '17:00' },
+            { start: '09:00', end: '12:00', energy: 'high' }
+          ]
+        },
+        protectedBlocks: [
+          { label: ' Lunch ', start: '12:00', end: '13:00', days: [5, 1] }
+        ]
+      })
+
+      expect(getAvailability()).toEqual(saved)
+      expect(saved.workingHours[1]).toEqual([
+        { start: '09:00', end: '12:00', energy: 'high' },
+        { start: '13:00', end: '17:00', energy: null }
+      ])
+      expect(saved.workingHours[0]).toEqual([])
+      expect(saved.protectedBlocks[0]).toMatchObject({
+        id: expect.any(Number),
+        label: 'Lunch',
+        days: [1, 5]
+      })
+    })
+
+    test('should reject invalid windows', () => {
+      expect(() =>
+        updateAvailability({
+          workingHours: { 1: [{ start: '17:00', end: '09:00' }] },
+          protectedBlocks: []
+        })
+      ).toThrow('Mon: must end after it starts')
+      expect(getAvailability().workingHours[1]).toHaveLength(1)
+      expect(getAvailability().workingHours[1][0].start).toBe('08:00')
+    })
+
+    test('should keep conflict suggestions inside free time', async () => {
+      updateAvailability({
+        workingHours: { 3: [{ start: '09:00', end: '17:00' }] },
+        protectedBlocks: [
+          { label: 'Lunch', start: '12:00', end: '13:00', days: [3] }
+        ]
+      })
+      await createEvent({
+        day: '2025-01-15',
+        startTime: '10:00',
+        endTime: '11:30'
+      })
+
+      const error = await createEvent({
+        day: '2025-01-15',
+        startTime: '11:00',
+        endTime: '12:00'
+      }).catch((e) => e)
+      expect(error.resolutions[0]).toEqual({
+        type: 'nextSlot',
+        startTime: '13:00',
+        endTime: '14:00'
+      })
+    })
+  })
+
+  describe('scheduleSequence', () => {
+    test('should create a routine block as long as the routine', async () => {
+      await clear(STORES.SEQUENCES)
+      const sequenceId = await createSequence({
+        name: 'Morning',
+        steps: [
+          { name: 'Water', duration: 30 },
+          { name: 'Stretch', duration: 600 }
+        ]
+      })
+
+      const id = await scheduleSequence(sequenceId, '2025-01-15', '07:00')
+      const [event] = await getEventsForDay('2025-01-15')
+      expect(event).toMatchObject({
+        id,
+        title: 'Morning',
+        type: 'sequence',
+        sequenceId,
+        startTime: '07:00',
+        endTime: '07:11',
+        duration: 11
+      })
+    })
+
+    test('should reject missing routines and blocks past midnight', async () => {
+      const sequenceId = await createSequence({
+        name: 'Late',
+        steps: [{ name: 'Read', duration: 3600 }]
+      })
+
+      await expect(
+        scheduleSequence('missing', '2025-01-15', '07:00')
+      ).rejects.toThrow('Sequence not found')
+      await expect(
+        scheduleSequence(sequenceId, '2025-01-15', '23:30')
+      ).rejects.toThrow('Late would run past midnight')
+    })
+
+    test('should be subject to conflict checks', async () => {
+      const sequenceId = await createSequence({
+        name: 'Morning',
+        steps: [{ name: 'Stretch', duration: 1800 }]
+      })
+      await createEvent({
+        title: 'Call',
+        day: '2025-01-15',
+        startTime: '07:15',
+        endTime: '08:00'
+      })
+
+      await expect(
+        scheduleSequence(sequenceId, '2025-01-15', '07:00')
+      ).rejects.toBeInstanceOf(ScheduleConflictError)
+    })
+  })
+
+  describe('calendar import and export', () => {
+    const imported = [
+      {
+        uid: 'a',
+        title: 'Sync',
+        type: 'meeting',
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00',
+        recurrence: null,
+        exdates: []
+      },
+      {
+        uid: 'b',
+        title: 'Retro',
+        type: 'meeting',
+        day: '2025-01-15',
+        startTime: '09:30',
+        endTime: '10:30',
+        recurrence: { freq: 'weekly', interval: 1, byWeekday: [3] },
+        exdates: []
+      }
+    ]
+
+    test('should store imported events as read-only, even when they overlap', async () => {
+      await createEvent({
+        title: 'Focus',
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '11:00'
+      })
+
+      expect(await importCalendarEvents(imported, 'work.ics')).toEqual({
+        added: 2,
+        updated: 0,
+        removed: 0
+      })
+      const events = await getEventsForDay('2025-01-15')
+      expect(events.filter((e) => e.readOnly)).toHaveLength(2)
+      expect(events.find((e) => e.uid === 'a')).toMatchObject({
+        source: 'work.ics',
+        duration: 60,
+        flexible: false
+      })
+      expect(await getCalendarSources()).toEqual([
+        { source: 'work.ics', count: 2 }
+      ])
+    })
+
+    test('should update re-imported events instead of duplicating them', async () => {
+      await importCalendarEvents(imported, 'work.ics')
+      const [before] = (await getEventsForDay('2025-01-15')).filter(
+        (e) => e.uid === 'a'
+      )
+
+      const result = await importCalendarEvents(
+        [
+          { ...imported[0], startTime: '11:00', endTime: '11:30' },
+          { ...imported[1], uid: 'c' }
+        ],
+        'work.ics'
+      )
+      expect(result).toEqual({ added: 1, updated: 1, removed: 1 })
+
+      const events = await getEventsForDay('2025-01-15')
+      expect(events.map((e) => e.uid).sort()).toEqual(['a', 'c'])
+      expect(events.find((e) => e.uid === 'a')).toMatchObject({
+        id: before.id,
+        startTime: '11:00',
+        duration: 30
+      })
+    })
+
+    test('should reject edits to imported events', async () => {
+      await importCalendarEvents(imported, 'work.ics')
+      const events = await getEventsForDay('2025-01-15')
+      const single = events.find((e) => e.uid === 'a')
+      const occurrence = events.find((e) => e.uid === 'b')
+
+      const message = '"Sync" is imported from work.ics and read-only'
+      await expect(moveEvent(single.id, '2025-01-16', '09:00')).rejects.toThrow(
+        message
+      )
+      await expect(resizeEvent(single.id, '12:00')).rejects.toThrow(message)
+      await expect(
+        updateEvent({ ...single, title: 'Changed' })
+      ).rejects.toThrow(message)
+      await expect(deleteEvent(single.id)).rejects.toThrow(message)
+      await expect(
+        moveEvent(occurrence.id, '2025-01-15', '14:00')
+      ).rejects.toThrow('read-only')
+    })
+
+    test('should remove every event of an imported calendar', async () => {
+      await importCalendarEvents(imported, 'work.ics')
+      await importCalendarEvents([{ ...imported[0], uid: 'x' }], 'home.ics')
+
+      expect(await removeCalendarSource('work.ics')).toBe(2)
+      expect(await getCalendarSources()).toEqual([
+        { source: 'home.ics', count: 1 }
+      ])
+    })
+
+    test('should export own events and tasks but not imported events', async () => {
+      await createEvent({
+        title: 'Deep work',
+        type: 'task',
+        day: '2025-01-15',
+        startTime: '13:00',
+        endTime: '15:00'
+      })
+      await importCalendarEvents(imported, 'work.ics')
+      localStorage.setItem(
+        'aurorae_tasks',
+        JSON.stringify({
+          not_urgent_important: [{ id: 't1', text: 'Plan sprint' }]
+        })
+      )
+
+      const ics = await exportCalendar()
+      expect(ics).toContain('SUMMARY:Deep work')
+      expect(ics).toContain('BEGIN:VTODO')
+      expect(ics).toContain('SUMMARY:Plan sprint')
+      expect(ics).not.toContain('SUMMARY:Sync')
+    })
   })
 
   describe('getTodaySummary', () => {
     test('should get summary for today', async () => {
-      const today = new Date().toISOString().split('T')[0]
+      const today = toDateKey()
 
       await createEvent({
         title: 'Event 1',
@@ -12,13 +12,32 @@ import {
   removeStep,
   reorderStep,
   cloneSequence,
-  startSequence
+  importSequences,
+  startSequence,
+  getSequenceState,
+  saveSequenceState,
+  clearSequenceState,
+  createRunState,
+  getRunTimes,
+  pauseRun,
+  resumeRun,
+  completeStep,
+  skipStep,
+  previousStep,
+  extendStep,
+  validateSequence,
+  validateStep,
+  recordRoutineTime
 } from '../utils/sequencesManager'
-import { clear, STORES } from '../utils/indexedDBManager'
+import { clear, getStatsByType, STORES } from '../utils/indexedDBManager'
+import { scheduleSequence, getEventsForDay } from '../utils/scheduleManager'
 
 describe('Sequences Manager', () => {
   beforeEach(async () => {
     await clear(STORES.SEQUENCES)
+    await clear(STORES.RUNNER)
+    await clear(STORES.SCHEDULE)
+    await clear(STORES.STATS)
   })
 
   describe('createSequence', () => {
@@ -41,11 +60,46 @@ describe('Sequences Manager', () => {
       expect(sequences[0].totalDuration).toBe(360)
     })
 
-    // TODO: Add test for empty sequence
-    test.todo('should create sequence with no steps')
+    test('should create sequence with no steps', async () => {
+      const id = await createSequence({ name: 'Empty' })
+      const sequence = await getSequence(id)
+
+      expect(sequence.steps).toEqual([])
+      expect(sequence.totalDuration).toBe(0)
+    })
+
+    test('should validate sequence data', async () => {
+      await expect(createSequence({ name: '  ', steps: [] })).rejects.toThrow(
+        'Routine name is required'
+      )
+      await expect(
+        createSequence({
+          name: 'Bad',
+          steps: [{ name: 'Too short', duration: 5 }]
+        })
+      ).rejects.toThrow('Step 1: Step duration must be between')
+
+      expect(validateSequence({ name: 'Ok', steps: [] }).valid).toBe(true)
+      expect(validateStep({ name: '', duration: 60 })).toEqual([
+        'Step title is required'
+      ])
+      expect(validateStep({ name: 'Long', duration: 7201 })).toHaveLength(1)
+    })
 
-    // TODO: Add test for sequence validation
-    test.todo('should validate sequence data')
+    test('should assign step IDs and order', async () => {
+      const id = await createSequence({
+        name: 'Ordered',
+        steps: [
+          { name: 'A', duration: 60 },
+          { name: 'B', duration: 60 }
+        ]
+      })
+      const sequence = await getSequence(id)
+
+      expect(sequence.steps[0].id).toMatch(/^step_/)
+      expect(sequence.steps[0].id).not.toBe(sequence.steps[1].id)
+      expect(sequence.steps.map((s) => s.order)).toEqual([0, 1])
+    })
   })
 
   describe('getSequences', () => {
@@ -63,11 +117,45 @@ describe('Sequences Manager', () => {
       expect(sequences).toHaveLength(2)
     })
 
-    // TODO: Add test for sorting sequences
-    test.todo('should sort sequences by name')
+    test('should sort sequences by name and duration', async () => {
+      await createSequence({
+        id: 'seq_b',
+        name: 'Bravo',
+        steps: [{ name: 'Long', duration: 600 }]
+      })
+      await createSequence({
+        id: 'seq_a',
+        name: 'Alpha',
+        steps: [{ name: 'Short', duration: 60 }]
+      })
+
+      expect((await getSequences('name')).map((s) => s.name)).toEqual([
+        'Alpha',
+        'Bravo'
+      ])
+      expect((await getSequences('duration')).map((s) => s.id)).toEqual([
+        'seq_a',
+        'seq_b'
+      ])
+    })
 
-    // TODO: Add test for filtering sequences
-    test.todo('should filter sequences by recently used')
+    test('should sort sequences by recently used', async () => {
+      await createSequence({
+        id: 'seq_old',
+        name: 'Old',
+        steps: [{ name: 'Step', duration: 60 }]
+      })
+      await createSequence({
+        id: 'seq_new',
+        name: 'New',
+        steps: [{ name: 'Step', duration: 60 }]
+      })
+      await startSequence('seq_old', Date.now() + 60000)
+
+      const sequences = await getSequences('recent')
+      expect(sequences[0].id).toBe('seq_old')
+      expect(sequences[0].lastUsedAt).toBeGreaterThan(0)
+    })
   })
 
   describe('getSequence', () => {
@@ -96,8 +184,28 @@ describe('Sequences Manager', () => {
       expect(updated.name).toBe('New Name')
     })
 
-    // TODO: Add test for updating steps
-    test.todo('should recalculate duration when steps change')
+    test('should recalculate duration when steps change', async () => {
+      const id = await createSequence({
+        name: 'Test',
+        steps: [{ name: 'Step 1', duration: 60 }]
+      })
+      const sequence = await getSequence(id)
+
+      sequence.steps.push({ name: 'Step 2', duration: 90 })
+      await updateSequence(sequence)
+
+      const updated = await getSequence(id)
+      expect(updated.totalDuration).toBe(150)
+      expect(updated.steps[1].order).toBe(1)
+    })
+
+    test('should reject invalid updates', async () => {
+      const id = await createSequence({ name: 'Test', steps: [] })
+      await expect(updateSequence({ id, name: '' })).rejects.toThrow(
+        'Invalid sequence'
+      )
+      expect((await getSequence(id)).name).toBe('Test')
+    })
   })
 
   describe('deleteSequence', () => {
@@ -109,8 +217,16 @@ describe('Sequences Manager', () => {
       expect(sequences).toHaveLength(0)
     })
 
-    // TODO: Add test for cascade delete from schedule
-    test.todo('should remove sequence from schedule on delete')
+    test('should remove sequence from schedule on delete', async () => {
+      const id = await createSequence({
+        name: 'Evening',
+        steps: [{ name: 'Tidy', duration: 600 }]
+      })
+      await scheduleSequence(id, '2025-01-15', '20:00')
+      await deleteSequence(id)
+
+      expect(await getEventsForDay('2025-01-15')).toHaveLength(0)
+    })
   })
 
   describe('addStep', () => {
@@ -123,11 +239,21 @@ describe('Sequences Manager', () => {
       expect(updated.totalDuration).toBe(120)
     })
 
-    // TODO: Add test for step ordering
-    test.todo('should maintain step order when adding')
+    test('should maintain step order when adding', async () => {
+      const id = await createSequence({ name: 'Test', steps: [] })
+      await addStep(id, { name: 'First', duration: 60 })
+      const updated = await addStep(id, { name: 'Second', duration: 60 })
+
+      expect(updated.steps.map((s) => s.order)).toEqual([0, 1])
+      expect(updated.steps[0].id).not.toBe(updated.steps[1].id)
+    })
 
-    // TODO: Add test for step validation
-    test.todo('should validate step data')
+    test('should validate step data', async () => {
+      const id = await createSequence({ name: 'Test', steps: [] })
+      await expect(addStep(id, { name: '', duration: 60 })).rejects.toThrow(
+        'Invalid step'
+      )
+    })
   })
 
   describe('removeStep', () => {
@@ -146,8 +272,22 @@ describe('Sequences Manager', () => {
       expect(updated.totalDuration).toBe(120)
     })
 
-    // TODO: Add test for reordering after removal
-    test.todo('should reorder remaining steps after removal')
+    test('should reorder remaining steps after removal', async () => {
+      const id = await createSequence({
+        name: 'Test',
+        steps: [
+          { id: 'step1', name: 'Step 1', duration: 60 },
+          { id: 'step2', name: 'Step 2', duration: 120 },
+          { id: 'step3', name: 'Step 3', duration: 180 }
+        ]
+      })
+
+      const updated = await removeStep(id, 'step2')
+      expect(updated.steps.map((s) => [s.id, s.order])).toEqual([
+        ['step1', 0],
+        ['step3', 1]
+      ])
+    })
   })
 
   describe('reorderStep', () => {
@@ -167,8 +307,65 @@ describe('Sequences Manager', () => {
       expect(updated.steps[1].order).toBe(1)
     })
 
-    // TODO: Add test for invalid reorder
-    test.todo('should handle invalid reorder positions')
+    test('should handle invalid reorder positions', async () => {
+      const id = await createSequence({
+        name: 'Test',
+        steps: [
+          { id: 'step1', name: 'Step 1', duration: 60 },
+          { id: 'step2', name: 'Step 2', duration: 120 }
+        ]
+      })
+
+      let updated = await reorderStep(id, 'step1', 99)
+      expect(updated.steps.map((s) => s.id)).toEqual(['step2', 'step1'])
+
+      updated = await reorderStep(id, 'step1', -5)
+      expect(updated.steps.map((s) => s.id)).toEqual(['step1', 'step2'])
+
+      await expect(reorderStep(id, 'missing', 0)).rejects.toThrow(
+        'Step not found'
+      )
+    })
+  })
+
+  describe('importSequences', () => {
+    test('should add imports without clobbering existing IDs', async () => {
+      await createSequence({
+        id: 'seq_existing',
+        name: 'Existing',
+        steps: [{ id: 'step1', name: 'Keep', duration: 60 }]
+      })
+
+      const ids = await importSequences([
+        {
+          id: 'seq_existing',
+          name: 'Incoming',
+          steps: [{ id: 'step1', name: 'New', duration: 120 }]
+        },
+        { name: 'Second', steps: [] }
+      ])
+
+      expect(ids).toHaveLength(2)
+      expect(ids).not.toContain('seq_existing')
+      expect(new Set(ids).size).toBe(2)
+      expect((await getSequence('seq_existing')).name).toBe('Existing')
+
+      const imported = await getSequence(ids[0])
+      expect(imported.name).toBe('Incoming')
+      expect(imported.steps[0].id).not.toBe('step1')
+      expect(imported.totalDuration).toBe(120)
+      expect(await getSequences()).toHaveLength(3)
+    })
+
+    test('should import nothing if any sequence is invalid', async () => {
+      await expect(
+        importSequences([
+          { name: 'Valid', steps: [] },
+          { name: '', steps: [] }
+        ])
+      ).rejects.toThrow('Invalid sequence')
+      expect(await getSequences()).toHaveLength(0)
+    })
   })
 
   describe('cloneSequence', () => {
@@ -187,8 +384,32 @@ describe('Sequences Manager', () => {
       expect(cloned.steps).toHaveLength(1)
     })
 
-    // TODO: Add test for default clone name
-    test.todo('should use default name if not provided')
+    test('should use default name and fresh step IDs', async () => {
+      const id = await createSequence({
+        name: 'Original',
+        steps: [{ id: 'step1', name: 'Step 1', duration: 60 }]
+      })
+
+      await new Promise((resolve) => setTimeout(resolve, 10))
+      const cloned = await getSequence(await cloneSequence(id))
+      expect(cloned.name).toBe('Original (Copy)')
+      expect(cloned.steps[0].id).not.toBe('step1')
+      expect(cloned.lastUsedAt).toBeNull()
+    })
+
+    test('should keep IDs unique within the same millisecond', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000)
+      const id = await createSequence({
+        name: 'Original',
+        steps: [{ name: 'Step 1', duration: 60 }]
+      })
+      const other = await createSequence({ name: 'Other', steps: [] })
+      const clones = [await cloneSequence(id), await cloneSequence(id)]
+      jest.restoreAllMocks()
+
+      expect(new Set([id, other, ...clones]).size).toBe(4)
+      expect(await getSequences()).toHaveLength(4)
+    })
   })
 
   describe('startSequence', () => {
@@ -205,16 +426,188 @@ describe('Sequences Manager', () => {
       expect(state.currentStepIndex).toBe(0)
     })
 
-    // TODO: Add tests for timer integration
-    test.todo('should integrate with timer system')
+    test('should persist state so a reload resumes the run', async () => {
+      const id = await createSequence({
+        name: 'Test',
+        steps: [{ name: 'Step 1', duration: 60 }]
+      })
+
+      await startSequence(id, 1000)
+      const restored = await getSequenceState()
+      expect(restored.sequenceId).toBe(id)
+      expect(restored.startedAt).toBe(1000)
+      expect(await getSequenceState('other')).toBeNull()
+
+      await clearSequenceState()
+      expect(await getSequenceState()).toBeNull()
+    })
+
+    test('should throw for missing sequence', async () => {
+      await expect(startSequence('missing')).rejects.toThrow(
+        'Sequence not found'
+      )
+    })
+
+    test('should remember the schedule block it was started from', async () => {
+      const id = await createSequence({
+        name: 'Test',
+        steps: [{ name: 'Step 1', duration: 60 }]
+      })
+
+      await startSequence(id, 1000, { eventId: 42 })
+      expect((await getSequenceState()).eventId).toBe(42)
+    })
+  })
+
+  describe('recordRoutineTime', () => {
+    const steps = [
+      { name: 'Water', duration: 60 },
+      { name: 'Stretch', duration: 240 }
+    ]
+
+    test('should record actual against planned time and complete the block', async () => {
+      const id = await createSequence({ name: 'Morning', steps })
+      const eventId = await scheduleSequence(id, '2025-01-15', '07:00')
+      let state = await startSequence(id, 0, { eventId })
+      state = completeStep(state, 90000)
+      state = skipStep(state, 120000)
+
+      const stat = await recordRoutineTime(state, 500000)
+      expect(stat).toEqual({
+        sequenceId: id,
+        name: 'Morning',
+        eventId,
+        plannedDuration: 300,
+        actualDuration: 120,
+        completed: true,
+        stepsCompleted: 1,
+        stepsSkipped: 1
+      })
+      expect(await getStatsByType('routine_time')).toMatchObject([stat])
+      const [block] = await getEventsForDay('2025-01-15')
+      expect(block.completed).toBe(true)
+    })
+
+    test('should record stopped runs without completing the block', async () => {
+      const id = await createSequence({ name: 'Morning', steps })
+      const eventId = await scheduleSequence(id, '2025-01-15', '07:00')
+      const state = await startSequence(id, 0, { eventId })
+
+      const stat = await recordRoutineTime(state, 30000)
+      expect(stat).toMatchObject({ completed: false, actualDuration: 30 })
+      const [block] = await getEventsForDay('2025-01-15')
+      expect(block.completed).toBeFalsy()
+    })
+
+    test('should tolerate a block deleted during the run', async () => {
+      const id = await createSequence({ name: 'Morning', steps: [steps[0]] })
+      let state = await startSequence(id, 0, { eventId: 999 })
+      state = completeStep(state, 60000)
+
+      await expect(recordRoutineTime(state, 60000)).resolves.toMatchObject({
+        completed: true
+      })
+    })
+  })
+
+  describe('runner engine', () => {
+    const sequence = {
+      id: 'seq_test',
+      name: 'Morning',
+      steps: [
+        { id: 'a', name: 'Water', duration: 30 },
+        { id: 'b', name: 'Meds', duration: 90 },
+        { id: 'c', name: 'Stretch', duration: 300 }
+      ]
+    }
+
+    test('should count down the current step from the clock', () => {
+      const state = createRunState(sequence, 0)
+      const times = getRunTimes(state, 10000)
+
+      expect(times.stepElapsed).toBe(10)
+      expect(times.stepRemaining).toBe(20)
+      expect(times.totalElapsed).toBe(10)
+      expect(times.totalPlanned).toBe(420)
+      expect(times.isOvertime).toBe(false)
+    })
+
+    test('should report overtime instead of auto-advancing', () => {
+      const state = createRunState(sequence, 0)
+      const times = getRunTimes(state, 45000)
+
+      expect(times.stepRemaining).toBe(-15)
+      expect(times.isOvertime).toBe(true)
+      expect(state.currentStepIndex).toBe(0)
+    })
+
+    test('should support pause and resume', () => {
+      let state = createRunState(sequence, 0)
+      state = pauseRun(state, 5000)
+      expect(state.isPaused).toBe(true)
+      expect(getRunTimes(state, 60000).stepElapsed).toBe(5)
+
+      state = resumeRun(state, 60000)
+      expect(state.isPaused).toBe(false)
+      expect(getRunTimes(state, 62000).stepElapsed).toBe(7)
+    })
+
+    test('should advance to next step on completion', () => {
+      let state = createRunState(sequence, 0)
+      state = completeStep(state, 20000)
+
+      expect(state.currentStepIndex).toBe(1)
+      expect(state.log).toEqual([
+        expect.objectContaining({
+          stepId: 'a',
+          status: 'completed',
+          duration: 20,
+          planned: 30
+        })
+      ])
+      expect(getRunTimes(state, 25000).stepElapsed).toBe(5)
+    })
+
+    test('should skip and go back to a step', () => {
+      let state = createRunState(sequence, 0)
+      state = skipStep(state, 1000)
+      expect(state.log[0].status).toBe('skipped')
+
+      state = previousStep(state, 2000)
+      expect(state.currentStepIndex).toBe(0)
+      expect(state.log).toHaveLength(0)
+      expect(getRunTimes(state, 2000).stepElapsed).toBe(0)
+    })
+
+    test('should extend the current step', () => {
+      let state = createRunState(sequence, 0)
+      state = extendStep(state, 60)
+      const times = getRunTimes(state, 45000)
 
-    // TODO: Add tests for pause/resume
-    test.todo('should support pause and resume')
+      expect(times.stepDuration).toBe(90)
+      expect(times.isOvertime).toBe(false)
+      expect(times.totalPlanned).toBe(480)
+    })
+
+    test('should handle sequence completion', () => {
+      let state = createRunState(sequence, 0)
+      state = completeStep(state, 30000)
+      state = completeStep(state, 120000)
+      state = completeStep(state, 420000)
+
+      expect(state.isRunning).toBe(false)
+      expect(state.completedAt).toBe(420000)
+      expect(state.log).toHaveLength(3)
+      expect(getRunTimes(state, 500000).progress).toBe(100)
+      expect(getRunTimes(state, 500000).totalElapsed).toBe(420)
+    })
 
-    // TODO: Add tests for step completion
-    test.todo('should advance to next step on completion')
+    test('should keep time paused across a persisted reload', async () => {
+      const paused = pauseRun(createRunState(sequence, 0), 12000)
+      await saveSequenceState(paused)
 
-    // TODO: Add tests for sequence completion
-    test.todo('should handle sequence completion')
+      const restored = await getSequenceState()
+      expect(getRunTimes(restored, 999999).stepElapsed).toBe(12)
+    })
   })
 })
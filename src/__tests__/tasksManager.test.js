@@ -0,0 +1,624 @@
+// Test suite for Tasks Manager
+
+import 'fake-indexeddb/auto'
+import {
+  getTasks,
+  findTask,
+  setTaskCompleted,
+  getTaskMetadataError,
+  getDueStatus,
+  getSubtaskProgress,
+  getTaskRecurrenceErrors,
+  getNextDueDate,
+  createNextInstance,
+  recordTaskCompletion,
+  describeTaskRecurrence,
+  saveTaskChanges,
+  getAdjacentQuadrant,
+  getArchiveAfterDays,
+  setArchiveAfterDays,
+  getTasksToArchive,
+  saveToArchive,
+  getArchivedTasks,
+  removeFromArchive,
+  fromArchive,
+  searchArchive,
+  placeTask,
+  applyArchiveSnapshot
+} from '../utils/tasksManager'
+import {
+  getStatsByType,
+  getAll,
+  clear,
+  STORES,
+  LEGACY_TASKS_KEY
+} from '../utils/indexedDBManager'
+
+describe('Tasks Manager', () => {
+  beforeEach(async () => {
+    localStorage.clear()
+    await clear(STORES.TASKS)
+  })
+
+  test('returns every quadrant, even when nothing is stored', async () => {
+    expect(await getTasks()).toEqual({
+      urgent_important: [],
+      not_urgent_important: [],
+      urgent_not_important: [],
+      not_urgent_not_important: []
+    })
+  })
+
+  test('finds and completes tasks in their quadrant', async () => {
+    localStorage.setItem(
+      LEGACY_TASKS_KEY,
+      JSON.stringify({
+        not_urgent_important: [{ id: 'a', text: 'Plan', completed: false }]
+      })
+    )
+
+    expect((await findTask('a')).quadrant).toBe('not_urgent_important')
+    expect(await findTask('missing')).toBeNull()
+
+    const task = await setTaskCompleted('a')
+    expect(task).toMatchObject({ completed: true })
+    expect(task.completedAt).toEqual(expect.any(Number))
+    expect((await getTasks()).not_urgent_important[0].completed).toBe(true)
+
+    expect((await setTaskCompleted('a', false)).completedAt).toBeNull()
+    await expect(setTaskCompleted('missing')).rejects.toThrow('Task not found')
+  })
+
+  test('completing a task sent from a note ticks its item there', async () => {
+    localStorage.setItem(
+      'brainDumpEntries',
+      JSON.stringify([
+        { id: 'n1', title: 'Plans', content: '- [ ] Plan <!-- task:a -->' }
+      ])
+    )
+    localStorage.setItem(
+      LEGACY_TASKS_KEY,
+      JSON.stringify({
+        urgent_important: [
+          { id: 'a', text: 'Plan', completed: false, noteId: 'n1' }
+        ]
+      })
+    )
+
+    await setTaskCompleted('a')
+    expect(
+      JSON.parse(localStorage.getItem('brainDumpEntries'))[0].content
+    ).toBe('- [x] Plan <!-- task:a -->')
+  })
+
+  test('migrates the legacy localStorage blob into records once', async () => {
+    localStorage.setItem(
+      LEGACY_TASKS_KEY,
+      JSON.stringify({
+        urgent_important: [
+          { id: 'a', text: 'First' },
+          { id: 'b', text: 'Second' }
+        ],
+        urgent_not_important: [{ id: 'c', text: 'Call back' }]
+      })
+    )
+
+    const tasks = await getTasks()
+    expect(tasks.urgent_important.map((t) => t.text)).toEqual([
+      'First',
+      'Second'
+    ])
+    expect(tasks.urgent_not_important).toEqual([{ id: 'c', text: 'Call back' }])
+    expect(localStorage.getItem(LEGACY_TASKS_KEY)).toBeNull()
+
+    const records = await getAll(STORES.TASKS)
+    expect(records).toHaveLength(3)
+    expect(records.find((r) => r.id === 'b')).toMatchObject({
+      quadrant: 'urgent_important',
+      order: 1
+    })
+  })
+
+  test('leaves an unreadable legacy blob in place', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation()
+    localStorage.setItem(LEGACY_TASKS_KEY, 'invalid json')
+
+    expect((await getTasks()).urgent_important).toEqual([])
+    expect(localStorage.getItem(LEGACY_TASKS_KEY)).toBe('invalid json')
+    consoleError.mockRestore()
+  })
+
+  test('saveTaskChanges writes only changed, moved and removed tasks', async () => {
+    const a = { id: 'a', text: 'A' }
+    const b = { id: 'b', text: 'B' }
+    const c = { id: 'c', text: 'C' }
+    const empty = {
+      urgent_important: [],
+      not_urgent_important: [],
+      urgent_not_important: [],
+      not_urgent_not_important: []
+    }
+    const initial = { ...empty, urgent_important: [a, b, c] }
+    expect(await saveTaskChanges(empty, initial)).toBe(3)
+
+    // Editing one task rewrites just that record
+    const edited = {
+      ...initial,
+      urgent_important: [a, { ...b, text: 'B2' }, c]
+    }
+    expect(await saveTaskChanges(initial, edited)).toBe(1)
+
+    // Moving C to another quadrant and deleting A
+    const moved = {
+      ...edited,
+      urgent_important: [edited.urgent_important[1]],
+      not_urgent_not_important: [c]
+    }
+    expect(await saveTaskChanges(edited, moved)).toBe(3)
+
+    expect(await getTasks()).toEqual({
+      ...empty,
+      urgent_important: [{ id: 'b', text: 'B2' }],
+      not_urgent_not_important: [c]
+    })
+  })
+})
+
+describe('getAdjacentQuadrant', () => {
+  test('follows the 2×2 layout of the matrix', () => {
+    expect(getAdjacentQuadrant('urgent_important', 'right')).toBe(
+      'not_urgent_important'
+    )
+    expect(getAdjacentQuadrant('urgent_important', 'down')).toBe(
+      'urgent_not_important'
+    )
+    expect(getAdjacentQuadrant('not_urgent_not_important', 'up')).toBe(
+      'not_urgent_important'
+    )
+    expect(getAdjacentQuadrant('not_urgent_not_important', 'left')).toBe(
+      'urgent_not_important'
+    )
+  })
+
+  test('returns null at the edge of the matrix', () => {
+    expect(getAdjacentQuadrant('urgent_important', 'up')).toBeNull()
+    expect(getAdjacentQuadrant('urgent_important', 'left')).toBeNull()
+    expect(getAdjacentQuadrant('not_urgent_not_important', 'right')).toBeNull()
+    expect(getAdjacentQuadrant('urgent_not_important', 'down')).toBeNull()
+  })
+})
+
+describe('placeTask', () => {
+  const a = { id: 'a', text: 'A' }
+  const b = { id: 'b', text: 'B' }
+  const c = { id: 'c', text: 'C' }
+  const tasks = { urgent_important: [a, b], not_urgent_important: [c] }
+
+  test('removes a task for a null snapshot', () => {
+    expect(placeTask(tasks, 'a', null)).toEqual({
+      urgent_important: [b],
+      not_urgent_important: [c]
+    })
+  })
+
+  test('puts a whole task back at its index', () => {
+    const removed = placeTask(tasks, 'a', null)
+    expect(
+      placeTask(removed, 'a', {
+        quadrant: 'urgent_important',
+        index: 0,
+        task: a
+      })
+    ).toEqual(tasks)
+  })
+
+  test('moves the current task, keeping changes made since', () => {
+    const edited = placeTask(tasks, 'c', { changes: { text: 'C2' } })
+    expect(
+      placeTask(edited, 'c', { quadrant: 'urgent_important', index: 1 })
+    ).toEqual({
+      urgent_important: [a, { id: 'c', text: 'C2' }, b],
+      not_urgent_important: []
+    })
+  })
+
+  test('leaves the matrix alone when the task is gone', () => {
+    expect(placeTask(tasks, 'x', { changes: { text: 'X' } })).toBe(tasks)
+    expect(placeTask(tasks, 'x', null)).toBe(tasks)
+  })
+
+  test('applies a bulk change in one go', () => {
+    const removed = placeTask(tasks, null, {
+      batch: [
+        { id: 'a', snapshot: null },
+        { id: 'c', snapshot: null }
+      ]
+    })
+    expect(removed).toEqual({
+      urgent_important: [b],
+      not_urgent_important: []
+    })
+    expect(
+      placeTask(removed, null, {
+        batch: [
+          {
+            id: 'a',
+            snapshot: { quadrant: 'urgent_important', index: 0, task: a }
+          },
+          {
+            id: 'c',
+            snapshot: { quadrant: 'not_urgent_important', index: 0, task: c }
+          }
+        ]
+      })
+    ).toEqual(tasks)
+  })
+})
+
+describe('task archive', () => {
+  const DAY = 24 * 60 * 60 * 1000
+  const now = new Date(2024, 5, 20, 12).getTime()
+
+  beforeEach(async () => {
+    localStorage.clear()
+    await clear(STORES.TASK_ARCHIVE)
+  })
+
+  test('archives after 7 days by default and stores the chosen delay', () => {
+    expect(getArchiveAfterDays()).toBe(7)
+    setArchiveAfterDays(0)
+    expect(getArchiveAfterDays()).toBe(0)
+    expect(() => setArchiveAfterDays(5)).toThrow('Archive delay')
+  })
+
+  test('picks completed tasks older than the delay', () => {
+    const old = {
+      id: 'old',
+      text: 'Old',
+      completed: true,
+      completedAt: now - 8 * DAY
+    }
+    const recent = {
+      id: 'recent',
+      text: 'Recent',
+      completed: true,
+      completedAt: now - 2 * DAY
+    }
+    const open = { id: 'open', text: 'Open', completed: false }
+    const undated = { id: 'undated', text: 'Undated', completed: true }
+    const tasks = {
+      urgent_important: [old, open],
+      not_urgent_important: [recent, undated]
+    }
+
+    expect(getTasksToArchive(tasks, 7, now)).toEqual([
+      { task: old, quadrant: 'urgent_important' }
+    ])
+    expect(getTasksToArchive(tasks, 1, now)).toHaveLength(2)
+    expect(getTasksToArchive(tasks, 0, now)).toEqual([])
+
+    // Restoring a task from the archive restarts its delay
+    const restored = { ...old, restoredAt: now - DAY }
+    expect(getTasksToArchive({ urgent_important: [restored] }, 7, now)).toEqual(
+      []
+    )
+  })
+
+  test('stores, lists and removes archived tasks', async () => {
+    const task = { id: 'a', text: 'Report', completed: true, completedAt: 1 }
+    await saveToArchive([{ task, quadrant: 'urgent_not_important' }], 100)
+    await saveToArchive(
+      [{ task: { ...task, id: 'b' }, quadrant: 'urgent_important' }],
+      200
+    )
+
+    const archived = await getArchivedTasks()
+    expect(archived.map((record) => record.id)).toEqual(['b', 'a'])
+    expect(fromArchive(archived[1])).toEqual({
+      task,
+      quadrant: 'urgent_not_important'
+    })
+
+    await removeFromArchive(['a'])
+    expect((await getArchivedTasks()).map((record) => record.id)).toEqual(['b'])
+  })
+
+  test('archives and unarchives the tasks of a bulk snapshot', async () => {
+    const task = { id: 'a', text: 'Report', completed: true, completedAt: 1 }
+    expect(await applyArchiveSnapshot(null)).toBe(false)
+    expect(await applyArchiveSnapshot({ changes: { text: 'X' } })).toBe(false)
+
+    await expect(
+      applyArchiveSnapshot({
+        batch: [{ id: 'a', snapshot: null }],
+        archive: [{ task, quadrant: 'urgent_important' }]
+      })
+    ).resolves.toBe(true)
+    expect((await getArchivedTasks()).map((record) => record.id)).toEqual(['a'])
+
+    await applyArchiveSnapshot({
+      batch: [
+        { id: 'a', snapshot: { quadrant: 'urgent_important', index: 0, task } }
+      ],
+      unarchive: true
+    })
+    expect(await getArchivedTasks()).toEqual([])
+  })
+
+  test('searches by text, tag, quadrant and completion date', () => {
+    const records = [
+      {
+        id: 'a',
+        text: 'Pay rent',
+        quadrant: 'urgent_important',
+        completedAt: new Date(2024, 5, 1, 9).getTime(),
+        archivedAt: now
+      },
+      {
+        id: 'b',
+        text: 'Read book',
+        tags: [{ label: 'Leisure', color: 'blue' }],
+        quadrant: 'not_urgent_important',
+        completedAt: new Date(2024, 5, 10, 9).getTime(),
+        archivedAt: now
+      }
+    ]
+    const ids = (filters) =>
+      searchArchive(records, filters).map((record) => record.id)
+
+    expect(ids()).toEqual(['a', 'b'])
+    expect(ids({ query: 'RENT' })).toEqual(['a'])
+    expect(ids({ query: 'leisure' })).toEqual(['b'])
+    expect(ids({ quadrant: 'not_urgent_important' })).toEqual(['b'])
+    expect(ids({ from: '2024-06-02' })).toEqual(['b'])
+    expect(ids({ to: '2024-06-01' })).toEqual(['a'])
+  })
+})
+
+describe('task metadata', () => {
+  test('accepts tasks without metadata and with valid metadata', () => {
+    expect(getTaskMetadataError({ id: 'a', text: 'Old task' })).toBeNull()
+    expect(
+      getTaskMetadataError({
+        dueDate: '2025-03-01',
+        dueTime: '23:59',
+        estimate: 30,
+        notes: '- [ ] step',
+        tags: [{ label: 'home', color: 'purple' }]
+      })
+    ).toBeNull()
+  })
+
+  test('reports the first invalid field', () => {
+    expect(getTaskMetadataError({ dueDate: '03/01/2025' })).toMatch(/Due dates/)
+    expect(
+      getTaskMetadataError({ dueDate: '2025-03-01', dueTime: '24:00' })
+    ).toMatch(/Due times/)
+    expect(getTaskMetadataError({ estimate: 12.5 })).toMatch(/Estimates/)
+    expect(getTaskMetadataError({ notes: 5 })).toMatch(/notes must be text/)
+    expect(
+      getTaskMetadataError({
+        tags: Array.from({ length: 11 }, (_, i) => ({
+          label: `t${i}`,
+          color: 'red'
+        }))
+      })
+    ).toMatch(/at most 10/)
+    expect(
+      getTaskMetadataError({ tags: [{ label: ' ', color: 'red' }] })
+    ).toMatch(/Tags need a label/)
+  })
+
+  test('checks subtasks and counts their progress', () => {
+    const subtasks = [
+      { id: 'a', text: 'Dishes', completed: true },
+      { id: 'b', text: 'Floor', completed: false }
+    ]
+    expect(getTaskMetadataError({ subtasks, autoComplete: true })).toBeNull()
+    expect(getTaskMetadataError({ subtasks: [{ id: 'a' }] })).toMatch(
+      /Subtasks have incorrect structure/
+    )
+    expect(getTaskMetadataError({ autoComplete: 'yes' })).toMatch(
+      /Auto-complete/
+    )
+
+    expect(getSubtaskProgress({ subtasks })).toEqual({ done: 1, total: 2 })
+    expect(getSubtaskProgress({})).toEqual({ done: 0, total: 0 })
+  })
+
+  test('works out whether an open task is overdue or due today', () => {
+    const today = '2025-03-10'
+    expect(getDueStatus({ dueDate: '2025-03-09' }, today)).toBe('overdue')
+    expect(getDueStatus({ dueDate: '2025-03-10' }, today)).toBe('today')
+    expect(getDueStatus({ dueDate: '2025-03-11' }, today)).toBeNull()
+    expect(getDueStatus({ dueDate: null }, today)).toBeNull()
+    expect(
+      getDueStatus({ dueDate: '2025-03-09', completed: true }, today)
+    ).toBeNull()
+  })
+})
+
+describe('recurring tasks', () => {
+  const weekly = {
+    freq: 'weekly',
+    interval: 1,
+    byWeekday: [1, 4],
+    start: '2025-03-03'
+  }
+
+  test('validates task repeat rules', () => {
+    expect(getTaskRecurrenceErrors(weekly)).toEqual([])
+    expect(
+      getTaskRecurrenceErrors({ freq: 'after_completion', interval: 200 })
+    ).toEqual([])
+    expect(
+      getTaskRecurrenceErrors({ freq: 'after_completion', interval: 400 })
+    ).toEqual(['Repeat interval must be between 1 and 365'])
+    expect(getTaskRecurrenceErrors({ freq: 'weekly', byWeekday: [] })).toEqual([
+      'Pick at least one weekday'
+    ])
+    expect(getTaskMetadataError({ recurrence: { freq: 'hourly' } })).toBe(
+      'Invalid repeat: Unknown repeat frequency.'
+    )
+    expect(getTaskMetadataError({ history: [{ dueDate: 'x' }] })).toMatch(
+      /history/
+    )
+  })
+
+  test('finds the next due date on a calendar cadence', () => {
+    // Due Monday, done on time: next is Thursday
+    expect(
+      getNextDueDate(
+        { dueDate: '2025-03-03', recurrence: weekly },
+        '2025-03-03'
+      )
+    ).toBe('2025-03-06')
+    // Done late (Saturday): skip the missed Thursday
+    expect(
+      getNextDueDate(
+        { dueDate: '2025-03-06', recurrence: weekly },
+        '2025-03-15'
+      )
+    ).toBe('2025-03-17')
+    // Done early: still the occurrence after the due date
+    expect(
+      getNextDueDate(
+        {
+          dueDate: '2025-03-31',
+          recurrence: {
+            freq: 'monthly',
+            monthlyBy: 'date',
+            start: '2025-01-31'
+          }
+        },
+        '2025-03-20'
+      )
+    ).toBe('2025-05-31')
+    expect(
+      getNextDueDate(
+        { dueDate: null, recurrence: { freq: 'daily', interval: 2 } },
+        '2025-03-10'
+      )
+    ).toBe('2025-03-12')
+  })
+
+  test('counts days after completion and stops when a rule ends', () => {
+    expect(
+      getNextDueDate(
+        {
+          dueDate: '2025-03-01',
+          recurrence: { freq: 'after_completion', interval: 10 }
+        },
+        '2025-03-05'
+      )
+    ).toBe('2025-03-15')
+    expect(
+      getNextDueDate(
+        {
+          dueDate: '2025-03-06',
+          recurrence: { ...weekly, until: '2025-03-09' }
+        },
+        '2025-03-06'
+      )
+    ).toBeNull()
+  })
+
+  test('creates the next instance with reopened subtasks and history', () => {
+    const completedAt = new Date(2025, 2, 3, 18, 0).getTime()
+    const task = {
+      id: 'first',
+      text: 'Water plants',
+      completed: true,
+      completedAt,
+      createdAt: 1,
+      dueDate: '2025-03-03',
+      dueTime: '08:00',
+      notes: 'Ferns too',
+      tags: [{ label: 'home', color: 'green' }],
+      subtasks: [{ id: 's', text: 'Balcony', completed: true, completedAt }],
+      recurrence: weekly
+    }
+
+    const next = createNextInstance(task, completedAt)
+    expect(next).toMatchObject({
+      text: 'Water plants',
+      completed: false,
+      completedAt: null,
+      createdAt: completedAt,
+      dueDate: '2025-03-06',
+      dueTime: '08:00',
+      notes: 'Ferns too',
+      tags: task.tags,
+      recurrence: weekly,
+      seriesId: 'first',
+      history: [{ taskId: 'first', dueDate: '2025-03-03', completedAt }]
+    })
+    expect(next.id).not.toBe('first')
+    expect(next.subtasks).toEqual([
+      expect.objectContaining({ text: 'Balcony', completed: false })
+    ])
+    expect(next.subtasks[0].id).not.toBe('s')
+
+    const third = createNextInstance(
+      { ...next, nextInstanceId: 'x' },
+      completedAt + 3 * 86400000
+    )
+    expect(third.seriesId).toBe('first')
+    expect(third.history).toHaveLength(2)
+    expect(third).not.toHaveProperty('nextInstanceId')
+
+    // Only the instance sent from a note stays linked to its item
+    expect(
+      createNextInstance({ ...task, noteId: 'n1' }, completedAt)
+    ).not.toHaveProperty('noteId')
+  })
+
+  test('describes repeat rules', () => {
+    expect(describeTaskRecurrence(weekly)).toBe('Weekly on Mon, Thu')
+    expect(
+      describeTaskRecurrence({ freq: 'after_completion', interval: 1 })
+    ).toBe('1 day after completion')
+    expect(
+      describeTaskRecurrence({ freq: 'after_completion', interval: 3 })
+    ).toBe('3 days after completion')
+  })
+
+  test('records each completion in stats', async () => {
+    await clear(STORES.STATS)
+    const task = {
+      id: 'b',
+      text: 'Stretch',
+      dueDate: '2025-03-03',
+      seriesId: 'a',
+      recurrence: weekly
+    }
+
+    await recordTaskCompletion(
+      task,
+      'urgent_important',
+      new Date(2025, 2, 3, 9).getTime()
+    )
+    await recordTaskCompletion(
+      { id: 'c', text: 'One-off', dueDate: '2025-03-01' },
+      'urgent_not_important',
+      new Date(2025, 2, 3, 9).getTime()
+    )
+
+    const stats = await getStatsByType('task_completion')
+    expect(stats).toEqual([
+      expect.objectContaining({
+        taskId: 'b',
+        seriesId: 'a',
+        quadrant: 'urgent_important',
+        onTime: true,
+        recurring: true
+      }),
+      expect.objectContaining({
+        taskId: 'c',
+        seriesId: null,
+        onTime: false,
+        recurring: false
+      })
+    ])
+  })
+})
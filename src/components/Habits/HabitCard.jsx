@@ -0,0 +1,176 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import HabitHeatmap from './HabitHeatmap'
+import HabitProgress from './HabitProgress'
+import { calculateStreaks } from '../../utils/habitsManager'
+import {
+  describeSchedule,
+  getSchedule,
+  getPeriodProgress,
+  getRestTokenBalance
+} from '../../utils/habitSchedule'
+import { isMeasured, isEntryComplete } from '../../utils/habitProgress'
+import { toDateKey } from '../../utils/dateUtils'
+
+/**
+ * TAB-HAB-03: Habit card with today's check-in, streaks and history
+ * TAB-HAB-08: `options` carries vacations and rest token settings
+ */
+function HabitCard({
+  habit,
+  entries,
+  options = {},
+  onCheckIn,
+  onUndo,
+  onLog,
+  onEdit,
+  onPause,
+  onArchive,
+  onDelete
+}) {
+  const today = toDateKey()
+  const { current, longest } = calculateStreaks(habit, entries, today, options)
+  const tokens = getRestTokenBalance(habit, entries, today, options)
+  const todayEntry = entries.find((entry) => entry.date === today)
+  const doneToday = isEntryComplete(habit, todayEntry)
+  const checkIns = entries.filter((entry) => isEntryComplete(habit, entry))
+  const inactive = habit.paused || habit.archived
+  const progress = getPeriodProgress(habit, entries, today)
+
+  return (
+    <div className={`card habit-card ${inactive ? 'inactive' : ''}`}>
+      <div className='card-h'>
+        <div>
+          <strong>{habit.name}</strong>
+          {habit.paused && <span className='habit-badge'>Paused</span>}
+          {habit.archived && <span className='habit-badge'>Archived</span>}
+          <p className='small'>
+            {describeSchedule(getSchedule(habit))}
+            {progress &&
+              ` · ${progress.count}/${progress.target} this ${progress.period}`}
+          </p>
+          {habit.description && <p className='small'>{habit.description}</p>}
+        </div>
+        {doneToday ? (
+          <button
+            className='btn habit-check done'
+            onClick={() => onUndo(habit.id)}
+            aria-label={`Undo today's check-in for ${habit.name}`}
+          >
+            ✓ Done today · Undo
+          </button>
+        ) : (
+          <button
+            className='btn btn-primary habit-check'
+            onClick={() => onCheckIn(habit.id)}
+            disabled={inactive}
+            aria-label={`Check in ${habit.name} for today`}
+          >
+            Check in
+          </button>
+        )}
+      </div>
+      <div className='card-b'>
+        <div className='habit-stats'>
+          <span>
+            <strong>{current}</strong> <span className='small'>streak</span>
+          </span>
+          <span>
+            <strong>{longest}</strong> <span className='small'>longest</span>
+          </span>
+          <span>
+            <strong>{checkIns.length}</strong>{' '}
+            <span className='small'>check-ins</span>
+          </span>
+          {options.restTokens?.earnEvery > 0 && (
+            <span title='Rest tokens bridge a missed day without breaking the streak'>
+              <strong>{tokens}</strong>{' '}
+              <span className='small'>
+                rest {tokens === 1 ? 'token' : 'tokens'}
+              </span>
+            </span>
+          )}
+        </div>
+        {isMeasured(habit) && (
+          <HabitProgress
+            habit={habit}
+            entry={todayEntry}
+            onLog={(amount) => onLog(habit.id, amount)}
+            onReset={() => onUndo(habit.id)}
+            disabled={inactive}
+          />
+        )}
+        <HabitHeatmap
+          habit={habit}
+          entries={entries}
+          today={today}
+          options={options}
+        />
+        <div className='habit-actions'>
+          <button
+            className='btn'
+            onClick={() => onEdit(habit)}
+            aria-label={`Edit habit ${habit.name}`}
+          >
+            Edit
+          </button>
+          {!habit.archived && (
+            <button
+              className='btn'
+              onClick={() => onPause(habit.id, !habit.paused)}
+              aria-label={`${habit.paused ? 'Resume' : 'Pause'} habit ${habit.name}`}
+            >
+              {habit.paused ? 'Resume' : 'Pause'}
+            </button>
+          )}
+          <button
+            className='btn'
+            onClick={() => onArchive(habit.id, !habit.archived)}
+            aria-label={`${habit.archived ? 'Restore' : 'Archive'} habit ${habit.name}`}
+          >
+            {habit.archived ? 'Restore' : 'Archive'}
+          </button>
+          {habit.archived && (
+            <button
+              className='btn'
+              onClick={() => onDelete(habit)}
+              aria-label={`Delete habit ${habit.name}`}
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+HabitCard.propTypes = {
+  habit: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    name: PropTypes.string.isRequired,
+    description: PropTypes.string,
+    paused: PropTypes.bool,
+    archived: PropTypes.bool,
+    schedule: PropTypes.object,
+    kind: PropTypes.string,
+    target: PropTypes.number
+  }).isRequired,
+  entries: PropTypes.array.isRequired,
+  options: PropTypes.shape({
+    vacations: PropTypes.array,
+    restTokens: PropTypes.shape({
+      earnEvery: PropTypes.number,
+      max: PropTypes.number
+    })
+  }),
+  onCheckIn: PropTypes.func.isRequired,
+  onUndo: PropTypes.func.isRequired,
+  onLog: PropTypes.func.isRequired,
+  onEdit: PropTypes.func.isRequired,
+  onPause: PropTypes.func.isRequired,
+  onArchive: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+}
+
+export default HabitCard
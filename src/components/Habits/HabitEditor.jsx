@@ -0,0 +1,269 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import Modal from '../common/Modal'
+import {
+  SCHEDULE_TYPES,
+  SCHEDULE_PERIODS,
+  validateSchedule
+} from '../../utils/habitSchedule'
+import { HABIT_KINDS, validateMeasure } from '../../utils/habitProgress'
+
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+]
+
+/**
+ * Build a schedule object from the form fields
+ * @param {object} fields - Form state
+ * @returns {object} Schedule
+ */
+function buildSchedule({ type, days, count, period, every }) {
+  switch (type) {
+    case SCHEDULE_TYPES.WEEKDAYS:
+      return { type, days: [...days].sort((a, b) => a - b) }
+    case SCHEDULE_TYPES.PER_PERIOD:
+      return { type, count: Number(count), period }
+    case SCHEDULE_TYPES.INTERVAL:
+      return { type, every: Number(every) }
+    default:
+      return { type: SCHEDULE_TYPES.DAILY }
+  }
+}
+
+/**
+ * TAB-HAB-01: Create/edit habit form
+ * TAB-HAB-05: Includes the habit's schedule
+ * TAB-HAB-06: Measured habits get a daily target (and unit for counts)
+ */
+function HabitEditor({ habit, onSave, onClose }) {
+  const initial = habit?.schedule || { type: SCHEDULE_TYPES.DAILY }
+  const [name, setName] = useState(habit?.name || '')
+  const [description, setDescription] = useState(habit?.description || '')
+  const [kind, setKind] = useState(habit?.kind || HABIT_KINDS.CHECK)
+  const [target, setTarget] = useState(habit?.target ?? '')
+  const [unit, setUnit] = useState(habit?.unit || '')
+  const [schedule, setSchedule] = useState({
+    type: initial.type,
+    days: initial.days || [1, 3, 5],
+    count: initial.count || 3,
+    period: initial.period || 'week',
+    every: initial.every || 2
+  })
+
+  const built = buildSchedule(schedule)
+  const measure =
+    kind === HABIT_KINDS.CHECK
+      ? { kind, target: null, unit: '' }
+      : {
+          kind,
+          target: target === '' ? null : Number(target),
+          unit: kind === HABIT_KINDS.QUANTITY ? unit.trim() : ''
+        }
+  const formErrors = [...validateMeasure(measure), ...validateSchedule(built)]
+  const valid = name.trim() && formErrors.length === 0
+
+  const changeSchedule = (updates) => setSchedule({ ...schedule, ...updates })
+
+  const toggleDay = (day) => {
+    changeSchedule({
+      days: schedule.days.includes(day)
+        ? schedule.days.filter((d) => d !== day)
+        : [...schedule.days, day]
+    })
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!valid) return
+    onSave({
+      name: name.trim(),
+      description: description.trim(),
+      ...measure,
+      schedule: built
+    })
+  }
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title={habit ? 'Edit Habit' : 'New Habit'}
+      className='habit-editor'
+    >
+      <form onSubmit={handleSubmit}>
+        <div className='habit-field'>
+          <label htmlFor='habit-name'>Name</label>
+          <input
+            id='habit-name'
+            className='habit-input'
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder='e.g. Drink water'
+            required
+          />
+        </div>
+        <div className='habit-field'>
+          <label htmlFor='habit-description'>Description</label>
+          <textarea
+            id='habit-description'
+            className='habit-input'
+            rows={2}
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+          />
+        </div>
+        <div className='habit-field'>
+          <label htmlFor='habit-kind'>Tracking</label>
+          <select
+            id='habit-kind'
+            className='habit-input'
+            value={kind}
+            onChange={(e) => setKind(e.target.value)}
+          >
+            <option value={HABIT_KINDS.CHECK}>Check off</option>
+            <option value={HABIT_KINDS.QUANTITY}>Count towards a target</option>
+            <option value={HABIT_KINDS.TIMED}>Timed (minutes)</option>
+          </select>
+        </div>
+
+        {kind !== HABIT_KINDS.CHECK && (
+          <div className='habit-field habit-inline'>
+            <input
+              type='number'
+              min={0}
+              step='any'
+              className='habit-input habit-number'
+              value={target}
+              onChange={(e) => setTarget(e.target.value)}
+              aria-label='Daily target'
+            />
+            {kind === HABIT_KINDS.QUANTITY ? (
+              <input
+                className='habit-input'
+                value={unit}
+                onChange={(e) => setUnit(e.target.value)}
+                placeholder='unit, e.g. glasses'
+                aria-label='Unit'
+              />
+            ) : (
+              <span>minutes</span>
+            )}
+            <span>per day</span>
+          </div>
+        )}
+
+        <div className='habit-field'>
+          <label htmlFor='habit-schedule'>Schedule</label>
+          <select
+            id='habit-schedule'
+            className='habit-input'
+            value={schedule.type}
+            onChange={(e) => changeSchedule({ type: e.target.value })}
+          >
+            <option value={SCHEDULE_TYPES.DAILY}>Every day</option>
+            <option value={SCHEDULE_TYPES.WEEKDAYS}>Specific weekdays</option>
+            <option value={SCHEDULE_TYPES.PER_PERIOD}>
+              A number of times per period
+            </option>
+            <option value={SCHEDULE_TYPES.INTERVAL}>Every few days</option>
+          </select>
+        </div>
+
+        {schedule.type === SCHEDULE_TYPES.WEEKDAYS && (
+          <fieldset className='habit-weekdays'>
+            <legend className='sr-only'>Weekdays</legend>
+            {WEEKDAYS.map((day) => (
+              <label key={day.value} className='habit-weekday'>
+                <input
+                  type='checkbox'
+                  checked={schedule.days.includes(day.value)}
+                  onChange={() => toggleDay(day.value)}
+                />
+                {day.label}
+              </label>
+            ))}
+          </fieldset>
+        )}
+
+        {schedule.type === SCHEDULE_TYPES.PER_PERIOD && (
+          <div className='habit-field habit-inline'>
+            <input
+              type='number'
+              min={1}
+              max={schedule.period === 'month' ? 31 : 7}
+              className='habit-input habit-number'
+              value={schedule.count}
+              onChange={(e) => changeSchedule({ count: e.target.value })}
+              aria-label='Times per period'
+            />
+            <span>times per</span>
+            <select
+              className='habit-input'
+              value={schedule.period}
+              onChange={(e) => changeSchedule({ period: e.target.value })}
+              aria-label='Period'
+            >
+              {SCHEDULE_PERIODS.map((period) => (
+                <option key={period} value={period}>
+                  {period}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {schedule.type === SCHEDULE_TYPES.INTERVAL && (
+          <div className='habit-field habit-inline'>
+            <span>Every</span>
+            <input
+              type='number'
+              min={1}
+              max={365}
+              className='habit-input habit-number'
+              value={schedule.every}
+              onChange={(e) => changeSchedule({ every: e.target.value })}
+              aria-label='Interval in days'
+            />
+            <span>days</span>
+          </div>
+        )}
+
+        {formErrors.length > 0 && (
+          <p className='habit-error' role='alert'>
+            {formErrors.join('. ')}
+          </p>
+        )}
+
+        <div className='modal-footer'>
+          <button type='button' className='btn' onClick={onClose}>
+            Cancel
+          </button>
+          <button type='submit' className='btn btn-primary' disabled={!valid}>
+            {habit ? 'Save' : 'Create habit'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  )
+}
+
+HabitEditor.propTypes = {
+  habit: PropTypes.shape({
+    name: PropTypes.string,
+    description: PropTypes.string,
+    schedule: PropTypes.object,
+    kind: PropTypes.string,
+    target: PropTypes.number,
+    unit: PropTypes.string
+  }),
+  onSave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default HabitEditor
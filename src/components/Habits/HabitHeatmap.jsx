@@ -0,0 +1,80 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { getHabitHistory } from '../../utils/habitsManager'
+import { toDateKey, addDays, parseDateKey } from '../../utils/dateUtils'
+
+const STATUS_LABELS = {
+  done: 'completed',
+  paused: 'paused',
+  missed: 'missed',
+  frozen: 'missed, streak kept with a rest token',
+  vacation: 'vacation',
+  rest: 'rest day',
+  open: 'not tracked'
+}
+
+/**
+ * TAB-HAB-04: Calendar heat-map of a habit's recent history
+ * One column per week (Sunday first), today in the last column.
+ * TAB-HAB-08: Vacation days and days bridged by a rest token are shown too.
+ */
+function HabitHeatmap({
+  habit,
+  entries,
+  weeks = 12,
+  today = toDateKey(),
+  options = {}
+}) {
+  const start = addDays(
+    today,
+    -((weeks - 1) * 7 + parseDateKey(today).getDay())
+  )
+  const days = getHabitHistory(habit, entries, start, today, options)
+  const completed = days.filter((day) => day.status === 'done').length
+
+  return (
+    <div
+      className='habit-heatmap'
+      role='img'
+      aria-label={`${habit.name}: ${completed} check-ins in the last ${weeks} weeks`}
+    >
+      {days.map((day) => {
+        const partial = day.status !== 'done' && day.progress > 0
+        // A token spent on a short N-per-period period lands on a done day
+        const tokenNote =
+          day.frozen && day.status !== 'frozen' ? ', rest token used' : ''
+        return (
+          <span
+            key={day.date}
+            className={`heatmap-cell ${day.status} ${partial ? 'partial' : ''}`}
+            style={
+              partial ? { opacity: 0.35 + day.progress * 0.65 } : undefined
+            }
+            title={`${day.date}: ${
+              partial
+                ? `${Math.round(day.progress * 100)}%`
+                : STATUS_LABELS[day.status]
+            }${tokenNote}`}
+          />
+        )
+      })}
+    </div>
+  )
+}
+
+HabitHeatmap.propTypes = {
+  habit: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    createdAt: PropTypes.string,
+    pausedRanges: PropTypes.array,
+    schedule: PropTypes.object
+  }).isRequired,
+  entries: PropTypes.arrayOf(
+    PropTypes.shape({ date: PropTypes.string.isRequired })
+  ).isRequired,
+  weeks: PropTypes.number,
+  today: PropTypes.string,
+  options: PropTypes.object
+}
+
+export default HabitHeatmap
@@ -0,0 +1,102 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import HabitTimer from './HabitTimer'
+import {
+  HABIT_KINDS,
+  getEntryProgress,
+  getHabitUnit
+} from '../../utils/habitProgress'
+
+/**
+ * TAB-HAB-06: Today's progress towards a measured habit's target
+ * Quick increments (+1, +5), a custom amount, and a timer for timed habits.
+ */
+function HabitProgress({ habit, entry, onLog, onReset, disabled = false }) {
+  const [custom, setCustom] = useState('')
+  const value = entry?.value || 0
+  const percent = Math.round(getEntryProgress(habit, entry) * 100)
+  const unit = getHabitUnit(habit)
+
+  const logCustom = (e) => {
+    e.preventDefault()
+    const amount = Number(custom)
+    if (!custom || !Number.isFinite(amount) || amount === 0) return
+    onLog(amount)
+    setCustom('')
+  }
+
+  return (
+    <div className='habit-progress'>
+      <div
+        className='habit-progress-track'
+        role='progressbar'
+        aria-valuenow={percent}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-label={`${habit.name} progress today`}
+      >
+        <div className='habit-progress-bar' style={{ width: `${percent}%` }} />
+      </div>
+      <div className='habit-progress-row'>
+        <span className='small'>
+          {value} / {habit.target} {unit}
+        </span>
+        {value > 0 && (
+          <button
+            className='btn'
+            onClick={onReset}
+            aria-label={`Reset today's progress for ${habit.name}`}
+          >
+            Reset
+          </button>
+        )}
+      </div>
+      <div className='habit-progress-row'>
+        {[1, 5].map((amount) => (
+          <button
+            key={amount}
+            className='btn'
+            onClick={() => onLog(amount)}
+            disabled={disabled}
+            aria-label={`Add ${amount} ${unit} to ${habit.name}`}
+          >
+            +{amount}
+          </button>
+        ))}
+        <form className='habit-custom' onSubmit={logCustom}>
+          <input
+            type='number'
+            step='any'
+            className='habit-input habit-number'
+            value={custom}
+            onChange={(e) => setCustom(e.target.value)}
+            placeholder={unit || 'amount'}
+            disabled={disabled}
+            aria-label={`Custom amount for ${habit.name}`}
+          />
+          <button type='submit' className='btn' disabled={disabled || !custom}>
+            Add
+          </button>
+        </form>
+      </div>
+      {habit.kind === HABIT_KINDS.TIMED && (
+        <HabitTimer habitName={habit.name} onLog={onLog} disabled={disabled} />
+      )}
+    </div>
+  )
+}
+
+HabitProgress.propTypes = {
+  habit: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    kind: PropTypes.string,
+    target: PropTypes.number,
+    unit: PropTypes.string
+  }).isRequired,
+  entry: PropTypes.shape({ value: PropTypes.number }),
+  onLog: PropTypes.func.isRequired,
+  onReset: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+}
+
+export default HabitProgress
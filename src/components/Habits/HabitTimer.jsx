@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import { formatTime } from '../Sequences/RoutineRunner'
+
+/**
+ * TAB-HAB-07: Simple timer for timed habits
+ * Stopping logs the elapsed minutes automatically.
+ */
+function HabitTimer({ habitName, onLog, disabled = false }) {
+  const [startedAt, setStartedAt] = useState(null)
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    if (startedAt === null) return
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [startedAt])
+
+  const elapsed = startedAt === null ? 0 : Math.max(0, now - startedAt)
+
+  const start = () => {
+    const time = Date.now()
+    setStartedAt(time)
+    setNow(time)
+  }
+
+  const stop = () => {
+    const minutes = Math.round(((Date.now() - startedAt) / 60000) * 100) / 100
+    setStartedAt(null)
+    if (minutes > 0) onLog(minutes)
+  }
+
+  return (
+    <div className='habit-timer'>
+      <span className='habit-timer-display' aria-live='off'>
+        {formatTime(Math.floor(elapsed / 1000))}
+      </span>
+      {startedAt === null ? (
+        <button
+          className='btn'
+          onClick={start}
+          disabled={disabled}
+          aria-label={`Start timer for ${habitName}`}
+        >
+          Start timer
+        </button>
+      ) : (
+        <button
+          className='btn btn-primary'
+          onClick={stop}
+          aria-label={`Stop timer for ${habitName} and log time`}
+        >
+          Stop &amp; log
+        </button>
+      )}
+    </div>
+  )
+}
+
+HabitTimer.propTypes = {
+  habitName: PropTypes.string.isRequired,
+  onLog: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+}
+
+export default HabitTimer
@@ -0,0 +1,163 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import Modal from '../common/Modal'
+import { toDateKey, addDays } from '../../utils/dateUtils'
+
+/**
+ * TAB-HAB-08: Rest token settings and vacation ranges
+ * Rest tokens are earned per habit by keeping a streak; vacations freeze
+ * every habit between two dates.
+ */
+function StreakProtection({
+  vacations,
+  restTokens,
+  onAddVacation,
+  onRemoveVacation,
+  onSaveRestTokens,
+  onClose
+}) {
+  const today = toDateKey()
+  const [earnEvery, setEarnEvery] = useState(restTokens.earnEvery)
+  const [max, setMax] = useState(restTokens.max)
+  const [start, setStart] = useState(today)
+  const [end, setEnd] = useState(addDays(today, 6))
+
+  const tokensChanged =
+    Number(earnEvery) !== restTokens.earnEvery || Number(max) !== restTokens.max
+  const rangeError = start && end && end < start ? 'End is before start' : ''
+
+  const saveTokens = (e) => {
+    e.preventDefault()
+    onSaveRestTokens({ earnEvery: Number(earnEvery), max: Number(max) })
+  }
+
+  const addVacation = (e) => {
+    e.preventDefault()
+    if (!start || !end || rangeError) return
+    onAddVacation({ start, end })
+  }
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title='Streak protection'
+      className='habit-editor'
+    >
+      <form onSubmit={saveTokens}>
+        <h3 className='habit-section-title'>Rest tokens</h3>
+        <p className='small'>
+          A token is spent automatically on a missed day so the streak survives.
+          The day still counts as missed in your completion rate.
+        </p>
+        <div className='habit-field habit-inline'>
+          <span>Earn one every</span>
+          <input
+            type='number'
+            min={0}
+            max={365}
+            className='habit-input habit-number'
+            value={earnEvery}
+            onChange={(e) => setEarnEvery(e.target.value)}
+            aria-label='Check-ins per rest token'
+          />
+          <span>check-ins, holding up to</span>
+          <input
+            type='number'
+            min={0}
+            max={10}
+            className='habit-input habit-number'
+            value={max}
+            onChange={(e) => setMax(e.target.value)}
+            aria-label='Most rest tokens held'
+          />
+        </div>
+        <button type='submit' className='btn' disabled={!tokensChanged}>
+          Save tokens
+        </button>
+      </form>
+
+      <form onSubmit={addVacation}>
+        <h3 className='habit-section-title'>Vacations</h3>
+        {vacations.length === 0 ? (
+          <p className='small'>No vacations planned.</p>
+        ) : (
+          <ul className='habit-vacations'>
+            {vacations.map((vacation) => (
+              <li key={vacation.id}>
+                <span>
+                  {vacation.start} → {vacation.end}
+                  {vacation.start <= today && today <= vacation.end && (
+                    <span className='habit-badge'>Now</span>
+                  )}
+                </span>
+                <button
+                  type='button'
+                  className='btn'
+                  onClick={() => onRemoveVacation(vacation.id)}
+                  aria-label={`Remove vacation from ${vacation.start} to ${vacation.end}`}
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className='habit-field habit-inline'>
+          <input
+            type='date'
+            className='habit-input'
+            value={start}
+            onChange={(e) => setStart(e.target.value)}
+            aria-label='Vacation start'
+          />
+          <span>to</span>
+          <input
+            type='date'
+            className='habit-input'
+            value={end}
+            onChange={(e) => setEnd(e.target.value)}
+            aria-label='Vacation end'
+          />
+        </div>
+        {rangeError && (
+          <p className='habit-error' role='alert'>
+            {rangeError}
+          </p>
+        )}
+        <div className='modal-footer'>
+          <button type='button' className='btn' onClick={onClose}>
+            Close
+          </button>
+          <button
+            type='submit'
+            className='btn btn-primary'
+            disabled={!start || !end || Boolean(rangeError)}
+          >
+            Add vacation
+          </button>
+        </div>
+      </form>
+    </Modal>
+  )
+}
+
+StreakProtection.propTypes = {
+  vacations: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      start: PropTypes.string.isRequired,
+      end: PropTypes.string.isRequired
+    })
+  ).isRequired,
+  restTokens: PropTypes.shape({
+    earnEvery: PropTypes.number.isRequired,
+    max: PropTypes.number.isRequired
+  }).isRequired,
+  onAddVacation: PropTypes.func.isRequired,
+  onRemoveVacation: PropTypes.func.isRequired,
+  onSaveRestTokens: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default StreakProtection
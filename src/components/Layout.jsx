@@ -2,6 +2,9 @@ import React, { useState, useEffect, useRef } from 'react'
 import PropTypes from 'prop-types'
 import { Link, useLocation, useNavigate } from 'react-router-dom'
 import MobileMenu from './Layout/MobileMenu'
+import UndoToast from './Layout/UndoToast'
+import CommandPalette from './Layout/CommandPalette'
+import { useCommandHistory } from '../hooks/useCommandHistory'
 
 function Layout({ children, onExport, onImport }) {
   const location = useLocation()
@@ -9,6 +12,9 @@ function Layout({ children, onExport, onImport }) {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false)
   const hamburgerButtonRef = useRef(null)
   const mobileMenuRef = useRef(null)
+  // Undo/redo lives here so it keeps working across tabs
+  const { toast, undoLast, dismissToast, showMessage } = useCommandHistory()
+  const [paletteOpen, setPaletteOpen] = useState(false)
 
   const isActive = (path) => location.pathname === path
 
@@ -57,6 +63,20 @@ function Layout({ children, onExport, onImport }) {
     }
   }, [mobileMenuOpen])
 
+  // TAB-NAV-10: Ctrl/Cmd+K opens (or closes) the command palette from any
+  // page, even while typing, unless the focused field uses it itself
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return
+      if (e.defaultPrevented || e.key.toLowerCase() !== 'k') return
+      e.preventDefault()
+      setPaletteOpen((open) => !open)
+    }
+
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [])
+
   // TAB-NAV-09: Keyboard navigation with arrow keys
   const handleTabKeyDown = (e, tabs, currentIndex) => {
     let newIndex = currentIndex
@@ -202,11 +222,13 @@ function Layout({ children, onExport, onImport }) {
 
           {/* TAB-NAV-10: Right Zone - Global Actions */}
           <div className='navbar-right'>
-            {/* TAB-NAV-10: Search icon (placeholder for future) */}
+            {/* TAB-NAV-10: Search icon opens the command palette */}
             <button
               className='icon-button'
+              onClick={() => setPaletteOpen(true)}
               aria-label='Search'
-              title='Search (Coming soon)'
+              aria-haspopup='dialog'
+              title='Search and quick add (Ctrl+K)'
             >
               <svg className='icon' viewBox='0 0 24 24' aria-hidden='true'>
                 <circle cx='11' cy='11' r='8' />
@@ -253,6 +275,16 @@ function Layout({ children, onExport, onImport }) {
       />
 
       <div className='shell'>{children}</div>
+
+      {paletteOpen && (
+        <CommandPalette
+          routes={tabs}
+          onClose={() => setPaletteOpen(false)}
+          onMessage={showMessage}
+        />
+      )}
+
+      <UndoToast toast={toast} onUndo={undoLast} onDismiss={dismissToast} />
     </>
   )
 }
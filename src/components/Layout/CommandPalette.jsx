@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useRef } from 'react'
+import PropTypes from 'prop-types'
+import { useNavigate } from 'react-router-dom'
+import {
+  buildPaletteItems,
+  buildNoteTargets,
+  appendToContent
+} from '../../utils/commandPalette'
+import { runCommand } from '../../utils/commandHistory'
+import { requestIntent } from '../../utils/pageIntents'
+import { createTask, getTasks } from '../../utils/tasksManager'
+import { loadNotesFromStorage } from '../../utils/notes/noteOperations'
+import { completeHabit, getHabits } from '../../utils/habitsManager'
+import { getSequences } from '../../utils/sequencesManager'
+import { isIndexedDBAvailable } from '../../utils/indexedDBManager'
+
+const LIST_ID = 'command-palette-list'
+const optionId = (index) => `command-palette-option-${index}`
+
+/**
+ * TAB-NAV-10: Ctrl/Cmd+K palette for adding a task, appending to a note,
+ * logging a habit, starting a routine or jumping to a tab or note from any
+ * page
+ * The field is a combobox over the results: arrow keys move, Enter runs the
+ * highlighted result and Esc closes (or goes back from choosing a note).
+ * @param {object[]} routes - { path, label } tabs to jump to
+ * @param {Function} onClose - Closes the palette
+ * @param {Function} onMessage - Shows a confirmation once the palette is gone
+ */
+function CommandPalette({ routes, onClose, onMessage }) {
+  const navigate = useNavigate()
+  const inputRef = useRef(null)
+  const [query, setQuery] = useState('')
+  const [activeIndex, setActiveIndex] = useState(0)
+  // Text waiting for a note to be appended to, while choosing one
+  const [appending, setAppending] = useState(null)
+  const [sources, setSources] = useState(() => ({
+    notes: loadNotesFromStorage(),
+    habits: [],
+    routines: [],
+    tags: []
+  }))
+
+  // Focus the field, and give focus back to where it was on close
+  useEffect(() => {
+    const previous = document.activeElement
+    inputRef.current?.focus()
+    return () => {
+      if (previous?.isConnected) previous.focus()
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!isIndexedDBAvailable()) return undefined
+
+    let cancelled = false
+    Promise.all([
+      getHabits({ includeArchived: false }),
+      getSequences(),
+      getTasks()
+    ])
+      .then(([habits, routines, tasks]) => {
+        if (cancelled) return
+        setSources((prev) => ({
+          ...prev,
+          habits,
+          routines,
+          // Tags already in use keep their colour in quick add
+          tags: Object.values(tasks).flatMap((list) =>
+            list.flatMap((task) => task.tags || [])
+          )
+        }))
+      })
+      .catch((e) => console.error('Failed to load command palette:', e))
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const items =
+    appending === null
+      ? buildPaletteItems(query, { routes, ...sources })
+      : buildNoteTargets(query, sources.notes, appending)
+  const active = Math.min(activeIndex, items.length - 1)
+
+  useEffect(() => {
+    document.getElementById(optionId(active))?.scrollIntoView?.({
+      block: 'nearest'
+    })
+  }, [active])
+
+  const changeQuery = (value) => {
+    setQuery(value)
+    setActiveIndex(0)
+  }
+
+  const fail = (action) => (e) => {
+    console.error(`Failed to ${action}:`, e)
+    onMessage(`Couldn't ${action}. Please try again.`)
+  }
+
+  const addTask = ({ quadrant, text, details }) => {
+    const task = createTask(text, details)
+    runCommand({
+      domain: 'task',
+      id: task.id,
+      label: `Added task "${task.text}"`,
+      before: null,
+      // Infinity places it at the end of the quadrant
+      after: { quadrant, index: Infinity, task }
+    }).catch(fail('add the task'))
+  }
+
+  const appendToNote = ({ noteId, text }) => {
+    const note = loadNotesFromStorage().find((n) => n.id === noteId)
+    if (!note) return
+    runCommand({
+      domain: 'note',
+      id: noteId,
+      label: `Added to note "${note.title}"`,
+      before: { changes: { content: note.content } },
+      after: { changes: { content: appendToContent(note.content, text) } }
+    }).catch(fail('add to the note'))
+  }
+
+  const logHabit = ({ habitId, title }) => {
+    completeHabit(habitId)
+      .then(() => {
+        // Habits only needs telling if it's open
+        requestIntent('reloadHabits', null, { queue: false })
+        onMessage(`Logged "${title}" for today.`)
+      })
+      .catch(fail('log the habit'))
+  }
+
+  const runItem = (item) => {
+    if (item.type === 'chooseNote') {
+      setAppending(item.text)
+      changeQuery('')
+      return
+    }
+
+    onClose()
+    switch (item.type) {
+      case 'navigate':
+        navigate(item.path)
+        break
+      case 'openNote':
+        requestIntent('openNote', item.noteId)
+        navigate('/braindump')
+        break
+      case 'startRoutine':
+        requestIntent('startRoutine', item.routineId)
+        navigate('/sequences')
+        break
+      case 'logHabit':
+        logHabit(item)
+        break
+      case 'addTask':
+        addTask(item)
+        break
+      case 'appendNote':
+        appendToNote(item)
+        break
+      default:
+        break
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault()
+        if (items.length > 0) setActiveIndex((active + 1) % items.length)
+        break
+      case 'ArrowUp':
+        e.preventDefault()
+        if (items.length > 0) {
+          setActiveIndex((active - 1 + items.length) % items.length)
+        }
+        break
+      case 'Enter':
+        e.preventDefault()
+        if (items[active]) runItem(items[active])
+        break
+      case 'Escape':
+        e.preventDefault()
+        if (appending === null) {
+          onClose()
+        } else {
+          setAppending(null)
+          changeQuery(appending)
+        }
+        break
+      case 'Tab':
+        // The field is the only stop in the palette
+        e.preventDefault()
+        break
+      default:
+        break
+    }
+  }
+
+  return (
+    <div
+      className='command-palette-backdrop'
+      role='presentation'
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose()
+      }}
+    >
+      <div
+        className='command-palette'
+        role='dialog'
+        aria-modal='true'
+        aria-label='Command palette'
+      >
+        {appending !== null && (
+          <p className='command-palette-context'>
+            Append &ldquo;{appending}&rdquo; to which note? Esc goes back.
+          </p>
+        )}
+        <input
+          ref={inputRef}
+          type='text'
+          className='command-palette-input'
+          role='combobox'
+          aria-label={appending === null ? 'Command' : 'Note to append to'}
+          aria-expanded={items.length > 0}
+          aria-controls={LIST_ID}
+          aria-autocomplete='list'
+          aria-activedescendant={active >= 0 ? optionId(active) : undefined}
+          placeholder={
+            appending === null
+              ? 'Add a task, or go to a page, note, habit or routine…'
+              : 'Find a note…'
+          }
+          value={query}
+          onChange={(e) => changeQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+        />
+        <ul id={LIST_ID} className='command-palette-list' role='listbox'>
+          {items.map((item, index) => (
+            // Options are picked with the keyboard through the field
+            // eslint-disable-next-line jsx-a11y/click-events-have-key-events
+            <li
+              key={item.key}
+              id={optionId(index)}
+              className={`command-palette-option${index === active ? ' active' : ''}`}
+              role='option'
+              aria-selected={index === active}
+              onMouseDown={(e) => e.preventDefault()}
+              onMouseMove={() => setActiveIndex(index)}
+              onClick={() => runItem(item)}
+            >
+              {item.label}
+            </li>
+          ))}
+        </ul>
+        {items.length === 0 && (
+          <p className='command-palette-empty'>No matches</p>
+        )}
+        <p className='command-palette-hint' aria-hidden='true'>
+          ↑↓ to choose · Enter to run · Esc to close
+        </p>
+      </div>
+    </div>
+  )
+}
+
+CommandPalette.propTypes = {
+  routes: PropTypes.arrayOf(
+    PropTypes.shape({
+      path: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired
+    })
+  ).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onMessage: PropTypes.func.isRequired
+}
+
+export default CommandPalette
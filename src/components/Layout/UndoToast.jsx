@@ -0,0 +1,42 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+
+/**
+ * Confirms an app-wide change and, right after a destructive one, offers to
+ * undo it
+ */
+function UndoToast({ toast, onUndo, onDismiss }) {
+  if (!toast) return null
+
+  return (
+    <div className='undo-toast' role='status'>
+      <span>{toast.message}</span>
+      {toast.canUndo && (
+        <button type='button' className='btn' onClick={onUndo}>
+          Undo
+        </button>
+      )}
+      <button
+        type='button'
+        className='icon-button'
+        onClick={onDismiss}
+        aria-label='Dismiss'
+      >
+        <svg className='icon' viewBox='0 0 24 24' aria-hidden='true'>
+          <path d='M18 6L6 18M6 6l12 12' />
+        </svg>
+      </button>
+    </div>
+  )
+}
+
+UndoToast.propTypes = {
+  toast: PropTypes.shape({
+    message: PropTypes.string.isRequired,
+    canUndo: PropTypes.bool.isRequired
+  }),
+  onUndo: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func.isRequired
+}
+
+export default UndoToast
@@ -2,6 +2,7 @@ import React, { useRef, useEffect, useState } from 'react'
 import PropTypes from 'prop-types'
 import { handleEnterKey } from '../../utils/listContinuation'
 import { getUniqueCategories } from '../../utils/notes/noteFilters'
+import { findChecklistItems } from '../../utils/notes/noteTasks'
 
 // Editor pane width constraints (percentage of container)
 const MIN_EDITOR_WIDTH_PERCENT = 20
@@ -20,6 +21,7 @@ function NoteEditor({
   content,
   preview,
   notes,
+  linkedTasks,
   showNoteList,
   onTitleChange,
   onCategoryChange,
@@ -30,13 +32,22 @@ function NoteEditor({
   onExport,
   onDelete,
   onLockToggle,
-  onShowDetails
+  onShowDetails,
+  onSendToTasks
 }) {
   const editorRef = useRef(null)
   const previewRef = useRef(null)
   const splitContainerRef = useRef(null)
   const [editorWidth, setEditorWidth] = useState(DEFAULT_EDITOR_WIDTH_PERCENT)
   const [isResizing, setIsResizing] = useState(false)
+  // Line the caret is on, for sending a checklist item to Tasks
+  const [caretLine, setCaretLine] = useState(null)
+
+  // A checklist item with text that isn't already a task can be sent
+  const caretItem = findChecklistItems(content).find(
+    (item) => item.line === caretLine
+  )
+  const canSend = Boolean(caretItem?.text && !(caretItem.taskId in linkedTasks))
 
   // Sync scroll between editor and preview
   useEffect(() => {
@@ -190,6 +201,22 @@ function NoteEditor({
               <path d='M12 5v14M5 12h14' />
             </svg>
           </button>
+          <button
+            className='btn'
+            onClick={() => onSendToTasks(caretLine)}
+            aria-label='Send to Tasks'
+            title={
+              canSend
+                ? 'Send this checklist item to Tasks'
+                : 'Put the cursor on a checklist item (- [ ]) to send it to Tasks'
+            }
+            disabled={!canSend || currentNote?.locked}
+          >
+            <svg className='icon' viewBox='0 0 24 24' aria-hidden='true'>
+              <path d='M9 11l3 3L22 4' />
+              <path d='M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11' />
+            </svg>
+          </button>
           <button
             className='btn'
             onClick={onLockToggle}
@@ -241,6 +268,12 @@ function NoteEditor({
               placeholder='Start writing your note in Markdown...'
               value={content}
               onChange={(e) => onContentChange(e.target.value)}
+              onSelect={(e) =>
+                setCaretLine(
+                  e.target.value.slice(0, e.target.selectionStart).split('\n')
+                    .length - 1
+                )
+              }
               onKeyDown={(e) => {
                 if (
                   e.key === 'Enter' &&
@@ -317,6 +350,7 @@ NoteEditor.propTypes = {
   content: PropTypes.string.isRequired,
   preview: PropTypes.string.isRequired,
   notes: PropTypes.array.isRequired,
+  linkedTasks: PropTypes.objectOf(PropTypes.bool).isRequired,
   showNoteList: PropTypes.bool.isRequired,
   onTitleChange: PropTypes.func.isRequired,
   onCategoryChange: PropTypes.func.isRequired,
@@ -327,7 +361,8 @@ NoteEditor.propTypes = {
   onExport: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
   onLockToggle: PropTypes.func.isRequired,
-  onShowDetails: PropTypes.func.isRequired
+  onShowDetails: PropTypes.func.isRequired,
+  onSendToTasks: PropTypes.func.isRequired
 }
 
 export default NoteEditor
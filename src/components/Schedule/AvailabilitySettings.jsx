@@ -0,0 +1,265 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import Modal from '../common/Modal'
+import { ENERGY_LEVELS, validateAvailability } from '../../utils/availability'
+
+// Monday first, as in the editor's weekday picker
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+]
+
+const NEW_WINDOW = { start: '09:00', end: '17:00', energy: null }
+const NEW_BLOCK = {
+  label: 'Lunch',
+  start: '12:00',
+  end: '13:00',
+  days: [1, 2, 3, 4, 5]
+}
+
+/**
+ * TAB-SCH-05: Working hours, energy windows and protected blocks
+ * Free-slot search only looks inside the windows, minus protected blocks.
+ */
+function AvailabilitySettings({ availability, onSave, onClose }) {
+  const [workingHours, setWorkingHours] = useState(availability.workingHours)
+  const [protectedBlocks, setProtectedBlocks] = useState(
+    availability.protectedBlocks
+  )
+  const errors = validateAvailability({ workingHours, protectedBlocks })
+
+  const setWindows = (weekday, windows) =>
+    setWorkingHours({ ...workingHours, [weekday]: windows })
+
+  const changeWindow = (weekday, index, updates) =>
+    setWindows(
+      weekday,
+      workingHours[weekday].map((window, i) =>
+        i === index ? { ...window, ...updates } : window
+      )
+    )
+
+  const changeBlock = (index, updates) =>
+    setProtectedBlocks(
+      protectedBlocks.map((block, i) =>
+        i === index ? { ...block, ...updates } : block
+      )
+    )
+
+  const toggleBlockDay = (index, weekday) => {
+    const { days } = protectedBlocks[index]
+    changeBlock(index, {
+      days: days.includes(weekday)
+        ? days.filter((d) => d !== weekday)
+        : [...days, weekday]
+    })
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (errors.length > 0) return
+    onSave({ workingHours, protectedBlocks })
+  }
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title='Working hours'
+      className='event-editor'
+    >
+      <form onSubmit={handleSubmit}>
+        <p className='small'>
+          Free slots are only suggested inside these windows. Tag windows with
+          your energy level to match work to them.
+        </p>
+        {WEEKDAYS.map(({ value: weekday, label }) => {
+          const windows = workingHours[weekday] || []
+          return (
+            <div key={weekday} className='availability-day'>
+              <strong className='availability-day-name'>{label}</strong>
+              <div className='availability-windows'>
+                {windows.length === 0 && <span className='small'>Off</span>}
+                {windows.map((window, index) => (
+                  <div key={index} className='event-inline'>
+                    <input
+                      type='time'
+                      className='event-input'
+                      value={window.start}
+                      onChange={(e) =>
+                        changeWindow(weekday, index, { start: e.target.value })
+                      }
+                      aria-label={`${label} window ${index + 1} start`}
+                    />
+                    <span>to</span>
+                    <input
+                      type='time'
+                      className='event-input'
+                      value={window.end}
+                      onChange={(e) =>
+                        changeWindow(weekday, index, { end: e.target.value })
+                      }
+                      aria-label={`${label} window ${index + 1} end`}
+                    />
+                    <select
+                      className='event-input'
+                      value={window.energy || ''}
+                      onChange={(e) =>
+                        changeWindow(weekday, index, {
+                          energy: e.target.value || null
+                        })
+                      }
+                      aria-label={`${label} window ${index + 1} energy`}
+                    >
+                      <option value=''>Any energy</option>
+                      <option value={ENERGY_LEVELS.HIGH}>High energy</option>
+                      <option value={ENERGY_LEVELS.LOW}>Low energy</option>
+                    </select>
+                    <button
+                      type='button'
+                      className='btn'
+                      onClick={() =>
+                        setWindows(
+                          weekday,
+                          windows.filter((_, i) => i !== index)
+                        )
+                      }
+                      aria-label={`Remove ${label} window ${index + 1}`}
+                    >
+                      ×
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <button
+                type='button'
+                className='btn'
+                onClick={() => setWindows(weekday, [...windows, NEW_WINDOW])}
+                aria-label={`Add ${label} window`}
+              >
+                +
+              </button>
+            </div>
+          )
+        })}
+
+        <h3 className='availability-title'>Protected blocks</h3>
+        {protectedBlocks.length === 0 && (
+          <p className='small'>Nothing protected.</p>
+        )}
+        {protectedBlocks.map((block, index) => (
+          <div key={block.id || `new-${index}`} className='availability-block'>
+            <div className='event-inline'>
+              <input
+                className='event-input'
+                value={block.label}
+                onChange={(e) => changeBlock(index, { label: e.target.value })}
+                aria-label={`Protected block ${index + 1} label`}
+              />
+              <input
+                type='time'
+                className='event-input'
+                value={block.start}
+                onChange={(e) => changeBlock(index, { start: e.target.value })}
+                aria-label={`Protected block ${index + 1} start`}
+              />
+              <span>to</span>
+              <input
+                type='time'
+                className='event-input'
+                value={block.end}
+                onChange={(e) => changeBlock(index, { end: e.target.value })}
+                aria-label={`Protected block ${index + 1} end`}
+              />
+              <button
+                type='button'
+                className='btn'
+                onClick={() =>
+                  setProtectedBlocks(
+                    protectedBlocks.filter((_, i) => i !== index)
+                  )
+                }
+                aria-label={`Remove ${block.label || 'protected block'}`}
+              >
+                ×
+              </button>
+            </div>
+            <fieldset className='event-weekdays'>
+              <legend className='sr-only'>
+                Days for protected block {index + 1}
+              </legend>
+              {WEEKDAYS.map((weekday) => (
+                <label key={weekday.value} className='event-weekday'>
+                  <input
+                    type='checkbox'
+                    checked={block.days.includes(weekday.value)}
+                    onChange={() => toggleBlockDay(index, weekday.value)}
+                  />
+                  {weekday.label}
+                </label>
+              ))}
+            </fieldset>
+          </div>
+        ))}
+        <button
+          type='button'
+          className='btn'
+          onClick={() => setProtectedBlocks([...protectedBlocks, NEW_BLOCK])}
+        >
+          Add protected block
+        </button>
+
+        {errors.length > 0 && (
+          <p className='event-error' role='alert'>
+            {errors.join('. ')}
+          </p>
+        )}
+
+        <div className='modal-footer'>
+          <button type='button' className='btn' onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            type='submit'
+            className='btn btn-primary'
+            disabled={errors.length > 0}
+          >
+            Save
+          </button>
+        </div>
+      </form>
+    </Modal>
+  )
+}
+
+const rangeShape = {
+  start: PropTypes.string.isRequired,
+  end: PropTypes.string.isRequired
+}
+
+AvailabilitySettings.propTypes = {
+  availability: PropTypes.shape({
+    workingHours: PropTypes.objectOf(
+      PropTypes.arrayOf(
+        PropTypes.shape({ ...rangeShape, energy: PropTypes.string })
+      )
+    ).isRequired,
+    protectedBlocks: PropTypes.arrayOf(
+      PropTypes.shape({
+        ...rangeShape,
+        id: PropTypes.number,
+        label: PropTypes.string.isRequired,
+        days: PropTypes.arrayOf(PropTypes.number).isRequired
+      })
+    ).isRequired
+  }).isRequired,
+  onSave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default AvailabilitySettings
@@ -0,0 +1,485 @@
+import React, { useState, useEffect, useRef } from 'react'
+import PropTypes from 'prop-types'
+import { parseDateKey, addDays } from '../../utils/dateUtils'
+
+// Visible hours and grid geometry (matches .hour-col in schedule.css)
+export const START_HOUR = 6
+export const END_HOUR = 22
+const HOUR_HEIGHT = 46
+const SNAP_MINUTES = 15
+// A plain click on an empty slot proposes a one-hour block
+const CLICK_DURATION = 60
+
+const DAY_START = START_HOUR * 60
+const DAY_END = END_HOUR * 60
+
+// dataTransfer type carrying a sequence ID dragged in from the routine list
+export const SEQUENCE_DRAG_TYPE = 'application/x-aurorae-sequence'
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time - Time (HH:MM)
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [hour, min] = time.split(':').map(Number)
+  return hour * 60 + min
+}
+
+/**
+ * Convert minutes since midnight to "HH:MM"
+ * @param {number} minutes - Minutes
+ * @returns {string} Time (HH:MM)
+ */
+function toTime(minutes) {
+  const hour = Math.floor(minutes / 60)
+  const min = minutes % 60
+  return `${String(hour).padStart(2, '0')}:${String(min).padStart(2, '0')}`
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+const snap = (minutes) => Math.round(minutes / SNAP_MINUTES) * SNAP_MINUTES
+const toPixels = (minutes) => ((minutes - DAY_START) / 60) * HOUR_HEIGHT
+
+/**
+ * TAB-SCH-01: Day/week time grid
+ * Drag on an empty slot to propose a block, drag a block to move it, drag its
+ * bottom edge to resize. Blocks are also keyboard operable: arrows move by
+ * 15 minutes (left/right by a day), Shift+Up/Down resizes, Enter opens.
+ * Imported (read-only) blocks only open on click or Enter.
+ * TAB-SCH-19: Routines dropped onto a day column are scheduled at the drop
+ * point; TAB-SCH-11: routine blocks show the live runner progress.
+ */
+function CalendarGrid({
+  days,
+  events,
+  overlapping = new Set(),
+  windows = {},
+  progress = {},
+  today,
+  onCreate,
+  onMove,
+  onResize,
+  onSelect,
+  onDropSequence
+}) {
+  const columns = useRef({})
+  // { mode: 'create' | 'move' | 'resize', day, start, end, ... }
+  const [drag, setDrag] = useState(null)
+  const dragRef = useRef(null)
+
+  const updateDrag = (next) => {
+    dragRef.current = next
+    setDrag(next)
+  }
+
+  const minuteAt = (day, clientY) => {
+    const column = columns.current[day]
+    const top = column ? column.getBoundingClientRect().top : 0
+    return DAY_START + ((clientY - top) / HOUR_HEIGHT) * 60
+  }
+
+  const dayAt = (clientX, fallback) => {
+    const hit = days.find((day) => {
+      const rect = columns.current[day]?.getBoundingClientRect()
+      return (
+        rect && rect.width > 0 && clientX >= rect.left && clientX < rect.right
+      )
+    })
+    return hit || fallback
+  }
+
+  const dragging = drag !== null
+  useEffect(() => {
+    if (!dragging) return
+
+    const handleMove = (e) => {
+      const current = dragRef.current
+      const minute = minuteAt(current.day, e.clientY)
+
+      if (current.mode === 'create') {
+        // The slot the drag started in is always part of the block
+        const point = clamp(snap(minute), DAY_START, DAY_END)
+        const start = Math.min(current.anchor, point)
+        const end = Math.max(current.anchor + SNAP_MINUTES, point)
+        updateDrag({
+          ...current,
+          moved:
+            start !== current.anchor || end !== current.anchor + SNAP_MINUTES,
+          start,
+          end
+        })
+      } else if (current.mode === 'move') {
+        const length = current.end - current.start
+        const start = clamp(
+          snap(minute - current.offset),
+          DAY_START,
+          DAY_END - length
+        )
+        updateDrag({
+          ...current,
+          day: dayAt(e.clientX, current.day),
+          start,
+          end: start + length
+        })
+      } else {
+        updateDrag({
+          ...current,
+          end: clamp(snap(minute), current.start + SNAP_MINUTES, DAY_END)
+        })
+      }
+    }
+
+    const handleUp = () => {
+      const current = dragRef.current
+      updateDrag(null)
+      if (current.mode === 'create') {
+        const end = current.moved
+          ? current.end
+          : Math.min(current.start + CLICK_DURATION, DAY_END)
+        onCreate({
+          day: current.day,
+          startTime: toTime(current.start),
+          endTime: toTime(end)
+        })
+      } else if (
+        current.mode === 'move' &&
+        (current.day !== current.event.day ||
+          toTime(current.start) !== current.event.startTime)
+      ) {
+        onMove(current.event.id, current.day, toTime(current.start))
+      } else if (
+        current.mode === 'resize' &&
+        toTime(current.end) !== current.event.endTime
+      ) {
+        onResize(current.event.id, toTime(current.end))
+      } else {
+        // Released without changing anything: treat as a click
+        onSelect(current.event)
+      }
+    }
+
+    window.addEventListener('pointermove', handleMove)
+    window.addEventListener('pointerup', handleUp)
+    return () => {
+      window.removeEventListener('pointermove', handleMove)
+      window.removeEventListener('pointerup', handleUp)
+    }
+    // Handlers read the latest drag from dragRef, so only (un)subscribe when
+    // a drag starts or ends
+  }, [dragging])
+
+  const startCreate = (day, e) => {
+    if (e.button !== 0 || e.target !== e.currentTarget) return
+    e.preventDefault()
+    const start = clamp(
+      Math.floor(minuteAt(day, e.clientY) / SNAP_MINUTES) * SNAP_MINUTES,
+      DAY_START,
+      DAY_END - SNAP_MINUTES
+    )
+    updateDrag({
+      mode: 'create',
+      day,
+      anchor: start,
+      start,
+      end: start + SNAP_MINUTES,
+      moved: false
+    })
+  }
+
+  const startEventDrag = (event, mode, e) => {
+    if (e.button !== 0) return
+    e.preventDefault()
+    e.stopPropagation()
+    // Imported blocks cannot move; a press just opens them
+    if (event.readOnly) {
+      onSelect(event)
+      return
+    }
+    const start = toMinutes(event.startTime)
+    updateDrag({
+      mode,
+      event,
+      day: event.day,
+      start,
+      end: toMinutes(event.endTime),
+      offset: minuteAt(event.day, e.clientY) - start
+    })
+  }
+
+  const handleDragOver = (e) => {
+    if (onDropSequence && e.dataTransfer.types.includes(SEQUENCE_DRAG_TYPE)) {
+      e.preventDefault()
+      e.dataTransfer.dropEffect = 'copy'
+    }
+  }
+
+  const handleDrop = (day, e) => {
+    const sequenceId = e.dataTransfer.getData(SEQUENCE_DRAG_TYPE)
+    if (!onDropSequence || !sequenceId) return
+    e.preventDefault()
+    const start = clamp(
+      snap(minuteAt(day, e.clientY)),
+      DAY_START,
+      DAY_END - SNAP_MINUTES
+    )
+    onDropSequence(sequenceId, day, toTime(start))
+  }
+
+  const handleBlockKey = (event, e) => {
+    const start = toMinutes(event.startTime)
+    const end = toMinutes(event.endTime)
+    const isOpenKey = e.key === 'Enter' || e.key === ' '
+    if (event.readOnly && !isOpenKey) return
+    switch (e.key) {
+      case 'Enter':
+      case ' ':
+        onSelect(event)
+        break
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        const step = e.key === 'ArrowUp' ? -SNAP_MINUTES : SNAP_MINUTES
+        if (e.shiftKey) {
+          if (end + step > start && end + step <= 24 * 60) {
+            onResize(event.id, toTime(end + step))
+          }
+        } else if (start + step >= 0 && end + step <= 24 * 60) {
+          onMove(event.id, event.day, toTime(start + step))
+        }
+        break
+      }
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        onMove(
+          event.id,
+          addDays(event.day, e.key === 'ArrowLeft' ? -1 : 1),
+          event.startTime
+        )
+        break
+      default:
+        return
+    }
+    e.preventDefault()
+  }
+
+  const hours = []
+  for (let hour = START_HOUR; hour < END_HOUR; hour++) {
+    hours.push(toTime(hour * 60))
+  }
+
+  // TAB-SCH-05: Shade the visible time outside the day's working windows
+  const offHours = (day) => {
+    if (!windows[day]) return []
+    const gaps = []
+    let cursor = DAY_START
+    for (const window of windows[day]) {
+      const start = clamp(toMinutes(window.startTime), DAY_START, DAY_END)
+      if (start > cursor) gaps.push([cursor, start])
+      cursor = Math.max(
+        cursor,
+        clamp(toMinutes(window.endTime), DAY_START, DAY_END)
+      )
+    }
+    if (cursor < DAY_END) gaps.push([cursor, DAY_END])
+    return gaps
+  }
+
+  const renderBlock = (event) => {
+    const active = drag && drag.event?.id === event.id
+    const start = active ? drag.start : toMinutes(event.startTime)
+    const end = active ? drag.end : toMinutes(event.endTime)
+    const top = toPixels(clamp(start, DAY_START, DAY_END))
+    const height = Math.max(
+      toPixels(clamp(end, DAY_START, DAY_END)) - top,
+      HOUR_HEIGHT / 4
+    )
+    const label = event.title || event.type
+    const time = `${toTime(start)}–${toTime(end)}`
+    const conflicting = !active && overlapping.has(event.id)
+    const percent = progress[event.id]
+
+    return (
+      <div
+        key={event.id}
+        className={[
+          'block',
+          event.type,
+          active && 'dragging',
+          conflicting && 'conflict',
+          event.flexible && 'flexible',
+          event.pinned && 'pinned',
+          event.completed && 'done',
+          event.readOnly && 'imported'
+        ]
+          .filter(Boolean)
+          .join(' ')}
+        style={{ top: `${top}px`, height: `${height}px` }}
+        onPointerDown={(e) => startEventDrag(event, 'move', e)}
+        onKeyDown={(e) => handleBlockKey(event, e)}
+        role='button'
+        tabIndex={0}
+        aria-label={`${label}, ${event.day} ${time}${
+          conflicting ? ', overlaps another block' : ''
+        }`}
+      >
+        <div className='title'>
+          {label}
+          {event.recurrence && (
+            <span className='repeat-mark' aria-hidden='true' title='Repeats'>
+              {' '}
+              ↻
+            </span>
+          )}
+        </div>
+        {percent !== undefined && (
+          <div
+            className='progress'
+            role='progressbar'
+            aria-valuenow={percent}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-label={`${label} progress ${percent}%`}
+          >
+            <i style={{ width: `${percent}%` }} />
+          </div>
+        )}
+        <div className='meta'>{time}</div>
+        {!event.readOnly && (
+          <div
+            className='resize-handle'
+            onPointerDown={(e) => startEventDrag(event, 'resize', e)}
+            aria-hidden='true'
+          />
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className='calendar'>
+      {days.length > 1 && (
+        <div
+          className='calendar-days'
+          style={{ gridTemplateColumns: `80px repeat(${days.length}, 1fr)` }}
+        >
+          <span />
+          {days.map((day) => (
+            <span
+              key={day}
+              className={`calendar-day-label ${day === today ? 'today' : ''}`}
+            >
+              {parseDateKey(day).toLocaleDateString('en-US', {
+                weekday: 'short',
+                day: 'numeric'
+              })}
+            </span>
+          ))}
+        </div>
+      )}
+      <div className='hours'>
+        <div className='hour-col'>
+          {hours.map((hour) => (
+            <div key={hour} className='h'>
+              {hour}
+            </div>
+          ))}
+        </div>
+        <div
+          className='day-columns'
+          style={{ gridTemplateColumns: `repeat(${days.length}, 1fr)` }}
+        >
+          {days.map((day) => (
+            // Pointer-only shortcut; the "Event" button covers keyboard users
+            <div
+              key={day}
+              ref={(el) => {
+                columns.current[day] = el
+              }}
+              className='slots'
+              style={{ height: `${(END_HOUR - START_HOUR) * HOUR_HEIGHT}px` }}
+              data-day={day}
+              onPointerDown={(e) => startCreate(day, e)}
+              onDragOver={handleDragOver}
+              onDrop={(e) => handleDrop(day, e)}
+            >
+              {offHours(day).map(([start, end]) => (
+                <div
+                  key={start}
+                  className='off-hours'
+                  style={{
+                    top: `${toPixels(start)}px`,
+                    height: `${toPixels(end) - toPixels(start)}px`
+                  }}
+                  aria-hidden='true'
+                />
+              ))}
+              {events
+                .filter(
+                  (event) =>
+                    event.startTime &&
+                    event.endTime &&
+                    (drag?.event?.id === event.id
+                      ? drag.day === day
+                      : event.day === day)
+                )
+                .map(renderBlock)}
+              {drag?.mode === 'create' && drag.day === day && (
+                <div
+                  className='block preview'
+                  style={{
+                    top: `${toPixels(drag.start)}px`,
+                    height: `${toPixels(drag.end) - toPixels(drag.start)}px`
+                  }}
+                >
+                  <div className='meta'>
+                    {toTime(drag.start)}–{toTime(drag.end)}
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+CalendarGrid.propTypes = {
+  days: PropTypes.arrayOf(PropTypes.string).isRequired,
+  events: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+      day: PropTypes.string.isRequired,
+      startTime: PropTypes.string,
+      endTime: PropTypes.string,
+      type: PropTypes.string,
+      title: PropTypes.string,
+      recurrence: PropTypes.object,
+      flexible: PropTypes.bool,
+      pinned: PropTypes.bool,
+      completed: PropTypes.bool,
+      readOnly: PropTypes.bool
+    })
+  ).isRequired,
+  // TAB-SCH-04: IDs of blocks overlapping another block
+  overlapping: PropTypes.instanceOf(Set),
+  // TAB-SCH-05: Working windows per day key, { startTime, endTime }
+  windows: PropTypes.objectOf(
+    PropTypes.arrayOf(
+      PropTypes.shape({
+        startTime: PropTypes.string.isRequired,
+        endTime: PropTypes.string.isRequired
+      })
+    )
+  ),
+  // TAB-SCH-11: Runner progress (0-100) by event ID
+  progress: PropTypes.objectOf(PropTypes.number),
+  today: PropTypes.string.isRequired,
+  onCreate: PropTypes.func.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onResize: PropTypes.func.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onDropSequence: PropTypes.func
+}
+
+export default CalendarGrid
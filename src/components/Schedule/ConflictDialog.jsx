@@ -0,0 +1,86 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import Modal from '../common/Modal'
+import { CONFLICT_RESOLUTIONS } from '../../utils/scheduleManager'
+
+/**
+ * Button label for a suggested resolution
+ * @param {object} resolution - Resolution from a ScheduleConflictError
+ * @returns {string} Label
+ */
+function describeResolution(resolution) {
+  switch (resolution.type) {
+    case CONFLICT_RESOLUTIONS.NEXT_SLOT:
+      return `Move to ${resolution.startTime}–${resolution.endTime}`
+    case CONFLICT_RESOLUTIONS.SHORTEN:
+      return `Shorten to end at ${resolution.endTime}`
+    case CONFLICT_RESOLUTIONS.MOVE_FLEXIBLE:
+      return `Make room: move ${resolution.moves
+        .map((move) => `${move.title || 'block'} to ${move.startTime}`)
+        .join(', ')}`
+    default:
+      return 'Keep overlap'
+  }
+}
+
+/**
+ * TAB-SCH-04: Offer ways to settle a block that overlaps others
+ */
+function ConflictDialog({ conflict, onResolve, onClose }) {
+  const { event, conflicts, resolutions } = conflict
+  const names = conflicts
+    .map((e) => `${e.title || e.type} (${e.startTime}–${e.endTime})`)
+    .join(', ')
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title='Schedule conflict'
+      className='event-editor'
+    >
+      <p className='small'>
+        {event.title || 'This block'} ({event.startTime}–{event.endTime})
+        overlaps {names}.
+      </p>
+      <div className='conflict-actions'>
+        {resolutions.map((resolution) => (
+          <button
+            key={resolution.type}
+            className={`btn ${
+              resolution.type === CONFLICT_RESOLUTIONS.OVERLAP
+                ? ''
+                : 'btn-primary'
+            }`}
+            onClick={() => onResolve(resolution)}
+          >
+            {describeResolution(resolution)}
+          </button>
+        ))}
+      </div>
+      <div className='modal-footer'>
+        <button className='btn' onClick={onClose}>
+          Cancel
+        </button>
+      </div>
+    </Modal>
+  )
+}
+
+ConflictDialog.propTypes = {
+  conflict: PropTypes.shape({
+    event: PropTypes.shape({
+      title: PropTypes.string,
+      startTime: PropTypes.string,
+      endTime: PropTypes.string
+    }).isRequired,
+    conflicts: PropTypes.arrayOf(PropTypes.object).isRequired,
+    resolutions: PropTypes.arrayOf(
+      PropTypes.shape({ type: PropTypes.string.isRequired })
+    ).isRequired
+  }).isRequired,
+  onResolve: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default ConflictDialog
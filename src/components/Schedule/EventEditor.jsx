@@ -0,0 +1,517 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import Modal from '../common/Modal'
+import { SCHEDULE_EVENT_TYPES } from '../../utils/exportData'
+import {
+  calculateDuration,
+  addMinutes,
+  getSequenceMinutes,
+  EDIT_SCOPES
+} from '../../utils/scheduleManager'
+import {
+  RECURRENCE_FREQS,
+  MONTHLY_BY,
+  validateRecurrence,
+  describeRecurrence
+} from '../../utils/recurrence'
+import { parseDateKey } from '../../utils/dateUtils'
+
+const TYPE_LABELS = {
+  [SCHEDULE_EVENT_TYPES.TASK]: 'Task',
+  [SCHEDULE_EVENT_TYPES.SEQUENCE]: 'Routine',
+  [SCHEDULE_EVENT_TYPES.BREAK]: 'Break',
+  [SCHEDULE_EVENT_TYPES.MEETING]: 'Meeting'
+}
+
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+]
+
+const INTERVAL_UNITS = {
+  [RECURRENCE_FREQS.DAILY]: 'days',
+  [RECURRENCE_FREQS.WEEKLY]: 'weeks',
+  [RECURRENCE_FREQS.MONTHLY]: 'months'
+}
+
+/**
+ * Build a recurrence rule from the form fields
+ * @param {object} fields - Form state
+ * @returns {object|null} Rule, or null for one-off events
+ */
+function buildRecurrence({
+  freq,
+  interval,
+  byWeekday,
+  monthlyBy,
+  ends,
+  until,
+  count
+}) {
+  if (!freq) return null
+  const rule = { freq, interval: Number(interval) || 1 }
+  if (freq === RECURRENCE_FREQS.WEEKDAYS) rule.interval = 1
+  if (freq === RECURRENCE_FREQS.WEEKLY) {
+    rule.byWeekday = [...byWeekday].sort((a, b) => a - b)
+  }
+  if (freq === RECURRENCE_FREQS.MONTHLY) rule.monthlyBy = monthlyBy
+  if (ends === 'until') rule.until = until
+  if (ends === 'count') rule.count = Number(count)
+  return rule
+}
+
+/**
+ * TAB-SCH-02: Create/edit a schedule block
+ * New blocks arrive pre-filled with the range dragged out on the grid.
+ * TAB-SCH-03: Events can repeat; edits to an occurrence of a recurring event
+ * apply to this occurrence, this and following, or all occurrences.
+ * TAB-SCH-04: Flexible blocks may be pushed later to settle an overlap.
+ * TAB-SCH-06: Planned task blocks can be pinned (kept when re-planning) and
+ * completing one completes its task.
+ * TAB-SCH-19: Routine blocks link to a routine, sized to its duration, and
+ * can start it in the runner.
+ */
+function EventEditor({
+  event,
+  draft,
+  sequences = [],
+  runningEventId = null,
+  onSave,
+  onDelete,
+  onComplete,
+  onStartRoutine,
+  onClose
+}) {
+  const initial = event || draft
+  const isOccurrence = event?.seriesId !== undefined
+  const rule = initial.recurrence
+  const [title, setTitle] = useState(initial.title || '')
+  const [type, setType] = useState(initial.type || SCHEDULE_EVENT_TYPES.TASK)
+  const [sequenceId, setSequenceId] = useState(initial.sequenceId || '')
+  const [day, setDay] = useState(initial.day)
+  const [startTime, setStartTime] = useState(initial.startTime)
+  const [endTime, setEndTime] = useState(initial.endTime)
+  const [flexible, setFlexible] = useState(Boolean(initial.flexible))
+  const [pinned, setPinned] = useState(Boolean(initial.pinned))
+  const [repeat, setRepeat] = useState({
+    freq: rule?.freq || '',
+    interval: rule?.interval || 1,
+    byWeekday: rule?.byWeekday || [parseDateKey(initial.day).getDay()],
+    monthlyBy: rule?.monthlyBy || MONTHLY_BY.DATE,
+    ends: rule?.until ? 'until' : rule?.count ? 'count' : 'never',
+    until: rule?.until || '',
+    count: rule?.count || 10
+  })
+  const [repeatChanged, setRepeatChanged] = useState(false)
+  const [scope, setScope] = useState(EDIT_SCOPES.THIS)
+
+  // An untouched rule is passed through as stored, so the manager can tell
+  // a moved occurrence from a changed rule
+  const recurrence = repeatChanged ? buildRecurrence(repeat) : rule || null
+  const recurrenceErrors = recurrence ? validateRecurrence(recurrence) : []
+  if (recurrence?.until && day && recurrence.until < day) {
+    recurrenceErrors.push('Repeat must end on or after the first day')
+  }
+  const error =
+    !day || !startTime || !endTime
+      ? 'Day, start and end are required'
+      : calculateDuration(startTime, endTime) <= 0
+        ? 'End time must be after start time'
+        : recurrenceErrors.join('. ')
+
+  const isRoutine = type === SCHEDULE_EVENT_TYPES.SEQUENCE
+
+  // Picking a routine names the block after it and sizes it to fit
+  const changeSequence = (id) => {
+    const previous = sequences.find((seq) => seq.id === sequenceId)
+    const sequence = sequences.find((seq) => seq.id === id)
+    setSequenceId(id)
+    if (!sequence) return
+    if (!title.trim() || title === previous?.name) setTitle(sequence.name)
+    if (startTime) {
+      const minutes = getSequenceMinutes(sequence)
+      if (calculateDuration(startTime, '23:59') >= minutes) {
+        setEndTime(addMinutes(startTime, minutes))
+      }
+    }
+  }
+
+  const changeRepeat = (updates) => {
+    setRepeat({ ...repeat, ...updates })
+    setRepeatChanged(true)
+  }
+
+  const toggleWeekday = (weekday) => {
+    changeRepeat({
+      byWeekday: repeat.byWeekday.includes(weekday)
+        ? repeat.byWeekday.filter((d) => d !== weekday)
+        : [...repeat.byWeekday, weekday]
+    })
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (error) return
+    onSave(
+      {
+        title: title.trim(),
+        type,
+        sequenceId: isRoutine && sequenceId ? sequenceId : null,
+        day,
+        startTime,
+        endTime,
+        recurrence,
+        flexible,
+        pinned
+      },
+      scope
+    )
+  }
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title={event ? 'Edit Event' : 'New Event'}
+      className='event-editor'
+    >
+      <form onSubmit={handleSubmit}>
+        <div className='event-field'>
+          <label htmlFor='event-title'>Title</label>
+          <input
+            id='event-title'
+            className='event-input'
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder='e.g. Deep work'
+          />
+        </div>
+        <div className='event-field'>
+          <label htmlFor='event-type'>Type</label>
+          <select
+            id='event-type'
+            className='event-input'
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+          >
+            {Object.values(SCHEDULE_EVENT_TYPES).map((value) => (
+              <option key={value} value={value}>
+                {TYPE_LABELS[value]}
+              </option>
+            ))}
+          </select>
+        </div>
+        {isRoutine && (
+          <div className='event-field'>
+            <label htmlFor='event-sequence'>Routine</label>
+            <select
+              id='event-sequence'
+              className='event-input'
+              value={sequenceId}
+              onChange={(e) => changeSequence(e.target.value)}
+            >
+              <option value=''>Not linked</option>
+              {sequences.map((sequence) => (
+                <option key={sequence.id} value={sequence.id}>
+                  {sequence.name} ({getSequenceMinutes(sequence)} min)
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div className='event-row'>
+          <div className='event-field'>
+            <label htmlFor='event-day'>Day</label>
+            <input
+              id='event-day'
+              type='date'
+              className='event-input'
+              value={day}
+              onChange={(e) => setDay(e.target.value)}
+            />
+          </div>
+          <div className='event-field'>
+            <label htmlFor='event-start'>Start</label>
+            <input
+              id='event-start'
+              type='time'
+              step={300}
+              className='event-input'
+              value={startTime}
+              onChange={(e) => setStartTime(e.target.value)}
+            />
+          </div>
+          <div className='event-field'>
+            <label htmlFor='event-end'>End</label>
+            <input
+              id='event-end'
+              type='time'
+              step={300}
+              className='event-input'
+              value={endTime}
+              onChange={(e) => setEndTime(e.target.value)}
+            />
+          </div>
+        </div>
+
+        <label className='event-check'>
+          <input
+            type='checkbox'
+            checked={flexible}
+            onChange={(e) => setFlexible(e.target.checked)}
+          />
+          Flexible – may be moved to make room for other blocks
+        </label>
+
+        {initial.planned && (
+          <label className='event-check'>
+            <input
+              type='checkbox'
+              checked={pinned}
+              onChange={(e) => setPinned(e.target.checked)}
+            />
+            Pinned – keep here when re-planning the day
+          </label>
+        )}
+
+        <div className='event-field'>
+          <label htmlFor='event-repeat'>Repeat</label>
+          <select
+            id='event-repeat'
+            className='event-input'
+            value={repeat.freq}
+            onChange={(e) => changeRepeat({ freq: e.target.value })}
+          >
+            <option value=''>Does not repeat</option>
+            <option value={RECURRENCE_FREQS.DAILY}>Daily</option>
+            <option value={RECURRENCE_FREQS.WEEKDAYS}>
+              Every weekday (Mon–Fri)
+            </option>
+            <option value={RECURRENCE_FREQS.WEEKLY}>Weekly</option>
+            <option value={RECURRENCE_FREQS.MONTHLY}>Monthly</option>
+          </select>
+        </div>
+
+        {INTERVAL_UNITS[repeat.freq] && (
+          <div className='event-field event-inline'>
+            <span>Every</span>
+            <input
+              type='number'
+              min={1}
+              max={99}
+              className='event-input event-number'
+              value={repeat.interval}
+              onChange={(e) => changeRepeat({ interval: e.target.value })}
+              aria-label='Repeat every'
+            />
+            <span>{INTERVAL_UNITS[repeat.freq]}</span>
+          </div>
+        )}
+
+        {repeat.freq === RECURRENCE_FREQS.WEEKLY && (
+          <fieldset className='event-weekdays'>
+            <legend className='sr-only'>Repeat on</legend>
+            {WEEKDAYS.map((weekday) => (
+              <label key={weekday.value} className='event-weekday'>
+                <input
+                  type='checkbox'
+                  checked={repeat.byWeekday.includes(weekday.value)}
+                  onChange={() => toggleWeekday(weekday.value)}
+                />
+                {weekday.label}
+              </label>
+            ))}
+          </fieldset>
+        )}
+
+        {repeat.freq === RECURRENCE_FREQS.MONTHLY && day && (
+          <div className='event-field'>
+            <select
+              className='event-input'
+              value={repeat.monthlyBy}
+              onChange={(e) => changeRepeat({ monthlyBy: e.target.value })}
+              aria-label='Monthly on'
+            >
+              <option value={MONTHLY_BY.DATE}>
+                {describeRecurrence(
+                  {
+                    freq: RECURRENCE_FREQS.MONTHLY,
+                    monthlyBy: MONTHLY_BY.DATE
+                  },
+                  day
+                )}
+              </option>
+              <option value={MONTHLY_BY.WEEKDAY}>
+                {describeRecurrence(
+                  {
+                    freq: RECURRENCE_FREQS.MONTHLY,
+                    monthlyBy: MONTHLY_BY.WEEKDAY
+                  },
+                  day
+                )}
+              </option>
+            </select>
+          </div>
+        )}
+
+        {recurrence && (
+          <div className='event-field event-inline'>
+            <select
+              className='event-input'
+              value={repeat.ends}
+              onChange={(e) => changeRepeat({ ends: e.target.value })}
+              aria-label='Ends'
+            >
+              <option value='never'>Never ends</option>
+              <option value='until'>Ends on</option>
+              <option value='count'>Ends after</option>
+            </select>
+            {repeat.ends === 'until' && (
+              <input
+                type='date'
+                className='event-input'
+                value={repeat.until}
+                onChange={(e) => changeRepeat({ until: e.target.value })}
+                aria-label='End date'
+              />
+            )}
+            {repeat.ends === 'count' && (
+              <>
+                <input
+                  type='number'
+                  min={1}
+                  max={999}
+                  className='event-input event-number'
+                  value={repeat.count}
+                  onChange={(e) => changeRepeat({ count: e.target.value })}
+                  aria-label='Number of times'
+                />
+                <span>times</span>
+              </>
+            )}
+          </div>
+        )}
+
+        {recurrence && day && recurrenceErrors.length === 0 && (
+          <p className='small'>{describeRecurrence(recurrence, day)}</p>
+        )}
+
+        {isOccurrence && (
+          <fieldset className='event-scope'>
+            <legend>Apply to</legend>
+            {[
+              [EDIT_SCOPES.THIS, 'This event'],
+              [EDIT_SCOPES.FOLLOWING, 'This and following events'],
+              [EDIT_SCOPES.ALL, 'All events']
+            ].map(([value, label]) => (
+              <label key={value}>
+                <input
+                  type='radio'
+                  name='event-scope'
+                  value={value}
+                  checked={scope === value}
+                  onChange={() => setScope(value)}
+                />
+                {label}
+              </label>
+            ))}
+          </fieldset>
+        )}
+
+        {error && (
+          <p className='event-error' role='alert'>
+            {error}
+          </p>
+        )}
+
+        <div className='modal-footer'>
+          {event?.sequenceId && onStartRoutine && (
+            <button
+              type='button'
+              className='btn'
+              onClick={() => onStartRoutine(event)}
+            >
+              {runningEventId === event.id ? 'Open runner' : 'Start routine'}
+            </button>
+          )}
+          {event && (
+            <button
+              type='button'
+              className='btn'
+              onClick={() => onComplete(event, !event.completed)}
+            >
+              {event.completed ? 'Mark not done' : 'Mark done'}
+            </button>
+          )}
+          {event && (
+            <button
+              type='button'
+              className='btn'
+              onClick={() => onDelete(event, scope)}
+            >
+              Delete
+            </button>
+          )}
+          <button type='button' className='btn' onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            type='submit'
+            className='btn btn-primary'
+            disabled={Boolean(error)}
+          >
+            {event ? 'Save' : 'Add event'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  )
+}
+
+EventEditor.propTypes = {
+  event: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    seriesId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    recurrence: PropTypes.object,
+    flexible: PropTypes.bool,
+    planned: PropTypes.bool,
+    pinned: PropTypes.bool,
+    completed: PropTypes.bool,
+    title: PropTypes.string,
+    type: PropTypes.string,
+    sequenceId: PropTypes.string,
+    day: PropTypes.string,
+    startTime: PropTypes.string,
+    endTime: PropTypes.string
+  }),
+  draft: PropTypes.shape({
+    day: PropTypes.string,
+    startTime: PropTypes.string,
+    endTime: PropTypes.string,
+    type: PropTypes.string,
+    title: PropTypes.string,
+    sequenceId: PropTypes.string
+  }),
+  // Routines offered when the type is Routine
+  sequences: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      totalDuration: PropTypes.number
+    })
+  ),
+  // Block the current run was started from, if any
+  runningEventId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  onSave: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onComplete: PropTypes.func.isRequired,
+  onStartRoutine: PropTypes.func,
+  onClose: PropTypes.func.isRequired
+}
+
+export default EventEditor
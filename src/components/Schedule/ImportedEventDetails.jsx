@@ -0,0 +1,70 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import Modal from '../common/Modal'
+import { describeRecurrence } from '../../utils/recurrence'
+
+/**
+ * TAB-SCH-31: Details of an event imported from an .ics file
+ * Imported events are read-only; they change by re-importing their file.
+ */
+function ImportedEventDetails({ event, onClose }) {
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title={event.title || 'Imported event'}
+      className='event-editor'
+    >
+      <dl className='event-details'>
+        <dt>When</dt>
+        <dd>
+          {event.day}
+          {event.startTime && ` · ${event.startTime}–${event.endTime}`}
+        </dd>
+        {event.recurrence && (
+          <>
+            <dt>Repeats</dt>
+            <dd>{describeRecurrence(event.recurrence, event.day)}</dd>
+          </>
+        )}
+        {event.location && (
+          <>
+            <dt>Location</dt>
+            <dd>{event.location}</dd>
+          </>
+        )}
+        {event.description && (
+          <>
+            <dt>Notes</dt>
+            <dd className='event-description'>{event.description}</dd>
+          </>
+        )}
+      </dl>
+      <p className='small'>
+        Imported from {event.source}. Change it in its own calendar and import
+        the file again to update it here.
+      </p>
+      <div className='modal-footer'>
+        <button className='btn' onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </Modal>
+  )
+}
+
+ImportedEventDetails.propTypes = {
+  event: PropTypes.shape({
+    title: PropTypes.string,
+    day: PropTypes.string.isRequired,
+    startTime: PropTypes.string,
+    endTime: PropTypes.string,
+    recurrence: PropTypes.object,
+    location: PropTypes.string,
+    description: PropTypes.string,
+    source: PropTypes.string.isRequired
+  }).isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default ImportedEventDetails
@@ -0,0 +1,41 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import Modal from '../common/Modal'
+import { EDIT_SCOPES } from '../../utils/scheduleManager'
+
+/**
+ * TAB-SCH-03: Ask which occurrences a drag on a recurring event applies to
+ */
+function RecurrenceScopeDialog({ onChoose, onClose }) {
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title='Change recurring event'
+      className='event-editor'
+    >
+      <p className='small'>This event repeats. Which events should change?</p>
+      <div className='modal-footer event-scope-actions'>
+        <button className='btn' onClick={() => onChoose(EDIT_SCOPES.THIS)}>
+          This event
+        </button>
+        <button className='btn' onClick={() => onChoose(EDIT_SCOPES.FOLLOWING)}>
+          This and following events
+        </button>
+        <button className='btn' onClick={() => onChoose(EDIT_SCOPES.ALL)}>
+          All events
+        </button>
+        <button className='btn' onClick={onClose}>
+          Cancel
+        </button>
+      </div>
+    </Modal>
+  )
+}
+
+RecurrenceScopeDialog.propTypes = {
+  onChoose: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default RecurrenceScopeDialog
@@ -0,0 +1,317 @@
+import React, { useState, useEffect, useRef } from 'react'
+import PropTypes from 'prop-types'
+import Modal from '../common/Modal'
+import {
+  createSequence,
+  getSequence,
+  updateSequence,
+  addStep,
+  removeStep,
+  reorderStep,
+  validateSequence,
+  validateStep
+} from '../../utils/sequencesManager'
+
+const EMPTY_DRAFT = { name: '', description: '', steps: [] }
+
+/**
+ * TAB-RTN-08: Routine builder
+ * New routines are created first (name + description), then edited live:
+ * every valid change is saved straight to STORES.SEQUENCES.
+ */
+function RoutineEditor({ sequenceId, onClose, onSaved }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT)
+  const [error, setError] = useState('')
+  const [dragStepId, setDragStepId] = useState(null)
+  // Serialize writes so rapid edits are stored in order
+  const saveQueueRef = useRef(Promise.resolve())
+
+  useEffect(() => {
+    if (!sequenceId) return
+    getSequence(sequenceId)
+      .then((sequence) => sequence && setDraft(sequence))
+      .catch((e) => setError('Failed to load routine: ' + e.message))
+  }, [sequenceId])
+
+  const enqueue = (operation) => {
+    const result = saveQueueRef.current.then(operation)
+    saveQueueRef.current = result.catch(() => {})
+    return result
+      .then((value) => {
+        onSaved()
+        return value
+      })
+      .catch((e) => {
+        setError(e.message)
+        throw e
+      })
+  }
+
+  const { valid } = validateSequence(draft)
+  const isNew = !draft.id
+
+  // Field edits: keep invalid values visible but only persist valid drafts
+  const changeDraft = (next) => {
+    setDraft(next)
+    setError('')
+    if (next.id && validateSequence(next).valid) {
+      enqueue(() => updateSequence(next)).catch(() => {})
+    }
+  }
+
+  const changeStep = (stepId, updates) => {
+    changeDraft({
+      ...draft,
+      steps: draft.steps.map((step) =>
+        step.id === stepId ? { ...step, ...updates } : step
+      )
+    })
+  }
+
+  // Structural edits go through the manager and replace the draft
+  const runStructural = (operation) => {
+    enqueue(operation)
+      .then((updated) => setDraft(updated))
+      .catch(() => {})
+  }
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    enqueue(() => createSequence(draft))
+      .then((id) => getSequence(id))
+      .then((created) => setDraft(created))
+      .catch(() => {})
+  }
+
+  const handleAddStep = () => {
+    runStructural(() =>
+      addStep(draft.id, {
+        name: `Step ${draft.steps.length + 1}`,
+        duration: 60
+      })
+    )
+  }
+
+  const handleDrop = (targetIndex) => {
+    if (!dragStepId) return
+    const stepId = dragStepId
+    setDragStepId(null)
+    runStructural(() => reorderStep(draft.id, stepId, targetIndex))
+  }
+
+  const setDuration = (step, minutes, seconds) => {
+    changeStep(step.id, {
+      duration: (Number(minutes) || 0) * 60 + (Number(seconds) || 0)
+    })
+  }
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title={isNew ? 'New Routine' : 'Edit Routine'}
+      className='routine-editor'
+    >
+      {error && (
+        <div className='error-notification' role='alert'>
+          {error}
+        </div>
+      )}
+      <form onSubmit={handleCreate}>
+        <div className='routine-field'>
+          <label htmlFor='routine-name'>Name</label>
+          <input
+            id='routine-name'
+            className='routine-input'
+            value={draft.name}
+            onChange={(e) => changeDraft({ ...draft, name: e.target.value })}
+            required
+          />
+        </div>
+        <div className='routine-field'>
+          <label htmlFor='routine-description'>Description</label>
+          <textarea
+            id='routine-description'
+            className='routine-input'
+            rows={2}
+            value={draft.description || ''}
+            onChange={(e) =>
+              changeDraft({ ...draft, description: e.target.value })
+            }
+          />
+        </div>
+        {isNew && (
+          <button type='submit' className='btn btn-primary' disabled={!valid}>
+            Create routine
+          </button>
+        )}
+      </form>
+
+      {!isNew && (
+        <>
+          <ol className='routine-steps' aria-label='Steps'>
+            {draft.steps.map((step, index) => {
+              const stepErrors = validateStep(step)
+              const minutes = Math.floor((step.duration || 0) / 60)
+              const seconds = (step.duration || 0) % 60
+              return (
+                <li
+                  key={step.id}
+                  className={`routine-step ${dragStepId === step.id ? 'dragging' : ''}`}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={() => handleDrop(index)}
+                >
+                  <div className='routine-step-row'>
+                    <span
+                      className='drag-handle'
+                      draggable={valid}
+                      onDragStart={() => setDragStepId(step.id)}
+                      onDragEnd={() => setDragStepId(null)}
+                      aria-hidden='true'
+                      title='Drag to reorder'
+                    >
+                      ⋮⋮
+                    </span>
+                    <input
+                      className='routine-input'
+                      value={step.name}
+                      onChange={(e) =>
+                        changeStep(step.id, { name: e.target.value })
+                      }
+                      aria-label={`Step ${index + 1} title`}
+                    />
+                    <input
+                      type='number'
+                      min={0}
+                      max={120}
+                      className='routine-input routine-duration'
+                      value={minutes}
+                      onChange={(e) =>
+                        setDuration(step, e.target.value, seconds)
+                      }
+                      aria-label={`Step ${index + 1} minutes`}
+                    />
+                    <span aria-hidden='true'>:</span>
+                    <input
+                      type='number'
+                      min={0}
+                      max={59}
+                      className='routine-input routine-duration'
+                      value={seconds}
+                      onChange={(e) =>
+                        setDuration(step, minutes, e.target.value)
+                      }
+                      aria-label={`Step ${index + 1} seconds`}
+                    />
+                    <button
+                      type='button'
+                      className='btn btn-icon'
+                      onClick={() =>
+                        runStructural(() =>
+                          reorderStep(draft.id, step.id, index - 1)
+                        )
+                      }
+                      disabled={!valid || index === 0}
+                      aria-label={`Move step ${step.name} earlier`}
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type='button'
+                      className='btn btn-icon'
+                      onClick={() =>
+                        runStructural(() =>
+                          reorderStep(draft.id, step.id, index + 1)
+                        )
+                      }
+                      disabled={!valid || index === draft.steps.length - 1}
+                      aria-label={`Move step ${step.name} later`}
+                    >
+                      ↓
+                    </button>
+                    <button
+                      type='button'
+                      className='btn-delete'
+                      onClick={() =>
+                        runStructural(() => removeStep(draft.id, step.id))
+                      }
+                      aria-label={`Remove step ${step.name}`}
+                    >
+                      <svg className='icon' viewBox='0 0 24 24'>
+                        <polyline points='3 6 5 6 21 6' />
+                        <path d='M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2' />
+                      </svg>
+                    </button>
+                  </div>
+                  <textarea
+                    className='routine-input'
+                    rows={1}
+                    placeholder='Notes (optional)'
+                    value={step.notes || ''}
+                    onChange={(e) =>
+                      changeStep(step.id, { notes: e.target.value })
+                    }
+                    aria-label={`Step ${index + 1} notes`}
+                  />
+                  <textarea
+                    className='routine-input'
+                    rows={1}
+                    placeholder='Checklist, one item per line (optional)'
+                    value={(step.checklist || []).join('\n')}
+                    onChange={(e) =>
+                      changeStep(step.id, {
+                        checklist: e.target.value
+                          ? e.target.value.split('\n')
+                          : []
+                      })
+                    }
+                    onBlur={() =>
+                      changeStep(step.id, {
+                        checklist: (step.checklist || [])
+                          .map((item) => item.trim())
+                          .filter(Boolean)
+                      })
+                    }
+                    aria-label={`Step ${index + 1} checklist`}
+                  />
+                  {stepErrors.length > 0 && (
+                    <p className='routine-step-error' role='alert'>
+                      {stepErrors.join('. ')}
+                    </p>
+                  )}
+                </li>
+              )
+            })}
+          </ol>
+          <div className='modal-footer'>
+            <span className='small'>
+              {valid ? 'All changes saved' : 'Fix errors to save'}
+            </span>
+            <button
+              type='button'
+              className='btn'
+              onClick={handleAddStep}
+              disabled={!valid}
+            >
+              <svg className='icon' viewBox='0 0 24 24'>
+                <path d='M12 5v14M5 12h14' />
+              </svg>
+              Add step
+            </button>
+            <button type='button' className='btn btn-primary' onClick={onClose}>
+              Done
+            </button>
+          </div>
+        </>
+      )}
+    </Modal>
+  )
+}
+
+RoutineEditor.propTypes = {
+  sequenceId: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+  onSaved: PropTypes.func.isRequired
+}
+
+export default RoutineEditor
@@ -0,0 +1,151 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { formatTime } from './RoutineRunner'
+
+/**
+ * TAB-RTN-04: Routine Library with sort options and empty state
+ */
+function RoutineLibrary({
+  sequences,
+  sortBy,
+  onSortChange,
+  onStart,
+  onEdit,
+  onDuplicate,
+  onDelete,
+  onCreate
+}) {
+  return (
+    <div className='card'>
+      <div className='card-h'>
+        <strong>Routine Library</strong>
+        <select
+          className='filter-select routine-sort'
+          value={sortBy}
+          onChange={(e) => onSortChange(e.target.value)}
+          aria-label='Sort routines'
+        >
+          <option value='recent'>Recently used</option>
+          <option value='name'>Name</option>
+          <option value='duration'>Total duration</option>
+        </select>
+      </div>
+      <div className='card-b'>
+        {sequences.length > 0 ? (
+          <div className='details-list'>
+            {sequences.map((sequence) => (
+              <div key={sequence.id} className='routine-card'>
+                <div className='routine-card-header'>
+                  <div>
+                    <h3 className='routine-title'>{sequence.name}</h3>
+                    {sequence.description && (
+                      <p className='small'>{sequence.description}</p>
+                    )}
+                  </div>
+                  <span className='small'>
+                    {sequence.steps.length} steps ·{' '}
+                    {formatTime(sequence.totalDuration || 0)}
+                  </span>
+                </div>
+                <div className='routine-card-meta'>
+                  <span className='small'>
+                    Last used:{' '}
+                    {sequence.lastUsedAt
+                      ? new Date(sequence.lastUsedAt).toLocaleDateString()
+                      : 'Never'}
+                  </span>
+                </div>
+                <div className='routine-card-actions'>
+                  <button
+                    className='btn btn-primary'
+                    onClick={() => onStart(sequence.id)}
+                    disabled={sequence.steps.length === 0}
+                    aria-label={`Start routine ${sequence.name}`}
+                  >
+                    <svg className='icon' viewBox='0 0 24 24'>
+                      <polygon points='5 3 19 12 5 21 5 3' />
+                    </svg>
+                    Start
+                  </button>
+                  <button
+                    className='btn'
+                    onClick={() => onEdit(sequence.id)}
+                    aria-label={`Edit routine ${sequence.name}`}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    className='btn'
+                    onClick={() => onDuplicate(sequence.id)}
+                    aria-label={`Duplicate routine ${sequence.name}`}
+                  >
+                    Duplicate
+                  </button>
+                  <button
+                    className='btn'
+                    onClick={() => onDelete(sequence)}
+                    aria-label={`Delete routine ${sequence.name}`}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className='routine-library-empty'>
+            <div className='empty-state'>
+              <svg
+                className='icon'
+                viewBox='0 0 24 24'
+                style={{ width: '48px', height: '48px', opacity: 0.5 }}
+              >
+                <circle cx='12' cy='12' r='10' />
+                <path d='M12 6v12M6 12h12' />
+              </svg>
+              <p className='empty-state-text'>No routines yet</p>
+              <p
+                className='small'
+                style={{ marginTop: '8px', marginBottom: '16px' }}
+              >
+                Create your first routine to get started
+              </p>
+              <button
+                className='btn btn-primary'
+                onClick={onCreate}
+                aria-label='Create your first routine'
+              >
+                <svg className='icon' viewBox='0 0 24 24'>
+                  <path d='M12 5v14M5 12h14' />
+                </svg>
+                Create Routine
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+RoutineLibrary.propTypes = {
+  sequences: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      description: PropTypes.string,
+      steps: PropTypes.array.isRequired,
+      totalDuration: PropTypes.number,
+      lastUsedAt: PropTypes.number
+    })
+  ).isRequired,
+  sortBy: PropTypes.oneOf(['recent', 'name', 'duration']).isRequired,
+  onSortChange: PropTypes.func.isRequired,
+  onStart: PropTypes.func.isRequired,
+  onEdit: PropTypes.func.isRequired,
+  onDuplicate: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onCreate: PropTypes.func.isRequired
+}
+
+export default RoutineLibrary
@@ -0,0 +1,244 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+
+/**
+ * Format seconds as mm:ss, or hh:mm:ss when showHours is set
+ * @param {number} seconds - Duration in seconds
+ * @param {boolean} showHours - Always include the hour field
+ * @returns {string} Formatted time
+ */
+export function formatTime(seconds, showHours = false) {
+  const total = Math.abs(Math.floor(seconds))
+  const h = Math.floor(total / 3600)
+  const m = Math.floor((total % 3600) / 60)
+  const s = total % 60
+  const pad = (n) => String(n).padStart(2, '0')
+  return showHours || h > 0
+    ? `${pad(h)}:${pad(m)}:${pad(s)}`
+    : `${pad(m)}:${pad(s)}`
+}
+
+/**
+ * TAB-RTN-03: Current Routine runner with progress bar and step triptych
+ */
+function RoutineRunner({
+  runState,
+  times,
+  onPause,
+  onResume,
+  onComplete,
+  onSkip,
+  onBack,
+  onExtend,
+  onStop
+}) {
+  const { sequence, currentStepIndex, isPaused, completedAt } = runState
+  const steps = sequence.steps || []
+  const current = steps[currentStepIndex]
+  const previous = steps[currentStepIndex - 1]
+  const next = steps[currentStepIndex + 1]
+
+  const stepTimer = times.isOvertime
+    ? `+${formatTime(times.stepRemaining)}`
+    : formatTime(times.stepRemaining)
+
+  return (
+    <div className='card'>
+      <div className='card-h'>
+        <strong>Current Routine</strong>
+        <span className='small'>{sequence.name}</span>
+      </div>
+      {/* TAB-RTN-42: Prominent horizontal progress bar */}
+      <div
+        className={`routine-progress ${isPaused ? 'paused' : ''}`}
+        role='progressbar'
+        aria-valuenow={times.progress}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-label={`Routine progress ${times.progress}%`}
+      >
+        <div
+          className='routine-progress-bar'
+          style={{ width: `${times.progress}%` }}
+        ></div>
+      </div>
+      <div className='card-b runner-top'>
+        <div className='seq-time'>
+          <div className='small'>Sequence timer</div>
+          <div style={{ fontWeight: '700' }}>
+            {formatTime(times.totalElapsed, true)}
+          </div>
+        </div>
+
+        {completedAt ? (
+          <div className='runner-summary' role='status'>
+            <p>
+              <strong>Routine complete.</strong>{' '}
+              {runState.log.filter((e) => e.status === 'completed').length} of{' '}
+              {steps.length} steps done in{' '}
+              {formatTime(times.totalElapsed, true)} (planned{' '}
+              {formatTime(times.totalPlanned, true)}).
+            </p>
+            <button className='btn' onClick={onStop}>
+              Close
+            </button>
+          </div>
+        ) : (
+          /* TAB-RTN-03: Previous (dim), Current (enlarged with glow), Next (preview) */
+          <div className='triptych'>
+            <div className='panel dim'>
+              <div className='step-title'>{previous?.name || '—'}</div>
+              <div className='step-meta'>
+                <span className='small'>Previous</span>
+                {previous && (
+                  <span className='small'>
+                    {formatTime(previous.duration || 0)}
+                  </span>
+                )}
+              </div>
+            </div>
+            <div
+              className={`panel panel-current ${times.isOvertime ? 'overtime' : ''}`}
+            >
+              <div className='step-title'>{current?.name}</div>
+              <div className='step-meta'>
+                <span className='small'>
+                  Current · {isPaused ? 'Paused' : 'Timer'}
+                </span>
+                <span className='small' aria-hidden='true'>
+                  {stepTimer}
+                </span>
+              </div>
+              {current?.notes && <p className='step-notes'>{current.notes}</p>}
+              {current?.checklist?.length > 0 && (
+                <ul className='step-checklist'>
+                  {current.checklist.filter(Boolean).map((item, index) => (
+                    <li key={index}>{item}</li>
+                  ))}
+                </ul>
+              )}
+              {/* TAB-RTN-43: Announce step changes, not every tick */}
+              <span className='sr-only' aria-live='polite'>
+                {`Step ${currentStepIndex + 1} of ${steps.length}: ${current?.name}`}
+              </span>
+              <div className='controls'>
+                <button
+                  className='btn'
+                  onClick={onBack}
+                  disabled={currentStepIndex === 0}
+                  aria-label='Go back to previous step'
+                >
+                  <svg className='icon' viewBox='0 0 24 24'>
+                    <polygon points='19 20 9 12 19 4 19 20' />
+                    <rect x='5' y='4' width='2' height='16' />
+                  </svg>
+                </button>
+                {isPaused ? (
+                  <button
+                    className='btn'
+                    onClick={onResume}
+                    aria-label='Resume current step'
+                  >
+                    <svg className='icon' viewBox='0 0 24 24'>
+                      <polygon points='5 3 19 12 5 21 5 3' />
+                    </svg>{' '}
+                    Resume
+                  </button>
+                ) : (
+                  <button
+                    className='btn'
+                    onClick={onPause}
+                    aria-label='Pause current step'
+                  >
+                    <svg className='icon' viewBox='0 0 24 24'>
+                      <rect x='6' y='4' width='4' height='16' />
+                      <rect x='14' y='4' width='4' height='16' />
+                    </svg>{' '}
+                    Pause
+                  </button>
+                )}
+                <button
+                  className='btn'
+                  onClick={onComplete}
+                  aria-label='Complete current step'
+                >
+                  <svg className='icon' viewBox='0 0 24 24'>
+                    <polyline points='20 6 9 17 4 12' />
+                  </svg>{' '}
+                  Done
+                </button>
+                <button
+                  className='btn'
+                  onClick={onSkip}
+                  aria-label='Skip current step'
+                >
+                  <svg className='icon' viewBox='0 0 24 24'>
+                    <polygon points='5 4 15 12 5 20 5 4' />
+                    <rect x='17' y='4' width='2' height='16' />
+                  </svg>{' '}
+                  Skip
+                </button>
+                <button
+                  className='btn'
+                  onClick={() => onExtend(60)}
+                  aria-label='Add one minute to current step'
+                >
+                  +1 min
+                </button>
+                <button
+                  className='btn'
+                  onClick={onStop}
+                  aria-label='Stop routine'
+                >
+                  <svg className='icon' viewBox='0 0 24 24'>
+                    <rect x='6' y='6' width='12' height='12' rx='2' />
+                  </svg>
+                </button>
+              </div>
+            </div>
+            <div className='panel dim'>
+              <div className='step-title'>{next?.name || '—'}</div>
+              <div className='step-meta'>
+                <span className='small'>Next</span>
+                {next && (
+                  <span className='small'>
+                    {formatTime(next.duration || 0)}
+                  </span>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+RoutineRunner.propTypes = {
+  runState: PropTypes.shape({
+    sequence: PropTypes.shape({
+      name: PropTypes.string,
+      steps: PropTypes.array
+    }).isRequired,
+    currentStepIndex: PropTypes.number.isRequired,
+    isPaused: PropTypes.bool.isRequired,
+    completedAt: PropTypes.number,
+    log: PropTypes.array.isRequired
+  }).isRequired,
+  times: PropTypes.shape({
+    stepRemaining: PropTypes.number.isRequired,
+    isOvertime: PropTypes.bool.isRequired,
+    totalElapsed: PropTypes.number.isRequired,
+    totalPlanned: PropTypes.number.isRequired,
+    progress: PropTypes.number.isRequired
+  }).isRequired,
+  onPause: PropTypes.func.isRequired,
+  onResume: PropTypes.func.isRequired,
+  onComplete: PropTypes.func.isRequired,
+  onSkip: PropTypes.func.isRequired,
+  onBack: PropTypes.func.isRequired,
+  onExtend: PropTypes.func.isRequired,
+  onStop: PropTypes.func.isRequired
+}
+
+export default RoutineRunner
@@ -0,0 +1,164 @@
+import React, { useState, useRef, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import { MAX_SUBTASKS, getSubtaskProgress } from '../../utils/tasksManager'
+
+/**
+ * TAB-TSK-17: Collapsible subtask checklist for an expanded task
+ * Keyboard: Up/Down move between subtasks, Alt + Up/Down reorders the
+ * focused one.
+ */
+function SubtaskList({ task, quadrant, onAdd, onToggle, onDelete, onReorder }) {
+  const [collapsed, setCollapsed] = useState(false)
+  const [draft, setDraft] = useState('')
+  const checkboxRefs = useRef({})
+  const focusAfterRender = useRef(null)
+
+  const subtasks = task.subtasks || []
+  const { done, total } = getSubtaskProgress(task)
+  const listId = `subtasks-${task.id}`
+
+  // Keep focus on a subtask after it moves
+  useEffect(() => {
+    const id = focusAfterRender.current
+    if (id && checkboxRefs.current[id]) {
+      checkboxRefs.current[id].focus()
+    }
+    focusAfterRender.current = null
+  })
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    if (!draft.trim() || subtasks.length >= MAX_SUBTASKS) return
+    onAdd(quadrant, task.id, draft)
+    setDraft('')
+  }
+
+  const move = (subtask, toIndex) => {
+    focusAfterRender.current = subtask.id
+    onReorder(quadrant, task.id, subtask.id, toIndex)
+  }
+
+  const handleKeyDown = (e, index) => {
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return
+    e.preventDefault()
+
+    const target = e.key === 'ArrowUp' ? index - 1 : index + 1
+    if (target < 0 || target >= subtasks.length) return
+
+    if (e.altKey) {
+      move(subtasks[index], target)
+    } else {
+      checkboxRefs.current[subtasks[target].id]?.focus()
+    }
+  }
+
+  return (
+    <div className='subtasks'>
+      <button
+        type='button'
+        className='subtasks-toggle'
+        aria-expanded={!collapsed}
+        aria-controls={listId}
+        onClick={() => setCollapsed((value) => !value)}
+      >
+        Subtasks
+        {total > 0 && (
+          <span className='small'>
+            {' '}
+            {done}/{total}
+          </span>
+        )}
+      </button>
+
+      <div id={listId} hidden={collapsed}>
+        {subtasks.length > 0 && (
+          <ul
+            className='subtask-list'
+            aria-label={`Subtasks of "${task.text}"`}
+          >
+            {subtasks.map((subtask, index) => (
+              <li
+                key={subtask.id}
+                className={`subtask ${subtask.completed ? 'completed' : ''}`}
+              >
+                <label>
+                  <input
+                    ref={(el) => {
+                      checkboxRefs.current[subtask.id] = el
+                    }}
+                    type='checkbox'
+                    checked={subtask.completed}
+                    onChange={() => onToggle(quadrant, task.id, subtask.id)}
+                    onKeyDown={(e) => handleKeyDown(e, index)}
+                  />
+                  <span>{subtask.text}</span>
+                </label>
+                <div className='subtask-actions'>
+                  <button
+                    type='button'
+                    disabled={index === 0}
+                    onClick={() => move(subtask, index - 1)}
+                    aria-label={`Move "${subtask.text}" up`}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type='button'
+                    disabled={index === subtasks.length - 1}
+                    onClick={() => move(subtask, index + 1)}
+                    aria-label={`Move "${subtask.text}" down`}
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type='button'
+                    onClick={() => onDelete(quadrant, task.id, subtask.id)}
+                    aria-label={`Delete subtask "${subtask.text}"`}
+                  >
+                    ×
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+        {subtasks.length < MAX_SUBTASKS && (
+          <form className='subtask-form' onSubmit={handleAdd}>
+            <input
+              type='text'
+              value={draft}
+              maxLength={1000}
+              placeholder='Add a subtask...'
+              onChange={(e) => setDraft(e.target.value)}
+              aria-label='New subtask'
+            />
+            <button type='submit' className='btn'>
+              Add
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+SubtaskList.propTypes = {
+  task: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    text: PropTypes.string.isRequired,
+    subtasks: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        text: PropTypes.string.isRequired,
+        completed: PropTypes.bool.isRequired
+      })
+    )
+  }).isRequired,
+  quadrant: PropTypes.string.isRequired,
+  onAdd: PropTypes.func.isRequired,
+  onToggle: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onReorder: PropTypes.func.isRequired
+}
+
+export default SubtaskList
@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import {
+  ARCHIVE_DELAY_OPTIONS,
+  getArchivedTasks,
+  removeFromArchive,
+  searchArchive
+} from '../../utils/tasksManager'
+import { toDateKey } from '../../utils/dateUtils'
+
+const describeDelay = (days) =>
+  days === 0 ? 'Never' : `${days} day${days === 1 ? '' : 's'} after completion`
+
+/**
+ * Archived tasks: search by text, quadrant and completion date, then restore
+ * them to the matrix or purge them for good. Also sets how long completed
+ * tasks stay in the matrix before they're archived.
+ * @param {number} version - Changes whenever tasks are archived or restored
+ */
+function TaskArchive({
+  version,
+  quadrants,
+  archiveAfterDays,
+  onArchiveAfterDaysChange,
+  onRestore
+}) {
+  const [records, setRecords] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [filters, setFilters] = useState({
+    query: '',
+    quadrant: '',
+    from: '',
+    to: ''
+  })
+
+  useEffect(() => {
+    let cancelled = false
+    getArchivedTasks()
+      .then((archived) => {
+        if (!cancelled) setRecords(archived)
+      })
+      .catch((e) => {
+        console.error('Failed to load archived tasks:', e)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [version])
+
+  const titles = Object.fromEntries(
+    quadrants.map((quadrant) => [quadrant.key, quadrant.title])
+  )
+  const results = searchArchive(records, filters)
+
+  const setFilter = (key, value) => {
+    setFilters((current) => ({ ...current, [key]: value }))
+  }
+
+  const purge = async (ids) => {
+    const count = ids.length
+    if (
+      !window.confirm(
+        `Permanently delete ${count} archived task${count === 1 ? '' : 's'}? This cannot be undone.`
+      )
+    ) {
+      return
+    }
+    try {
+      await removeFromArchive(ids)
+      setRecords((current) => current.filter((r) => !ids.includes(r.id)))
+    } catch (e) {
+      console.error('Failed to purge archived tasks:', e)
+    }
+  }
+
+  return (
+    <section className='card task-archive' aria-labelledby='task-archive-title'>
+      <div className='card-h'>
+        <strong id='task-archive-title'>Archive</strong>
+        <label className='task-archive-delay'>
+          Archive completed tasks
+          <select
+            value={archiveAfterDays}
+            onChange={(e) => onArchiveAfterDaysChange(Number(e.target.value))}
+          >
+            {ARCHIVE_DELAY_OPTIONS.map((days) => (
+              <option key={days} value={days}>
+                {describeDelay(days)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className='card-b'>
+        <div className='task-archive-filters' role='search'>
+          <input
+            type='search'
+            value={filters.query}
+            placeholder='Search archived tasks...'
+            onChange={(e) => setFilter('query', e.target.value)}
+            aria-label='Search archived tasks'
+          />
+          <select
+            value={filters.quadrant}
+            onChange={(e) => setFilter('quadrant', e.target.value)}
+            aria-label='Filter by quadrant'
+          >
+            <option value=''>All quadrants</option>
+            {quadrants.map((quadrant) => (
+              <option key={quadrant.key} value={quadrant.key}>
+                {quadrant.title}
+              </option>
+            ))}
+          </select>
+          <label>
+            From
+            <input
+              type='date'
+              value={filters.from}
+              onChange={(e) => setFilter('from', e.target.value)}
+            />
+          </label>
+          <label>
+            To
+            <input
+              type='date'
+              value={filters.to}
+              onChange={(e) => setFilter('to', e.target.value)}
+            />
+          </label>
+        </div>
+
+        {loading ? (
+          <p className='small'>Loading archive...</p>
+        ) : results.length === 0 ? (
+          <p className='empty-state'>
+            {records.length === 0
+              ? 'No archived tasks'
+              : 'No archived tasks match'}
+          </p>
+        ) : (
+          <>
+            <ul className='task-archive-list' aria-label='Archived tasks'>
+              {results.map((record) => (
+                <li key={record.id} className='task-archive-item'>
+                  <div>
+                    <span className='task-text'>{record.text}</span>
+                    <span className='small'>
+                      {titles[record.quadrant]} ·{' '}
+                      {record.completedAt
+                        ? `Completed ${toDateKey(new Date(record.completedAt))}`
+                        : `Archived ${toDateKey(new Date(record.archivedAt))}`}
+                    </span>
+                  </div>
+                  <div className='task-archive-actions'>
+                    <button
+                      type='button'
+                      className='btn'
+                      onClick={() => onRestore([record])}
+                      aria-label={`Restore "${record.text}"`}
+                    >
+                      Restore
+                    </button>
+                    <button
+                      type='button'
+                      className='btn'
+                      onClick={() => purge([record.id])}
+                      aria-label={`Delete "${record.text}" permanently`}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            <button
+              type='button'
+              className='btn'
+              onClick={() => purge(results.map((record) => record.id))}
+            >
+              Delete {results.length} shown permanently
+            </button>
+          </>
+        )}
+      </div>
+    </section>
+  )
+}
+
+TaskArchive.propTypes = {
+  version: PropTypes.number.isRequired,
+  quadrants: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      title: PropTypes.string.isRequired
+    })
+  ).isRequired,
+  archiveAfterDays: PropTypes.number.isRequired,
+  onArchiveAfterDaysChange: PropTypes.func.isRequired,
+  onRestore: PropTypes.func.isRequired
+}
+
+export default TaskArchive
@@ -0,0 +1,126 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { TAG_COLORS, MAX_TAG_LENGTH } from '../../utils/tasksManager'
+
+/**
+ * TAB-TSK-08: Actions for the tasks selected in Bulk Edit mode
+ */
+function TaskBulkActions({
+  count,
+  total,
+  quadrants,
+  onComplete,
+  onMove,
+  onTag,
+  onArchive,
+  onDelete,
+  onSelectAll,
+  onClear
+}) {
+  const [tagLabel, setTagLabel] = useState('')
+  const [tagColor, setTagColor] = useState(TAG_COLORS[0])
+  const none = count === 0
+
+  const applyTag = (e) => {
+    e.preventDefault()
+    if (none || !tagLabel.trim()) return
+    onTag({ label: tagLabel.trim(), color: tagColor })
+    setTagLabel('')
+  }
+
+  return (
+    <div className='task-bulk-actions' role='toolbar' aria-label='Bulk actions'>
+      <span className='task-bulk-count' aria-live='polite'>
+        {count} of {total} selected
+      </span>
+      <button
+        type='button'
+        className='btn'
+        onClick={count === total ? onClear : onSelectAll}
+        disabled={total === 0}
+      >
+        {count === total && total > 0 ? 'Select none' : 'Select all'}
+      </button>
+      <button
+        type='button'
+        className='btn'
+        onClick={onComplete}
+        disabled={none}
+      >
+        Complete
+      </button>
+      <select
+        value=''
+        onChange={(e) => e.target.value && onMove(e.target.value)}
+        disabled={none}
+        aria-label='Move selected tasks to'
+      >
+        <option value=''>Move to...</option>
+        {quadrants.map((quadrant) => (
+          <option key={quadrant.key} value={quadrant.key}>
+            {quadrant.title}
+          </option>
+        ))}
+      </select>
+      <form className='tag-form' onSubmit={applyTag}>
+        <input
+          type='text'
+          value={tagLabel}
+          maxLength={MAX_TAG_LENGTH}
+          placeholder='Tag'
+          onChange={(e) => setTagLabel(e.target.value)}
+          aria-label='Tag for selected tasks'
+        />
+        <select
+          value={tagColor}
+          onChange={(e) => setTagColor(e.target.value)}
+          aria-label='Tag colour for selected tasks'
+        >
+          {TAG_COLORS.map((color) => (
+            <option key={color} value={color}>
+              {color}
+            </option>
+          ))}
+        </select>
+        <button
+          type='submit'
+          className='btn'
+          disabled={none || !tagLabel.trim()}
+        >
+          Tag
+        </button>
+      </form>
+      <button type='button' className='btn' onClick={onArchive} disabled={none}>
+        Archive
+      </button>
+      <button
+        type='button'
+        className='btn task-bulk-delete'
+        onClick={onDelete}
+        disabled={none}
+      >
+        Delete
+      </button>
+    </div>
+  )
+}
+
+TaskBulkActions.propTypes = {
+  count: PropTypes.number.isRequired,
+  total: PropTypes.number.isRequired,
+  quadrants: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      title: PropTypes.string.isRequired
+    })
+  ).isRequired,
+  onComplete: PropTypes.func.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onTag: PropTypes.func.isRequired,
+  onArchive: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onSelectAll: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired
+}
+
+export default TaskBulkActions
@@ -0,0 +1,370 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import PropTypes from 'prop-types'
+import { Link } from 'react-router-dom'
+import { marked } from 'marked'
+import DOMPurify from 'dompurify'
+import { configureSanitization } from '../../utils/sanitization'
+import SubtaskList from './SubtaskList'
+import TaskRecurrence from './TaskRecurrence'
+import { toDateKey } from '../../utils/dateUtils'
+import { findTaskSource } from '../../utils/notes/noteTasks'
+import { requestIntent } from '../../utils/pageIntents'
+import {
+  TAG_COLORS,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  MAX_NOTES_LENGTH,
+  MAX_ESTIMATE_MINUTES
+} from '../../utils/tasksManager'
+
+// Past completions of a recurring task shown in its panel
+const MAX_HISTORY = 10
+
+/**
+ * TAB-TSK-16: Expanded task panel
+ * Due date/time, estimate, repeat, Markdown notes, subtasks, colour tags,
+ * recurrence history and the task's position within its quadrant. Text
+ * fields save on blur so typing doesn't write the task on every keystroke.
+ */
+function TaskDetails({
+  task,
+  quadrant,
+  index,
+  count,
+  onUpdate,
+  onReorder,
+  onAddSubtask,
+  onToggleSubtask,
+  onDeleteSubtask,
+  onReorderSubtask
+}) {
+  const [estimate, setEstimate] = useState(
+    task.estimate ? String(task.estimate) : ''
+  )
+  const [estimateError, setEstimateError] = useState('')
+  const [notes, setNotes] = useState(task.notes || '')
+  const [previewing, setPreviewing] = useState(false)
+  const [tagLabel, setTagLabel] = useState('')
+  const [tagColor, setTagColor] = useState(TAG_COLORS[0])
+
+  const tags = task.tags || []
+  // Recurring series carry their completions, newest first here
+  const history = [...(task.history || [])].reverse().slice(0, MAX_HISTORY)
+  const detailsId = `task-details-${task.id}`
+  // The note checklist item this task was sent from, if any
+  const source = useMemo(
+    () => (task.noteId ? findTaskSource(task.noteId, task.id) : null),
+    [task.noteId, task.id]
+  )
+
+  // Pick up changes made elsewhere (e.g. an import) while the panel is open
+  useEffect(() => {
+    setNotes(task.notes || '')
+  }, [task.notes])
+
+  useEffect(() => {
+    setEstimate(task.estimate ? String(task.estimate) : '')
+  }, [task.estimate])
+
+  // Security: notes are sanitized with DOMPurify before rendering
+  const preview = useMemo(() => {
+    if (!previewing) return ''
+    const sanitizeConfig = configureSanitization(DOMPurify)
+    return DOMPurify.sanitize(
+      marked.parse(notes, { breaks: true, gfm: true }),
+      sanitizeConfig
+    )
+  }, [notes, previewing])
+
+  const update = (changes) => onUpdate(quadrant, task.id, changes)
+
+  const handleDueDateChange = (value) => {
+    // A due time means nothing without a date
+    update({ dueDate: value || null, dueTime: value ? task.dueTime : null })
+  }
+
+  const saveEstimate = () => {
+    if (estimate.trim() === '') {
+      setEstimateError('')
+      if (task.estimate) update({ estimate: null })
+      return
+    }
+
+    const minutes = Number(estimate)
+    if (
+      !Number.isInteger(minutes) ||
+      minutes < 1 ||
+      minutes > MAX_ESTIMATE_MINUTES
+    ) {
+      setEstimateError(
+        `Enter whole minutes between 1 and ${MAX_ESTIMATE_MINUTES}.`
+      )
+      return
+    }
+
+    setEstimateError('')
+    if (minutes !== task.estimate) update({ estimate: minutes })
+  }
+
+  const saveNotes = () => {
+    if (notes !== (task.notes || '')) update({ notes })
+  }
+
+  const addTag = (e) => {
+    e.preventDefault()
+    const label = tagLabel.trim()
+    if (!label || tags.length >= MAX_TAGS) return
+
+    const exists = tags.some(
+      (tag) => tag.label.toLowerCase() === label.toLowerCase()
+    )
+    if (!exists) {
+      update({ tags: [...tags, { label, color: tagColor }] })
+    }
+    setTagLabel('')
+  }
+
+  const removeTag = (label) => {
+    update({ tags: tags.filter((tag) => tag.label !== label) })
+  }
+
+  return (
+    <div
+      id={detailsId}
+      className='task-details'
+      role='region'
+      aria-label={`Details for "${task.text}"`}
+    >
+      {source && (
+        <p className='task-source small'>
+          From note{' '}
+          <Link
+            to='/braindump'
+            onClick={() => requestIntent('openNote', task.noteId)}
+          >
+            {source.title}
+          </Link>
+          {source.line ? `, line ${source.line}` : ' (item removed)'}
+        </p>
+      )}
+      <div className='task-details-row'>
+        <label>
+          Due date
+          <input
+            type='date'
+            value={task.dueDate || ''}
+            onChange={(e) => handleDueDateChange(e.target.value)}
+          />
+        </label>
+        <label>
+          Due time
+          <input
+            type='time'
+            value={task.dueTime || ''}
+            disabled={!task.dueDate}
+            onChange={(e) => update({ dueTime: e.target.value || null })}
+          />
+        </label>
+        <label>
+          Estimate (min)
+          <input
+            type='number'
+            min='1'
+            max={MAX_ESTIMATE_MINUTES}
+            step='5'
+            value={estimate}
+            onChange={(e) => setEstimate(e.target.value)}
+            onBlur={saveEstimate}
+            aria-invalid={estimateError ? 'true' : 'false'}
+            aria-describedby={
+              estimateError ? `${detailsId}-estimate-error` : undefined
+            }
+          />
+        </label>
+      </div>
+      {estimateError && (
+        <p
+          id={`${detailsId}-estimate-error`}
+          className='task-field-error'
+          role='alert'
+        >
+          {estimateError}
+        </p>
+      )}
+
+      <TaskRecurrence
+        task={task}
+        onChange={(recurrence) => update({ recurrence })}
+      />
+
+      <div className='task-notes'>
+        <div className='task-notes-header'>
+          <span>Notes</span>
+          <button
+            type='button'
+            className='btn'
+            aria-pressed={previewing}
+            onClick={() => {
+              saveNotes()
+              setPreviewing((value) => !value)
+            }}
+          >
+            {previewing ? 'Edit' : 'Preview'}
+          </button>
+        </div>
+        {previewing ? (
+          <div
+            className='task-notes-preview'
+            dangerouslySetInnerHTML={{ __html: preview }}
+          />
+        ) : (
+          <textarea
+            value={notes}
+            maxLength={MAX_NOTES_LENGTH}
+            rows={4}
+            placeholder='Markdown notes...'
+            onChange={(e) => setNotes(e.target.value)}
+            onBlur={saveNotes}
+            aria-label='Task notes'
+          />
+        )}
+      </div>
+
+      <SubtaskList
+        task={task}
+        quadrant={quadrant}
+        onAdd={onAddSubtask}
+        onToggle={onToggleSubtask}
+        onDelete={onDeleteSubtask}
+        onReorder={onReorderSubtask}
+      />
+      {(task.subtasks || []).length > 0 && (
+        <label className='task-auto-complete'>
+          <input
+            type='checkbox'
+            checked={Boolean(task.autoComplete)}
+            onChange={(e) => update({ autoComplete: e.target.checked })}
+          />
+          Complete the task when all subtasks are done
+        </label>
+      )}
+
+      <div className='task-tags'>
+        <ul className='tag-list' aria-label='Tags'>
+          {tags.map((tag) => (
+            <li key={tag.label} className={`tag-chip tag-${tag.color}`}>
+              {tag.label}
+              <button
+                type='button'
+                onClick={() => removeTag(tag.label)}
+                aria-label={`Remove tag ${tag.label}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+        {tags.length < MAX_TAGS && (
+          <form className='tag-form' onSubmit={addTag}>
+            <input
+              type='text'
+              value={tagLabel}
+              maxLength={MAX_TAG_LENGTH}
+              placeholder='Add tag'
+              onChange={(e) => setTagLabel(e.target.value)}
+              aria-label='New tag'
+            />
+            <select
+              value={tagColor}
+              onChange={(e) => setTagColor(e.target.value)}
+              aria-label='Tag colour'
+            >
+              {TAG_COLORS.map((color) => (
+                <option key={color} value={color}>
+                  {color}
+                </option>
+              ))}
+            </select>
+            <button type='submit' className='btn'>
+              Add tag
+            </button>
+          </form>
+        )}
+      </div>
+
+      {history.length > 0 && (
+        <div className='task-history'>
+          <span>History</span>
+          <ul aria-label='Completed instances'>
+            {history.map((entry) => (
+              <li key={`${entry.taskId}-${entry.completedAt}`}>
+                Completed {toDateKey(new Date(entry.completedAt))}
+                {entry.dueDate && ` (due ${entry.dueDate})`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className='task-order'>
+        <span className='small'>
+          Position {index + 1} of {count}
+        </span>
+        <button
+          type='button'
+          className='btn'
+          disabled={index === 0}
+          onClick={() => onReorder(quadrant, task.id, index - 1)}
+        >
+          Move up
+        </button>
+        <button
+          type='button'
+          className='btn'
+          disabled={index === count - 1}
+          onClick={() => onReorder(quadrant, task.id, index + 1)}
+        >
+          Move down
+        </button>
+      </div>
+    </div>
+  )
+}
+
+TaskDetails.propTypes = {
+  task: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    text: PropTypes.string.isRequired,
+    dueDate: PropTypes.string,
+    dueTime: PropTypes.string,
+    estimate: PropTypes.number,
+    notes: PropTypes.string,
+    tags: PropTypes.arrayOf(
+      PropTypes.shape({
+        label: PropTypes.string.isRequired,
+        color: PropTypes.string.isRequired
+      })
+    ),
+    subtasks: PropTypes.array,
+    recurrence: PropTypes.object,
+    history: PropTypes.arrayOf(
+      PropTypes.shape({
+        completedAt: PropTypes.number.isRequired,
+        dueDate: PropTypes.string
+      })
+    ),
+    autoComplete: PropTypes.bool,
+    noteId: PropTypes.string
+  }).isRequired,
+  quadrant: PropTypes.string.isRequired,
+  index: PropTypes.number.isRequired,
+  count: PropTypes.number.isRequired,
+  onUpdate: PropTypes.func.isRequired,
+  onReorder: PropTypes.func.isRequired,
+  onAddSubtask: PropTypes.func.isRequired,
+  onToggleSubtask: PropTypes.func.isRequired,
+  onDeleteSubtask: PropTypes.func.isRequired,
+  onReorderSubtask: PropTypes.func.isRequired
+}
+
+export default TaskDetails
@@ -1,16 +1,40 @@
 import React from 'react'
 import PropTypes from 'prop-types'
+import {
+  QUADRANT_TITLES,
+  describeTaskRecurrence
+} from '../../utils/tasksManager'
+import { parseDateKey } from '../../utils/dateUtils'
+
+const formatDue = (dueDate, dueTime) =>
+  parseDateKey(dueDate).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  }) + (dueTime ? ` ${dueTime}` : '')
 
 /**
  * Component for adding new tasks
+ * The text is read as a quick-add line (see parseQuickAdd), and whatever was
+ * picked out of it is previewed under the field before the task is added.
+ * @param {object} preview - Parsed quick-add line
  */
 function TaskForm({
   newTask,
   selectedQuadrant,
+  preview,
   onTaskChange,
   onQuadrantChange,
   onSubmit
 }) {
+  const hasDetails =
+    preview.quadrant ||
+    preview.dueDate ||
+    preview.estimate ||
+    preview.recurrence ||
+    preview.tags.length > 0
+  const quadrantTitle = QUADRANT_TITLES[preview.quadrant]
+
   return (
     <form onSubmit={onSubmit} className='add-task-form'>
       <input
@@ -20,6 +44,7 @@ function TaskForm({
         onChange={(e) => onTaskChange(e.target.value)}
         className='task-input'
         aria-label='New task text'
+        aria-describedby='quick-add-preview'
       />
       <select
         value={selectedQuadrant}
@@ -27,12 +52,11 @@ function TaskForm({
         className='quadrant-select'
         aria-label='Select quadrant'
       >
-        <option value='urgent_important'>Urgent & Important</option>
-        <option value='not_urgent_important'>Not Urgent & Important</option>
-        <option value='urgent_not_important'>Urgent & Not Important</option>
-        <option value='not_urgent_not_important'>
-          Not Urgent & Not Important
-        </option>
+        {Object.entries(QUADRANT_TITLES).map(([key, title]) => (
+          <option key={key} value={key}>
+            {title}
+          </option>
+        ))}
       </select>
       <button type='submit' className='btn btn-primary'>
         <svg className='icon' viewBox='0 0 24 24' aria-hidden='true'>
@@ -40,6 +64,40 @@ function TaskForm({
         </svg>
         Add Task
       </button>
+      <div
+        id='quick-add-preview'
+        className='task-meta quick-add-preview'
+        aria-live='polite'
+      >
+        {hasDetails && (
+          <>
+            <span className='quick-add-text'>
+              {preview.text ? `Adds "${preview.text}"` : 'Needs a task name'}
+            </span>
+            {quadrantTitle && (
+              <span className='quick-add-quadrant'>To {quadrantTitle}</span>
+            )}
+            {preview.dueDate && (
+              <span className='task-due'>
+                Due {formatDue(preview.dueDate, preview.dueTime)}
+              </span>
+            )}
+            {preview.recurrence && (
+              <span className='task-recurring'>
+                Repeats {describeTaskRecurrence(preview.recurrence)}
+              </span>
+            )}
+            {preview.estimate && (
+              <span className='task-estimate'>~{preview.estimate} min</span>
+            )}
+            {preview.tags.map((tag) => (
+              <span key={tag.label} className={`tag-chip tag-${tag.color}`}>
+                {tag.label}
+              </span>
+            ))}
+          </>
+        )}
+      </div>
     </form>
   )
 }
@@ -47,6 +105,20 @@ function TaskForm({
 TaskForm.propTypes = {
   newTask: PropTypes.string.isRequired,
   selectedQuadrant: PropTypes.string.isRequired,
+  preview: PropTypes.shape({
+    text: PropTypes.string.isRequired,
+    quadrant: PropTypes.string,
+    dueDate: PropTypes.string,
+    dueTime: PropTypes.string,
+    estimate: PropTypes.number,
+    tags: PropTypes.arrayOf(
+      PropTypes.shape({
+        label: PropTypes.string.isRequired,
+        color: PropTypes.string.isRequired
+      })
+    ).isRequired,
+    recurrence: PropTypes.object
+  }).isRequired,
   onTaskChange: PropTypes.func.isRequired,
   onQuadrantChange: PropTypes.func.isRequired,
   onSubmit: PropTypes.func.isRequired
@@ -1,13 +1,24 @@
-import React, { useRef, useEffect } from 'react'
+import React, { useState, useRef, useEffect } from 'react'
 import PropTypes from 'prop-types'
+import { useTaskGestures } from '../../hooks/useTaskGestures'
+import { vibrate, HAPTICS } from '../../utils/haptics'
+import {
+  getDueStatus,
+  getSubtaskProgress,
+  describeTaskRecurrence
+} from '../../utils/tasksManager'
 
 /**
  * Component for displaying and editing a single task
+ * Keyboard handling lives in the matrix (useMatrixKeyboard), which makes one
+ * task at a time the tab stop. On touch screens a long press picks the task
+ * up, swiping right completes it and swiping left reveals quick actions.
  */
 function TaskItem({
   task,
   quadrant,
   isEditing,
+  isExpanded = false,
   editText,
   onToggle,
   onEdit,
@@ -15,9 +26,43 @@ function TaskItem({
   onSaveEdit,
   onCancelEdit,
   onDelete,
-  onDragStart
+  onDragStart,
+  onPointerDragStart,
+  isDragging = false,
+  moveTargets = [],
+  onMove,
+  onToggleExpand,
+  selectable = false,
+  isSelected = false,
+  onSelect,
+  isTabStop = false,
+  itemRef,
+  onKeyDown,
+  onFocus
 }) {
   const editInputRef = useRef(null)
+  const [actionsOpen, setActionsOpen] = useState(false)
+
+  const gestures = useTaskGestures({
+    enabled: !isEditing,
+    onLongPress: (point) => {
+      setActionsOpen(false)
+      onPointerDragStart(quadrant, task, point)
+    },
+    onSwipeRight: () => {
+      // Swiping back over open quick actions just closes them
+      if (actionsOpen) {
+        setActionsOpen(false)
+        return
+      }
+      vibrate(HAPTICS.COMPLETE)
+      onToggle(quadrant, task.id)
+    },
+    onSwipeLeft: () => {
+      vibrate(HAPTICS.REVEAL)
+      setActionsOpen(true)
+    }
+  })
 
   // Focus edit input when editing starts
   useEffect(() => {
@@ -26,40 +71,37 @@ function TaskItem({
     }
   }, [isEditing])
 
-  const handleKeyDown = (e) => {
-    // Keyboard shortcuts for moving tasks between quadrants
-    if (e.altKey && !isEditing) {
-      e.preventDefault()
-      switch (e.key) {
-        case 'ArrowUp':
-          // Move to previous quadrant
-          onDragStart(quadrant, task)
-          // Trigger drop in previous quadrant - handled by parent
-          break
-        case 'ArrowDown':
-          // Move to next quadrant
-          onDragStart(quadrant, task)
-          break
-        case 'ArrowLeft':
-        case 'ArrowRight':
-          // Move to adjacent quadrant
-          onDragStart(quadrant, task)
-          break
-        default:
-          break
-      }
-    }
-  }
+  const dueStatus = getDueStatus(task)
+  const tags = task.tags || []
+  const progress = getSubtaskProgress(task)
+  const hasMeta =
+    task.dueDate ||
+    task.estimate ||
+    task.recurrence ||
+    tags.length > 0 ||
+    progress.total > 0
 
   return (
     <div
-      className={`task-item ${task.completed ? 'completed' : ''}`}
+      className={`task-item ${task.completed ? 'completed' : ''} ${selectable ? 'selectable' : ''} ${isSelected ? 'selected' : ''} ${isDragging ? 'dragging' : ''} ${gestures.offset ? 'swiping' : ''}`}
+      style={
+        gestures.offset
+          ? { transform: `translateX(${gestures.offset}px)` }
+          : undefined
+      }
       draggable={!isEditing}
       onDragStart={() => onDragStart(quadrant, task)}
-      onKeyDown={handleKeyDown}
-      tabIndex={isEditing ? -1 : 0}
+      onPointerDown={gestures.onPointerDown}
+      onContextMenu={gestures.onContextMenu}
+      ref={itemRef}
+      onKeyDown={(e) => onKeyDown(e, quadrant, task)}
+      onFocus={(e) => {
+        if (e.target === e.currentTarget) onFocus(task.id)
+      }}
+      tabIndex={isTabStop && !isEditing ? 0 : -1}
       role='button'
-      aria-label={`Task: ${task.text}. Press Alt + Arrow keys to move between quadrants.`}
+      aria-label={`Task: ${task.text}${task.completed ? ' (completed)' : ''}`}
+      aria-describedby='task-keyboard-help'
       onClick={(e) => {
         // Allow click to propagate to child elements (checkbox, edit, delete)
         if (e.target.classList.contains('task-item')) {
@@ -67,6 +109,15 @@ function TaskItem({
         }
       }}
     >
+      {selectable && (
+        <input
+          type='checkbox'
+          className='task-select'
+          checked={isSelected}
+          onChange={() => onSelect(task.id)}
+          aria-label={`Select "${task.text}"`}
+        />
+      )}
       <input
         type='checkbox'
         checked={task.completed}
@@ -91,12 +142,65 @@ function TaskItem({
           aria-label='Edit task text'
         />
       ) : (
-        <span
-          className='task-text'
-          onDoubleClick={() => onEdit(quadrant, task)}
-        >
-          {task.text}
-        </span>
+        <div className='task-body'>
+          <span
+            className='task-text'
+            onDoubleClick={() => onEdit(quadrant, task)}
+          >
+            {task.text}
+          </span>
+          {hasMeta && (
+            <div className='task-meta'>
+              {task.dueDate && (
+                <span
+                  className={`task-due ${dueStatus || ''}`}
+                  title={dueStatus === 'overdue' ? 'Overdue' : undefined}
+                >
+                  Due {task.dueDate}
+                  {task.dueTime && ` ${task.dueTime}`}
+                  {dueStatus === 'overdue' && (
+                    <span className='sr-only'> (overdue)</span>
+                  )}
+                </span>
+              )}
+              {task.recurrence && (
+                <span
+                  className='task-recurring'
+                  title={describeTaskRecurrence(task.recurrence)}
+                >
+                  Recurring
+                </span>
+              )}
+              {progress.total > 0 && (
+                <span className='subtask-progress'>
+                  <span
+                    className='subtask-progress-bar'
+                    role='progressbar'
+                    aria-valuemin={0}
+                    aria-valuemax={progress.total}
+                    aria-valuenow={progress.done}
+                    aria-label={`${progress.done} of ${progress.total} subtasks done`}
+                  >
+                    <i
+                      style={{
+                        width: `${(progress.done / progress.total) * 100}%`
+                      }}
+                    />
+                  </span>
+                  {progress.done}/{progress.total}
+                </span>
+              )}
+              {task.estimate && (
+                <span className='task-estimate'>~{task.estimate} min</span>
+              )}
+              {tags.map((tag) => (
+                <span key={tag.label} className={`tag-chip tag-${tag.color}`}>
+                  {tag.label}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
       )}
       <div className='task-actions'>
         {isEditing ? (
@@ -123,6 +227,17 @@ function TaskItem({
           </>
         ) : (
           <>
+            <button
+              className={`btn-expand ${isExpanded ? 'expanded' : ''}`}
+              onClick={() => onToggleExpand(quadrant, task.id)}
+              aria-expanded={isExpanded}
+              aria-controls={`task-details-${task.id}`}
+              aria-label={`${isExpanded ? 'Hide' : 'Show'} details for "${task.text}"`}
+            >
+              <svg className='icon' viewBox='0 0 24 24'>
+                <polyline points='6 9 12 15 18 9' />
+              </svg>
+            </button>
             <button
               className='btn-edit'
               onClick={() => onEdit(quadrant, task)}
@@ -146,6 +261,44 @@ function TaskItem({
           </>
         )}
       </div>
+      {actionsOpen && !isEditing && (
+        <div
+          className='task-swipe-actions'
+          role='group'
+          aria-label={`Quick actions for "${task.text}"`}
+        >
+          {moveTargets
+            .filter((target) => target.key !== quadrant)
+            .map((target) => (
+              <button
+                key={target.key}
+                type='button'
+                className='btn'
+                onClick={() => {
+                  setActionsOpen(false)
+                  onMove(quadrant, target.key, task)
+                }}
+                aria-label={`Move "${task.text}" to ${target.title}`}
+              >
+                {target.subtitle}
+              </button>
+            ))}
+          <button
+            type='button'
+            className='btn task-swipe-delete'
+            onClick={() => onDelete(quadrant, task.id)}
+          >
+            Delete
+          </button>
+          <button
+            type='button'
+            className='btn'
+            onClick={() => setActionsOpen(false)}
+          >
+            Cancel
+          </button>
+        </div>
+      )}
     </div>
   )
 }
@@ -154,10 +307,22 @@ TaskItem.propTypes = {
   task: PropTypes.shape({
     id: PropTypes.string.isRequired,
     text: PropTypes.string.isRequired,
-    completed: PropTypes.bool.isRequired
+    completed: PropTypes.bool.isRequired,
+    dueDate: PropTypes.string,
+    dueTime: PropTypes.string,
+    estimate: PropTypes.number,
+    tags: PropTypes.arrayOf(
+      PropTypes.shape({
+        label: PropTypes.string.isRequired,
+        color: PropTypes.string.isRequired
+      })
+    ),
+    subtasks: PropTypes.array,
+    recurrence: PropTypes.object
   }).isRequired,
   quadrant: PropTypes.string.isRequired,
   isEditing: PropTypes.bool.isRequired,
+  isExpanded: PropTypes.bool,
   editText: PropTypes.string,
   onToggle: PropTypes.func.isRequired,
   onEdit: PropTypes.func.isRequired,
@@ -165,7 +330,25 @@ TaskItem.propTypes = {
   onSaveEdit: PropTypes.func.isRequired,
   onCancelEdit: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
-  onDragStart: PropTypes.func.isRequired
+  onDragStart: PropTypes.func.isRequired,
+  onPointerDragStart: PropTypes.func.isRequired,
+  isDragging: PropTypes.bool,
+  moveTargets: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      title: PropTypes.string.isRequired,
+      subtitle: PropTypes.string.isRequired
+    })
+  ),
+  onMove: PropTypes.func.isRequired,
+  onToggleExpand: PropTypes.func.isRequired,
+  selectable: PropTypes.bool,
+  isSelected: PropTypes.bool,
+  onSelect: PropTypes.func,
+  isTabStop: PropTypes.bool,
+  itemRef: PropTypes.func,
+  onKeyDown: PropTypes.func.isRequired,
+  onFocus: PropTypes.func.isRequired
 }
 
 export default TaskItem
@@ -1,6 +1,7 @@
 import React from 'react'
 import PropTypes from 'prop-types'
 import TaskItem from './TaskItem'
+import TaskDetails from './TaskDetails'
 
 /**
  * Component for displaying a quadrant of the Eisenhower Matrix
@@ -9,6 +10,7 @@ function TaskQuadrant({
   quadrant,
   tasks,
   editingTask,
+  expandedTask,
   editText,
   onToggle,
   onEdit,
@@ -18,7 +20,25 @@ function TaskQuadrant({
   onDelete,
   onDragStart,
   onDragOver,
-  onDrop
+  onDrop,
+  onPointerDragStart,
+  draggingTaskId,
+  isDropTarget = false,
+  moveTargets,
+  onMove,
+  onToggleExpand,
+  selectedIds,
+  onSelectTask,
+  onUpdate,
+  onReorder,
+  onAddSubtask,
+  onToggleSubtask,
+  onDeleteSubtask,
+  onReorderSubtask,
+  tabStopId,
+  registerItem,
+  onTaskKeyDown,
+  onTaskFocus
 }) {
   const isEditing = (task) => {
     return (
@@ -26,9 +46,17 @@ function TaskQuadrant({
     )
   }
 
+  const isExpanded = (task) => {
+    return (
+      expandedTask?.quadrant === quadrant.key &&
+      expandedTask?.taskId === task.id
+    )
+  }
+
   return (
     <div
-      className={`matrix-quadrant ${quadrant.colorClass}`}
+      className={`matrix-quadrant ${quadrant.colorClass} ${isDropTarget ? 'drop-target' : ''}`}
+      data-quadrant={quadrant.key}
       onDragOver={onDragOver}
       onDrop={() => onDrop(quadrant.key)}
     >
@@ -40,21 +68,49 @@ function TaskQuadrant({
         {tasks.length === 0 ? (
           <p className='empty-state'>No tasks in this quadrant</p>
         ) : (
-          tasks.map((task) => (
-            <TaskItem
-              key={task.id}
-              task={task}
-              quadrant={quadrant.key}
-              isEditing={isEditing(task)}
-              editText={editText}
-              onToggle={onToggle}
-              onEdit={onEdit}
-              onEditTextChange={onEditTextChange}
-              onSaveEdit={onSaveEdit}
-              onCancelEdit={onCancelEdit}
-              onDelete={onDelete}
-              onDragStart={onDragStart}
-            />
+          tasks.map((task, index) => (
+            <React.Fragment key={task.id}>
+              <TaskItem
+                task={task}
+                quadrant={quadrant.key}
+                isEditing={isEditing(task)}
+                isExpanded={isExpanded(task)}
+                editText={editText}
+                onToggle={onToggle}
+                onEdit={onEdit}
+                onEditTextChange={onEditTextChange}
+                onSaveEdit={onSaveEdit}
+                onCancelEdit={onCancelEdit}
+                onDelete={onDelete}
+                onDragStart={onDragStart}
+                onPointerDragStart={onPointerDragStart}
+                isDragging={task.id === draggingTaskId}
+                moveTargets={moveTargets}
+                onMove={onMove}
+                onToggleExpand={onToggleExpand}
+                selectable={Boolean(selectedIds)}
+                isSelected={Boolean(selectedIds?.includes(task.id))}
+                onSelect={onSelectTask}
+                isTabStop={task.id === tabStopId}
+                itemRef={registerItem(task.id)}
+                onKeyDown={onTaskKeyDown}
+                onFocus={onTaskFocus}
+              />
+              {isExpanded(task) && (
+                <TaskDetails
+                  task={task}
+                  quadrant={quadrant.key}
+                  index={index}
+                  count={tasks.length}
+                  onUpdate={onUpdate}
+                  onReorder={onReorder}
+                  onAddSubtask={onAddSubtask}
+                  onToggleSubtask={onToggleSubtask}
+                  onDeleteSubtask={onDeleteSubtask}
+                  onReorderSubtask={onReorderSubtask}
+                />
+              )}
+            </React.Fragment>
           ))
         )}
       </div>
@@ -74,6 +130,10 @@ TaskQuadrant.propTypes = {
     quadrant: PropTypes.string,
     taskId: PropTypes.string
   }),
+  expandedTask: PropTypes.shape({
+    quadrant: PropTypes.string,
+    taskId: PropTypes.string
+  }),
   editText: PropTypes.string,
   onToggle: PropTypes.func.isRequired,
   onEdit: PropTypes.func.isRequired,
@@ -83,7 +143,26 @@ TaskQuadrant.propTypes = {
   onDelete: PropTypes.func.isRequired,
   onDragStart: PropTypes.func.isRequired,
   onDragOver: PropTypes.func.isRequired,
-  onDrop: PropTypes.func.isRequired
+  onDrop: PropTypes.func.isRequired,
+  onPointerDragStart: PropTypes.func.isRequired,
+  draggingTaskId: PropTypes.string,
+  isDropTarget: PropTypes.bool,
+  moveTargets: PropTypes.array.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onToggleExpand: PropTypes.func.isRequired,
+  // Null outside Bulk Edit mode
+  selectedIds: PropTypes.arrayOf(PropTypes.string),
+  onSelectTask: PropTypes.func,
+  onUpdate: PropTypes.func.isRequired,
+  onReorder: PropTypes.func.isRequired,
+  onAddSubtask: PropTypes.func.isRequired,
+  onToggleSubtask: PropTypes.func.isRequired,
+  onDeleteSubtask: PropTypes.func.isRequired,
+  onReorderSubtask: PropTypes.func.isRequired,
+  tabStopId: PropTypes.string,
+  registerItem: PropTypes.func.isRequired,
+  onTaskKeyDown: PropTypes.func.isRequired,
+  onTaskFocus: PropTypes.func.isRequired
 }
 
 export default TaskQuadrant
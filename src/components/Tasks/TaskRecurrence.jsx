@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import {
+  MONTHLY_BY,
+  RECURRENCE_FREQS,
+  describeRecurrence
+} from '../../utils/recurrence'
+import {
+  AFTER_COMPLETION,
+  MAX_AFTER_COMPLETION_DAYS,
+  describeTaskRecurrence
+} from '../../utils/tasksManager'
+import { parseDateKey, toDateKey } from '../../utils/dateUtils'
+
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+]
+
+const INTERVAL_UNITS = {
+  [RECURRENCE_FREQS.DAILY]: 'days',
+  [RECURRENCE_FREQS.WEEKLY]: 'weeks',
+  [RECURRENCE_FREQS.MONTHLY]: 'months'
+}
+
+/**
+ * Repeat settings for a task
+ * Calendar cadences are anchored on the task's due date (or today), which
+ * also picks the default weekday and day of the month.
+ */
+function TaskRecurrence({ task, onChange }) {
+  const rule = task.recurrence || null
+  const [intervalDraft, setIntervalDraft] = useState(String(rule?.interval || 1))
+
+  useEffect(() => {
+    setIntervalDraft(String(rule?.interval || 1))
+  }, [rule?.interval])
+
+  const changeFreq = (freq) => {
+    if (!freq) {
+      onChange(null)
+      return
+    }
+
+    const start = rule?.start || task.dueDate || toDateKey()
+    const next = { freq, interval: 1, start }
+    if (freq === RECURRENCE_FREQS.WEEKLY) {
+      next.byWeekday = rule?.byWeekday || [parseDateKey(start).getDay()]
+    }
+    if (freq === RECURRENCE_FREQS.MONTHLY) {
+      next.monthlyBy = rule?.monthlyBy || MONTHLY_BY.DATE
+    }
+    onChange(next)
+  }
+
+  const saveInterval = () => {
+    const max = rule.freq === AFTER_COMPLETION ? MAX_AFTER_COMPLETION_DAYS : 99
+    const value = Math.min(max, Math.max(1, parseInt(intervalDraft, 10) || 1))
+    setIntervalDraft(String(value))
+    if (value !== rule.interval) onChange({ ...rule, interval: value })
+  }
+
+  const toggleWeekday = (weekday) => {
+    const byWeekday = rule.byWeekday.includes(weekday)
+      ? rule.byWeekday.filter((d) => d !== weekday)
+      : [...rule.byWeekday, weekday].sort((a, b) => a - b)
+    // A weekly rule needs at least one day
+    if (byWeekday.length > 0) onChange({ ...rule, byWeekday })
+  }
+
+  return (
+    <div className='task-recurrence'>
+      <div className='task-details-row'>
+        <label>
+          Repeat
+          <select
+            value={rule?.freq || ''}
+            onChange={(e) => changeFreq(e.target.value)}
+          >
+            <option value=''>Does not repeat</option>
+            <option value={RECURRENCE_FREQS.DAILY}>Daily</option>
+            <option value={RECURRENCE_FREQS.WEEKLY}>Weekly</option>
+            <option value={RECURRENCE_FREQS.MONTHLY}>Monthly</option>
+            <option value={AFTER_COMPLETION}>After completion</option>
+          </select>
+        </label>
+        {rule && (
+          <label>
+            {rule.freq === AFTER_COMPLETION
+              ? 'Days after completion'
+              : `Every (${INTERVAL_UNITS[rule.freq]})`}
+            <input
+              type='number'
+              min='1'
+              max={
+                rule.freq === AFTER_COMPLETION ? MAX_AFTER_COMPLETION_DAYS : 99
+              }
+              value={intervalDraft}
+              onChange={(e) => setIntervalDraft(e.target.value)}
+              onBlur={saveInterval}
+            />
+          </label>
+        )}
+        {rule?.freq === RECURRENCE_FREQS.MONTHLY && (
+          <label>
+            Monthly on
+            <select
+              value={rule.monthlyBy || MONTHLY_BY.DATE}
+              onChange={(e) => onChange({ ...rule, monthlyBy: e.target.value })}
+            >
+              {Object.values(MONTHLY_BY).map((monthlyBy) => (
+                <option key={monthlyBy} value={monthlyBy}>
+                  {describeRecurrence(
+                    { freq: RECURRENCE_FREQS.MONTHLY, monthlyBy },
+                    rule.start
+                  )}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {rule?.freq === RECURRENCE_FREQS.WEEKLY && (
+        <fieldset className='task-weekdays'>
+          <legend className='sr-only'>Repeat on</legend>
+          {WEEKDAYS.map((weekday) => (
+            <label key={weekday.value}>
+              <input
+                type='checkbox'
+                checked={rule.byWeekday.includes(weekday.value)}
+                onChange={() => toggleWeekday(weekday.value)}
+              />
+              {weekday.label}
+            </label>
+          ))}
+        </fieldset>
+      )}
+
+      {rule && (
+        <p className='small task-recurrence-summary'>
+          {describeTaskRecurrence(rule)}. Completing it adds the next one to
+          this quadrant.
+        </p>
+      )}
+    </div>
+  )
+}
+
+TaskRecurrence.propTypes = {
+  task: PropTypes.shape({
+    dueDate: PropTypes.string,
+    recurrence: PropTypes.shape({
+      freq: PropTypes.string.isRequired,
+      interval: PropTypes.number,
+      byWeekday: PropTypes.arrayOf(PropTypes.number),
+      monthlyBy: PropTypes.string,
+      start: PropTypes.string
+    })
+  }).isRequired,
+  onChange: PropTypes.func.isRequired
+}
+
+export default TaskRecurrence
@@ -0,0 +1,85 @@
+import { useState, useEffect } from 'react'
+import { undo, redo, subscribe } from '../utils/commandHistory'
+
+// How long the undo toast stays up
+export const UNDO_TOAST_MS = 6000
+
+// Typing fields keep the browser's own text undo
+const isEditable = (element) =>
+  element?.isContentEditable ||
+  ['INPUT', 'TEXTAREA', 'SELECT'].includes(element?.tagName)
+
+const run = (action, name) => {
+  action().catch((e) => {
+    console.error(`Failed to ${name}:`, e)
+  })
+}
+
+/**
+ * App-wide undo/redo: Ctrl/Cmd+Z undoes and Ctrl/Cmd+Shift+Z (or Ctrl+Y)
+ * redoes the last recorded change from any tab, and a toast offers Undo right
+ * after a destructive or run one and confirms each undo or redo.
+ * @returns {object} { toast, undoLast, dismissToast, showMessage } where
+ *   toast is { message, canUndo } or null and showMessage puts up a plain
+ *   confirmation (for changes that can't be undone)
+ */
+export function useCommandHistory() {
+  const [toast, setToast] = useState(null)
+
+  useEffect(
+    () =>
+      subscribe(({ type, command }) => {
+        if (type === 'record') {
+          // The toast's Undo always undoes the newest change, so any later
+          // change replaces it
+          setToast(
+            command.destructive
+              ? { message: `${command.label}.`, canUndo: true }
+              : null
+          )
+        } else if (type === 'run') {
+          // Made from outside the page, so confirm it and offer Undo
+          setToast({ message: `${command.label}.`, canUndo: true })
+        } else if (type === 'undo') {
+          setToast({ message: `Undone: ${command.label}`, canUndo: false })
+        } else if (type === 'redo') {
+          setToast({ message: `Redone: ${command.label}`, canUndo: false })
+        } else {
+          setToast(null)
+        }
+      }),
+    []
+  )
+
+  useEffect(() => {
+    if (!toast) return undefined
+    const timer = setTimeout(() => setToast(null), UNDO_TOAST_MS)
+    return () => clearTimeout(timer)
+  }, [toast])
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.defaultPrevented) return
+      if (isEditable(e.target)) return
+
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        run(undo, 'undo')
+      } else if ((key === 'z' && e.shiftKey) || (key === 'y' && e.ctrlKey)) {
+        e.preventDefault()
+        run(redo, 'redo')
+      }
+    }
+
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [])
+
+  return {
+    toast,
+    undoLast: () => run(undo, 'undo'),
+    dismissToast: () => setToast(null),
+    showMessage: (message) => setToast({ message, canUndo: false })
+  }
+}
@@ -1,10 +1,36 @@
-import { useState } from 'react'
+import { useState, useEffect, useRef } from 'react'
+import { vibrate, HAPTICS } from '../utils/haptics'
+
+// Distance (px) from the top or bottom of the viewport that scrolls the page
+// while a task is held
+export const AUTO_SCROLL_EDGE = 60
+// Scroll step per frame with the pointer right at the edge
+const AUTO_SCROLL_MAX_STEP = 16
+
+// Quadrant under a viewport point, from its data-quadrant attribute
+const quadrantAt = (x, y) => {
+  const element = document.elementFromPoint?.(x, y)
+  return element?.closest('[data-quadrant]')?.dataset.quadrant || null
+}
 
 /**
  * Custom hook for managing drag and drop functionality
+ * Mouse drags use native HTML5 drag events. Touch screens don't fire those,
+ * so a long-pressed task is picked up with startPointerDrag and follows the
+ * pointer: the quadrant under it is the drop target, and holding it near the
+ * top or bottom of the screen scrolls the page (TAB-TSK-MOB-01).
  */
 export function useDragAndDrop(onDrop) {
   const [draggedTask, setDraggedTask] = useState(null)
+  const [pointerDrag, setPointerDrag] = useState(null)
+  const pointerDragRef = useRef(null)
+  const onDropRef = useRef(onDrop)
+  onDropRef.current = onDrop
+
+  const updatePointerDrag = (next) => {
+    pointerDragRef.current = next
+    setPointerDrag(next)
+  }
 
   const handleDragStart = (quadrant, task) => {
     setDraggedTask({ quadrant, task })
@@ -23,10 +49,83 @@ export function useDragAndDrop(onDrop) {
     setDraggedTask(null)
   }
 
+  const startPointerDrag = (quadrant, task, { x, y }) => {
+    vibrate(HAPTICS.PICK_UP)
+    updatePointerDrag({ quadrant, task, x, y, target: quadrant })
+  }
+
+  const dragging = pointerDrag !== null
+
+  useEffect(() => {
+    if (!dragging) return undefined
+    let frame = null
+
+    const moveTo = (x, y) => {
+      updatePointerDrag({
+        ...pointerDragRef.current,
+        x,
+        y,
+        target: quadrantAt(x, y)
+      })
+    }
+
+    // Scroll faster the closer the pointer rests to an edge
+    const autoScroll = () => {
+      const { x, y } = pointerDragRef.current
+      const bottom = window.innerHeight - AUTO_SCROLL_EDGE
+      const depth =
+        y < AUTO_SCROLL_EDGE
+          ? y - AUTO_SCROLL_EDGE
+          : y > bottom
+            ? y - bottom
+            : 0
+      if (depth !== 0) {
+        const ratio = Math.max(-1, Math.min(1, depth / AUTO_SCROLL_EDGE))
+        window.scrollBy(0, Math.round(ratio * AUTO_SCROLL_MAX_STEP))
+        // The page moved under a still pointer
+        moveTo(x, y)
+      }
+      frame = window.requestAnimationFrame(autoScroll)
+    }
+
+    const handleMove = (e) => moveTo(e.clientX, e.clientY)
+
+    const handleUp = () => {
+      const { quadrant, task, target } = pointerDragRef.current
+      updatePointerDrag(null)
+      if (target && target !== quadrant) {
+        vibrate(HAPTICS.DROP)
+        onDropRef.current(quadrant, target, task)
+      }
+    }
+
+    const handleCancel = () => updatePointerDrag(null)
+
+    // Keep the page from panning under the finger while a task is held
+    const preventScroll = (e) => e.preventDefault()
+
+    window.addEventListener('pointermove', handleMove)
+    window.addEventListener('pointerup', handleUp)
+    window.addEventListener('pointercancel', handleCancel)
+    window.addEventListener('touchmove', preventScroll, { passive: false })
+    frame = window.requestAnimationFrame(autoScroll)
+    return () => {
+      window.removeEventListener('pointermove', handleMove)
+      window.removeEventListener('pointerup', handleUp)
+      window.removeEventListener('pointercancel', handleCancel)
+      window.removeEventListener('touchmove', preventScroll)
+      window.cancelAnimationFrame(frame)
+    }
+    // Handlers read the latest drag from pointerDragRef, so only
+    // (un)subscribe when a drag starts or ends
+  }, [dragging])
+
   return {
     draggedTask,
+    pointerDrag,
     handleDragStart,
     handleDragOver,
-    handleDrop
+    handleDrop,
+    startPointerDrag
   }
 }
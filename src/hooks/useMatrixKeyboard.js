@@ -0,0 +1,180 @@
+import { useState, useEffect, useRef } from 'react'
+import { QUADRANTS, getAdjacentQuadrant } from '../utils/tasksManager'
+
+const ARROW_DIRECTIONS = {
+  ArrowUp: 'up',
+  ArrowDown: 'down',
+  ArrowLeft: 'left',
+  ArrowRight: 'right'
+}
+
+/**
+ * TAB-TSK-43: Keyboard model for the Eisenhower matrix
+ * The matrix is a single tab stop with roving focus: arrows move between
+ * tasks and across quadrants, Alt + Arrow moves the focused task to the
+ * adjacent quadrant and Alt + Shift + Up/Down reorders it. Space completes,
+ * Enter opens details, E (or F2) edits and Delete removes it. Each action is
+ * announced through a polite live region.
+ * @param {object} tasks - { [quadrant]: Task[] }
+ * @param {object} labels - Quadrant names for announcements, by key
+ * @param {object} actions - onToggle, onToggleExpand, onEdit, onDelete,
+ *   onMove and onReorder, with the same signatures as the matrix callbacks
+ */
+export function useMatrixKeyboard(tasks, labels, actions) {
+  const [activeTaskId, setActiveTaskId] = useState(null)
+  const [announcement, setAnnouncement] = useState('')
+  const itemRefs = useRef({})
+  const pendingFocus = useRef(null)
+
+  // Focus a task once it has rendered (it may just have moved quadrant)
+  useEffect(() => {
+    const id = pendingFocus.current
+    if (id && itemRefs.current[id]) {
+      itemRefs.current[id].focus()
+      pendingFocus.current = null
+    }
+  })
+
+  const quadrantKeys = Object.values(QUADRANTS)
+
+  const locate = (taskId) => {
+    for (const quadrant of quadrantKeys) {
+      const index = (tasks[quadrant] || []).findIndex((t) => t.id === taskId)
+      if (index !== -1) return { quadrant, index }
+    }
+    return null
+  }
+
+  // The active task keeps the tab stop; otherwise the first task has it
+  const tabStopId = locate(activeTaskId)
+    ? activeTaskId
+    : quadrantKeys.map((quadrant) => tasks[quadrant]?.[0]?.id).find(Boolean)
+
+  const focusTask = (taskId) => {
+    setActiveTaskId(taskId)
+    pendingFocus.current = taskId
+  }
+
+  const registerItem = (taskId) => (element) => {
+    if (element) {
+      itemRefs.current[taskId] = element
+    } else {
+      delete itemRefs.current[taskId]
+    }
+  }
+
+  // Task that plain arrow keys move focus to, if any
+  const findNeighbour = (quadrant, index, direction) => {
+    const list = tasks[quadrant]
+    if (direction === 'up' && index > 0) return list[index - 1]
+    if (direction === 'down' && index < list.length - 1) return list[index + 1]
+
+    const next = getAdjacentQuadrant(quadrant, direction)
+    const nextList = next ? tasks[next] : []
+    if (nextList.length === 0) return null
+    if (direction === 'up') return nextList[nextList.length - 1]
+    if (direction === 'down') return nextList[0]
+    return nextList[Math.min(index, nextList.length - 1)]
+  }
+
+  const moveToQuadrant = (quadrant, task, direction) => {
+    const target = getAdjacentQuadrant(quadrant, direction)
+    if (!target) {
+      setAnnouncement(`"${task.text}" can't move further ${direction}.`)
+      return
+    }
+    actions.onMove(quadrant, target, task)
+    focusTask(task.id)
+    setAnnouncement(`Moved "${task.text}" to ${labels[target]}.`)
+  }
+
+  const reorder = (quadrant, index, task, direction) => {
+    const list = tasks[quadrant]
+    const toIndex = direction === 'up' ? index - 1 : index + 1
+    if (toIndex < 0 || toIndex >= list.length) return
+    actions.onReorder(quadrant, task.id, toIndex)
+    focusTask(task.id)
+    setAnnouncement(
+      `"${task.text}" moved to position ${toIndex + 1} of ${list.length} in ${labels[quadrant]}.`
+    )
+  }
+
+  const remove = (quadrant, index, task) => {
+    const list = tasks[quadrant]
+    const neighbour = list[index + 1] || list[index - 1]
+    actions.onDelete(quadrant, task.id)
+    if (neighbour) focusTask(neighbour.id)
+    setAnnouncement(`Deleted "${task.text}".`)
+  }
+
+  const handleKeyDown = (e, quadrant, task) => {
+    // Keys typed in the task's own controls (checkbox, buttons, edit box)
+    // keep their usual meaning
+    if (e.target !== e.currentTarget) return
+
+    const position = locate(task.id)
+    if (!position) return
+    const { index } = position
+    const direction = ARROW_DIRECTIONS[e.key]
+
+    if (direction && e.altKey) {
+      e.preventDefault()
+      if (e.shiftKey && (direction === 'up' || direction === 'down')) {
+        reorder(quadrant, index, task, direction)
+      } else {
+        moveToQuadrant(quadrant, task, direction)
+      }
+      return
+    }
+
+    if (direction) {
+      e.preventDefault()
+      const neighbour = findNeighbour(quadrant, index, direction)
+      if (neighbour) focusTask(neighbour.id)
+      return
+    }
+
+    switch (e.key) {
+      case 'Home':
+      case 'End': {
+        e.preventDefault()
+        const list = tasks[quadrant]
+        focusTask(list[e.key === 'Home' ? 0 : list.length - 1].id)
+        break
+      }
+      case ' ':
+        e.preventDefault()
+        actions.onToggle(quadrant, task.id)
+        setAnnouncement(
+          `${task.completed ? 'Reopened' : 'Completed'} "${task.text}".`
+        )
+        break
+      case 'Enter':
+        e.preventDefault()
+        actions.onToggleExpand(quadrant, task.id)
+        break
+      case 'e':
+      case 'E':
+      case 'F2':
+        e.preventDefault()
+        actions.onEdit(quadrant, task)
+        break
+      case 'Delete':
+      case 'Backspace':
+        e.preventDefault()
+        remove(quadrant, index, task)
+        break
+      default:
+        break
+    }
+  }
+
+  return {
+    tabStopId,
+    announcement,
+    registerItem,
+    handleKeyDown,
+    focusTask,
+    setActiveTaskId
+  }
+}
@@ -3,10 +3,13 @@ import {
   createNewNote,
   migrateNotes,
   updateNote,
+  placeNote,
   saveNotesToStorage,
   loadNotesFromStorage
 } from '../utils/notes/noteOperations'
 import { filterNotes as filterNotesUtil } from '../utils/notes/noteFilters'
+import { recordCommand, registerApplier } from '../utils/commandHistory'
+import { registerIntentHandler } from '../utils/pageIntents'
 
 /**
  * Custom hook for managing Notes state
@@ -32,6 +35,12 @@ export function useNotesState() {
   const skipNextSaveRef = useRef(false)
   const autosaveTimeoutRef = useRef(null)
 
+  // Latest values for undo/redo, which can arrive between renders
+  const notesRef = useRef(notes)
+  notesRef.current = notes
+  const currentNoteIdRef = useRef(currentNoteId)
+  currentNoteIdRef.current = currentNoteId
+
   // Load a note
   const loadNote = useCallback((note) => {
     skipNextSaveRef.current = true // Skip autosave on next render
@@ -110,6 +119,27 @@ export function useNotesState() {
     }
 
     const saveTimeout = setTimeout(() => {
+      // One undo step per burst of typing
+      const before = {
+        title: currentNote.title,
+        content: currentNote.content,
+        category: currentNote.category || ''
+      }
+      if (
+        before.title !== title ||
+        before.content !== content ||
+        before.category !== category
+      ) {
+        recordCommand({
+          domain: 'note',
+          id: currentNoteId,
+          label: `Edited note "${title}"`,
+          before: { changes: before },
+          after: { changes: { title, content, category } },
+          mergeKey: `note:${currentNoteId}`
+        })
+      }
+
       // Use functional update to get latest notes state
       setNotes((latestNotes) => {
         // Double-check that the note still exists before saving
@@ -162,6 +192,41 @@ export function useNotesState() {
     }
   }
 
+  // Undo and redo (from anywhere in the app) go through this state while
+  // Notes is open, and the editor follows the note they change
+  useEffect(
+    () =>
+      registerApplier('note', (noteId, snapshot) => {
+        if (autosaveTimeoutRef.current) {
+          clearTimeout(autosaveTimeoutRef.current)
+          autosaveTimeoutRef.current = null
+        }
+        const updatedNotes = placeNote(notesRef.current, noteId, snapshot)
+        notesRef.current = updatedNotes
+        setNotes(updatedNotes)
+        saveNotesToStorage(updatedNotes)
+
+        if (snapshot?.note) {
+          loadNote(snapshot.note)
+        } else if (noteId === currentNoteIdRef.current) {
+          const note =
+            updatedNotes.find((n) => n.id === noteId) || updatedNotes[0]
+          if (note) loadNote(note)
+        }
+      }),
+    [loadNote]
+  )
+
+  // Notes opened from elsewhere, e.g. the command palette
+  useEffect(
+    () =>
+      registerIntentHandler('openNote', (noteId) => {
+        const note = loadNotesFromStorage().find((n) => n.id === noteId)
+        if (note) loadNote(note)
+      }),
+    [loadNote]
+  )
+
   return {
     // State
     notes,
@@ -0,0 +1,140 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import {
+  getSequenceState,
+  saveSequenceState,
+  clearSequenceState,
+  startSequence,
+  getRunTimes,
+  pauseRun,
+  resumeRun,
+  completeStep,
+  skipStep,
+  previousStep,
+  extendStep,
+  recordRoutineTime
+} from '../utils/sequencesManager'
+import { isIndexedDBAvailable } from '../utils/indexedDBManager'
+
+/**
+ * Custom hook driving the routine runner
+ * Loads the persisted run on mount, ticks once per second while running
+ * and persists every transition to IndexedDB. Runs that complete, or are
+ * stopped or replaced before completing, are recorded as `routine_time`.
+ * @param {object} [options]
+ * @param {Function} [options.onRecorded] - Called with the stat once a run
+ *   has been recorded
+ */
+export function useSequenceRunner({ onRecorded } = {}) {
+  const [runState, setRunState] = useState(null)
+  const [now, setNow] = useState(() => Date.now())
+  // Latest state for transitions triggered between renders
+  const stateRef = useRef(null)
+  const onRecordedRef = useRef(onRecorded)
+  onRecordedRef.current = onRecorded
+
+  const record = useCallback((state, at) => {
+    recordRoutineTime(state, at)
+      .then((stat) => onRecordedRef.current?.(stat))
+      .catch((e) => console.error('Failed to record routine time:', e))
+  }, [])
+
+  // Resume an in-progress run after reload or tab crash
+  useEffect(() => {
+    if (!isIndexedDBAvailable()) return
+
+    let cancelled = false
+    getSequenceState()
+      .then((state) => {
+        if (cancelled) return
+        stateRef.current = state
+        setRunState(state)
+        setNow(Date.now())
+      })
+      .catch((e) => console.error('Failed to load routine runner state:', e))
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const isTicking = Boolean(runState?.isRunning && !runState.isPaused)
+
+  // Countdown tick - times are derived from timestamps, so this only re-renders
+  useEffect(() => {
+    if (!isTicking) return
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [isTicking])
+
+  const commit = useCallback((next) => {
+    stateRef.current = next
+    setRunState(next)
+    setNow(Date.now())
+    saveSequenceState(next).catch((e) =>
+      console.error('Failed to save routine runner state:', e)
+    )
+  }, [])
+
+  const apply = useCallback(
+    (transition) => {
+      const previous = stateRef.current
+      if (!previous) return
+      const at = Date.now()
+      const next = transition(previous, at)
+      commit(next)
+      if (next.completedAt && !previous.completedAt) record(next, at)
+    },
+    [commit, record]
+  )
+
+  // Record a run that is being abandoned before completing
+  const recordUnfinished = useCallback(
+    (state, at) => {
+      if (state && !state.completedAt) record(state, at)
+    },
+    [record]
+  )
+
+  const start = useCallback(
+    async (sequenceId, { eventId } = {}) => {
+      const previous = stateRef.current
+      const state = await startSequence(sequenceId, Date.now(), { eventId })
+      recordUnfinished(previous, state.startedAt)
+      stateRef.current = state
+      setRunState(state)
+      setNow(state.startedAt)
+      return state
+    },
+    [recordUnfinished]
+  )
+
+  const stop = useCallback(async () => {
+    recordUnfinished(stateRef.current, Date.now())
+    stateRef.current = null
+    setRunState(null)
+    await clearSequenceState()
+  }, [recordUnfinished])
+
+  const pause = useCallback(() => apply(pauseRun), [apply])
+  const resume = useCallback(() => apply(resumeRun), [apply])
+  const complete = useCallback(() => apply(completeStep), [apply])
+  const skip = useCallback(() => apply(skipStep), [apply])
+  const back = useCallback(() => apply(previousStep), [apply])
+  const extend = useCallback(
+    (seconds) => apply((state) => extendStep(state, seconds)),
+    [apply]
+  )
+
+  return {
+    runState,
+    times: runState ? getRunTimes(runState, now) : null,
+    start,
+    stop,
+    pause,
+    resume,
+    complete,
+    skip,
+    back,
+    extend
+  }
+}
@@ -0,0 +1,121 @@
+import { useState, useEffect, useRef } from 'react'
+
+// Hold time (ms) before a pressed task is picked up (TAB-TSK-35)
+export const LONG_PRESS_MS = 350
+// Movement (px) that turns a press into a swipe or a scroll
+const MOVE_SLOP = 10
+// Horizontal travel (px) that commits a swipe
+export const SWIPE_THRESHOLD = 80
+// Farthest (px) the row follows the finger
+const MAX_SWIPE_OFFSET = 120
+
+// Presses on the task's own controls keep their usual meaning
+const INTERACTIVE = 'button, input, select, textarea, a'
+
+/**
+ * TAB-TSK-36: Touch gestures on a task row
+ * Touch and pen only (mice use native drag and drop): holding still picks
+ * the task up, a swipe right or left past SWIPE_THRESHOLD calls the matching
+ * handler, and a mostly vertical move is left to the browser to scroll.
+ * @param {object} options - enabled, onLongPress({ x, y }), onSwipeRight and
+ *   onSwipeLeft
+ * @returns {object} { offset, onPointerDown, onContextMenu } where offset is
+ *   how far (px) the row should follow the finger
+ */
+export function useTaskGestures({
+  enabled,
+  onLongPress,
+  onSwipeRight,
+  onSwipeLeft
+}) {
+  const [offset, setOffset] = useState(0)
+  const [pressed, setPressed] = useState(false)
+  const gesture = useRef(null)
+  const lastPointerType = useRef('mouse')
+  const handlers = useRef(null)
+  handlers.current = { onLongPress, onSwipeRight, onSwipeLeft }
+
+  useEffect(() => {
+    if (!pressed) return undefined
+
+    const end = () => {
+      gesture.current = null
+      setPressed(false)
+      setOffset(0)
+    }
+
+    const timer = setTimeout(() => {
+      const { x, y } = gesture.current
+      end()
+      handlers.current.onLongPress({ x, y })
+    }, LONG_PRESS_MS)
+
+    const handleMove = (e) => {
+      const current = gesture.current
+      const dx = e.clientX - current.startX
+      const dy = e.clientY - current.startY
+
+      if (current.mode === 'press') {
+        if (Math.hypot(dx, dy) < MOVE_SLOP) {
+          current.x = e.clientX
+          current.y = e.clientY
+          return
+        }
+        clearTimeout(timer)
+        if (Math.abs(dy) >= Math.abs(dx)) {
+          end()
+          return
+        }
+        current.mode = 'swipe'
+      }
+
+      current.dx = dx
+      setOffset(Math.max(-MAX_SWIPE_OFFSET, Math.min(MAX_SWIPE_OFFSET, dx)))
+    }
+
+    const handleUp = () => {
+      const { mode, dx } = gesture.current
+      end()
+      if (mode !== 'swipe') return
+      if (dx >= SWIPE_THRESHOLD) {
+        handlers.current.onSwipeRight()
+      } else if (dx <= -SWIPE_THRESHOLD) {
+        handlers.current.onSwipeLeft()
+      }
+    }
+
+    window.addEventListener('pointermove', handleMove)
+    window.addEventListener('pointerup', handleUp)
+    // The browser took over (e.g. it started scrolling)
+    window.addEventListener('pointercancel', end)
+    return () => {
+      clearTimeout(timer)
+      window.removeEventListener('pointermove', handleMove)
+      window.removeEventListener('pointerup', handleUp)
+      window.removeEventListener('pointercancel', end)
+    }
+  }, [pressed])
+
+  const onPointerDown = (e) => {
+    lastPointerType.current = e.pointerType
+    if (!enabled || e.pointerType === 'mouse' || e.button !== 0) return
+    if (e.target.closest(INTERACTIVE)) return
+
+    gesture.current = {
+      mode: 'press',
+      startX: e.clientX,
+      startY: e.clientY,
+      x: e.clientX,
+      y: e.clientY,
+      dx: 0
+    }
+    setPressed(true)
+  }
+
+  // A long touch would otherwise also open the browser's context menu
+  const onContextMenu = (e) => {
+    if (enabled && lastPointerType.current !== 'mouse') e.preventDefault()
+  }
+
+  return { offset, onPointerDown, onContextMenu }
+}
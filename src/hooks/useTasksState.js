@@ -1,9 +1,47 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { generateSecureUUID } from '../utils/uuidGenerator'
+import { isIndexedDBAvailable } from '../utils/indexedDBManager'
+import {
+  MAX_TAGS,
+  getTasks,
+  saveTaskChanges,
+  completeTask,
+  getArchiveAfterDays,
+  getTasksToArchive,
+  saveToArchive,
+  removeFromArchive,
+  placeTask,
+  applyArchiveSnapshot,
+  createTask,
+  QUADRANT_TITLES
+} from '../utils/tasksManager'
+import { recordCommand, registerApplier } from '../utils/commandHistory'
+import { syncLinkedItem } from '../utils/notes/noteTasks'
+
+// How often an open matrix checks for completed tasks due for the archive
+const ARCHIVE_SWEEP_MS = 60 * 60 * 1000
+
+const countTasks = (count) => `${count} task${count === 1 ? '' : 's'}`
+
+// Undo/redo snapshot for a bulk change, one entry per task
+const toBatch = (entries, snapshot) => ({
+  batch: entries.map((entry) => ({
+    id: entry.task.id,
+    snapshot: snapshot(entry)
+  }))
+})
+
+// Where each of the given tasks sits: [{ quadrant, index, task }]
+const locateTasks = (tasks, taskIds) =>
+  Object.entries(tasks).flatMap(([quadrant, list]) =>
+    list
+      .map((task, index) => ({ quadrant, index, task }))
+      .filter(({ task }) => taskIds.includes(task.id))
+  )
 
 /**
  * Custom hook for managing tasks state in Eisenhower Matrix
- * Handles CRUD operations and localStorage persistence
+ * Handles CRUD operations and IndexedDB persistence (one record per task)
  */
 export function useTasksState() {
   const [tasks, setTasks] = useState({
@@ -13,83 +51,378 @@ export function useTasksState() {
     not_urgent_not_important: []
   })
 
-  // Load tasks from localStorage on mount
+  // Bumped whenever tasks enter or leave the archive
+  const [archiveVersion, setArchiveVersion] = useState(0)
+
+  // What the store holds, or null until it has loaded
+  const storedTasks = useRef(null)
+  const latestTasks = useRef(tasks)
+  latestTasks.current = tasks
+
+  // Load tasks from IndexedDB on mount
   useEffect(() => {
-    const savedTasks = localStorage.getItem('aurorae_tasks')
-    if (savedTasks) {
-      try {
-        setTasks(JSON.parse(savedTasks))
-      } catch (e) {
-        console.error('Failed to parse saved tasks:', e)
-      }
+    if (!isIndexedDBAvailable()) {
+      console.warn('IndexedDB is unavailable; tasks will not be saved')
+      return
+    }
+
+    let cancelled = false
+    getTasks()
+      .then((loaded) => {
+        if (cancelled) return
+        storedTasks.current = loaded
+        // Keep anything added before the load finished
+        setTasks((prev) =>
+          Object.fromEntries(
+            Object.entries(loaded).map(([quadrant, list]) => [
+              quadrant,
+              [
+                ...list,
+                ...(prev[quadrant] || []).filter(
+                  (task) => !list.some((t) => t.id === task.id)
+                )
+              ]
+            ])
+          )
+        )
+        return archiveCompletedTasks(loaded)
+      })
+      .catch((e) => {
+        console.error('Failed to load tasks:', e)
+      })
+
+    const sweep = setInterval(() => {
+      archiveCompletedTasks(latestTasks.current).catch((e) => {
+        console.error('Failed to archive tasks:', e)
+      })
+    }, ARCHIVE_SWEEP_MS)
+    return () => {
+      cancelled = true
+      clearInterval(sweep)
     }
   }, [])
 
-  // Save tasks to localStorage whenever they change
+  // Write only the tasks that changed whenever the matrix changes
   useEffect(() => {
-    try {
-      localStorage.setItem('aurorae_tasks', JSON.stringify(tasks))
-    } catch (e) {
+    const previous = storedTasks.current
+    if (!previous) return
+
+    storedTasks.current = tasks
+    saveTaskChanges(previous, tasks).catch((e) => {
       console.error('Failed to save tasks:', e)
       // Note: Errors are logged but don't throw to avoid breaking the component
       // The parent component should handle showing error messages to users
-    }
+    })
   }, [tasks])
 
-  // Add new task
-  const addTask = (quadrant, text) => {
-    const task = {
-      id: generateSecureUUID(),
-      text: text.trim(),
-      completed: false,
-      createdAt: Date.now(),
-      dueDate: null,
-      completedAt: null
-    }
+  // Undo and redo (from anywhere in the app) go through the matrix while
+  // it's open, so the change is shown and then saved like any other
+  useEffect(
+    () =>
+      registerApplier('task', async (taskId, snapshot) => {
+        if (await applyArchiveSnapshot(snapshot)) {
+          setArchiveVersion((version) => version + 1)
+        }
+        setTasks((prev) => placeTask(prev, taskId, snapshot))
+      }),
+    []
+  )
+
+  // Drop tasks from the matrix by ID
+  const removeTasks = (taskIds) => {
+    setTasks((prev) =>
+      Object.fromEntries(
+        Object.entries(prev).map(([quadrant, list]) => [
+          quadrant,
+          list.filter((task) => !taskIds.includes(task.id))
+        ])
+      )
+    )
+  }
+
+  // Move tasks to the archive store, then out of the matrix
+  const archiveEntries = async (entries) => {
+    if (entries.length === 0) return entries
+    await saveToArchive(entries)
+    removeTasks(entries.map(({ task }) => task.id))
+    setArchiveVersion((version) => version + 1)
+    return entries
+  }
+
+  // Archive tasks completed longer ago than the configured delay
+  const archiveCompletedTasks = (current = tasks) =>
+    archiveEntries(getTasksToArchive(current, getArchiveAfterDays()))
+
+  // Archive tasks by ID, as one change that can be undone
+  const archiveTasks = async (taskIds) => {
+    const entries = await archiveEntries(locateTasks(tasks, taskIds))
+    if (entries.length === 0) return entries
+
+    const restoredAt = Date.now()
+    recordCommand({
+      domain: 'task',
+      id: null,
+      label: `Archived ${countTasks(entries.length)}`,
+      // Completed tasks put back get the full archive delay again
+      before: {
+        ...toBatch(entries, ({ quadrant, index, task }) => ({
+          quadrant,
+          index,
+          task: task.completed ? { ...task, restoredAt } : task
+        })),
+        unarchive: true
+      },
+      after: {
+        ...toBatch(entries, () => null),
+        archive: entries.map(({ quadrant, task }) => ({ quadrant, task }))
+      },
+      destructive: true
+    })
+    return entries
+  }
+
+  // Put tasks back in the matrix, at their former index when known, and
+  // drop any archived copies. Completed ones restart their archive delay.
+  const restoreTasks = async (entries) => {
+    const restoredAt = Date.now()
+    setTasks((prev) => {
+      const next = { ...prev }
+      const sorted = [...entries].sort(
+        (a, b) => (a.index ?? Infinity) - (b.index ?? Infinity)
+      )
+      for (const { quadrant, index, task } of sorted) {
+        if (next[quadrant].some((t) => t.id === task.id)) continue
+        const list = [...next[quadrant]]
+        list.splice(
+          index ?? list.length,
+          0,
+          task.completed ? { ...task, restoredAt } : task
+        )
+        next[quadrant] = list
+      }
+      return next
+    })
+    await removeFromArchive(entries.map(({ task }) => task.id))
+    setArchiveVersion((version) => version + 1)
+  }
+
+  // Add new task, optionally with details (due date, tags...) from quick add
+  const addTask = (quadrant, text, details = {}) => {
+    const task = createTask(text, details)
 
     setTasks((prev) => ({
       ...prev,
       [quadrant]: [...prev[quadrant], task]
     }))
+    recordCommand({
+      domain: 'task',
+      id: task.id,
+      label: `Added task "${task.text}"`,
+      before: null,
+      after: { quadrant, index: tasks[quadrant].length, task }
+    })
 
     return task
   }
 
-  // Toggle task completion
-  const toggleTask = (quadrant, taskId) => {
+  // Apply a change to one task in a quadrant
+  const mapTask = (quadrant, taskId, change) => {
     setTasks((prev) => ({
       ...prev,
       [quadrant]: prev[quadrant].map((task) =>
-        task.id === taskId
-          ? {
-              ...task,
-              completed: !task.completed,
-              completedAt: !task.completed ? Date.now() : null
-            }
-          : task
+        task.id === taskId ? change(task) : task
       )
     }))
   }
 
+  // Completing a task records it in stats; completing a recurring one also
+  // spawns its next instance right after it in the same quadrant
+  const recordCompletion = (quadrant, taskId, now) => {
+    const task = tasks[quadrant].find((t) => t.id === taskId)
+    if (!task || task.completed) return
+
+    const { next } = completeTask(task, quadrant, now)
+    if (!next) return
+
+    setTasks((prev) => {
+      const list = [...prev[quadrant]]
+      const index = list.findIndex((t) => t.id === taskId)
+      if (index === -1) return prev
+
+      list[index] = { ...list[index], nextInstanceId: next.id }
+      list.splice(index + 1, 0, next)
+      return { ...prev, [quadrant]: list }
+    })
+  }
+
+  // Toggle task completion, optionally ticking off its open subtasks too
+  const toggleTask = (quadrant, taskId, { includeSubtasks = false } = {}) => {
+    const now = Date.now()
+    // A task sent from a note's checklist ticks its item there too
+    const current = tasks[quadrant].find((t) => t.id === taskId)
+    if (current?.noteId) {
+      syncLinkedItem(current.noteId, taskId, !current.completed)
+    }
+
+    mapTask(quadrant, taskId, (task) => {
+      const completed = !task.completed
+      return {
+        ...task,
+        completed,
+        completedAt: completed ? now : null,
+        ...(completed &&
+          includeSubtasks &&
+          task.subtasks && {
+            subtasks: task.subtasks.map((subtask) =>
+              subtask.completed
+                ? subtask
+                : { ...subtask, completed: true, completedAt: now }
+            )
+          })
+      }
+    })
+    recordCompletion(quadrant, taskId, now)
+  }
+
   // Delete task
   const deleteTask = (quadrant, taskId) => {
+    const index = tasks[quadrant].findIndex((task) => task.id === taskId)
     setTasks((prev) => ({
       ...prev,
       [quadrant]: prev[quadrant].filter((task) => task.id !== taskId)
     }))
+    if (index === -1) return
+
+    const task = tasks[quadrant][index]
+    recordCommand({
+      domain: 'task',
+      id: taskId,
+      label: `Deleted task "${task.text}"`,
+      before: { quadrant, index, task },
+      after: null,
+      destructive: true
+    })
   }
 
   // Edit task text
   const editTask = (quadrant, taskId, newText) => {
+    const text = newText.trim()
     setTasks((prev) => ({
       ...prev,
       [quadrant]: prev[quadrant].map((task) =>
-        task.id === taskId ? { ...task, text: newText.trim() } : task
+        task.id === taskId ? { ...task, text } : task
       )
     }))
+
+    const task = tasks[quadrant].find((t) => t.id === taskId)
+    if (!task || task.text === text) return
+    recordCommand({
+      domain: 'task',
+      id: taskId,
+      label: `Edited task "${text}"`,
+      before: { changes: { text: task.text } },
+      after: { changes: { text } }
+    })
+  }
+
+  // Update task metadata (due date, estimate, notes, tags)
+  const updateTask = (quadrant, taskId, changes) => {
+    mapTask(quadrant, taskId, (task) => ({ ...task, ...changes }))
+  }
+
+  // Move task to a new position within its quadrant
+  const reorderTask = (quadrant, taskId, toIndex) => {
+    setTasks((prev) => {
+      const list = [...prev[quadrant]]
+      const fromIndex = list.findIndex((task) => task.id === taskId)
+      if (fromIndex === -1) return prev
+
+      const index = Math.max(0, Math.min(toIndex, list.length - 1))
+      const [task] = list.splice(fromIndex, 1)
+      list.splice(index, 0, task)
+      return { ...prev, [quadrant]: list }
+    })
   }
 
-  // Move task between quadrants
+  // Add a subtask to the end of a task's checklist
+  const addSubtask = (quadrant, taskId, text) => {
+    const subtask = {
+      id: generateSecureUUID(),
+      text: text.trim(),
+      completed: false,
+      completedAt: null
+    }
+
+    mapTask(quadrant, taskId, (task) => ({
+      ...task,
+      subtasks: [...(task.subtasks || []), subtask],
+      // An auto-completed parent has open work again
+      ...(task.autoComplete && { completed: false, completedAt: null })
+    }))
+
+    return subtask
+  }
+
+  // Toggle a subtask; auto-completing parents follow their checklist
+  const toggleSubtask = (quadrant, taskId, subtaskId) => {
+    const now = Date.now()
+    mapTask(quadrant, taskId, (task) => {
+      const subtasks = task.subtasks.map((subtask) =>
+        subtask.id === subtaskId
+          ? {
+              ...subtask,
+              completed: !subtask.completed,
+              completedAt: !subtask.completed ? now : null
+            }
+          : subtask
+      )
+      const updated = { ...task, subtasks }
+
+      if (task.autoComplete) {
+        const allDone = subtasks.every((subtask) => subtask.completed)
+        if (allDone && !task.completed) {
+          updated.completed = true
+          updated.completedAt = now
+        } else if (!allDone && task.completed) {
+          updated.completed = false
+          updated.completedAt = null
+        }
+      }
+      return updated
+    })
+
+    const task = tasks[quadrant].find((t) => t.id === taskId)
+    const completesParent =
+      task?.autoComplete &&
+      task.subtasks.every((subtask) =>
+        subtask.id === subtaskId ? !subtask.completed : subtask.completed
+      )
+    if (completesParent) recordCompletion(quadrant, taskId, now)
+  }
+
+  // Remove a subtask
+  const deleteSubtask = (quadrant, taskId, subtaskId) => {
+    mapTask(quadrant, taskId, (task) => ({
+      ...task,
+      subtasks: task.subtasks.filter((subtask) => subtask.id !== subtaskId)
+    }))
+  }
+
+  // Move a subtask to a new position in its checklist
+  const reorderSubtask = (quadrant, taskId, subtaskId, toIndex) => {
+    mapTask(quadrant, taskId, (task) => {
+      const subtasks = [...task.subtasks]
+      const fromIndex = subtasks.findIndex((s) => s.id === subtaskId)
+      if (fromIndex === -1) return task
+
+      const index = Math.max(0, Math.min(toIndex, subtasks.length - 1))
+      const [subtask] = subtasks.splice(fromIndex, 1)
+      subtasks.splice(index, 0, subtask)
+      return { ...task, subtasks }
+    })
+  }
+
+  // Move task between quadrants (subtasks travel with it)
   const moveTask = (fromQuadrant, toQuadrant, task) => {
     if (fromQuadrant === toQuadrant) return
 
@@ -98,15 +431,191 @@ export function useTasksState() {
       [fromQuadrant]: prev[fromQuadrant].filter((t) => t.id !== task.id),
       [toQuadrant]: [...prev[toQuadrant], task]
     }))
+
+    const index = tasks[fromQuadrant].findIndex((t) => t.id === task.id)
+    if (index === -1) return
+    recordCommand({
+      domain: 'task',
+      id: task.id,
+      label: `Moved task "${task.text}"`,
+      before: { quadrant: fromQuadrant, index },
+      after: { quadrant: toQuadrant, index: tasks[toQuadrant].length }
+    })
+  }
+
+  // TAB-TSK-08: Bulk actions on a selection of task IDs
+
+  // Complete every open task in the selection, as one change that can be
+  // undone (which also drops the next instances of recurring ones)
+  const completeTasks = (taskIds) => {
+    const now = Date.now()
+    const completed = locateTasks(tasks, taskIds)
+      .filter(({ task }) => !task.completed)
+      .map((entry) => {
+        if (entry.task.noteId) {
+          syncLinkedItem(entry.task.noteId, entry.task.id, true)
+        }
+        return { ...entry, ...completeTask(entry.task, entry.quadrant, now) }
+      })
+    if (completed.length === 0) return
+
+    // Each next instance goes right after its task, past any placed earlier
+    // in the same quadrant
+    const placed = {}
+    const spawned = completed
+      .filter(({ next }) => next)
+      .map(({ quadrant, index, next }) => {
+        placed[quadrant] = (placed[quadrant] || 0) + 1
+        return { quadrant, index: index + placed[quadrant], task: next }
+      })
+
+    const after = {
+      batch: [
+        ...toBatch(completed, ({ next }) => ({
+          changes: {
+            completed: true,
+            completedAt: now,
+            ...(next && { nextInstanceId: next.id })
+          }
+        })).batch,
+        ...toBatch(spawned, (entry) => entry).batch
+      ]
+    }
+    setTasks((prev) => placeTask(prev, null, after))
+    recordCommand({
+      domain: 'task',
+      id: null,
+      label: `Completed ${countTasks(completed.length)}`,
+      before: {
+        batch: [
+          ...toBatch(completed, ({ next }) => ({
+            changes: {
+              completed: false,
+              completedAt: null,
+              ...(next && { nextInstanceId: null })
+            }
+          })).batch,
+          ...toBatch(spawned, () => null).batch
+        ]
+      },
+      after
+    })
+  }
+
+  // Move the selection to the end of a quadrant, keeping its order
+  const moveTasks = (taskIds, toQuadrant) => {
+    setTasks((prev) => {
+      const moving = locateTasks(prev, taskIds).filter(
+        ({ quadrant }) => quadrant !== toQuadrant
+      )
+      if (moving.length === 0) return prev
+
+      const next = Object.fromEntries(
+        Object.entries(prev).map(([quadrant, list]) => [
+          quadrant,
+          quadrant === toQuadrant
+            ? list
+            : list.filter((task) => !taskIds.includes(task.id))
+        ])
+      )
+      next[toQuadrant] = [...next[toQuadrant], ...moving.map((e) => e.task)]
+      return next
+    })
+
+    const moved = locateTasks(tasks, taskIds).filter(
+      ({ quadrant }) => quadrant !== toQuadrant
+    )
+    if (moved.length === 0) return
+    recordCommand({
+      domain: 'task',
+      id: null,
+      label: `Moved ${countTasks(moved.length)} to ${QUADRANT_TITLES[toQuadrant]}`,
+      before: toBatch(moved, ({ quadrant, index }) => ({ quadrant, index })),
+      // Infinity places each at the end of the quadrant, in order
+      after: toBatch(moved, () => ({ quadrant: toQuadrant, index: Infinity }))
+    })
+  }
+
+  // Add a tag to each selected task that doesn't have it (and has room)
+  const tagTasks = (taskIds, tag) => {
+    const label = tag.label.trim()
+    const addTag = (task) => {
+      const tags = task.tags || []
+      if (
+        !taskIds.includes(task.id) ||
+        tags.length >= MAX_TAGS ||
+        tags.some((t) => t.label.toLowerCase() === label.toLowerCase())
+      ) {
+        return task
+      }
+      return { ...task, tags: [...tags, { label, color: tag.color }] }
+    }
+
+    setTasks((prev) =>
+      Object.fromEntries(
+        Object.entries(prev).map(([quadrant, list]) => [
+          quadrant,
+          list.map(addTag)
+        ])
+      )
+    )
+
+    const tagged = locateTasks(tasks, taskIds).filter(
+      ({ task }) => addTag(task) !== task
+    )
+    if (tagged.length === 0) return
+    recordCommand({
+      domain: 'task',
+      id: null,
+      label: `Tagged ${countTasks(tagged.length)} "${label}"`,
+      before: toBatch(tagged, ({ task }) => ({ changes: { tags: task.tags } })),
+      after: toBatch(tagged, ({ task }) => ({
+        changes: { tags: addTag(task).tags }
+      }))
+    })
+  }
+
+  // Delete the selection, as one change that can be undone
+  const deleteTasks = (taskIds) => {
+    const removed = locateTasks(tasks, taskIds)
+    removeTasks(taskIds)
+    if (removed.length === 0) return
+
+    recordCommand({
+      domain: 'task',
+      id: null,
+      label: `Deleted ${countTasks(removed.length)}`,
+      before: toBatch(removed, ({ quadrant, index, task }) => ({
+        quadrant,
+        index,
+        task
+      })),
+      after: toBatch(removed, () => null),
+      destructive: true
+    })
   }
 
   return {
     tasks,
     setTasks,
+    archiveVersion,
     addTask,
     toggleTask,
     deleteTask,
     editTask,
-    moveTask
+    updateTask,
+    reorderTask,
+    addSubtask,
+    toggleSubtask,
+    deleteSubtask,
+    reorderSubtask,
+    moveTask,
+    archiveCompletedTasks,
+    archiveTasks,
+    restoreTasks,
+    completeTasks,
+    moveTasks,
+    tagTasks,
+    deleteTasks
   }
 }
@@ -1,19 +1,217 @@
-import React from 'react'
+import React, { useState, useEffect, useCallback } from 'react'
+import {
+  getHabits,
+  getHabitLog,
+  createHabit,
+  updateHabit,
+  deleteHabit,
+  completeHabit,
+  undoCompletion,
+  logHabitProgress,
+  pauseHabit,
+  archiveHabit,
+  getStreakOptions,
+  addVacation,
+  removeVacation,
+  updateRestTokenSettings
+} from '../utils/habitsManager'
+import { isIndexedDBAvailable } from '../utils/indexedDBManager'
+import { registerIntentHandler } from '../utils/pageIntents'
+import HabitCard from '../components/Habits/HabitCard'
+import HabitEditor from '../components/Habits/HabitEditor'
+import StreakProtection from '../components/Habits/StreakProtection'
+import { toDateKey } from '../utils/dateUtils'
 
 function Habits() {
+  // Each item: { habit, entries } where entries is the per-day log
+  const [items, setItems] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showArchived, setShowArchived] = useState(false)
+  // null = closed, { habit: null } = new habit
+  const [editor, setEditor] = useState(null)
+  // Vacations and rest token settings shared by every habit
+  const [streakOptions, setStreakOptions] = useState(getStreakOptions)
+  const [showProtection, setShowProtection] = useState(false)
+  const [errorMessage, setErrorMessage] = useState('')
+
+  const loadHabits = useCallback(async () => {
+    if (!isIndexedDBAvailable()) {
+      setLoading(false)
+      return
+    }
+
+    try {
+      const habits = await getHabits()
+      const logs = await Promise.all(habits.map((h) => getHabitLog(h.id)))
+      setItems(habits.map((habit, i) => ({ habit, entries: logs[i] })))
+      setStreakOptions(getStreakOptions())
+    } catch (e) {
+      console.error('Failed to load habits:', e)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadHabits()
+  }, [loadHabits])
+
+  // Habits logged from elsewhere, e.g. the command palette
+  useEffect(
+    () => registerIntentHandler('reloadHabits', loadHabits),
+    [loadHabits]
+  )
+
+  // Run a manager operation, then reload; errors surface in the banner
+  const run = (label) => async (operation) => {
+    try {
+      await operation()
+      setErrorMessage('')
+      await loadHabits()
+    } catch (e) {
+      setErrorMessage(`Failed to ${label}: ${e.message}`)
+    }
+  }
+
+  const handleSave = (data) =>
+    run('save habit')(async () => {
+      if (editor.habit) {
+        await updateHabit({ ...editor.habit, ...data })
+      } else {
+        await createHabit(data)
+      }
+      setEditor(null)
+    })
+
+  const handleDelete = (habit) => {
+    if (!window.confirm(`Delete "${habit.name}" and its history?`)) return
+    run('delete habit')(() => deleteHabit(habit.id))
+  }
+
+  const visible = items.filter(({ habit }) =>
+    showArchived ? habit.archived : !habit.archived
+  )
+  const archivedCount = items.filter(({ habit }) => habit.archived).length
+  const today = toDateKey()
+  const vacation = streakOptions.vacations.find(
+    (range) => range.start <= today && today <= range.end
+  )
+
   return (
-    <div className='card'>
-      <div className='card-h'>
-        <strong>Habits</strong>
-        <span className='small'>Track your streaks</span>
+    <>
+      {errorMessage && (
+        <div className='error-notification' role='alert'>
+          {errorMessage}
+        </div>
+      )}
+
+      <div className='card' style={{ marginBottom: '14px' }}>
+        <div className='card-h'>
+          <strong>Habits</strong>
+          <span className='small'>Track your streaks</span>
+        </div>
+        <div className='card-b habit-toolbar'>
+          <button
+            className='btn btn-primary'
+            onClick={() => setEditor({ habit: null })}
+            aria-label='Create new habit'
+          >
+            <svg className='icon' viewBox='0 0 24 24'>
+              <path d='M12 5v14M5 12h14' />
+            </svg>
+            New Habit
+          </button>
+          <button
+            className='btn'
+            onClick={() => setShowArchived(!showArchived)}
+            aria-pressed={showArchived}
+          >
+            {showArchived ? 'Show active' : `Archived (${archivedCount})`}
+          </button>
+          <button className='btn' onClick={() => setShowProtection(true)}>
+            Vacation &amp; rest tokens
+          </button>
+        </div>
       </div>
-      <div className='card-b'>
-        <p>Habits module coming soon...</p>
+
+      {vacation && (
+        <p className='habit-vacation-banner' role='status'>
+          On vacation until {vacation.end} - every habit is frozen and no streak
+          will break.
+        </p>
+      )}
+
+      {loading ? (
+        <p className='small'>Loading habits...</p>
+      ) : !isIndexedDBAvailable() ? (
         <p className='small'>
-          This page will help you track daily habits and maintain streaks.
+          Habit tracking requires IndexedDB support. Your browser may not
+          support this feature, or it may be disabled.
         </p>
-      </div>
-    </div>
+      ) : visible.length === 0 ? (
+        <div className='card'>
+          <div className='card-b empty-state'>
+            <p className='empty-state-text'>
+              {showArchived ? 'No archived habits' : 'No habits yet'}
+            </p>
+            {!showArchived && (
+              <p className='small'>
+                Create a habit and check in each day to build a streak.
+              </p>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className='habit-list'>
+          {visible.map(({ habit, entries }) => (
+            <HabitCard
+              key={habit.id}
+              habit={habit}
+              entries={entries}
+              options={streakOptions}
+              onCheckIn={(id) => run('check in')(() => completeHabit(id))}
+              onUndo={(id) => run('undo check-in')(() => undoCompletion(id))}
+              onLog={(id, amount) =>
+                run('log progress')(() => logHabitProgress(id, amount))
+              }
+              onEdit={(h) => setEditor({ habit: h })}
+              onPause={(id, paused) =>
+                run('update habit')(() => pauseHabit(id, paused))
+              }
+              onArchive={(id, archived) =>
+                run('update habit')(() => archiveHabit(id, archived))
+              }
+              onDelete={handleDelete}
+            />
+          ))}
+        </div>
+      )}
+
+      {editor && (
+        <HabitEditor
+          habit={editor.habit}
+          onSave={handleSave}
+          onClose={() => setEditor(null)}
+        />
+      )}
+
+      {showProtection && (
+        <StreakProtection
+          vacations={streakOptions.vacations}
+          restTokens={streakOptions.restTokens}
+          onAddVacation={(range) =>
+            run('add vacation')(() => addVacation(range))
+          }
+          onRemoveVacation={(id) =>
+            run('remove vacation')(() => removeVacation(id))
+          }
+          onSaveRestTokens={(config) =>
+            run('save rest tokens')(() => updateRestTokenSettings(config))
+          }
+          onClose={() => setShowProtection(false)}
+        />
+      )}
+    </>
   )
 }
 
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useCallback } from 'react'
 import { flushSync } from 'react-dom'
 import { marked } from 'marked'
 import markedKatex from 'marked-katex-extension'
@@ -20,6 +20,21 @@ import FilterModal from '../components/Notes/FilterModal'
 import ContextMenu from '../components/Notes/ContextMenu'
 import { useNotesState } from '../hooks/useNotesState'
 import { useToast } from '../hooks/useToast'
+import { recordCommand, runCommand, subscribe } from '../utils/commandHistory'
+import {
+  QUADRANTS,
+  createTask,
+  getTasks,
+  setTaskCompleted
+} from '../utils/tasksManager'
+import {
+  findChecklistItems,
+  linkChecklistLine,
+  getLinkedTaskStates,
+  markTrackedItems
+} from '../utils/notes/noteTasks'
+import { parseQuickAdd } from '../utils/quickAdd'
+import { isIndexedDBAvailable } from '../utils/indexedDBManager'
 
 // Configure marked once at module level to avoid reconfiguration on re-renders
 // Error handling for KaTeX extension to gracefully handle load failures
@@ -87,6 +102,8 @@ function Notes() {
   const [showFilterModal, setShowFilterModal] = useState(false)
   const [showHelpModal, setShowHelpModal] = useState(false)
   const [contextMenu, setContextMenu] = useState(null)
+  // Tasks sent from the current note's checklist: { [taskId]: completed }
+  const [linkedTasks, setLinkedTasks] = useState({})
 
   // Configure sanitization on mount
   useEffect(() => {
@@ -100,11 +117,93 @@ function Notes() {
       // Use enhanced sanitization configuration to prevent XSS
       const sanitizeConfig = configureSanitization(DOMPurify)
       // Parse markdown and sanitize HTML to remove any malicious content
-      const html = DOMPurify.sanitize(marked.parse(content), sanitizeConfig)
+      const html = DOMPurify.sanitize(
+        marked.parse(markTrackedItems(content, linkedTasks)),
+        sanitizeConfig
+      )
       setPreview(html)
     }
     renderPreview()
-  }, [content])
+  }, [content, linkedTasks])
+
+  const loadLinkedTasks = useCallback(() => {
+    if (!currentNoteId || !isIndexedDBAvailable()) return
+
+    getTasks()
+      .then((tasks) =>
+        setLinkedTasks(getLinkedTaskStates(tasks, currentNoteId))
+      )
+      .catch((e) => console.error('Failed to load linked tasks:', e))
+  }, [currentNoteId])
+
+  useEffect(() => {
+    loadLinkedTasks()
+  }, [loadLinkedTasks])
+
+  // Tasks can also come and go through undo/redo while the note is open
+  useEffect(
+    () =>
+      subscribe(({ command }) => {
+        if (command?.domain === 'task') loadLinkedTasks()
+      }),
+    [loadLinkedTasks]
+  )
+
+  // Ticking a tracked item in the note ticks its task (after the same pause
+  // as autosave, so typing "[x" doesn't flip it back and forth)
+  useEffect(() => {
+    const changed = findChecklistItems(content).filter(
+      (item) =>
+        item.taskId in linkedTasks && linkedTasks[item.taskId] !== item.checked
+    )
+    if (changed.length === 0) return undefined
+
+    const timer = setTimeout(() => {
+      Promise.all(
+        changed.map((item) => setTaskCompleted(item.taskId, item.checked))
+      )
+        .then(() =>
+          setLinkedTasks((prev) => ({
+            ...prev,
+            ...Object.fromEntries(
+              changed.map((item) => [item.taskId, item.checked])
+            )
+          }))
+        )
+        .catch((e) => console.error('Failed to update linked tasks:', e))
+    }, 500)
+    return () => clearTimeout(timer)
+  }, [content, linkedTasks])
+
+  // Send the checklist item on a line to Tasks, linked both ways. The item
+  // is read as a quick-add line, so "- [ ] Call mum tomorrow !u" is due
+  // tomorrow in Urgent & Important.
+  const handleSendToTasks = (line) => {
+    const item = findChecklistItems(content).find((i) => i.line === line)
+    if (!item?.text || currentNote?.locked) return
+
+    const { text, quadrant, recurrence, ...details } = parseQuickAdd(item.text)
+    const task = createTask(text || item.text, {
+      ...details,
+      ...(recurrence && { recurrence }),
+      noteId: currentNoteId,
+      completed: item.checked,
+      completedAt: item.checked ? Date.now() : null
+    })
+
+    setContent(linkChecklistLine(content, line, task.id))
+    // The app-wide toast confirms it, with Undo
+    runCommand({
+      domain: 'task',
+      id: task.id,
+      label: `Added task "${task.text}"`,
+      before: null,
+      after: { quadrant: quadrant || QUADRANTS.DO_FIRST, index: Infinity, task }
+    }).catch((e) => {
+      console.error('Failed to send item to Tasks:', e)
+      showToastNotification('⚠️ Could not send the item to Tasks.')
+    })
+  }
 
   // Delete note (can be called from context menu or toolbar)
   const handleDelete = (noteId = currentNoteId) => {
@@ -127,6 +226,18 @@ function Notes() {
     // Clear any pending autosave to prevent it from restoring the deleted note
     clearAutosaveTimeout()
 
+    // The app-wide undo toast confirms the delete
+    if (noteToDelete) {
+      recordCommand({
+        domain: 'note',
+        id: noteId,
+        label: `Deleted note "${noteToDelete.title}"`,
+        before: { index: notes.indexOf(noteToDelete), note: noteToDelete },
+        after: null,
+        destructive: true
+      })
+    }
+
     // Execute delete
     const updatedNotes = deleteNoteUtil(notes, noteId)
 
@@ -157,7 +268,6 @@ function Notes() {
 
     // Close context menu if open
     setContextMenu(null)
-    showToastNotification('✓ Note deleted successfully')
   }
 
   // Toggle lock status of a note
@@ -243,6 +353,7 @@ function Notes() {
             content={content}
             preview={preview}
             notes={notes}
+            linkedTasks={linkedTasks}
             showNoteList={showNoteList}
             onTitleChange={setTitle}
             onCategoryChange={setCategory}
@@ -254,6 +365,7 @@ function Notes() {
             onDelete={handleDelete}
             onLockToggle={handleToggleLock}
             onShowDetails={() => setShowDetailsModal(true)}
+            onSendToTasks={handleSendToTasks}
           />
         </div>
       </div>
@@ -1,34 +1,442 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect, useCallback, useRef } from 'react'
+import {
+  getEventsForDay,
+  getEventsForWeek,
+  getWeekStart,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  moveEvent,
+  resizeEvent,
+  resolveConflict,
+  findOverlappingEvents,
+  ScheduleConflictError,
+  getAvailability,
+  updateAvailability,
+  completeEvent,
+  scheduleSequence,
+  getSequenceMinutes,
+  addMinutes,
+  importCalendarEvents,
+  getCalendarSources,
+  removeCalendarSource,
+  exportCalendar
+} from '../utils/scheduleManager'
+import { parseCalendar } from '../utils/icsFormat'
+import { getSequences } from '../utils/sequencesManager'
+import { planDay } from '../utils/dayPlanner'
+import { getAvailabilityWindows } from '../utils/availability'
+import { isIndexedDBAvailable } from '../utils/indexedDBManager'
+import { toDateKey, addDays, parseDateKey } from '../utils/dateUtils'
+import { useSequenceRunner } from '../hooks/useSequenceRunner'
+import CalendarGrid, {
+  START_HOUR,
+  END_HOUR,
+  SEQUENCE_DRAG_TYPE
+} from '../components/Schedule/CalendarGrid'
+import EventEditor from '../components/Schedule/EventEditor'
+import RecurrenceScopeDialog from '../components/Schedule/RecurrenceScopeDialog'
+import ConflictDialog from '../components/Schedule/ConflictDialog'
+import AvailabilitySettings from '../components/Schedule/AvailabilitySettings'
+import ImportedEventDetails from '../components/Schedule/ImportedEventDetails'
+import RoutineRunner from '../components/Sequences/RoutineRunner'
+
+/**
+ * Format a day key for the header, e.g. "Tue, Sep 16, 2025"
+ * @param {string} day - Day key
+ * @returns {string} Label
+ */
+function formatDay(day) {
+  return parseDateKey(day).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  })
+}
+
+/**
+ * Default block for the "Event" button: the next full hour, within the grid
+ * @param {string} day - Day key
+ * @returns {{day: string, startTime: string, endTime: string}} Draft range
+ */
+function nextHourDraft(day) {
+  const hour = Math.min(
+    Math.max(new Date().getHours() + 1, START_HOUR),
+    END_HOUR - 1
+  )
+  const pad = (value) => String(value).padStart(2, '0')
+  return { day, startTime: `${pad(hour)}:00`, endTime: `${pad(hour + 1)}:00` }
+}
 
 function Schedule() {
+  const today = toDateKey()
+  const [view, setView] = useState('day')
+  const [date, setDate] = useState(today)
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  // null = closed, { event } = editing, { draft } = new block
+  const [editor, setEditor] = useState(null)
+  // A drag on a recurring event waits here until its scope is chosen
+  const [pendingChange, setPendingChange] = useState(null)
+  // { error, label, scope } while an overlapping change awaits a resolution
+  const [conflict, setConflict] = useState(null)
+  const [availability, setAvailability] = useState(getAvailability)
+  const [showAvailability, setShowAvailability] = useState(false)
+  const [errorMessage, setErrorMessage] = useState('')
+  const [statusMessage, setStatusMessage] = useState('')
+  const [sequences, setSequences] = useState([])
   const [showRunner, setShowRunner] = useState(false)
+  // Calendars imported from .ics files, [{ source, count }]
+  const [calendars, setCalendars] = useState([])
+  const fileInputRef = useRef(null)
+
+  const loadEvents = useCallback(async () => {
+    if (!isIndexedDBAvailable()) {
+      setLoading(false)
+      return
+    }
+
+    try {
+      setEvents(
+        view === 'week'
+          ? await getEventsForWeek(date)
+          : await getEventsForDay(date)
+      )
+      setCalendars(await getCalendarSources())
+    } catch (e) {
+      console.error('Failed to load schedule:', e)
+    } finally {
+      setLoading(false)
+    }
+  }, [view, date])
+
+  useEffect(() => {
+    loadEvents()
+  }, [loadEvents])
+
+  // A finished run marks its block done, so refresh once it is recorded
+  const runner = useSequenceRunner({ onRecorded: () => loadEvents() })
+  const { runState } = runner
+
+  useEffect(() => {
+    if (!isIndexedDBAvailable()) return
+    getSequences('name')
+      .then(setSequences)
+      .catch((e) => console.error('Failed to load routines:', e))
+  }, [])
+
+  // Run a manager operation, then reload; errors surface in the banner and
+  // overlaps open the conflict dialog
+  const run = (label, scope) => async (operation) => {
+    try {
+      await operation()
+      setErrorMessage('')
+      await loadEvents()
+    } catch (e) {
+      if (e instanceof ScheduleConflictError) {
+        setEditor(null)
+        setConflict({ error: e, label, scope })
+      } else {
+        setErrorMessage(`Failed to ${label}: ${e.message}`)
+      }
+    }
+  }
+
+  const handleSave = (data, scope) =>
+    run(
+      'save event',
+      scope
+    )(async () => {
+      if (editor.event) {
+        await updateEvent({ ...editor.event, ...data }, { scope })
+      } else {
+        await createEvent(data)
+      }
+      setEditor(null)
+    })
+
+  const handleDelete = (event, scope) =>
+    run('delete event')(async () => {
+      await deleteEvent(event.id, { scope })
+      setEditor(null)
+    })
+
+  // Grid changes to one occurrence of a recurring event ask for a scope first
+  const changeFromGrid = (id, label, apply) => {
+    const event = events.find((e) => e.id === id)
+    if (event?.seriesId !== undefined) {
+      setPendingChange({ label, apply })
+    } else {
+      run(label)(() => apply())
+    }
+  }
+
+  const handleScopeChosen = (scope) => {
+    const { label, apply } = pendingChange
+    setPendingChange(null)
+    run(label, scope)(() => apply(scope))
+  }
+
+  const handleComplete = (event, completed) =>
+    run('update event')(async () => {
+      await completeEvent(event.id, completed)
+      setEditor(null)
+    })
+
+  // TAB-SCH-23: Start the block's routine (or reopen its run) in the overlay
+  const handleStartRoutine = (event) =>
+    run('start routine')(async () => {
+      if (runState?.eventId !== event.id || runState.completedAt) {
+        await runner.start(event.sequenceId, { eventId: event.id })
+      }
+      setEditor(null)
+      setShowRunner(true)
+    })
+
+  // TAB-SCH-25: Dismissing the overlay pauses the run unless it was stopped
+  const closeRunner = () => {
+    if (runState?.isRunning && !runState.isPaused && !runState.completedAt) {
+      runner.pause()
+    }
+    setShowRunner(false)
+  }
+
+  // TAB-SCH-25: Esc dismisses the runner overlay
+  useEffect(() => {
+    if (!showRunner) return
+    const handleKey = (e) => {
+      if (e.key === 'Escape') closeRunner()
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  })
 
-  const toggleRunner = (show) => {
-    setShowRunner(show)
+  const handleStopRunner = async () => {
+    setShowRunner(false)
+    await runner.stop()
   }
 
+  const handleDropSequence = (sequenceId, day, startTime) =>
+    run('schedule routine')(() => scheduleSequence(sequenceId, day, startTime))
+
+  // Keyboard alternative to dragging: open the editor with the routine filled in
+  const handleAddSequence = (sequence) => {
+    const { startTime } = nextHourDraft(date)
+    setEditor({
+      draft: {
+        day: date,
+        type: 'sequence',
+        sequenceId: sequence.id,
+        title: sequence.name,
+        startTime,
+        endTime: addMinutes(startTime, getSequenceMinutes(sequence))
+      }
+    })
+  }
+
+  const handlePlanDay = () =>
+    run('plan the day')(async () => {
+      const { placed, unplaced } = await planDay(date)
+      setStatusMessage(
+        placed.length === 0 && unplaced.length === 0
+          ? 'No Do First or Schedule tasks left to plan.'
+          : `Planned ${placed.length} task${placed.length === 1 ? '' : 's'}` +
+              (unplaced.length > 0 ? `; ${unplaced.length} did not fit.` : '.')
+      )
+    })
+
+  // TAB-SCH-31: Export the schedule and tasks for other calendar apps
+  const handleExport = () =>
+    run('export calendar')(async () => {
+      const ics = await exportCalendar()
+      const blob = new Blob([ics], { type: 'text/calendar' })
+      const url = URL.createObjectURL(blob)
+
+      // Generate filename: schedule_YYYY-MM-DD.ics
+      const a = document.createElement('a')
+      a.style.display = 'none'
+      a.href = url
+      a.download = `schedule_${toDateKey()}.ics`
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      setTimeout(() => {
+        URL.revokeObjectURL(url)
+      }, 1000)
+    })
+
+  // Importing the same file again updates its events instead of duplicating
+  const handleImport = (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = (event) =>
+      run('import calendar')(async () => {
+        const { events: parsed, errors } = parseCalendar(event.target?.result)
+        const skipped = errors
+          .map(({ line, message }) => `line ${line}: ${message}`)
+          .join('; ')
+        if (parsed.length === 0 && errors.length > 0) {
+          throw new Error(skipped)
+        }
+        const { added, updated, removed } = await importCalendarEvents(
+          parsed,
+          file.name
+        )
+        setStatusMessage(
+          `Imported ${file.name}: ${added} added, ${updated} updated, ` +
+            `${removed} removed.` +
+            (errors.length > 0 ? ` Skipped ${skipped}.` : '')
+        )
+      })
+    reader.readAsText(file)
+    e.target.value = '' // Reset input so the same file can be re-imported
+  }
+
+  const handleRemoveCalendar = (source) => {
+    if (!window.confirm(`Remove all events imported from ${source}?`)) return
+    run('remove calendar')(() => removeCalendarSource(source))
+  }
+
+  const handleSaveAvailability = (data) =>
+    run('save working hours')(async () => {
+      setAvailability(updateAvailability(data))
+      setShowAvailability(false)
+    })
+
+  const handleResolve = (resolution) => {
+    const { error, label, scope } = conflict
+    setConflict(null)
+    run(label, scope)(() => resolveConflict(error, resolution, { scope }))
+  }
+
+  const step = view === 'week' ? 7 : 1
+  const weekStart = getWeekStart(date)
+  const days =
+    view === 'week'
+      ? Array.from({ length: 7 }, (_, i) => addDays(weekStart, i))
+      : [date]
+  const label =
+    view === 'week'
+      ? `${formatDay(weekStart)} – ${formatDay(addDays(weekStart, 6))}`
+      : `${date === today ? 'Today · ' : ''}${formatDay(date)}`
+  const agenda = events.filter((event) => event.day === date)
+  const overlapping = findOverlappingEvents(events)
+  const windows = Object.fromEntries(
+    days.map((day) => [day, getAvailabilityWindows(availability, day)])
+  )
+  const progress =
+    runState?.eventId !== undefined && runState?.eventId !== null
+      ? { [runState.eventId]: runner.times.progress }
+      : {}
+
   return (
     <>
+      {errorMessage && (
+        <div className='error-notification' role='alert'>
+          {errorMessage}
+        </div>
+      )}
+
+      {statusMessage && (
+        <div className='schedule-banner' role='status'>
+          {statusMessage}
+          <button
+            className='btn'
+            onClick={() => setStatusMessage('')}
+            aria-label='Dismiss'
+          >
+            ×
+          </button>
+        </div>
+      )}
+
       <div className='card'>
-        <div className='card-h'>
-          <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+        <div className='card-h schedule-header'>
+          <div className='schedule-nav'>
             <strong>Schedule</strong>
-            <span className='small'>Today · Tue Sep 16, 2025</span>
+            <button
+              className='btn'
+              onClick={() => setDate(addDays(date, -step))}
+              aria-label={`Previous ${view}`}
+            >
+              ‹
+            </button>
+            <button
+              className='btn'
+              onClick={() => setDate(today)}
+              disabled={days.includes(today)}
+            >
+              Today
+            </button>
+            <button
+              className='btn'
+              onClick={() => setDate(addDays(date, step))}
+              aria-label={`Next ${view}`}
+            >
+              ›
+            </button>
+            <span className='small'>{label}</span>
           </div>
-          <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
-            <button className='btn'>Day</button>
-            <button className='btn'>Week</button>
-            <button className='btn'>
-              <svg className='icon' viewBox='0 0 24 24'>
-                <path d='M12 5v14M5 12h14' />
-              </svg>{' '}
-              Sequence
+          <div className='schedule-nav'>
+            <button
+              className='btn'
+              onClick={() => setView('day')}
+              aria-pressed={view === 'day'}
+            >
+              Day
+            </button>
+            <button
+              className='btn'
+              onClick={() => setView('week')}
+              aria-pressed={view === 'week'}
+            >
+              Week
             </button>
-            <button className='btn'>
+            <button
+              className='btn'
+              onClick={handlePlanDay}
+              disabled={date < today}
+              title='Place Do First and Schedule tasks into free slots'
+            >
+              Plan my day
+            </button>
+            <button className='btn' onClick={() => setShowAvailability(true)}>
+              Working hours
+            </button>
+            <button
+              className='btn'
+              onClick={() => fileInputRef.current?.click()}
+              title='Show events from another calendar (.ics)'
+            >
+              Import
+            </button>
+            <input
+              ref={fileInputRef}
+              type='file'
+              accept='.ics,text/calendar'
+              onChange={handleImport}
+              style={{ display: 'none' }}
+              aria-label='Import calendar file'
+            />
+            <button
+              className='btn'
+              onClick={handleExport}
+              title='Download the schedule and tasks as .ics'
+            >
+              Export
+            </button>
+            <button
+              className='btn'
+              onClick={() => setEditor({ draft: nextHourDraft(date) })}
+              aria-label='Add event'
+            >
               <svg className='icon' viewBox='0 0 24 24'>
                 <path d='M12 5v14M5 12h14' />
               </svg>{' '}
-              Task
+              Event
             </button>
           </div>
         </div>
@@ -36,138 +444,211 @@ function Schedule() {
           <aside className='sidebar'>
             <div className='card'>
               <div className='card-h'>
-                <strong>Today&apos;s queue</strong>
+                <strong>
+                  {date === today ? "Today's queue" : formatDay(date)}
+                </strong>
               </div>
               <div className='card-b'>
-                <div className='list'>
-                  <div className='list-row'>
-                    <span>Deep Work Warmup</span>
-                    <button className='btn' onClick={() => toggleRunner(true)}>
-                      <svg className='icon' viewBox='0 0 24 24'>
-                        <polygon points='5 3 19 12 5 21 5 3' />
-                      </svg>
-                    </button>
+                {agenda.length === 0 ? (
+                  <p className='small'>Nothing scheduled</p>
+                ) : (
+                  <div className='list'>
+                    {agenda.map((event) => (
+                      <button
+                        key={event.id}
+                        className='list-row agenda-row'
+                        onClick={() => setEditor({ event })}
+                      >
+                        <span>
+                          {overlapping.has(event.id) && (
+                            <span
+                              className='conflict-mark'
+                              title='Overlaps another block'
+                            >
+                              ⚠{' '}
+                            </span>
+                          )}
+                          {event.completed && '✓ '}
+                          {event.title || event.type}
+                        </span>
+                        <span className='small'>
+                          {event.startTime}–{event.endTime}
+                        </span>
+                      </button>
+                    ))}
                   </div>
-                </div>
+                )}
               </div>
             </div>
-            <div className='card' style={{ marginTop: '12px' }}>
-              <div className='card-h'>
-                <strong>Tasks</strong>
-              </div>
-              <div className='card-b'>
-                <div className='list'>
-                  <div className='list-row'>
-                    <span>Buy groceries</span>
+            {calendars.length > 0 && (
+              <div className='card'>
+                <div className='card-h'>
+                  <strong>Imported calendars</strong>
+                </div>
+                <div className='card-b'>
+                  <div className='list'>
+                    {calendars.map(({ source, count }) => (
+                      <div key={source} className='list-row agenda-row'>
+                        <span>{source}</span>
+                        <span className='small'>
+                          {count} event{count === 1 ? '' : 's'}{' '}
+                          <button
+                            className='btn'
+                            onClick={() => handleRemoveCalendar(source)}
+                            aria-label={`Remove ${source}`}
+                          >
+                            ×
+                          </button>
+                        </span>
+                      </div>
+                    ))}
                   </div>
                 </div>
               </div>
-            </div>
-          </aside>
-          <section>
-            <div className='calendar'>
-              <div className='hours'>
-                <div className='hour-col'>
-                  <div className='h'>06:00</div>
-                  <div className='h'>07:00</div>
-                  <div className='h'>08:00</div>
-                  <div className='h'>09:00</div>
-                  <div className='h'>10:00</div>
-                  <div className='h'>11:00</div>
-                  <div className='h'>12:00</div>
-                  <div className='h'>13:00</div>
-                  <div className='h'>14:00</div>
-                  <div className='h'>15:00</div>
-                  <div className='h'>16:00</div>
-                  <div className='h'>17:00</div>
-                  <div className='h'>18:00</div>
-                  <div className='h'>19:00</div>
-                  <div className='h'>20:00</div>
-                  <div className='h'>21:00</div>
+            )}
+            {sequences.length > 0 && (
+              <div className='card'>
+                <div className='card-h'>
+                  <strong>Routines</strong>
+                  <span className='small'>Drag onto the calendar</span>
                 </div>
-                <div className='slots' style={{ height: '736px' }}>
-                  <div
-                    className='block'
-                    style={{ top: '46px', height: '23.0px' }}
-                    onClick={() => toggleRunner(true)}
-                    onKeyDown={(e) => {
-                      if (e.key === 'Enter' || e.key === ' ') {
-                        e.preventDefault()
-                        toggleRunner(true)
-                      }
-                    }}
-                    role='button'
-                    tabIndex={0}
-                  >
-                    <div className='title'>Morning Launch</div>
-                    <div className='meta'>07:00–07:30</div>
-                    <div className='progress'>
-                      <i style={{ width: '30%' }} />
-                    </div>
-                  </div>
-                  <div
-                    className='block task'
-                    style={{ top: '460px', height: '23.0px' }}
-                  >
-                    <div className='title'>Buy groceries</div>
-                    <div className='meta'>16:00</div>
+                <div className='card-b'>
+                  <div className='list'>
+                    {sequences.map((sequence) => (
+                      <button
+                        key={sequence.id}
+                        className='list-row agenda-row routine-source'
+                        draggable
+                        onDragStart={(e) => {
+                          e.dataTransfer.setData(
+                            SEQUENCE_DRAG_TYPE,
+                            sequence.id
+                          )
+                          e.dataTransfer.effectAllowed = 'copy'
+                        }}
+                        onClick={() => handleAddSequence(sequence)}
+                        aria-label={`Schedule ${sequence.name}`}
+                      >
+                        <span>{sequence.name}</span>
+                        <span className='small'>
+                          {getSequenceMinutes(sequence)} min
+                        </span>
+                      </button>
+                    ))}
                   </div>
                 </div>
               </div>
-            </div>
+            )}
+          </aside>
+          <section>
+            {loading ? (
+              <p className='small'>Loading schedule...</p>
+            ) : !isIndexedDBAvailable() ? (
+              <p className='small'>
+                Scheduling requires IndexedDB support. Your browser may not
+                support this feature, or it may be disabled.
+              </p>
+            ) : (
+              <CalendarGrid
+                days={days}
+                events={events}
+                overlapping={overlapping}
+                windows={windows}
+                progress={progress}
+                today={today}
+                onCreate={(draft) => setEditor({ draft })}
+                onMove={(id, day, startTime) =>
+                  changeFromGrid(id, 'move event', (scope) =>
+                    moveEvent(id, day, startTime, { scope })
+                  )
+                }
+                onResize={(id, endTime) =>
+                  changeFromGrid(id, 'resize event', (scope) =>
+                    resizeEvent(id, endTime, { scope })
+                  )
+                }
+                onSelect={(event) => setEditor({ event })}
+                onDropSequence={handleDropSequence}
+              />
+            )}
           </section>
         </div>
       </div>
 
-      {/* Runner overlay */}
-      <div id='runner' style={{ display: showRunner ? 'flex' : 'none' }}>
-        <div className='panel'>
-          <div
-            style={{
-              display: 'flex',
-              justifyContent: 'space-between',
-              alignItems: 'center'
-            }}
-          >
-            <div className='small'>Sequence timer</div>
-            <div style={{ fontWeight: '700' }}>00:12:34</div>
-          </div>
-          <div style={{ marginTop: '8px' }} className='progress'>
-            <i style={{ width: '45%' }} />
-          </div>
-          <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
-            <button className='btn'>
-              <svg className='icon' viewBox='0 0 24 24'>
-                <polygon points='5 3 19 12 5 21 5 3' />
-              </svg>{' '}
-              Start
-            </button>
-            <button className='btn'>
-              <svg className='icon' viewBox='0 0 24 24'>
-                <rect x='6' y='4' width='4' height='16' />
-                <rect x='14' y='4' width='4' height='16' />
-              </svg>{' '}
-              Pause
-            </button>
-            <button className='btn'>
-              <svg className='icon' viewBox='0 0 24 24'>
-                <rect x='6' y='6' width='12' height='12' rx='2' />
-              </svg>{' '}
-              Stop
-            </button>
-            <button className='btn'>
-              <svg className='icon' viewBox='0 0 24 24'>
-                <polygon points='5 4 15 12 5 20 5 4' />
-                <rect x='17' y='4' width='2' height='16' />
-              </svg>{' '}
-              Skip
-            </button>
-            <button className='btn' onClick={() => toggleRunner(false)}>
-              Close
-            </button>
+      {editor?.event?.readOnly && (
+        <ImportedEventDetails
+          event={editor.event}
+          onClose={() => setEditor(null)}
+        />
+      )}
+
+      {editor && !editor.event?.readOnly && (
+        <EventEditor
+          event={editor.event}
+          draft={editor.draft}
+          sequences={sequences}
+          runningEventId={runState?.completedAt ? null : runState?.eventId}
+          onSave={handleSave}
+          onDelete={handleDelete}
+          onComplete={handleComplete}
+          onStartRoutine={handleStartRoutine}
+          onClose={() => setEditor(null)}
+        />
+      )}
+
+      {showRunner && runState && (
+        <div
+          id='runner'
+          className='open'
+          role='dialog'
+          aria-modal='true'
+          aria-label='Routine runner'
+        >
+          <div className='panel'>
+            <RoutineRunner
+              runState={runState}
+              times={runner.times}
+              onPause={runner.pause}
+              onResume={runner.resume}
+              onComplete={runner.complete}
+              onSkip={runner.skip}
+              onBack={runner.back}
+              onExtend={runner.extend}
+              onStop={handleStopRunner}
+            />
+            {!runState.completedAt && (
+              <div className='runner-overlay-actions'>
+                <button className='btn' onClick={closeRunner}>
+                  Close
+                </button>
+              </div>
+            )}
           </div>
         </div>
-      </div>
+      )}
+
+      {showAvailability && (
+        <AvailabilitySettings
+          availability={availability}
+          onSave={handleSaveAvailability}
+          onClose={() => setShowAvailability(false)}
+        />
+      )}
+
+      {conflict && (
+        <ConflictDialog
+          conflict={conflict.error}
+          onResolve={handleResolve}
+          onClose={() => setConflict(null)}
+        />
+      )}
+
+      {pendingChange && (
+        <RecurrenceScopeDialog
+          onChoose={handleScopeChosen}
+          onClose={() => setPendingChange(null)}
+        />
+      )}
     </>
   )
 }
@@ -1,25 +1,209 @@
-import React from 'react'
+import React, { useState, useEffect, useCallback, useRef } from 'react'
+import {
+  getSequences,
+  cloneSequence,
+  deleteSequence,
+  importSequences
+} from '../utils/sequencesManager'
+import { serializeRoutines, parseRoutines } from '../utils/routineFormat'
+import { isIndexedDBAvailable } from '../utils/indexedDBManager'
+import { registerIntentHandler } from '../utils/pageIntents'
+import { useSequenceRunner } from '../hooks/useSequenceRunner'
+import { useToast } from '../hooks/useToast'
+import RoutineRunner from '../components/Sequences/RoutineRunner'
+import RoutineLibrary from '../components/Sequences/RoutineLibrary'
+import RoutineEditor from '../components/Sequences/RoutineEditor'
 
 function Sequences() {
+  const [sequences, setSequences] = useState([])
+  const [sortBy, setSortBy] = useState('recent')
+  // null = closed, { sequenceId: null } = new routine
+  const [editor, setEditor] = useState(null)
+  const [errorMessage, setErrorMessage] = useState('')
+  // Line-numbered problems from the last failed import
+  const [importErrors, setImportErrors] = useState([])
+  const fileInputRef = useRef(null)
+  const { toastMessage, showToast, showToastNotification } = useToast()
+  const runner = useSequenceRunner()
+  const { runState } = runner
+
+  // Load routines from STORES.SEQUENCES
+  const loadSequences = useCallback(() => {
+    if (!isIndexedDBAvailable()) return
+
+    getSequences(sortBy)
+      .then(setSequences)
+      .catch((e) => console.error('Failed to load routines:', e))
+  }, [sortBy])
+
+  useEffect(() => {
+    loadSequences()
+  }, [loadSequences])
+
+  const handleStart = async (sequenceId) => {
+    try {
+      await runner.start(sequenceId)
+      loadSequences()
+    } catch (e) {
+      setErrorMessage('Failed to start routine: ' + e.message)
+    }
+  }
+
+  // Routines started from elsewhere, e.g. the command palette
+  const handleStartRef = useRef(handleStart)
+  handleStartRef.current = handleStart
+  useEffect(
+    () =>
+      registerIntentHandler('startRoutine', (sequenceId) =>
+        handleStartRef.current(sequenceId)
+      ),
+    []
+  )
+
+  // Duplicate a routine to use it as a template
+  const handleDuplicate = async (sequenceId) => {
+    try {
+      const newId = await cloneSequence(sequenceId)
+      loadSequences()
+      setEditor({ sequenceId: newId })
+    } catch (e) {
+      setErrorMessage('Failed to duplicate routine: ' + e.message)
+    }
+  }
+
+  const handleDelete = async (sequence) => {
+    if (!window.confirm(`Delete "${sequence.name}"?`)) return
+    try {
+      await deleteSequence(sequence.id)
+      loadSequences()
+    } catch (e) {
+      setErrorMessage('Failed to delete routine: ' + e.message)
+    }
+  }
+
+  // TAB-RTN-12: Export every routine as one human-editable Markdown file
+  const handleExportAll = async () => {
+    try {
+      const markdown = serializeRoutines(await getSequences('name'))
+      const blob = new Blob([markdown], { type: 'text/markdown' })
+      const url = URL.createObjectURL(blob)
+
+      // Generate filename: routines_YYYY-MM-DD.md
+      const date = new Date().toISOString().split('T')[0]
+      const a = document.createElement('a')
+      a.style.display = 'none'
+      a.href = url
+      a.download = `routines_${date}.md`
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      setTimeout(() => {
+        URL.revokeObjectURL(url)
+      }, 1000)
+    } catch (e) {
+      setErrorMessage('Failed to export routines: ' + e.message)
+    }
+  }
+
+  // Import is all-or-nothing: any error leaves the library untouched
+  const handleImport = (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = async (event) => {
+      const { routines, errors } = parseRoutines(event.target?.result)
+      if (errors.length > 0) {
+        setImportErrors(errors)
+        return
+      }
+      try {
+        const ids = await importSequences(routines)
+        setImportErrors([])
+        setErrorMessage('')
+        loadSequences()
+        showToastNotification(
+          `✓ Imported ${ids.length} routine${ids.length === 1 ? '' : 's'}`
+        )
+      } catch (err) {
+        setErrorMessage('Failed to import routines: ' + err.message)
+      }
+    }
+    reader.readAsText(file)
+    e.target.value = '' // Reset input so the same file can be re-imported
+  }
+
+  const stepStatus = (index) => {
+    const entry = runState.log.find((e) => e.index === index)
+    if (entry) return entry.status === 'completed' ? 'done' : 'skipped'
+    return index === runState.currentStepIndex ? 'current' : ''
+  }
+
   return (
     <>
+      {errorMessage && (
+        <div className='error-notification' role='alert'>
+          {errorMessage}
+        </div>
+      )}
+
+      {importErrors.length > 0 && (
+        <div className='error-notification import-errors' role='alert'>
+          <strong>Import failed: nothing was imported.</strong>
+          <ul>
+            {importErrors.map((error, index) => (
+              <li key={index}>
+                Line {error.line}: {error.message}
+              </li>
+            ))}
+          </ul>
+          <button
+            className='btn'
+            onClick={() => setImportErrors([])}
+            aria-label='Dismiss import errors'
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
       {/* TAB-RTN-01: Toolbar with Routine Management Buttons */}
       <div className='card' style={{ marginBottom: '14px' }}>
         <div className='card-b'>
           <div className='routine-toolbar'>
-            <button className='btn' aria-label='Create new routine'>
+            <button
+              className='btn'
+              onClick={() => setEditor({ sequenceId: null })}
+              aria-label='Create new routine'
+            >
               <svg className='icon' viewBox='0 0 24 24'>
                 <path d='M12 5v14M5 12h14' />
               </svg>
               New Routine
             </button>
-            <button className='btn' aria-label='Import routines from file'>
+            <button
+              className='btn'
+              onClick={() => fileInputRef.current?.click()}
+              aria-label='Import routines from file'
+            >
               <svg className='icon' viewBox='0 0 24 24'>
                 <path d='M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4M7 10l5 5 5-5M12 15V3' />
               </svg>
               Import
             </button>
-            <button className='btn' aria-label='Export all routines'>
+            <input
+              ref={fileInputRef}
+              type='file'
+              accept='.md,.markdown,.txt'
+              onChange={handleImport}
+              style={{ display: 'none' }}
+            />
+            <button
+              className='btn'
+              onClick={handleExportAll}
+              disabled={sequences.length === 0}
+              aria-label='Export all routines'
+            >
               <svg className='icon' viewBox='0 0 24 24'>
                 <path d='M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4M17 8l-5-5-5 5M12 3v12' />
               </svg>
@@ -29,169 +213,76 @@ function Sequences() {
         </div>
       </div>
 
-      {/* TAB-RTN-03: Current Routine runner with progress bar */}
-      <div className='card'>
-        <div className='card-h'>
-          <strong>Current Routine</strong>
-          <span className='small'>Morning Launch</span>
-        </div>
-        {/* TAB-RTN-03: Prominent horizontal progress bar */}
-        <div className='routine-progress'>
-          <div className='routine-progress-bar' style={{ width: '33%' }}></div>
-        </div>
-        <div className='card-b runner-top'>
-          <div className='seq-time'>
-            <div className='small'>Sequence timer</div>
-            <div style={{ fontWeight: '700' }}>00:07:42</div>
-          </div>
-          {/* TAB-RTN-03: Step triptych with Previous (dim), Current (enlarged with glow), Next (preview) */}
-          <div className='triptych'>
-            <div className='panel dim'>
-              <div className='step-title'>Water</div>
-              <div className='step-meta'>
-                <span className='small'>Previous</span>
-                <span className='small'>00:00:24</span>
-              </div>
-            </div>
-            <div className='panel panel-current'>
-              <div className='step-title'>Meds</div>
-              <div className='step-meta'>
-                <span className='small'>Current · Timer</span>
-                <span className='small'>01:06</span>
-              </div>
-              <div className='controls'>
-                <button className='btn' aria-label='Pause current step'>
-                  <svg className='icon' viewBox='0 0 24 24'>
-                    <rect x='6' y='4' width='4' height='16' />
-                    <rect x='14' y='4' width='4' height='16' />
-                  </svg>{' '}
-                  Pause
-                </button>
-                <button className='btn' aria-label='Skip current step'>
-                  <svg className='icon' viewBox='0 0 24 24'>
-                    <polygon points='5 4 15 12 5 20 5 4' />
-                    <rect x='17' y='4' width='2' height='16' />
-                  </svg>{' '}
-                  Skip
-                </button>
-              </div>
-            </div>
-            <div className='panel dim'>
-              <div className='step-title'>Stretch</div>
-              <div className='step-meta'>
-                <span className='small'>Next</span>
-                <span className='small'>05:00</span>
-              </div>
-            </div>
-          </div>
-        </div>
-      </div>
+      {/* TAB-RTN-03: Current Routine runner (only while a routine is in progress) */}
+      {runState && (
+        <RoutineRunner
+          runState={runState}
+          times={runner.times}
+          onPause={runner.pause}
+          onResume={runner.resume}
+          onComplete={runner.complete}
+          onSkip={runner.skip}
+          onBack={runner.back}
+          onExtend={runner.extend}
+          onStop={runner.stop}
+        />
+      )}
 
       {/* Bottom split: details and library */}
       <div className='bottom-split'>
         <div className='card'>
           <div className='card-h'>
             <strong>Sequence details</strong>
-            <span className='small'>Reorder or move steps</span>
+            <span className='small'>
+              {runState ? runState.sequence.name : 'No routine running'}
+            </span>
           </div>
           <div className='card-b'>
-            <div className='details-list'>
-              <div className='detail-row'>
-                <span>Water · 30s</span>
-                <div>
-                  <button className='btn' aria-label='Reorder Water step'>
-                    <svg className='icon' viewBox='0 0 24 24'>
-                      <path d='M5 9l7-7 7 7M5 15l7 7 7-7M9 5l-7 7 7 7M15 5l7 7-7 7' />
-                    </svg>
-                  </button>
-                  <button className='btn' aria-label='Move Water step to later'>
-                    <svg className='icon' viewBox='0 0 24 24'>
-                      <polygon points='5 4 15 12 5 20 5 4' />
-                      <rect x='17' y='4' width='2' height='16' />
-                    </svg>{' '}
-                    Move to later
-                  </button>
-                </div>
-              </div>
-              <div className='detail-row'>
-                <span>Meds · 90s</span>
-                <div>
-                  <button className='btn' aria-label='Reorder Meds step'>
-                    <svg className='icon' viewBox='0 0 24 24'>
-                      <path d='M5 9l7-7 7 7M5 15l7 7 7-7M9 5l-7 7 7 7M15 5l7 7-7 7' />
-                    </svg>
-                  </button>
-                  <button className='btn' aria-label='Move Meds step to later'>
-                    <svg className='icon' viewBox='0 0 24 24'>
-                      <polygon points='5 4 15 12 5 20 5 4' />
-                      <rect x='17' y='4' width='2' height='16' />
-                    </svg>{' '}
-                    Move to later
-                  </button>
-                </div>
-              </div>
-              <div className='detail-row'>
-                <span>Stretch · 300s</span>
-                <div>
-                  <button className='btn' aria-label='Reorder Stretch step'>
-                    <svg className='icon' viewBox='0 0 24 24'>
-                      <path d='M5 9l7-7 7 7M5 15l7 7 7-7M9 5l-7 7 7 7M15 5l7 7-7 7' />
-                    </svg>
-                  </button>
-                  <button
-                    className='btn'
-                    aria-label='Move Stretch step to later'
+            {runState ? (
+              <div className='details-list'>
+                {runState.sequence.steps.map((step, index) => (
+                  <div
+                    key={step.id || index}
+                    className={`detail-row ${stepStatus(index)}`}
                   >
-                    <svg className='icon' viewBox='0 0 24 24'>
-                      <polygon points='5 4 15 12 5 20 5 4' />
-                      <rect x='17' y='4' width='2' height='16' />
-                    </svg>{' '}
-                    Move to later
-                  </button>
-                </div>
+                    <span>
+                      {step.name} · {step.duration || 0}s
+                    </span>
+                    <span className='small'>{stepStatus(index)}</span>
+                  </div>
+                ))}
               </div>
-            </div>
+            ) : (
+              <p className='small'>Start a routine to follow its steps here.</p>
+            )}
           </div>
         </div>
 
-        {/* TAB-RTN-04: Routine Library with empty state */}
-        <div className='card'>
-          <div className='card-h'>
-            <strong>Routine Library</strong>
-            <span className='small'>Your saved routines</span>
-          </div>
-          <div className='card-b'>
-            <div className='routine-library-empty'>
-              <div className='empty-state'>
-                <svg
-                  className='icon'
-                  viewBox='0 0 24 24'
-                  style={{ width: '48px', height: '48px', opacity: 0.5 }}
-                >
-                  <circle cx='12' cy='12' r='10' />
-                  <path d='M12 6v12M6 12h12' />
-                </svg>
-                <p className='empty-state-text'>No routines yet</p>
-                <p
-                  className='small'
-                  style={{ marginTop: '8px', marginBottom: '16px' }}
-                >
-                  Create your first routine to get started
-                </p>
-                <button
-                  className='btn btn-primary'
-                  aria-label='Create your first routine'
-                >
-                  <svg className='icon' viewBox='0 0 24 24'>
-                    <path d='M12 5v14M5 12h14' />
-                  </svg>
-                  Create Routine
-                </button>
-              </div>
-            </div>
-          </div>
-        </div>
+        <RoutineLibrary
+          sequences={sequences}
+          sortBy={sortBy}
+          onSortChange={setSortBy}
+          onStart={handleStart}
+          onEdit={(sequenceId) => setEditor({ sequenceId })}
+          onDuplicate={handleDuplicate}
+          onDelete={handleDelete}
+          onCreate={() => setEditor({ sequenceId: null })}
+        />
       </div>
+
+      {editor && (
+        <RoutineEditor
+          sequenceId={editor.sequenceId}
+          onClose={() => setEditor(null)}
+          onSaved={loadSequences}
+        />
+      )}
+
+      {showToast && (
+        <div className='toast' style={{ display: 'block' }}>
+          {toastMessage}
+        </div>
+      )}
     </>
   )
 }
@@ -2,8 +2,51 @@ import React, { useState } from 'react'
 import { generateSecureUUID } from '../utils/uuidGenerator'
 import { useTasksState } from '../hooks/useTasksState'
 import { useDragAndDrop } from '../hooks/useDragAndDrop'
+import { useMatrixKeyboard } from '../hooks/useMatrixKeyboard'
+import {
+  getTaskMetadataError,
+  getSubtaskProgress,
+  getArchiveAfterDays,
+  setArchiveAfterDays,
+  fromArchive
+} from '../utils/tasksManager'
+import { parseQuickAdd } from '../utils/quickAdd'
 import TaskForm from '../components/Tasks/TaskForm'
 import TaskQuadrant from '../components/Tasks/TaskQuadrant'
+import TaskBulkActions from '../components/Tasks/TaskBulkActions'
+import TaskArchive from '../components/Tasks/TaskArchive'
+
+const quadrants = [
+  {
+    key: 'urgent_important',
+    title: 'Urgent & Important',
+    subtitle: 'Do First',
+    colorClass: 'quadrant-red'
+  },
+  {
+    key: 'not_urgent_important',
+    title: 'Not Urgent & Important',
+    subtitle: 'Schedule',
+    colorClass: 'quadrant-blue'
+  },
+  {
+    key: 'urgent_not_important',
+    title: 'Urgent & Not Important',
+    subtitle: 'Delegate',
+    colorClass: 'quadrant-yellow'
+  },
+  {
+    key: 'not_urgent_not_important',
+    title: 'Not Urgent & Not Important',
+    subtitle: 'Eliminate',
+    colorClass: 'quadrant-green'
+  }
+]
+
+// Quadrant names used in keyboard announcements
+const QUADRANT_LABELS = Object.fromEntries(
+  quadrants.map((quadrant) => [quadrant.key, quadrant.title])
+)
 
 function Tasks() {
   const {
@@ -13,7 +56,21 @@ function Tasks() {
     toggleTask,
     deleteTask,
     editTask,
-    moveTask
+    updateTask,
+    reorderTask,
+    addSubtask,
+    toggleSubtask,
+    deleteSubtask,
+    reorderSubtask,
+    moveTask,
+    archiveVersion,
+    archiveCompletedTasks,
+    archiveTasks,
+    restoreTasks,
+    completeTasks,
+    moveTasks,
+    tagTasks,
+    deleteTasks
   } = useTasksState()
 
   // Form state
@@ -24,26 +81,67 @@ function Tasks() {
   const [editingTask, setEditingTask] = useState(null)
   const [editText, setEditText] = useState('')
 
+  // Task whose detail panel is open
+  const [expandedTask, setExpandedTask] = useState(null)
+
+  // Bulk Edit selection (null when not in Bulk Edit mode)
+  const [selectedIds, setSelectedIds] = useState(null)
+
+  // Archive panel
+  const [showArchive, setShowArchive] = useState(false)
+  const [archiveAfterDays, setArchiveDelay] = useState(getArchiveAfterDays)
+
   // Error state
   const [errorMessage, setErrorMessage] = useState('')
 
-  // Drag and drop
-  const { handleDragStart, handleDragOver, handleDrop } =
-    useDragAndDrop(moveTask)
+  // Drag and drop: native for mice, long-press for touch (TAB-TSK-MOB-01)
+  const {
+    pointerDrag,
+    handleDragStart,
+    handleDragOver,
+    handleDrop,
+    startPointerDrag
+  } = useDragAndDrop(moveTask)
 
   const showError = (message) => {
     setErrorMessage(message)
     setTimeout(() => setErrorMessage(''), 5000)
   }
 
+  // The new task's details as typed in the form (quick add); tags already
+  // in use keep their colour
+  const quickAdd = parseQuickAdd(newTask, {
+    tags: Object.values(tasks).flatMap((list) =>
+      list.flatMap((task) => task.tags || [])
+    )
+  })
+
   const handleAddTask = (e) => {
     e.preventDefault()
-    if (!newTask.trim()) return
+    if (!quickAdd.text) return
 
-    addTask(selectedQuadrant, newTask)
+    const { text, quadrant, recurrence, ...details } = quickAdd
+    addTask(quadrant || selectedQuadrant, text, {
+      ...details,
+      ...(recurrence && { recurrence })
+    })
     setNewTask('')
   }
 
+  // TAB-TSK-17: Completing a parent with open subtasks asks whether to
+  // complete them too; declining completes the parent only
+  const handleToggleTask = (quadrant, taskId) => {
+    const task = tasks[quadrant].find((t) => t.id === taskId)
+    const { done, total } = getSubtaskProgress(task || {})
+    const open = task && !task.completed ? total - done : 0
+    const includeSubtasks =
+      open > 0 &&
+      window.confirm(
+        `"${task.text}" has ${open} open subtask${open === 1 ? '' : 's'}. Complete ${open === 1 ? 'it' : 'them'} too?`
+      )
+    toggleTask(quadrant, taskId, { includeSubtasks })
+  }
+
   const startEditTask = (quadrant, task) => {
     setEditingTask({ quadrant, taskId: task.id })
     setEditText(task.text)
@@ -58,13 +156,79 @@ function Tasks() {
     editTask(editingTask.quadrant, editingTask.taskId, editText)
     setEditingTask(null)
     setEditText('')
+    keyboard.focusTask(editingTask.taskId)
   }
 
   const cancelEditTask = () => {
+    if (editingTask) keyboard.focusTask(editingTask.taskId)
     setEditingTask(null)
     setEditText('')
   }
 
+  const toggleExpandTask = (quadrant, taskId) => {
+    setExpandedTask((current) =>
+      current?.quadrant === quadrant && current?.taskId === taskId
+        ? null
+        : { quadrant, taskId }
+    )
+  }
+
+  // TAB-TSK-43: Roving focus and shortcuts across the matrix
+  const keyboard = useMatrixKeyboard(tasks, QUADRANT_LABELS, {
+    onToggle: handleToggleTask,
+    onToggleExpand: toggleExpandTask,
+    onEdit: startEditTask,
+    onDelete: deleteTask,
+    onMove: moveTask,
+    onReorder: reorderTask
+  })
+
+  // TAB-TSK-08: Bulk Edit
+  const allTaskIds = Object.values(tasks).flatMap((list) =>
+    list.map((task) => task.id)
+  )
+  const selected = (selectedIds || []).filter((id) => allTaskIds.includes(id))
+
+  const toggleBulkEdit = () => {
+    setSelectedIds((current) => (current ? null : []))
+  }
+
+  const toggleSelected = (taskId) => {
+    setSelectedIds((current) =>
+      current.includes(taskId)
+        ? current.filter((id) => id !== taskId)
+        : [...current, taskId]
+    )
+  }
+
+  // Bulk deletes and archives are undone through the app-wide history
+  const deleteSelected = () => {
+    deleteTasks(selected)
+    setSelectedIds([])
+  }
+
+  const archiveSelected = async () => {
+    try {
+      await archiveTasks(selected)
+      setSelectedIds([])
+    } catch (err) {
+      showError('Failed to archive tasks: ' + err.message)
+    }
+  }
+
+  const restore = (entries) =>
+    restoreTasks(entries).catch((err) => {
+      showError('Failed to restore tasks: ' + err.message)
+    })
+
+  const changeArchiveDelay = (days) => {
+    setArchiveAfterDays(days)
+    setArchiveDelay(days)
+    archiveCompletedTasks().catch((err) => {
+      showError('Failed to archive tasks: ' + err.message)
+    })
+  }
+
   const exportTasks = () => {
     try {
       const data = JSON.stringify(tasks, null, 2)
@@ -155,6 +319,14 @@ function Tasks() {
               showError('Invalid tasks file: Task text exceeds maximum length.')
               return
             }
+
+            // Optional metadata: due date/time, estimate, notes, tags and
+            // subtasks
+            const metadataError = getTaskMetadataError(task)
+            if (metadataError) {
+              showError(`Invalid tasks file: ${metadataError}`)
+              return
+            }
           }
         }
 
@@ -166,33 +338,6 @@ function Tasks() {
     reader.readAsText(file)
   }
 
-  const quadrants = [
-    {
-      key: 'urgent_important',
-      title: 'Urgent & Important',
-      subtitle: 'Do First',
-      colorClass: 'quadrant-red'
-    },
-    {
-      key: 'not_urgent_important',
-      title: 'Not Urgent & Important',
-      subtitle: 'Schedule',
-      colorClass: 'quadrant-blue'
-    },
-    {
-      key: 'urgent_not_important',
-      title: 'Urgent & Not Important',
-      subtitle: 'Delegate',
-      colorClass: 'quadrant-yellow'
-    },
-    {
-      key: 'not_urgent_not_important',
-      title: 'Not Urgent & Not Important',
-      subtitle: 'Eliminate',
-      colorClass: 'quadrant-green'
-    }
-  ]
-
   return (
     <div className='tasks-container'>
       {errorMessage && (
@@ -209,6 +354,21 @@ function Tasks() {
         <div className='card-h'>
           <strong>Tasks</strong>
           <div className='toolbar'>
+            <button
+              className='btn'
+              onClick={toggleBulkEdit}
+              aria-pressed={selectedIds !== null}
+            >
+              Bulk edit
+            </button>
+            <button
+              className='btn'
+              onClick={() => setShowArchive((value) => !value)}
+              aria-expanded={showArchive}
+              aria-controls='task-archive'
+            >
+              Archive
+            </button>
             <button
               className='btn'
               onClick={exportTasks}
@@ -241,6 +401,7 @@ function Tasks() {
           <TaskForm
             newTask={newTask}
             selectedQuadrant={selectedQuadrant}
+            preview={quickAdd}
             onTaskChange={setNewTask}
             onQuadrantChange={setSelectedQuadrant}
             onSubmit={handleAddTask}
@@ -248,6 +409,21 @@ function Tasks() {
         </div>
       </div>
 
+      {selectedIds && (
+        <TaskBulkActions
+          count={selected.length}
+          total={allTaskIds.length}
+          quadrants={quadrants}
+          onComplete={() => completeTasks(selected)}
+          onMove={(quadrant) => moveTasks(selected, quadrant)}
+          onTag={(tag) => tagTasks(selected, tag)}
+          onArchive={archiveSelected}
+          onDelete={deleteSelected}
+          onSelectAll={() => setSelectedIds(allTaskIds)}
+          onClear={() => setSelectedIds([])}
+        />
+      )}
+
       <div className='eisenhower-matrix'>
         {quadrants.map((quadrant) => (
           <TaskQuadrant
@@ -255,8 +431,9 @@ function Tasks() {
             quadrant={quadrant}
             tasks={tasks[quadrant.key]}
             editingTask={editingTask}
+            expandedTask={expandedTask}
             editText={editText}
-            onToggle={toggleTask}
+            onToggle={handleToggleTask}
             onEdit={startEditTask}
             onEditTextChange={setEditText}
             onSaveEdit={saveEditTask}
@@ -265,15 +442,72 @@ function Tasks() {
             onDragStart={handleDragStart}
             onDragOver={handleDragOver}
             onDrop={handleDrop}
+            onPointerDragStart={startPointerDrag}
+            draggingTaskId={pointerDrag?.task.id}
+            isDropTarget={
+              pointerDrag?.target === quadrant.key &&
+              pointerDrag.quadrant !== quadrant.key
+            }
+            moveTargets={quadrants}
+            onMove={moveTask}
+            onToggleExpand={toggleExpandTask}
+            selectedIds={selectedIds}
+            onSelectTask={toggleSelected}
+            onUpdate={updateTask}
+            onReorder={reorderTask}
+            onAddSubtask={addSubtask}
+            onToggleSubtask={toggleSubtask}
+            onDeleteSubtask={deleteSubtask}
+            onReorderSubtask={reorderSubtask}
+            tabStopId={keyboard.tabStopId}
+            registerItem={keyboard.registerItem}
+            onTaskKeyDown={keyboard.handleKeyDown}
+            onTaskFocus={keyboard.setActiveTaskId}
           />
         ))}
       </div>
+      {pointerDrag && (
+        <div
+          className='task-drag-ghost'
+          aria-hidden='true'
+          style={{ left: pointerDrag.x, top: pointerDrag.y }}
+        >
+          {pointerDrag.task.text}
+        </div>
+      )}
+      {showArchive && (
+        <div id='task-archive'>
+          <TaskArchive
+            version={archiveVersion}
+            quadrants={quadrants}
+            archiveAfterDays={archiveAfterDays}
+            onArchiveAfterDaysChange={changeArchiveDelay}
+            onRestore={(records) => restore(records.map(fromArchive))}
+          />
+        </div>
+      )}
+      <p id='task-keyboard-help' className='sr-only'>
+        Arrow keys move between tasks and quadrants. Alt plus an arrow key moves
+        the task to the next quadrant; Alt plus Shift plus Up or Down reorders
+        it. Space completes, Enter shows details, E edits and Delete removes the
+        task.
+      </p>
+      <div className='sr-only' role='status' aria-live='polite'>
+        {keyboard.announcement}
+      </div>
 
       <div className='tasks-info'>
         <p className='small'>
-          <strong>Tip:</strong> Drag tasks between quadrants to reorganize them.
-          The Eisenhower Matrix helps prioritize tasks by urgency and
-          importance.
+          <strong>Tip:</strong> Drag tasks between quadrants to reorganize them
+          (on touch screens, press and hold a task first), or focus a task and
+          press Alt + Arrow keys. Swipe a task right to complete it or left for
+          quick actions. The Eisenhower Matrix helps prioritize tasks by urgency
+          and importance. Open a task&apos;s details to set a due date,
+          estimate, notes, subtasks and tags, or to change its place in the
+          quadrant. When adding a task you can type its details too, e.g.
+          &quot;call mum tomorrow 5pm !urgent #family ~15m&quot; or &quot;water
+          plants every mon and thu&quot;; use !i for important, !! for both and
+          !low for neither.
         </p>
       </div>
     </div>
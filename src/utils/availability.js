@@ -0,0 +1,186 @@
+// Working hours, energy windows and protected blocks for slot finding
+// TAB-SCH-05: Each weekday has availability windows, optionally tagged as
+// high or low energy. Protected blocks (lunch, wind-down) are carved out of
+// the windows on the weekdays they apply to.
+// Shape: { workingHours: { 0-6: [{ start, end, energy }] },
+//          protectedBlocks: [{ id, label, start, end, days }] }
+
+import { parseDateKey } from './dateUtils'
+
+export const ENERGY_LEVELS = {
+  HIGH: 'high',
+  LOW: 'low'
+}
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+/**
+ * Check a time is well-formed (HH:MM, 24-hour)
+ * @param {string} time - Time
+ * @param {boolean} [isEnd=false] - Whether it ends a range, which may run to
+ *   midnight ("24:00")
+ * @returns {boolean} True if valid
+ */
+function isTime(time, isEnd = false) {
+  if (isEnd && time === '24:00') return true
+  return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time)
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time - Time (HH:MM)
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [hour, min] = time.split(':').map(Number)
+  return hour * 60 + min
+}
+
+/**
+ * Convert minutes since midnight to "HH:MM"
+ * @param {number} minutes - Minutes
+ * @returns {string} Time (HH:MM)
+ */
+function toTime(minutes) {
+  const hour = Math.floor(minutes / 60)
+  const min = minutes % 60
+  return `${String(hour).padStart(2, '0')}:${String(min).padStart(2, '0')}`
+}
+
+/**
+ * Remove busy ranges from free ranges (all in minutes, sorted or not)
+ * @param {Array} ranges - [{ start, end, ...rest }]
+ * @param {Array} busy - [{ start, end }]
+ * @returns {Array} Remaining pieces, keeping each range's other fields
+ */
+function subtract(ranges, busy) {
+  let pieces = ranges
+  for (const block of busy) {
+    pieces = pieces.flatMap((piece) => {
+      if (block.end <= piece.start || block.start >= piece.end) return [piece]
+      return [
+        { ...piece, end: block.start },
+        { ...piece, start: block.end }
+      ].filter((part) => part.end > part.start)
+    })
+  }
+  return pieces.sort((a, b) => a.start - b.start)
+}
+
+/**
+ * Validate availability settings
+ * @param {object} availability - { workingHours, protectedBlocks }
+ * @returns {string[]} Error messages (empty if valid)
+ */
+export function validateAvailability({ workingHours, protectedBlocks }) {
+  const errors = []
+  const checkRange = (range, name) => {
+    if (!isTime(range.start) || !isTime(range.end, true)) {
+      errors.push(`${name}: times must be HH:MM`)
+    } else if (range.end <= range.start) {
+      errors.push(`${name}: must end after it starts`)
+    }
+  }
+
+  for (let weekday = 0; weekday < 7; weekday++) {
+    const windows = workingHours?.[weekday] || []
+    const name = WEEKDAY_NAMES[weekday]
+    windows.forEach((window) => {
+      checkRange(window, name)
+      if (
+        window.energy &&
+        !Object.values(ENERGY_LEVELS).includes(window.energy)
+      ) {
+        errors.push(`${name}: energy must be high or low`)
+      }
+    })
+    const sorted = [...windows].sort((a, b) =>
+      String(a.start).localeCompare(String(b.start))
+    )
+    if (sorted.some((window, i) => i > 0 && window.start < sorted[i - 1].end)) {
+      errors.push(`${name}: windows must not overlap`)
+    }
+  }
+
+  ;(protectedBlocks || []).forEach((block) => {
+    const name = block.label?.trim() || 'Protected block'
+    if (!block.label?.trim()) errors.push('Protected blocks need a label')
+    checkRange(block, name)
+    if (!Array.isArray(block.days) || block.days.length === 0) {
+      errors.push(`${name}: pick at least one day`)
+    }
+  })
+  return errors
+}
+
+/**
+ * Available windows on a day, with protected blocks removed
+ * @param {object} availability - { workingHours, protectedBlocks }
+ * @param {string} day - Day key
+ * @returns {Array} [{ startTime, endTime, energy }] in order
+ */
+export function getAvailabilityWindows(availability, day) {
+  const weekday = parseDateKey(day).getDay()
+  const windows = (availability.workingHours?.[weekday] || []).map(
+    (window) => ({
+      start: toMinutes(window.start),
+      end: toMinutes(window.end),
+      energy: window.energy || null
+    })
+  )
+  const protectedRanges = (availability.protectedBlocks || [])
+    .filter((block) => block.days.includes(weekday))
+    .map((block) => ({
+      start: toMinutes(block.start),
+      end: toMinutes(block.end)
+    }))
+
+  return subtract(windows, protectedRanges).map(({ start, end, energy }) => ({
+    startTime: toTime(start),
+    endTime: toTime(end),
+    energy
+  }))
+}
+
+/**
+ * Free slots left in windows once events are placed
+ * @param {Array} windows - From getAvailabilityWindows
+ * @param {Array} events - Timed events on the day
+ * @returns {Array} [{ startTime, endTime, duration, energy }] in order
+ */
+export function getFreeSlots(windows, events) {
+  const ranges = windows.map((window) => ({
+    start: toMinutes(window.startTime),
+    end: toMinutes(window.endTime),
+    energy: window.energy
+  }))
+  const busy = events.map((event) => ({
+    start: toMinutes(event.startTime),
+    end: toMinutes(event.endTime)
+  }))
+  return subtract(ranges, busy).map(({ start, end, energy }) => ({
+    startTime: toTime(start),
+    endTime: toTime(end),
+    duration: end - start,
+    energy
+  }))
+}
+
+/**
+ * Order slots for a requested energy level
+ * Matching windows come first, then untagged ones, then the other level;
+ * earlier slots first within each group.
+ * @param {Array} slots - Free slots
+ * @param {string} [energy] - ENERGY_LEVELS value
+ * @returns {Array} Ranked copy
+ */
+export function rankSlots(slots, energy) {
+  const rank = (slot) => {
+    if (!energy) return 0
+    if (slot.energy === energy) return 0
+    return slot.energy ? 2 : 1
+  }
+  return [...slots].sort(
+    (a, b) => rank(a) - rank(b) || a.startTime.localeCompare(b.startTime)
+  )
+}
@@ -0,0 +1,190 @@
+// Command History - app-wide undo/redo (USR-PRF-02)
+// Each command names a domain ('task' or 'note'), the ID of the item it
+// changed and a snapshot of that item before and after. The history lives at
+// module level so it survives moving between tabs: undo and redo go through
+// the page that owns the data while it is mounted (so its state stays in
+// step) and straight to storage otherwise.
+//
+// Snapshots are null (the item doesn't exist), a full { quadrant/index, item }
+// placement, or { changes } holding only the fields the command touched, so
+// undoing an edit doesn't roll back unrelated changes made since. A bulk
+// change is a single command whose snapshots hold a { batch } of per-item
+// snapshots, so it undoes in one step.
+
+import { restoreTaskSnapshot } from './tasksManager'
+import { restoreNoteSnapshot } from './notes/noteOperations'
+
+export const HISTORY_LIMIT = 100
+
+// Edits to the same item this close together undo as one step
+export const MERGE_WINDOW_MS = 5000
+
+const storageAppliers = {
+  task: restoreTaskSnapshot,
+  note: restoreNoteSnapshot
+}
+const liveAppliers = {}
+
+let past = []
+let future = []
+const listeners = new Set()
+
+// Undo and redo run one at a time, in the order they were asked for
+let pending = Promise.resolve()
+
+const notify = (event) => {
+  for (const listener of listeners) listener(event)
+}
+
+/**
+ * Record a change so it can be undone
+ * @param {object} command
+ * @param {string} command.domain - 'task' or 'note'
+ * @param {string|null} command.id - ID of the changed item (null for a bulk
+ *   change)
+ * @param {string} command.label - Past-tense description, e.g.
+ *   'Deleted task "Pay rent"'
+ * @param {object|null} command.before - Snapshot before the change
+ * @param {object|null} command.after - Snapshot after the change
+ * @param {boolean} [command.destructive] - Offer Undo straight away
+ * @param {string} [command.mergeKey] - Commands with the same key recorded
+ *   within MERGE_WINDOW_MS of each other merge into one step
+ * @returns {object} The recorded command
+ */
+export function recordCommand({
+  domain,
+  id,
+  label,
+  before,
+  after,
+  destructive = false,
+  mergeKey = null
+}) {
+  const now = Date.now()
+  const last = past[past.length - 1]
+  let command
+
+  if (
+    mergeKey &&
+    last?.mergeKey === mergeKey &&
+    now - last.recordedAt <= MERGE_WINDOW_MS
+  ) {
+    command = { ...last, label, after, recordedAt: now }
+    past = [...past.slice(0, -1), command]
+  } else {
+    command = { domain, id, label, before, after, destructive, mergeKey }
+    command.recordedAt = now
+    past = [...past, command].slice(-HISTORY_LIMIT)
+  }
+  future = []
+  notify({ type: 'record', command })
+  return command
+}
+
+/**
+ * Let a mounted page apply undo and redo to its own state
+ * @param {string} domain - 'task' or 'note'
+ * @param {Function} apply - (id, snapshot) => void, or a Promise when it
+ *   writes to storage
+ * @returns {Function} Unregister, handing the domain back to storage
+ */
+export function registerApplier(domain, apply) {
+  liveAppliers[domain] = apply
+  return () => {
+    if (liveAppliers[domain] === apply) delete liveAppliers[domain]
+  }
+}
+
+const apply = async (command, snapshot) => {
+  const applier =
+    liveAppliers[command.domain] || storageAppliers[command.domain]
+  await applier(command.id, snapshot)
+}
+
+/**
+ * Make a change by applying its after snapshot, then record it so it can be
+ * undone - for changes made away from the page that owns the data (e.g. from
+ * the command palette)
+ * @param {object} command - As for recordCommand
+ * @returns {Promise<object>} The recorded command
+ */
+export function runCommand(command) {
+  const run = pending.then(async () => {
+    await apply(command, command.after)
+    const recorded = recordCommand(command)
+    notify({ type: 'run', command: recorded })
+    return recorded
+  })
+  pending = run.catch(() => {})
+  return run
+}
+
+/**
+ * Undo the most recent command
+ * @returns {Promise<object|null>} The undone command, or null if none;
+ *   rejects (leaving the history as it was) if the change can't be applied
+ */
+export function undo() {
+  const run = pending.then(async () => {
+    const command = past[past.length - 1]
+    if (!command) return null
+    // Only move the command once its change has gone through, so a failed
+    // undo can be tried again
+    await apply(command, command.before)
+    past = past.filter((c) => c !== command)
+    future = [...future, command]
+    notify({ type: 'undo', command })
+    return command
+  })
+  pending = run.catch(() => {})
+  return run
+}
+
+/**
+ * Redo the most recently undone command
+ * @returns {Promise<object|null>} The redone command, or null if none;
+ *   rejects (leaving the history as it was) if the change can't be applied
+ */
+export function redo() {
+  const run = pending.then(async () => {
+    const command = future[future.length - 1]
+    if (!command) return null
+    await apply(command, command.after)
+    future = future.filter((c) => c !== command)
+    past = [...past, command]
+    notify({ type: 'redo', command })
+    return command
+  })
+  pending = run.catch(() => {})
+  return run
+}
+
+/**
+ * What undo and redo would do next
+ * @returns {{undoLabel: string|null, redoLabel: string|null}} Labels
+ */
+export function getHistoryState() {
+  return {
+    undoLabel: past[past.length - 1]?.label || null,
+    redoLabel: future[future.length - 1]?.label || null
+  }
+}
+
+/**
+ * Listen for recorded, run, undone and redone commands
+ * @param {Function} listener - ({ type, command }) => void
+ * @returns {Function} Unsubscribe
+ */
+export function subscribe(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Forget every command (e.g. after importing a backup)
+ */
+export function clearHistory() {
+  past = []
+  future = []
+  notify({ type: 'clear', command: null })
+}
@@ -0,0 +1,206 @@
+// Command Palette - what the Ctrl/Cmd+K palette offers for a query
+// (TAB-NAV-10, USR-PRF-01: capture a thought or jump somewhere without
+// leaving the current page first). Items are plain descriptors; the palette
+// component carries them out.
+//
+// Titles containing what was typed come first, then the capture actions (so
+// Enter on anything else adds it as a task), then looser fuzzy matches.
+
+import { QUADRANTS, QUADRANT_TITLES } from './tasksManager'
+import { parseQuickAdd } from './quickAdd'
+
+// Most routes, notes, habits and routines listed for one query
+export const MAX_MATCHES = 8
+
+// Characters after which a match counts as the start of a word
+const WORD_BREAK = /[\s\-_/.:&]/
+
+/**
+ * Fuzzy match a query against a title: every character of the query (spaces
+ * aside) must appear in the title in order
+ * Runs of consecutive characters and matches at the start of words score
+ * higher, and shorter titles win ties.
+ * @param {string} query - What was typed
+ * @param {string} text - Title to match
+ * @returns {number|null} Score, higher is better, or null if it doesn't match
+ */
+export function fuzzyScore(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '')
+  const haystack = (text || '').toLowerCase()
+  if (!needle) return 0
+
+  let score = 0
+  let from = 0
+  let previous = -2
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from)
+    if (index === -1) return null
+
+    score += 1
+    if (index === previous + 1) score += 2
+    if (index === 0 || WORD_BREAK.test(haystack[index - 1])) score += 3
+    previous = index
+    from = index + 1
+  }
+  return score - haystack.length / 100
+}
+
+/**
+ * Rank items by how well their titles match a query
+ * @param {string} query - What was typed
+ * @param {object[]} items - Items with a title
+ * @returns {object[]} { item, score, contains } best first, at most
+ *   MAX_MATCHES
+ */
+function rank(query, items) {
+  const lowered = query.toLowerCase()
+  return items
+    .map((item) => ({ item, score: fuzzyScore(query, item.title) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_MATCHES)
+    .map((match) => ({
+      ...match,
+      contains: match.item.title.toLowerCase().includes(lowered)
+    }))
+}
+
+/**
+ * Add the query as a task (to any quadrant) or append it to a note
+ * @param {string} query - What was typed, trimmed
+ * @param {object} options - { notes, tags, now }
+ * @returns {object[]} Items
+ */
+function captureItems(query, { notes, tags, now }) {
+  const { text, quadrant, recurrence, ...details } = parseQuickAdd(query, {
+    now,
+    tags
+  })
+  if (!text) return []
+
+  // A quadrant marker (e.g. !u) puts its quadrant first
+  const first = quadrant || QUADRANTS.DO_FIRST
+  const quadrants = [
+    first,
+    ...Object.keys(QUADRANT_TITLES).filter((key) => key !== first)
+  ]
+  const items = quadrants.map((key) => ({
+    key: `task:${key}`,
+    type: 'addTask',
+    quadrant: key,
+    text,
+    details: { ...details, ...(recurrence && { recurrence }) },
+    label: `Add task "${text}" to ${QUADRANT_TITLES[key]}`
+  }))
+
+  if (notes.some((note) => !note.locked)) {
+    items.push({
+      key: 'note:append',
+      type: 'chooseNote',
+      text: query,
+      label: `Append "${query}" to a note…`
+    })
+  }
+  return items
+}
+
+/**
+ * Everything the palette offers for a query
+ * @param {string} query - What was typed
+ * @param {object} sources - What can be matched
+ * @param {object[]} [sources.routes] - { path, label } tabs
+ * @param {object[]} [sources.notes] - Notes
+ * @param {object[]} [sources.habits] - Habits that can be logged
+ * @param {object[]} [sources.routines] - Routines
+ * @param {object[]} [sources.tags] - Existing task tags, for quick add
+ * @param {Date} [sources.now] - Current time, for quick add dates
+ * @returns {object[]} Items: { key, type, label } plus what the type needs -
+ *   navigate { path }, openNote { noteId }, logHabit { habitId, title },
+ *   startRoutine { routineId }, addTask { quadrant, text, details } or
+ *   chooseNote { text }
+ */
+export function buildPaletteItems(
+  query,
+  {
+    routes = [],
+    notes = [],
+    habits = [],
+    routines = [],
+    tags = [],
+    now = new Date()
+  } = {}
+) {
+  const trimmed = query.trim()
+  const destinations = [
+    ...routes.map((route) => ({
+      key: `route:${route.path}`,
+      type: 'navigate',
+      path: route.path,
+      title: route.label,
+      label: `Go to ${route.label}`
+    })),
+    ...notes.map((note) => ({
+      key: `note:${note.id}`,
+      type: 'openNote',
+      noteId: note.id,
+      title: note.title || '',
+      label: `Open note "${note.title}"`
+    })),
+    ...habits.map((habit) => ({
+      key: `habit:${habit.id}`,
+      type: 'logHabit',
+      habitId: habit.id,
+      title: habit.name,
+      label: `Log habit "${habit.name}" for today`
+    })),
+    ...routines.map((routine) => ({
+      key: `routine:${routine.id}`,
+      type: 'startRoutine',
+      routineId: routine.id,
+      title: routine.name || '',
+      label: `Start routine "${routine.name}"`
+    }))
+  ]
+  if (!trimmed) return destinations.filter((item) => item.type === 'navigate')
+
+  const matches = rank(trimmed, destinations)
+  return [
+    ...matches.filter((match) => match.contains).map((match) => match.item),
+    ...captureItems(trimmed, { notes, tags, now }),
+    ...matches.filter((match) => !match.contains).map((match) => match.item)
+  ]
+}
+
+/**
+ * The notes text can be appended to, best match first
+ * @param {string} query - What was typed to find the note
+ * @param {object[]} notes - Notes
+ * @param {string} text - Text to append
+ * @returns {object[]} appendNote { noteId, title, text } items
+ */
+export function buildNoteTargets(query, notes, text) {
+  const unlocked = notes
+    .filter((note) => !note.locked)
+    .map((note) => ({
+      key: `append:${note.id}`,
+      type: 'appendNote',
+      noteId: note.id,
+      title: note.title || '',
+      text,
+      label: `Append to "${note.title}"`
+    }))
+  const trimmed = query.trim()
+  if (!trimmed) return unlocked
+  return rank(trimmed, unlocked).map((match) => match.item)
+}
+
+/**
+ * Add text to the end of a note's content, on a line of its own
+ * @param {string} content - Note content
+ * @param {string} text - Text to add
+ * @returns {string} New content
+ */
+export function appendToContent(content, text) {
+  if (!content) return text
+  return content.endsWith('\n') ? `${content}${text}` : `${content}\n${text}`
+}
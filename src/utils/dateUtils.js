@@ -0,0 +1,48 @@
+// Date helpers for day-based features (habits, schedule)
+// Day keys are local calendar dates (YYYY-MM-DD), never UTC, so a check-in at
+// 23:30 lands on the day the user sees.
+
+/**
+ * Format a date as a local YYYY-MM-DD key
+ * @param {Date} [date] - Date to format (defaults to now)
+ * @returns {string} Day key
+ */
+export function toDateKey(date = new Date()) {
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+/**
+ * Parse a YYYY-MM-DD key as local midnight
+ * @param {string} key - Day key
+ * @returns {Date} Date at local midnight
+ */
+export function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
+
+/**
+ * Add (or subtract) whole days to a day key
+ * @param {string} key - Day key
+ * @param {number} days - Days to add, may be negative
+ * @returns {string} Resulting day key
+ */
+export function addDays(key, days) {
+  const date = parseDateKey(key)
+  date.setDate(date.getDate() + days)
+  return toDateKey(date)
+}
+
+/**
+ * Number of calendar days from one key to another
+ * @param {string} from - Start day key
+ * @param {string} to - End day key
+ * @returns {number} Days between (negative if `to` is earlier)
+ */
+export function daysBetween(from, to) {
+  // Round to absorb DST hour shifts
+  return Math.round((parseDateKey(to) - parseDateKey(from)) / 86400000)
+}
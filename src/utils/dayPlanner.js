@@ -0,0 +1,129 @@
+// Day planner - time-blocks Eisenhower tasks into free slots
+// TAB-SCH-06: "Plan my day" takes incomplete Do First and Schedule tasks,
+// orders them by quadrant then due date, and places each in the earliest
+// free slot as a flexible `task` event linked back by `taskId`. Planned
+// blocks carry `planned: true`; a rerun replaces the day's unpinned planned
+// blocks and leaves pinned (`pinned: true`) and completed ones where they are.
+
+import {
+  createEvent,
+  deleteEvent,
+  getEventsForDay,
+  getEventsForRange,
+  getAvailableSlots,
+  addMinutes,
+  calculateDuration
+} from './scheduleManager'
+import { getTasks, QUADRANTS } from './tasksManager'
+import { toDateKey, addDays } from './dateUtils'
+
+// Quadrants worth time-blocking, in the order they are placed
+const PLANNED_QUADRANTS = [QUADRANTS.DO_FIRST, QUADRANTS.SCHEDULE]
+// Length of a block for a task without an estimate (minutes)
+export const DEFAULT_TASK_MINUTES = 30
+// Planned blocks start on a quarter hour
+const SNAP_MINUTES = 15
+// How far ahead an existing block keeps a task from being planned again
+const LOOKAHEAD_DAYS = 365
+
+/**
+ * Order tasks by due date, undated last
+ * @param {object} a - Task
+ * @param {object} b - Task
+ * @returns {number} Sort order
+ */
+function compareDueDates(a, b) {
+  if (a.dueDate && b.dueDate) return String(a.dueDate).localeCompare(b.dueDate)
+  return (a.dueDate ? 0 : 1) - (b.dueDate ? 0 : 1)
+}
+
+/**
+ * Incomplete tasks to plan, most pressing first
+ * @returns {Promise<Array>} Tasks, each with its `quadrant`
+ */
+export async function getPlannableTasks() {
+  const tasks = await getTasks()
+  return PLANNED_QUADRANTS.flatMap((quadrant) =>
+    tasks[quadrant]
+      .filter((task) => !task.completed)
+      .map((task) => ({ ...task, quadrant }))
+  ).sort(
+    (a, b) =>
+      PLANNED_QUADRANTS.indexOf(a.quadrant) -
+        PLANNED_QUADRANTS.indexOf(b.quadrant) ||
+      compareDueDates(a, b) ||
+      (a.createdAt || 0) - (b.createdAt || 0)
+  )
+}
+
+/**
+ * Earliest start for planned blocks on a day (now, for today)
+ * @param {string} day - Day key
+ * @returns {string} Time (HH:MM)
+ */
+function earliestStart(day) {
+  if (day !== toDateKey()) return '00:00'
+  const now = new Date()
+  const minutes = now.getHours() * 60 + now.getMinutes()
+  const rounded = Math.ceil(minutes / SNAP_MINUTES) * SNAP_MINUTES
+  return rounded >= 24 * 60 ? '23:59' : addMinutes('00:00', rounded)
+}
+
+/**
+ * Plan a day: place tasks into free slots as task events
+ * Tasks already linked to a block on or after the day are left alone.
+ * @param {string} [day] - Day key (defaults to today)
+ * @returns {Promise<{placed: Array, unplaced: Array}>} Created events and
+ *   tasks that did not fit
+ */
+export async function planDay(day = toDateKey()) {
+  for (const event of await getEventsForDay(day)) {
+    if (
+      event.planned &&
+      !event.pinned &&
+      !event.completed &&
+      event.seriesId === undefined
+    ) {
+      await deleteEvent(event.id)
+    }
+  }
+
+  const linked = new Set(
+    (await getEventsForRange(day, addDays(day, LOOKAHEAD_DAYS)))
+      .filter((event) => event.taskId)
+      .map((event) => event.taskId)
+  )
+  const from = earliestStart(day)
+  const placed = []
+  const unplaced = []
+
+  for (const task of await getPlannableTasks()) {
+    if (linked.has(task.id)) continue
+    const duration = task.estimate || DEFAULT_TASK_MINUTES
+    const slot = (await getAvailableSlots(day, duration))
+      .map((s) => ({
+        ...s,
+        startTime: s.startTime < from ? from : s.startTime
+      }))
+      .find((s) => calculateDuration(s.startTime, s.endTime) >= duration)
+
+    if (!slot) {
+      unplaced.push(task)
+      continue
+    }
+    const event = {
+      title: task.text,
+      type: 'task',
+      day,
+      startTime: slot.startTime,
+      endTime: addMinutes(slot.startTime, duration),
+      taskId: task.id,
+      planned: true,
+      flexible: true
+    }
+    const id = await createEvent(event)
+    placed.push({ ...event, id })
+  }
+
+  return { placed, unplaced }
+}
@@ -32,12 +32,15 @@ export async function getDataTemplate() {
   if (isIndexedDBAvailable()) {
     try {
       const indexedDBData = await exportFromIndexedDB()
-      // Only use IndexedDB if it has actual data
+      // Only use IndexedDB if it has actual data (archived tasks and habit
+      // logs live only there, so they count too)
       if (
         indexedDBData &&
         (indexedDBData.tasks?.length > 0 ||
+          indexedDBData.taskArchive?.length > 0 ||
           indexedDBData.sequences?.length > 0 ||
           indexedDBData.habits?.length > 0 ||
+          indexedDBData.habitLog?.length > 0 ||
           indexedDBData.dumps?.length > 0 ||
           indexedDBData.schedule?.length > 0)
       ) {
@@ -65,26 +68,6 @@ export async function getDataTemplate() {
     }
   }
 
-  // Also check for aurorae_tasks (Eisenhower matrix format)
-  try {
-    const tasksStr = localStorage.getItem('aurorae_tasks')
-    if (tasksStr) {
-      const auroraeTasksData = JSON.parse(tasksStr)
-      if (auroraeTasksData) {
-        data.auroraeTasksData = auroraeTasksData
-        // Also flatten to tasks array for backward compatibility
-        data.tasks = []
-        for (const quadrant of Object.values(auroraeTasksData)) {
-          if (Array.isArray(quadrant)) {
-            data.tasks.push(...quadrant)
-          }
-        }
-      }
-    }
-  } catch (e) {
-    console.warn('Failed to parse aurorae_tasks during export:', e)
-  }
-
   // Parse brainDumpEntries once for both dumps override and brainDump.entries
   let entries = []
   try {
@@ -110,7 +93,7 @@ export async function getDataTemplate() {
     console.warn('Failed to parse brainDumpVersions during export:', e)
     versions = []
   }
-  
+
   // Include brain dump data for backward compatibility
   data.brainDump = {
     content: localStorage.getItem('brainDumpContent') || '',
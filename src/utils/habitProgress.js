@@ -0,0 +1,72 @@
+// Habit progress - how much of a day's target a log entry covers
+// TAB-HAB-06: Habits are either simple check-offs or measured against a daily
+// target (a count like "8 glasses", or minutes for timed habits).
+
+export const HABIT_KINDS = {
+  CHECK: 'check',
+  QUANTITY: 'quantity',
+  TIMED: 'timed'
+}
+
+/**
+ * Whether a habit is measured against a target
+ * @param {object} habit - Habit data
+ * @returns {boolean} True for quantity and timed habits
+ */
+export function isMeasured(habit) {
+  return (
+    (habit.kind === HABIT_KINDS.QUANTITY || habit.kind === HABIT_KINDS.TIMED) &&
+    habit.target > 0
+  )
+}
+
+/**
+ * Unit label for a habit's progress
+ * @param {object} habit - Habit data
+ * @returns {string} Unit (timed habits are always in minutes)
+ */
+export function getHabitUnit(habit) {
+  if (habit.kind === HABIT_KINDS.TIMED) return 'min'
+  return habit.unit || ''
+}
+
+/**
+ * Validate a habit's kind, target and unit
+ * @param {object} habit - Habit data
+ * @returns {string[]} Error messages (empty if valid)
+ */
+export function validateMeasure(habit) {
+  const kind = habit.kind || HABIT_KINDS.CHECK
+  if (!Object.values(HABIT_KINDS).includes(kind)) {
+    return ['Unknown habit kind']
+  }
+  if (kind === HABIT_KINDS.CHECK) return []
+  if (typeof habit.target !== 'number' || !(habit.target > 0)) {
+    return ['Daily target must be greater than zero']
+  }
+  return []
+}
+
+/**
+ * Fraction of the day's target covered by a log entry
+ * Entries of check-off habits (and entries logged before targets existed)
+ * always count as complete.
+ * @param {object} habit - Habit data
+ * @param {object} [entry] - Log entry for the day
+ * @returns {number} Progress between 0 and 1
+ */
+export function getEntryProgress(habit, entry) {
+  if (!entry) return 0
+  if (!isMeasured(habit) || typeof entry.value !== 'number') return 1
+  return Math.max(0, Math.min(1, entry.value / habit.target))
+}
+
+/**
+ * Whether a log entry meets the day's target
+ * @param {object} habit - Habit data
+ * @param {object} [entry] - Log entry for the day
+ * @returns {boolean} True if complete
+ */
+export function isEntryComplete(habit, entry) {
+  return getEntryProgress(habit, entry) >= 1
+}
@@ -0,0 +1,332 @@
+// Habit schedules - which days a habit is due on
+// TAB-HAB-05: Habits can be daily, on specific weekdays, N times per
+// week/month, or every N days. Days a habit is not due on are "rest" days and
+// never break a streak.
+// TAB-HAB-08: Rest tokens earned by keeping a streak bridge missed days, and
+// vacation ranges freeze every habit. Both stay visible in the history.
+
+import { toDateKey, addDays, parseDateKey, daysBetween } from './dateUtils'
+import { getEntryProgress, isEntryComplete } from './habitProgress'
+
+export const SCHEDULE_TYPES = {
+  DAILY: 'daily',
+  WEEKDAYS: 'weekdays',
+  PER_PERIOD: 'perPeriod',
+  INTERVAL: 'interval'
+}
+
+export const SCHEDULE_PERIODS = ['week', 'month']
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+/**
+ * Get a habit's schedule (habits created before schedules existed are daily)
+ * @param {object} habit - Habit data
+ * @returns {object} Schedule
+ */
+export function getSchedule(habit) {
+  return habit.schedule || { type: SCHEDULE_TYPES.DAILY }
+}
+
+/**
+ * Validate a schedule
+ * @param {object} schedule - Schedule data
+ * @returns {string[]} Error messages (empty if valid)
+ */
+export function validateSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') {
+    return ['Schedule must be an object']
+  }
+  switch (schedule.type) {
+    case SCHEDULE_TYPES.DAILY:
+      return []
+    case SCHEDULE_TYPES.WEEKDAYS:
+      return Array.isArray(schedule.days) &&
+        schedule.days.length > 0 &&
+        schedule.days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+        ? []
+        : ['Pick at least one weekday']
+    case SCHEDULE_TYPES.PER_PERIOD: {
+      const errors = []
+      if (!SCHEDULE_PERIODS.includes(schedule.period)) {
+        errors.push('Period must be week or month')
+      }
+      const max = schedule.period === 'month' ? 31 : 7
+      if (
+        !Number.isInteger(schedule.count) ||
+        schedule.count < 1 ||
+        schedule.count > max
+      ) {
+        errors.push(`Times per ${schedule.period || 'period'} must be 1-${max}`)
+      }
+      return errors
+    }
+    case SCHEDULE_TYPES.INTERVAL:
+      return Number.isInteger(schedule.every) &&
+        schedule.every >= 1 &&
+        schedule.every <= 365
+        ? []
+        : ['Interval must be between 1 and 365 days']
+    default:
+      return ['Unknown schedule type']
+  }
+}
+
+/**
+ * Human-readable schedule summary
+ * @param {object} schedule - Schedule data
+ * @returns {string} e.g. "Mon, Wed, Fri", "3× per week", "Every 2 days"
+ */
+export function describeSchedule(schedule) {
+  switch (schedule?.type) {
+    case SCHEDULE_TYPES.WEEKDAYS:
+      return [...schedule.days]
+        .sort((a, b) => a - b)
+        .map((d) => WEEKDAY_NAMES[d])
+        .join(', ')
+    case SCHEDULE_TYPES.PER_PERIOD:
+      return `${schedule.count}× per ${schedule.period}`
+    case SCHEDULE_TYPES.INTERVAL:
+      return schedule.every === 1 ? 'Daily' : `Every ${schedule.every} days`
+    default:
+      return 'Daily'
+  }
+}
+
+/**
+ * First and last day of the week (Sunday first) or month containing a day
+ * @param {string} date - Day key
+ * @param {string} period - 'week' or 'month'
+ * @returns {{start: string, end: string}} Inclusive bounds
+ */
+export function getPeriodBounds(date, period) {
+  const day = parseDateKey(date)
+  if (period === 'month') {
+    return {
+      start: toDateKey(new Date(day.getFullYear(), day.getMonth(), 1)),
+      end: toDateKey(new Date(day.getFullYear(), day.getMonth() + 1, 0))
+    }
+  }
+  const start = addDays(date, -day.getDay())
+  return { start, end: addDays(start, 6) }
+}
+
+/**
+ * Whether a day falls inside one of the habit's paused ranges
+ * @param {object} habit - Habit data
+ * @param {string} date - Day key
+ * @returns {boolean} True if the habit was paused that day
+ */
+export function isPausedOn(habit, date) {
+  return (habit.pausedRanges || []).some(
+    (range) => date >= range.start && (!range.end || date <= range.end)
+  )
+}
+
+/**
+ * Whether a day falls inside one of the app-wide vacation ranges
+ * @param {Array<{start: string, end: string}>} vacations - Vacation ranges
+ * @param {string} date - Day key
+ * @returns {boolean} True if the day is part of a vacation
+ */
+export function isVacationDay(vacations, date) {
+  return (vacations || []).some(
+    (range) => date >= range.start && date <= range.end
+  )
+}
+
+/**
+ * Walk a habit's history day by day, from when tracking started to `today`
+ * Rest tokens are simulated from the start so the balance (and which missed
+ * days they bridged) is always derived from the log, never stored.
+ * @param {object} habit - Habit data
+ * @param {Array} entries - Completion log entries
+ * @param {string} from - First day key to report
+ * @param {string} today - Last day key
+ * @param {object} options - See evaluateHabitDays
+ * @returns {{days: Array, tokens: number}} Evaluated days and token balance
+ */
+function walkHabitDays(habit, entries, from, today, options) {
+  const { vacations = [], restTokens = null } = options
+  const schedule = getSchedule(habit)
+  const byDate = new Map(entries.map((entry) => [entry.date, entry]))
+  const done = new Set(
+    entries
+      .filter((entry) => isEntryComplete(habit, entry))
+      .map((entry) => entry.date)
+  )
+  const sortedDone = [...done].sort()
+  // Tracking starts at creation, or earlier if check-ins were back-filled
+  let createdDay = habit.createdAt ? toDateKey(new Date(habit.createdAt)) : ''
+  if (sortedDone.length && sortedDone[0] < createdDay) {
+    createdDay = sortedDone[0]
+  }
+  const start = createdDay && createdDay < from ? createdDay : from
+
+  // Interval schedules need the last check-in before the range
+  let anchor = null
+  for (const date of sortedDone) {
+    if (date >= start) break
+    anchor = date
+  }
+
+  const isFrozen = (date) =>
+    isPausedOn(habit, date) || isVacationDay(vacations, date)
+
+  const periodFailed = (date) => {
+    const { start, end } = getPeriodBounds(date, schedule.period)
+    if (date !== end || start < createdDay) return false
+    let count = 0
+    for (let d = start; d <= end; d = addDays(d, 1)) {
+      if (isFrozen(d)) return false
+      if (done.has(d)) count += 1
+    }
+    return count < schedule.count
+  }
+
+  const earnEvery = restTokens?.earnEvery || 0
+  const maxTokens = restTokens?.max || 0
+  let tokens = 0
+  let run = 0
+
+  const days = []
+  for (let date = start; date <= today; date = addDays(date, 1)) {
+    let status
+    if (done.has(date)) {
+      status = 'done'
+    } else if (isPausedOn(habit, date)) {
+      status = 'paused'
+    } else if (isVacationDay(vacations, date)) {
+      status = 'vacation'
+    } else if (date === today || date < createdDay) {
+      status = 'open'
+    } else {
+      switch (schedule.type) {
+        case SCHEDULE_TYPES.WEEKDAYS:
+          status = schedule.days.includes(parseDateKey(date).getDay())
+            ? 'missed'
+            : 'rest'
+          break
+        case SCHEDULE_TYPES.INTERVAL:
+          status =
+            anchor === null || daysBetween(anchor, date) >= schedule.every
+              ? 'missed'
+              : 'rest'
+          break
+        case SCHEDULE_TYPES.PER_PERIOD:
+          status = 'rest'
+          break
+        default:
+          status = 'missed'
+      }
+    }
+
+    // Paused and vacation days restart the interval so it is never overdue
+    if (status === 'done' || status === 'paused' || status === 'vacation') {
+      anchor = date
+    }
+
+    let breaks =
+      status === 'missed' ||
+      (schedule.type === SCHEDULE_TYPES.PER_PERIOD &&
+        date !== today &&
+        periodFailed(date))
+    let frozen = false
+
+    if (status === 'done') {
+      run += 1
+      if (earnEvery && run % earnEvery === 0) {
+        tokens = Math.min(maxTokens, tokens + 1)
+      }
+    }
+    if (breaks && tokens > 0) {
+      // A rest token bridges the gap: the streak survives, nothing is "done"
+      tokens -= 1
+      breaks = false
+      frozen = true
+      if (status !== 'done') {
+        status = 'frozen'
+        anchor = date
+      }
+    }
+    if (breaks) run = 0
+
+    if (date >= from) {
+      const progress = getEntryProgress(habit, byDate.get(date))
+      days.push({ date, status, breaks, frozen, progress })
+    }
+  }
+  return { days, tokens }
+}
+
+/**
+ * Evaluate every day from `from` to `today` against the habit's schedule
+ * Status is one of:
+ * - 'done': checked in (target met for measured habits)
+ * - 'missed': due and not done (breaks the streak), even with partial progress
+ * - 'frozen': would have been missed, but a rest token bridged it
+ * - 'rest': not due by the schedule
+ * - 'paused': inside a paused range
+ * - 'vacation': inside an app-wide vacation range
+ * - 'open': today, or before the habit existed
+ * For N-per-period schedules individual days are never missed; instead the
+ * last day of a closed period that fell short gets `breaks: true` (or
+ * `frozen: true` when a rest token covered it).
+ * `progress` is the fraction of the day's target that was logged (0-1).
+ * @param {object} habit - Habit data
+ * @param {Array} entries - Completion log entries
+ * @param {string} from - First day key
+ * @param {string} [today] - Last day key (defaults to today)
+ * @param {object} [options]
+ * @param {Array<{start: string, end: string}>} [options.vacations] - Vacation
+ *   ranges that freeze every habit
+ * @param {{earnEvery: number, max: number}} [options.restTokens] - Earn a rest
+ *   token every `earnEvery` check-ins in a streak, holding at most `max`
+ * @returns {Array<{date: string, status: string, breaks: boolean,
+ *   frozen: boolean, progress: number}>}
+ */
+export function evaluateHabitDays(
+  habit,
+  entries,
+  from,
+  today = toDateKey(),
+  options = {}
+) {
+  return walkHabitDays(habit, entries, from, today, options).days
+}
+
+/**
+ * Rest tokens a habit currently holds
+ * @param {object} habit - Habit data
+ * @param {Array} entries - Completion log entries
+ * @param {string} [today] - Day key (defaults to today)
+ * @param {object} [options] - See evaluateHabitDays
+ * @returns {number} Unused rest tokens
+ */
+export function getRestTokenBalance(
+  habit,
+  entries,
+  today = toDateKey(),
+  options = {}
+) {
+  return walkHabitDays(habit, entries, today, today, options).tokens
+}
+
+/**
+ * Check-ins so far in the current period for N-per-period schedules
+ * @param {object} habit - Habit data
+ * @param {Array} entries - Completion log entries
+ * @param {string} [today] - Day key (defaults to today)
+ * @returns {{count: number, target: number, period: string}|null} Progress,
+ *   or null for other schedule types
+ */
+export function getPeriodProgress(habit, entries, today = toDateKey()) {
+  const schedule = getSchedule(habit)
+  if (schedule.type !== SCHEDULE_TYPES.PER_PERIOD) return null
+  const { start, end } = getPeriodBounds(today, schedule.period)
+  const count = entries.filter(
+    (entry) =>
+      entry.date >= start && entry.date <= end && isEntryComplete(habit, entry)
+  ).length
+  return { count, target: schedule.count, period: schedule.period }
+}
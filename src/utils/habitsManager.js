@@ -1,7 +1,216 @@
-// Habits Manager - Feature stub for habit tracking functionality
-// TODO: Implement full habits tracking with IndexedDB integration
+// Habits Manager - Habit tracking with a per-day completion log
+// TAB-HAB-02: Check-ins live in STORES.HABIT_LOG (one record per habit per day)
+// so streaks are derived from real history instead of a running counter.
+// TAB-HAB-08: Rest tokens and vacation ranges live in settings (habits.*) and
+// are applied when history is evaluated.
 
-import { put, getAll, getById, deleteById, STORES } from './indexedDBManager'
+import {
+  put,
+  getAll,
+  getById,
+  getByIndex,
+  deleteById,
+  STORES
+} from './indexedDBManager'
+import { toDateKey, addDays, parseDateKey } from './dateUtils'
+import { getSetting, updateSettings } from './settingsManager'
+import {
+  SCHEDULE_TYPES,
+  getSchedule,
+  validateSchedule,
+  evaluateHabitDays,
+  getRestTokenBalance
+} from './habitSchedule'
+import {
+  HABIT_KINDS,
+  isMeasured,
+  isEntryComplete,
+  validateMeasure,
+  getEntryProgress,
+  getHabitUnit
+} from './habitProgress'
+
+/**
+ * Build the HABIT_LOG key for a habit and day
+ * @param {number|string} habitId - Habit ID
+ * @param {string} date - Day key (YYYY-MM-DD)
+ * @returns {string} Log entry ID
+ */
+function logEntryId(habitId, date) {
+  return `${habitId}_${date}`
+}
+
+/**
+ * Rest token and vacation settings used when evaluating habit history
+ * @returns {{vacations: Array, restTokens: {earnEvery: number, max: number}}}
+ */
+export function getStreakOptions() {
+  return {
+    vacations: getVacations(),
+    restTokens: getSetting('habits.restTokens') || { earnEvery: 0, max: 0 }
+  }
+}
+
+/**
+ * Calculate current and longest streaks from completion history
+ * Streaks count check-ins. Paused, vacation and rest days (not due by the
+ * habit's schedule) are neutral, and today is neutral until it is checked in,
+ * so only a missed due day or a short N-per-period period breaks a streak -
+ * unless a rest token bridges it.
+ * @param {object} habit - Habit data
+ * @param {Array} entries - Completion log entries for the habit
+ * @param {string} [today] - Day key to evaluate at (defaults to today)
+ * @param {object} [options] - Vacations and rest tokens (see
+ *   getStreakOptions)
+ * @returns {{current: number, longest: number}} Streak lengths in check-ins
+ */
+export function calculateStreaks(
+  habit,
+  entries,
+  today = toDateKey(),
+  options = {}
+) {
+  const completed = entries.filter((entry) => isEntryComplete(habit, entry))
+  if (completed.length === 0) return { current: 0, longest: 0 }
+
+  const first = completed.map((entry) => entry.date).sort()[0]
+  let run = 0
+  let longest = 0
+  evaluateHabitDays(habit, entries, first, today, options).forEach((day) => {
+    if (day.status === 'done') {
+      run += 1
+      longest = Math.max(longest, run)
+    }
+    if (day.breaks) run = 0
+  })
+
+  return { current: run, longest }
+}
+
+/**
+ * Describe each day in a range for history views (heat-map)
+ * @param {object} habit - Habit data
+ * @param {Array} entries - Completion log entries for the habit
+ * @param {string} startDate - First day key
+ * @param {string} [today] - Last day key (defaults to today)
+ * @param {object} [options] - Vacations and rest tokens (see
+ *   getStreakOptions)
+ * @returns {Array<{date: string, status: string, frozen: boolean,
+ *   progress: number}>} Status is 'done', 'missed', 'frozen', 'rest',
+ *   'paused', 'vacation' or 'open', `frozen` marks a day a rest token was
+ *   spent on and progress the fraction of the target logged (see
+ *   evaluateHabitDays)
+ */
+export function getHabitHistory(
+  habit,
+  entries,
+  startDate,
+  today = toDateKey(),
+  options = {}
+) {
+  return evaluateHabitDays(habit, entries, startDate, today, options).map(
+    ({ date, status, frozen, progress }) => ({ date, status, frozen, progress })
+  )
+}
+
+/**
+ * Completion rate (0-100) over a window of evaluated days
+ * N-per-period habits are measured against their pro-rated target; other
+ * schedules against the days they were due. Days bridged by a rest token still
+ * count as due, so tokens protect streaks without inflating the rate.
+ * @param {object} habit - Habit data
+ * @param {Array} days - Output of evaluateHabitDays
+ * @returns {number} Completion percentage
+ */
+function completionRate(habit, days) {
+  const completed = days.filter((day) => day.status === 'done').length
+  const schedule = getSchedule(habit)
+
+  if (schedule.type === SCHEDULE_TYPES.PER_PERIOD) {
+    const trackedDays = days.filter((day) =>
+      ['done', 'rest', 'frozen'].includes(day.status)
+    ).length
+    const periodDays = schedule.period === 'month' ? 30 : 7
+    const expected = (schedule.count * trackedDays) / periodDays
+    if (!expected) return completed ? 100 : 0
+    return Math.min(100, Math.round((completed / expected) * 100))
+  }
+
+  const due =
+    completed +
+    days.filter((day) => day.status === 'missed' || day.status === 'frozen')
+      .length
+  return due ? Math.round((completed / due) * 100) : 0
+}
+
+/**
+ * Validate habit data
+ * @param {object} habit - Habit data
+ * @throws {Error} If the habit is invalid
+ */
+function assertValidHabit(habit) {
+  if (!habit || typeof habit.name !== 'string' || !habit.name.trim()) {
+    throw new Error('Habit name is required')
+  }
+  const measureErrors = validateMeasure(habit)
+  if (measureErrors.length > 0) {
+    throw new Error(`Invalid habit: ${measureErrors.join(', ')}`)
+  }
+  if (habit.schedule !== undefined) {
+    const errors = validateSchedule(habit.schedule)
+    if (errors.length > 0) {
+      throw new Error(`Invalid schedule: ${errors.join(', ')}`)
+    }
+  }
+}
+
+/**
+ * Load a habit or throw
+ * @param {number} id - Habit ID
+ * @returns {Promise<object>} Habit data
+ */
+async function requireHabit(id) {
+  const habit = await getById(STORES.HABITS, id)
+  if (!habit) {
+    throw new Error('Habit not found')
+  }
+  return habit
+}
+
+/**
+ * Date of the most recent complete log entry
+ * @param {object} habit - Habit data
+ * @param {Array} entries - Log entries sorted by date
+ * @returns {string|null} Day key
+ */
+function lastCompletedDate(habit, entries) {
+  const completed = entries.filter((entry) => isEntryComplete(habit, entry))
+  return completed.length ? completed[completed.length - 1].date : null
+}
+
+/**
+ * Recompute and store a habit's derived streak fields from its log
+ * @param {object} habit - Habit data
+ * @returns {Promise<object>} Updated habit
+ */
+async function refreshStreaks(habit) {
+  const entries = await getHabitLog(habit.id)
+  const { current, longest } = calculateStreaks(
+    habit,
+    entries,
+    toDateKey(),
+    getStreakOptions()
+  )
+  const updatedHabit = {
+    ...habit,
+    streak: current,
+    longestStreak: longest,
+    lastCompleted: lastCompletedDate(habit, entries),
+    timestamp: Date.now()
+  }
+  await put(STORES.HABITS, updatedHabit)
+  return updatedHabit
+}
 
 /**
  * Create a new habit
@@ -9,12 +218,26 @@ import { put, getAll, getById, deleteById, STORES } from './indexedDBManager'
  * @returns {Promise<number>} Habit ID
  */
 export async function createHabit(habit) {
-  // TODO: Implement habit creation
+  assertValidHabit(habit)
+  // Keep IDs unique (and their logs apart) even when habits are created
+  // within the same millisecond
+  const habits = await getAll(STORES.HABITS)
   const newHabit = {
     ...habit,
-    id: habit.id || Date.now(),
+    id:
+      habit.id ||
+      Math.max(
+        Date.now(),
+        ...habits.map((h) => (typeof h.id === 'number' ? h.id + 1 : 0))
+      ),
+    name: habit.name.trim(),
+    kind: habit.kind || HABIT_KINDS.CHECK,
+    schedule: habit.schedule || { type: SCHEDULE_TYPES.DAILY },
     streak: 0,
+    longestStreak: 0,
     paused: false,
+    pausedRanges: [],
+    archived: false,
     timestamp: Date.now(),
     lastCompleted: null,
     createdAt: new Date().toISOString()
@@ -24,11 +247,15 @@ export async function createHabit(habit) {
 
 /**
  * Get all habits
- * @returns {Promise<Array>} Array of habits
+ * @param {object} [options]
+ * @param {boolean} [options.includeArchived=true] - Include archived habits
+ * @returns {Promise<Array>} Array of habits, oldest first
  */
-export async function getHabits() {
-  // TODO: Implement sorting and filtering options
-  return await getAll(STORES.HABITS)
+export async function getHabits({ includeArchived = true } = {}) {
+  const habits = await getAll(STORES.HABITS)
+  return habits
+    .filter((habit) => includeArchived || !habit.archived)
+    .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))
 }
 
 /**
@@ -37,70 +264,138 @@ export async function getHabits() {
  * @returns {Promise<number>} Habit ID
  */
 export async function updateHabit(habit) {
-  // TODO: Add validation and conflict resolution
-  return await put(STORES.HABITS, habit)
+  assertValidHabit(habit)
+  return await put(STORES.HABITS, {
+    ...habit,
+    name: habit.name.trim(),
+    timestamp: Date.now()
+  })
 }
 
 /**
- * Delete habit
+ * Delete habit and its completion history
  * @param {number} id - Habit ID
  * @returns {Promise<void>}
  */
 export async function deleteHabit(id) {
-  // TODO: Add confirmation and cascade delete
+  const entries = await getByIndex(STORES.HABIT_LOG, 'habitId', id)
+  for (const entry of entries) {
+    await deleteById(STORES.HABIT_LOG, entry.id)
+  }
   return await deleteById(STORES.HABITS, id)
 }
 
 /**
- * Complete habit for today
+ * Get a habit's completion log
+ * @param {number} habitId - Habit ID
+ * @returns {Promise<Array>} Log entries sorted by date (oldest first)
+ */
+export async function getHabitLog(habitId) {
+  const entries = await getByIndex(STORES.HABIT_LOG, 'habitId', habitId)
+  return entries.sort((a, b) => a.date.localeCompare(b.date))
+}
+
+/**
+ * Complete habit for a day (idempotent: one check-in per day)
+ * Measured habits are filled up to their target.
  * @param {number} id - Habit ID
+ * @param {string} [date] - Day key (defaults to today)
  * @returns {Promise<object>} Updated habit with streak
  */
-export async function completeHabit(id) {
-  // TODO: Implement streak calculation and date tracking
-  const habit = await getById(STORES.HABITS, id)
+export async function completeHabit(id, date = toDateKey()) {
+  const habit = await requireHabit(id)
 
-  if (!habit) {
-    throw new Error('Habit not found')
+  const entryId = logEntryId(id, date)
+  const existing = await getById(STORES.HABIT_LOG, entryId)
+  if (!isEntryComplete(habit, existing)) {
+    await put(STORES.HABIT_LOG, {
+      ...existing,
+      id: entryId,
+      habitId: id,
+      date,
+      ...(isMeasured(habit) && { value: habit.target }),
+      completedAt: Date.now()
+    })
   }
 
-  const today = new Date().toISOString().split('T')[0]
-  const lastCompleted = habit.lastCompleted
+  return await refreshStreaks(habit)
+}
 
-  // Simple streak logic (TODO: enhance with proper date calculations)
-  let newStreak = habit.streak || 0
-  if (lastCompleted !== today) {
-    newStreak += 1
+/**
+ * TAB-HAB-06: Log progress towards a measured habit's daily target
+ * Amounts add up over the day (+1, +5, a custom value, or minutes from the
+ * timer); negative amounts correct mistakes but never go below zero.
+ * @param {number} id - Habit ID
+ * @param {number} amount - Amount to add, in the habit's unit
+ * @param {string} [date] - Day key (defaults to today)
+ * @returns {Promise<object>} Updated habit with streak
+ */
+export async function logHabitProgress(id, amount, date = toDateKey()) {
+  const habit = await requireHabit(id)
+  if (!isMeasured(habit)) {
+    throw new Error('Habit has no target to log progress against')
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+    throw new Error('Progress amount must be a number')
   }
 
-  const updatedHabit = {
-    ...habit,
-    streak: newStreak,
-    lastCompleted: today,
-    timestamp: Date.now()
+  const entryId = logEntryId(id, date)
+  const existing = await getById(STORES.HABIT_LOG, entryId)
+  // Round away floating point noise from fractional minutes
+  const value = Math.max(
+    0,
+    Math.round(((existing?.value || 0) + amount) * 100) / 100
+  )
+
+  if (value === 0) {
+    await deleteById(STORES.HABIT_LOG, entryId)
+  } else {
+    const entry = { id: entryId, habitId: id, date, value }
+    const wasComplete = isEntryComplete(habit, existing)
+    entry.completedAt = isEntryComplete(habit, entry)
+      ? (wasComplete && existing.completedAt) || Date.now()
+      : null
+    await put(STORES.HABIT_LOG, entry)
   }
 
-  await put(STORES.HABITS, updatedHabit)
-  return updatedHabit
+  return await refreshStreaks(habit)
+}
+
+/**
+ * Undo a day's check-in
+ * @param {number} id - Habit ID
+ * @param {string} [date] - Day key (defaults to today)
+ * @returns {Promise<object>} Updated habit with streak
+ */
+export async function undoCompletion(id, date = toDateKey()) {
+  const habit = await requireHabit(id)
+  await deleteById(STORES.HABIT_LOG, logEntryId(id, date))
+  return await refreshStreaks(habit)
 }
 
 /**
  * Pause/unpause habit
+ * Paused days are recorded so they never break the streak.
  * @param {number} id - Habit ID
  * @param {boolean} paused - Pause state
  * @returns {Promise<object>} Updated habit
  */
 export async function pauseHabit(id, paused) {
-  // TODO: Implement pause functionality
-  const habit = await getById(STORES.HABITS, id)
+  const habit = await requireHabit(id)
+  if (Boolean(habit.paused) === paused) return habit
 
-  if (!habit) {
-    throw new Error('Habit not found')
+  const today = toDateKey()
+  const ranges = [...(habit.pausedRanges || [])]
+  if (paused) {
+    ranges.push({ start: today, end: null })
+  } else if (ranges.length && !ranges[ranges.length - 1].end) {
+    ranges[ranges.length - 1] = { ...ranges[ranges.length - 1], end: today }
   }
 
   const updatedHabit = {
     ...habit,
     paused,
+    pausedRanges: ranges,
     timestamp: Date.now()
   }
 
@@ -108,26 +403,171 @@ export async function pauseHabit(id, paused) {
   return updatedHabit
 }
 
+/**
+ * Archive/unarchive habit (history is kept)
+ * @param {number} id - Habit ID
+ * @param {boolean} archived - Archive state
+ * @returns {Promise<object>} Updated habit
+ */
+export async function archiveHabit(id, archived) {
+  const habit = await requireHabit(id)
+  const updatedHabit = {
+    ...habit,
+    archived,
+    archivedAt: archived ? new Date().toISOString() : null,
+    timestamp: Date.now()
+  }
+  await put(STORES.HABITS, updatedHabit)
+  return updatedHabit
+}
+
 /**
  * Get habit statistics
  * @param {number} id - Habit ID
+ * @param {string} [today] - Day key to evaluate at (defaults to today)
  * @returns {Promise<object>} Habit statistics
  */
-export async function getHabitStats(id) {
-  // TODO: Implement comprehensive statistics
-  const habit = await getById(STORES.HABITS, id)
+export async function getHabitStats(id, today = toDateKey()) {
+  const habit = await requireHabit(id)
+  const entries = await getHabitLog(id)
+  const options = getStreakOptions()
+  const { current, longest } = calculateStreaks(habit, entries, today, options)
 
-  if (!habit) {
-    throw new Error('Habit not found')
-  }
+  // Completion rate and per-day completion percentages over the last 30 days
+  const recent = evaluateHabitDays(
+    habit,
+    entries,
+    addDays(today, -29),
+    today,
+    options
+  )
+  const todayEntry = entries.find((entry) => entry.date === today)
 
   return {
     id: habit.id,
     name: habit.name,
-    streak: habit.streak || 0,
-    lastCompleted: habit.lastCompleted,
+    streak: current,
+    longestStreak: longest,
+    lastCompleted: lastCompletedDate(habit, entries),
+    completedToday: isEntryComplete(habit, todayEntry),
+    totalCompletions: entries.filter((entry) => isEntryComplete(habit, entry))
+      .length,
+    completionRate: completionRate(habit, recent),
+    restTokens: getRestTokenBalance(habit, entries, today, options),
+    frozenDays: recent.filter((day) => day.frozen).length,
+    vacationDays: recent.filter((day) => day.status === 'vacation').length,
+    completionHistory: recent.map((day) => ({
+      date: day.date,
+      percent: Math.round(day.progress * 100)
+    })),
+    todayProgress: isMeasured(habit)
+      ? {
+          value: todayEntry?.value || 0,
+          target: habit.target,
+          unit: getHabitUnit(habit),
+          percent: Math.round(getEntryProgress(habit, todayEntry) * 100)
+        }
+      : null,
+    schedule: getSchedule(habit),
     paused: habit.paused,
+    archived: Boolean(habit.archived),
     createdAt: habit.createdAt
-    // TODO: Add more stats like completion rate, longest streak, etc.
   }
 }
+
+/**
+ * Recompute stored streaks for every habit (after vacations or rest token
+ * settings change)
+ * @returns {Promise<void>}
+ */
+async function refreshAllStreaks() {
+  const habits = await getAll(STORES.HABITS)
+  for (const habit of habits) {
+    await refreshStreaks(habit)
+  }
+}
+
+/**
+ * Check a day key is well-formed and a real calendar day
+ * @param {string} date - Day key
+ * @returns {boolean} True if valid
+ */
+function isValidDateKey(date) {
+  return (
+    typeof date === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(date) &&
+    toDateKey(parseDateKey(date)) === date
+  )
+}
+
+/**
+ * TAB-HAB-08: Get vacation ranges
+ * @returns {Array<{id: number, start: string, end: string}>} Ranges sorted by
+ *   start day
+ */
+export function getVacations() {
+  const vacations = getSetting('habits.vacations')
+  return Array.isArray(vacations)
+    ? [...vacations].sort((a, b) => a.start.localeCompare(b.start))
+    : []
+}
+
+/**
+ * TAB-HAB-08: Add a vacation - every habit is frozen from start to end
+ * @param {object} vacation
+ * @param {string} vacation.start - First day key
+ * @param {string} vacation.end - Last day key (inclusive)
+ * @returns {Promise<number>} Vacation ID
+ */
+export async function addVacation({ start, end }) {
+  if (!isValidDateKey(start) || !isValidDateKey(end)) {
+    throw new Error('Vacation needs a valid start and end date')
+  }
+  if (end < start) {
+    throw new Error('Vacation end must be on or after its start')
+  }
+
+  const vacations = getVacations()
+  // Keep IDs unique even when vacations are added within the same millisecond
+  const id = Math.max(Date.now(), ...vacations.map((v) => v.id + 1))
+  updateSettings({
+    habits: { vacations: [...vacations, { id, start, end }] }
+  })
+  await refreshAllStreaks()
+  return id
+}
+
+/**
+ * TAB-HAB-08: Remove a vacation
+ * @param {number} id - Vacation ID
+ * @returns {Promise<void>}
+ */
+export async function removeVacation(id) {
+  updateSettings({
+    habits: {
+      vacations: getVacations().filter((vacation) => vacation.id !== id)
+    }
+  })
+  await refreshAllStreaks()
+}
+
+/**
+ * TAB-HAB-08: Configure how rest tokens are earned
+ * @param {object} config
+ * @param {number} config.earnEvery - Check-ins per token (0 disables earning)
+ * @param {number} config.max - Most tokens a habit can hold
+ * @returns {Promise<object>} Saved rest token settings
+ */
+export async function updateRestTokenSettings({ earnEvery, max }) {
+  if (!Number.isInteger(earnEvery) || earnEvery < 0 || earnEvery > 365) {
+    throw new Error('Check-ins per rest token must be between 0 and 365')
+  }
+  if (!Number.isInteger(max) || max < 0 || max > 10) {
+    throw new Error('Rest tokens held must be between 0 and 10')
+  }
+
+  const restTokens = { earnEvery, max }
+  updateSettings({ habits: { restTokens } })
+  await refreshAllStreaks()
+  return restTokens
+}
@@ -0,0 +1,26 @@
+/**
+ * Haptic feedback via the Vibration API
+ * Browsers without it (desktop, iOS Safari) simply get no pulse.
+ */
+
+// Vibration patterns in milliseconds
+export const HAPTICS = {
+  PICK_UP: 20,
+  DROP: [10, 40, 10],
+  COMPLETE: 15,
+  REVEAL: 10
+}
+
+/**
+ * Vibrate the device if it supports it
+ * @param {number|number[]} pattern - Duration or on/off pattern in ms
+ * @returns {boolean} Whether a vibration was started
+ */
+export function vibrate(pattern) {
+  if (typeof navigator === 'undefined' || !navigator.vibrate) return false
+  try {
+    return navigator.vibrate(pattern)
+  } catch {
+    return false
+  }
+}
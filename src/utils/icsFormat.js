@@ -0,0 +1,704 @@
+// iCalendar (RFC 5545) format for the schedule
+// TAB-SCH-31: Schedule blocks export as VEVENTs (recurrences as RRULE/EXDATE,
+// block types as CATEGORIES) and tasks as VTODOs, so other calendar apps can
+// show them. Importing reads VEVENTs back into schedule events.
+//
+// Times are written as floating local times, matching how the schedule
+// stores them. UTC and TZID times are converted to local time on import.
+
+import {
+  RECURRENCE_FREQS,
+  MONTHLY_BY,
+  getNthWeekday,
+  validateRecurrence
+} from './recurrence'
+import { parseDateKey, toDateKey, addDays, daysBetween } from './dateUtils'
+
+const PRODID = '-//Aurorae Haven//Schedule//EN'
+const UID_DOMAIN = 'aurorae-haven'
+const MAX_LINE_OCTETS = 75
+
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+
+// Block types and the CATEGORIES they are exported as
+const TYPE_CATEGORIES = {
+  task: 'Task',
+  sequence: 'Routine',
+  break: 'Break',
+  meeting: 'Meeting'
+}
+
+// Events from other calendars are most often meetings
+const DEFAULT_IMPORT_TYPE = 'meeting'
+
+const QUADRANT_CATEGORIES = {
+  urgent_important: 'Do First',
+  not_urgent_important: 'Schedule',
+  urgent_not_important: 'Delegate',
+  not_urgent_not_important: 'Eliminate'
+}
+
+/**
+ * Escape a TEXT value
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Unescape a TEXT value
+ * @param {string} text - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, char) =>
+    char === 'n' || char === 'N' ? '\n' : char
+  )
+}
+
+/**
+ * UTF-8 length of a single character
+ * @param {string} char - One code point
+ * @returns {number} Octets
+ */
+function utf8Length(char) {
+  const code = char.codePointAt(0)
+  if (code < 0x80) return 1
+  if (code < 0x800) return 2
+  return code < 0x10000 ? 3 : 4
+}
+
+/**
+ * Split a content line longer than 75 octets into folded lines
+ * @param {string} line - Content line
+ * @returns {string} Folded line (CRLF + space between parts)
+ */
+function foldLine(line) {
+  const parts = []
+  let current = ''
+  let octets = 0
+  for (const char of line) {
+    const size = utf8Length(char)
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1
+    if (octets + size > limit) {
+      parts.push(current)
+      current = ''
+      octets = 0
+    }
+    current += char
+    octets += size
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0')
+
+/**
+ * Format a day key and time as a floating DATE-TIME
+ * @param {string} day - Day key
+ * @param {string} time - Time (HH:MM)
+ * @returns {string} e.g. 20250115T090000
+ */
+function formatDateTime(day, time) {
+  return `${day.replace(/-/g, '')}T${time.replace(':', '')}00`
+}
+
+/**
+ * Format a timestamp as a UTC DATE-TIME
+ * @param {number|string} value - Timestamp or ISO string
+ * @returns {string} e.g. 20250115T083000Z
+ */
+function formatUtc(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').slice(0, 15) + 'Z'
+}
+
+/**
+ * Build an RRULE value from a recurrence rule
+ * @param {object} rule - Recurrence rule
+ * @param {object} event - Series (its day anchors monthly rules)
+ * @returns {string} RRULE value
+ */
+function formatRule(rule, event) {
+  const parts = []
+  const interval = rule.interval || 1
+  switch (rule.freq) {
+    case RECURRENCE_FREQS.WEEKDAYS:
+      parts.push('FREQ=WEEKLY', 'BYDAY=MO,TU,WE,TH,FR')
+      break
+    case RECURRENCE_FREQS.WEEKLY:
+      parts.push(
+        'FREQ=WEEKLY',
+        `BYDAY=${rule.byWeekday.map((d) => ICS_DAYS[d]).join(',')}`
+      )
+      break
+    case RECURRENCE_FREQS.MONTHLY:
+      parts.push('FREQ=MONTHLY')
+      if (rule.monthlyBy === MONTHLY_BY.WEEKDAY) {
+        const { weekday, nth } = getNthWeekday(event.day)
+        parts.push(`BYDAY=${nth}${ICS_DAYS[weekday]}`)
+      } else {
+        parts.push(`BYMONTHDAY=${parseDateKey(event.day).getDate()}`)
+      }
+      break
+    default:
+      parts.push('FREQ=DAILY')
+  }
+  if (interval > 1 && rule.freq !== RECURRENCE_FREQS.WEEKDAYS) {
+    parts.push(`INTERVAL=${interval}`)
+  }
+  if (rule.until) {
+    // UNTIL takes the same value type as DTSTART
+    const until = rule.until.replace(/-/g, '')
+    parts.push(`UNTIL=${event.startTime ? `${until}T235959` : until}`)
+  }
+  if (rule.count) parts.push(`COUNT=${rule.count}`)
+  return parts.join(';')
+}
+
+/**
+ * Content lines for one schedule event
+ * @param {object} event - Stored event (series stored once)
+ * @param {string} stamp - DTSTAMP value
+ * @returns {string[]} Lines
+ */
+function eventLines(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`
+  ]
+  if (event.startTime && event.endTime) {
+    lines.push(
+      `DTSTART:${formatDateTime(event.day, event.startTime)}`,
+      `DTEND:${formatDateTime(event.day, event.endTime)}`
+    )
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${event.day.replace(/-/g, '')}`)
+  }
+  lines.push(`SUMMARY:${escapeText(event.title || event.type || '')}`)
+  if (TYPE_CATEGORIES[event.type]) {
+    lines.push(`CATEGORIES:${TYPE_CATEGORIES[event.type]}`)
+  }
+  if (event.recurrence) {
+    lines.push(`RRULE:${formatRule(event.recurrence, event)}`)
+    for (const day of event.exdates || []) {
+      lines.push(
+        event.startTime
+          ? `EXDATE:${formatDateTime(day, event.startTime)}`
+          : `EXDATE;VALUE=DATE:${day.replace(/-/g, '')}`
+      )
+    }
+  }
+  lines.push('END:VEVENT')
+  return lines
+}
+
+/**
+ * Content lines for one task
+ * @param {object} task - Task
+ * @param {string} quadrant - Quadrant key
+ * @param {string} stamp - DTSTAMP value
+ * @returns {string[]} Lines
+ */
+function taskLines(task, quadrant, stamp) {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:task-${task.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeText(task.text || '')}`,
+    `CATEGORIES:${QUADRANT_CATEGORIES[quadrant]}`
+  ]
+  if (task.createdAt) lines.push(`CREATED:${formatUtc(task.createdAt)}`)
+  if (task.notes) lines.push(`DESCRIPTION:${escapeText(task.notes)}`)
+  if (task.dueDate) {
+    lines.push(
+      task.dueTime
+        ? `DUE:${formatDateTime(task.dueDate, task.dueTime)}`
+        : `DUE;VALUE=DATE:${task.dueDate.replace(/-/g, '')}`
+    )
+  }
+  if (task.completed) {
+    lines.push('STATUS:COMPLETED')
+    if (task.completedAt) lines.push(`COMPLETED:${formatUtc(task.completedAt)}`)
+  } else {
+    lines.push('STATUS:NEEDS-ACTION')
+  }
+  lines.push('END:VTODO')
+  return lines
+}
+
+/**
+ * Serialize schedule events and tasks as an iCalendar file
+ * @param {object} data
+ * @param {Array} [data.events] - Stored schedule events
+ * @param {object} [data.tasks] - Tasks by quadrant
+ * @param {number} [now] - Timestamp for DTSTAMP
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+export function serializeCalendar(
+  { events = [], tasks = {} },
+  now = Date.now()
+) {
+  const stamp = formatUtc(now)
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN'
+  ]
+  for (const event of events) lines.push(...eventLines(event, stamp))
+  for (const [quadrant, list] of Object.entries(tasks)) {
+    for (const task of list) lines.push(...taskLines(task, quadrant, stamp))
+  }
+  lines.push('END:VCALENDAR')
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+/**
+ * Unfold iCalendar text into content lines
+ * @param {string} text - iCalendar text
+ * @returns {Array<{line: number, name: string, params: object, value: string}>}
+ *   Parsed lines, each with the 1-based line number it started on
+ */
+function readContentLines(text) {
+  const lines = []
+  String(text || '')
+    .split(/\r?\n/)
+    .forEach((raw, index) => {
+      if (/^[ \t]/.test(raw) && lines.length > 0) {
+        lines[lines.length - 1].raw += raw.slice(1)
+      } else if (raw.trim()) {
+        lines.push({ line: index + 1, raw })
+      }
+    })
+
+  return lines.map(({ line, raw }) => {
+    // The value starts at the first colon outside a quoted parameter
+    let split = -1
+    let quoted = false
+    for (let i = 0; i < raw.length && split === -1; i++) {
+      if (raw[i] === '"') quoted = !quoted
+      else if (raw[i] === ':' && !quoted) split = i
+    }
+    const head = split === -1 ? raw : raw.slice(0, split)
+    const [name, ...paramParts] = head.split(';')
+    const params = {}
+    for (const part of paramParts) {
+      const eq = part.indexOf('=')
+      if (eq > 0) {
+        params[part.slice(0, eq).toUpperCase()] = part
+          .slice(eq + 1)
+          .replace(/^"|"$/g, '')
+      }
+    }
+    return {
+      line,
+      name: name.trim().toUpperCase(),
+      params,
+      value: split === -1 ? '' : raw.slice(split + 1)
+    }
+  })
+}
+
+/**
+ * Convert a wall-clock time in a named time zone to a Date
+ * @param {number[]} parts - [year, month (1-12), day, hour, minute, second]
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date|null} The instant, or null if the zone is unknown
+ */
+function fromTimeZone([year, month, day, hour, minute, second], timeZone) {
+  let format
+  try {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    })
+  } catch {
+    // e.g. Windows zone names such as "W. Europe Standard Time"
+    return null
+  }
+  const offsetAt = (instant) => {
+    const fields = Object.fromEntries(
+      format
+        .formatToParts(new Date(instant))
+        .map(({ type, value }) => [type, Number(value)])
+    )
+    return (
+      Date.UTC(
+        fields.year,
+        fields.month - 1,
+        fields.day,
+        fields.hour,
+        fields.minute,
+        fields.second
+      ) - instant
+    )
+  }
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second)
+  // A second pass settles the offset when the first guess crosses a DST change
+  const guess = wall - offsetAt(wall)
+  return new Date(wall - offsetAt(guess))
+}
+
+/**
+ * Parse a DATE or DATE-TIME value into a local day and time
+ * @param {string} value - e.g. 20250115, 20250115T090000, 20250115T090000Z
+ * @param {object} [params] - Property parameters (VALUE, TZID)
+ * @returns {{day: string, time: string|null}|null} Null if malformed
+ */
+function parseDateValue(value, params = {}) {
+  const match = value
+    .trim()
+    .match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/)
+  if (!match) return null
+  const [, y, mo, d, h, mi, sec, utc] = match
+  const day = `${y}-${mo}-${d}`
+  if (!h || params.VALUE === 'DATE') return { day, time: null }
+
+  const parts = [y, mo, d, h, mi, sec || 0].map(Number)
+  let date = null
+  if (utc) {
+    date = new Date(Date.UTC(parts[0], parts[1] - 1, ...parts.slice(2)))
+  } else if (params.TZID) {
+    date = fromTimeZone(parts, params.TZID)
+  }
+  // Floating times (and unknown zones) are taken as local wall-clock time
+  if (!date) return { day, time: `${h}:${mi}` }
+  return {
+    day: toDateKey(date),
+    time: `${pad(date.getHours())}:${pad(date.getMinutes())}`
+  }
+}
+
+/**
+ * Parse a DURATION value
+ * @param {string} value - e.g. PT1H30M, P1D
+ * @returns {number|null} Minutes, or null if malformed
+ */
+function parseDurationValue(value) {
+  const match = value
+    .trim()
+    .match(
+      /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
+    )
+  if (!match || match.slice(1).every((part) => part === undefined)) return null
+  const [weeks, days, hours, minutes, seconds] = match
+    .slice(1)
+    .map((part) => Number(part || 0))
+  return (
+    ((weeks * 7 + days) * 24 + hours) * 60 + minutes + Math.floor(seconds / 60)
+  )
+}
+
+/**
+ * Convert an RRULE into a recurrence rule
+ * Only rules the schedule can repeat exactly are accepted; yearly rules
+ * become 12-monthly ones.
+ * @param {string} value - RRULE value
+ * @param {string} start - First day key (anchors monthly/yearly rules)
+ * @returns {{rule: object|null, error: string|null}}
+ */
+function parseRule(value, start) {
+  const parts = Object.fromEntries(
+    value.split(';').map((part) => {
+      const [key, ...rest] = part.split('=')
+      return [key.trim().toUpperCase(), rest.join('=').trim().toUpperCase()]
+    })
+  )
+  const known = [
+    'FREQ',
+    'INTERVAL',
+    'COUNT',
+    'UNTIL',
+    'BYDAY',
+    'BYMONTHDAY',
+    'BYMONTH',
+    'WKST'
+  ]
+  const unknown = Object.keys(parts).find((key) => !known.includes(key))
+  if (unknown)
+    return { rule: null, error: `${unknown} rules are not supported` }
+
+  const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1
+  const byDay = parts.BYDAY ? parts.BYDAY.split(',') : []
+  const plainDays = byDay.map((code) => ICS_DAYS.indexOf(code))
+  const startDate = parseDateKey(start)
+  const isWorkweek =
+    interval === 1 &&
+    [...plainDays].sort().join() === '1,2,3,4,5' &&
+    plainDays.length === 5
+  const unsupported = (what) => ({
+    rule: null,
+    error: `${what} repeats are not supported`
+  })
+
+  let rule
+  switch (parts.FREQ) {
+    case 'DAILY':
+      if (parts.BYMONTHDAY || parts.BYMONTH)
+        return unsupported('Filtered daily')
+      if (byDay.length === 0) {
+        rule = { freq: RECURRENCE_FREQS.DAILY, interval }
+      } else if (isWorkweek) {
+        rule = { freq: RECURRENCE_FREQS.WEEKDAYS, interval: 1 }
+      } else if (interval === 1 && !plainDays.includes(-1)) {
+        rule = { freq: RECURRENCE_FREQS.WEEKLY, interval, byWeekday: plainDays }
+      } else {
+        return unsupported('Filtered daily')
+      }
+      break
+    case 'WEEKLY':
+      if (parts.BYMONTHDAY || parts.BYMONTH || plainDays.includes(-1)) {
+        return unsupported('Filtered weekly')
+      }
+      rule = isWorkweek
+        ? { freq: RECURRENCE_FREQS.WEEKDAYS, interval: 1 }
+        : {
+            freq: RECURRENCE_FREQS.WEEKLY,
+            interval,
+            byWeekday: byDay.length > 0 ? plainDays : [startDate.getDay()]
+          }
+      break
+    case 'MONTHLY': {
+      if (parts.BYMONTH) return unsupported('Filtered monthly')
+      rule = { freq: RECURRENCE_FREQS.MONTHLY, interval }
+      if (byDay.length > 0) {
+        const { weekday, nth } = getNthWeekday(start)
+        if (parts.BYMONTHDAY || byDay.join() !== `${nth}${ICS_DAYS[weekday]}`) {
+          return unsupported('Monthly weekday')
+        }
+        rule.monthlyBy = MONTHLY_BY.WEEKDAY
+      } else {
+        if (
+          parts.BYMONTHDAY &&
+          Number(parts.BYMONTHDAY) !== startDate.getDate()
+        ) {
+          return unsupported('Monthly date')
+        }
+        rule.monthlyBy = MONTHLY_BY.DATE
+      }
+      break
+    }
+    case 'YEARLY':
+      if (
+        byDay.length > 0 ||
+        (parts.BYMONTH && Number(parts.BYMONTH) !== startDate.getMonth() + 1) ||
+        (parts.BYMONTHDAY && Number(parts.BYMONTHDAY) !== startDate.getDate())
+      ) {
+        return unsupported('Filtered yearly')
+      }
+      rule = {
+        freq: RECURRENCE_FREQS.MONTHLY,
+        interval: interval * 12,
+        monthlyBy: MONTHLY_BY.DATE
+      }
+      break
+    default:
+      return unsupported(
+        parts.FREQ
+          ? parts.FREQ.charAt(0) + parts.FREQ.slice(1).toLowerCase()
+          : 'Unknown'
+      )
+  }
+
+  if (parts.UNTIL) {
+    const until = parseDateValue(parts.UNTIL)
+    if (!until) return { rule: null, error: 'Invalid repeat end date' }
+    rule.until = until.day
+  }
+  if (parts.COUNT) rule.count = Number(parts.COUNT)
+
+  const errors = validateRecurrence(rule)
+  return errors.length > 0
+    ? { rule: null, error: errors.join(', ') }
+    : { rule, error: null }
+}
+
+/**
+ * Map CATEGORIES values to a block type
+ * @param {string[]} categories - Category names
+ * @returns {string} Block type
+ */
+function typeFromCategories(categories) {
+  const byLabel = Object.fromEntries(
+    Object.entries(TYPE_CATEGORIES).map(([type, label]) => [
+      label.toLowerCase(),
+      type
+    ])
+  )
+  const match = categories.find((name) => byLabel[name.trim().toLowerCase()])
+  return match ? byLabel[match.trim().toLowerCase()] : DEFAULT_IMPORT_TYPE
+}
+
+/**
+ * Convert the properties of one VEVENT into a schedule event
+ * @param {object} component - { line, props }
+ * @returns {{event: object|null, recurrenceDay: string|null, error: string|null}}
+ */
+function readEvent({ props }) {
+  const first = (name) => props.find((prop) => prop.name === name)
+  const all = (name) => props.filter((prop) => prop.name === name)
+  const title = unescapeText(first('SUMMARY')?.value || '').trim()
+  const label = `"${title || 'Untitled'}"`
+
+  const dtstart = first('DTSTART')
+  const start = dtstart && parseDateValue(dtstart.value, dtstart.params)
+  if (!start) return { error: `${label} has no valid start (DTSTART)` }
+
+  const recurrenceId = first('RECURRENCE-ID')
+  const recurrenceDay = recurrenceId
+    ? parseDateValue(recurrenceId.value, recurrenceId.params)?.day || null
+    : null
+  if (first('STATUS')?.value.trim().toUpperCase() === 'CANCELLED') {
+    return { event: null, recurrenceDay }
+  }
+
+  const event = {
+    uid: first('UID')?.value.trim() || `${dtstart.value}-${title}`,
+    title,
+    type: typeFromCategories(
+      all('CATEGORIES').flatMap((prop) => unescapeText(prop.value).split(','))
+    ),
+    day: start.day,
+    startTime: start.time,
+    endTime: null,
+    recurrence: null,
+    exdates: []
+  }
+  const description = unescapeText(first('DESCRIPTION')?.value || '').trim()
+  const location = unescapeText(first('LOCATION')?.value || '').trim()
+  if (description) event.description = description
+  if (location) event.location = location
+
+  const dtend = first('DTEND')
+  const end = dtend && parseDateValue(dtend.value, dtend.params)
+  const duration =
+    first('DURATION') && parseDurationValue(first('DURATION').value)
+  let spanDays = 1
+  if (start.time) {
+    let endDay = start.day
+    let endTime = start.time
+    if (end?.time) {
+      endDay = end.day
+      endTime = end.time
+    } else if (duration !== null && duration !== undefined) {
+      const [h, m] = start.time.split(':').map(Number)
+      const total = h * 60 + m + duration
+      endDay = addDays(start.day, Math.floor(total / (24 * 60)))
+      endTime = `${pad(Math.floor((total % (24 * 60)) / 60))}:${pad(total % 60)}`
+    }
+    // Blocks live within one day; longer events are cut at midnight
+    event.endTime = endDay > start.day ? '23:59' : endTime
+  } else if (end && end.day > start.day) {
+    spanDays = daysBetween(start.day, end.day)
+  } else if (duration) {
+    spanDays = Math.max(1, Math.ceil(duration / (24 * 60)))
+  }
+
+  const rrule = first('RRULE')
+  if (rrule) {
+    const { rule, error } = parseRule(rrule.value, start.day)
+    if (error) return { error: `${label}: ${error}` }
+    event.recurrence = rule
+  } else if (spanDays > 1) {
+    // Multi-day all-day events show on each of their days
+    event.recurrence = {
+      freq: RECURRENCE_FREQS.DAILY,
+      interval: 1,
+      count: spanDays
+    }
+  }
+
+  for (const prop of all('EXDATE')) {
+    for (const value of prop.value.split(',')) {
+      const excluded = parseDateValue(value, prop.params)
+      if (excluded && !event.exdates.includes(excluded.day)) {
+        event.exdates.push(excluded.day)
+      }
+    }
+  }
+
+  if (recurrenceDay) {
+    // A changed occurrence replaces that day of its series
+    event.uid = `${event.uid}/${recurrenceDay}`
+    event.recurrence = null
+    event.exdates = []
+  }
+  return { event, recurrenceDay, error: null }
+}
+
+/**
+ * Parse VEVENTs from iCalendar text
+ * Events the schedule cannot represent are skipped and reported with the
+ * 1-based line their VEVENT starts on; the rest are still returned.
+ * @param {string} text - iCalendar text
+ * @returns {{events: Array, errors: Array<{line: number, message: string}>}}
+ *   Events carry a `uid` to match them on re-import
+ */
+export function parseCalendar(text) {
+  const byUid = new Map()
+  const errors = []
+  // Series days replaced or cancelled by RECURRENCE-ID components
+  const overridden = []
+  const stack = []
+  let component = null
+
+  for (const entry of readContentLines(text)) {
+    if (entry.name === 'BEGIN') {
+      const name = entry.value.trim().toUpperCase()
+      if (name === 'VEVENT' && stack[stack.length - 1] === 'VCALENDAR') {
+        component = { line: entry.line, props: [] }
+      }
+      stack.push(name)
+    } else if (entry.name === 'END') {
+      const name = stack.pop()
+      if (name === 'VEVENT' && component) {
+        const { event, recurrenceDay, error } = readEvent(component)
+        const uid = component.props.find((prop) => prop.name === 'UID')
+        if (error) {
+          errors.push({ line: component.line, message: error })
+        } else {
+          if (recurrenceDay) {
+            overridden.push({ uid: uid?.value.trim(), day: recurrenceDay })
+          }
+          if (event) byUid.set(event.uid, event)
+        }
+        component = null
+      }
+    } else if (component && stack[stack.length - 1] === 'VEVENT') {
+      component.props.push(entry)
+    }
+  }
+
+  if (!String(text || '').match(/^BEGIN:VCALENDAR/im)) {
+    return {
+      events: [],
+      errors: [
+        { line: 1, message: 'Not an iCalendar file (no BEGIN:VCALENDAR)' }
+      ]
+    }
+  }
+
+  for (const { uid, day } of overridden) {
+    const series = byUid.get(uid)
+    if (series?.recurrence && !series.exdates.includes(day)) {
+      series.exdates.push(day)
+    }
+  }
+
+  return { events: [...byUid.values()], errors }
+}
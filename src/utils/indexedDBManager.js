@@ -3,7 +3,10 @@
 // Implements ARC-DAT-02: File attachment references
 
 const DB_NAME = 'aurorae_haven_db'
-const DB_VERSION = 1
+const DB_VERSION = 5
+
+// Where Eisenhower matrix tasks lived before the tasks store
+export const LEGACY_TASKS_KEY = 'aurorae_tasks'
 
 // Object store names
 export const STORES = {
@@ -14,7 +17,10 @@ export const STORES = {
   SCHEDULE: 'schedule',
   STATS: 'stats',
   FILE_REFS: 'file_refs',
-  BACKUPS: 'backups'
+  BACKUPS: 'backups',
+  RUNNER: 'runner',
+  HABIT_LOG: 'habit_log',
+  TASK_ARCHIVE: 'task_archive'
 }
 
 /**
@@ -42,6 +48,12 @@ export function openDB() {
         taskStore.createIndex('status', 'status', { unique: false })
       }
 
+      // ARC-DAT-01: Matrix tasks are stored one record per task (v4)
+      const taskStore = event.target.transaction.objectStore(STORES.TASKS)
+      if (!taskStore.indexNames.contains('quadrant')) {
+        taskStore.createIndex('quadrant', 'quadrant', { unique: false })
+      }
+
       if (!db.objectStoreNames.contains(STORES.SEQUENCES)) {
         const seqStore = db.createObjectStore(STORES.SEQUENCES, {
           keyPath: 'id'
@@ -106,6 +118,29 @@ export function openDB() {
         })
         backupStore.createIndex('timestamp', 'timestamp', { unique: false })
       }
+
+      // TAB-RTN-03: Routine runner state (survives reloads and tab crashes)
+      if (!db.objectStoreNames.contains(STORES.RUNNER)) {
+        db.createObjectStore(STORES.RUNNER, { keyPath: 'id' })
+      }
+
+      // TAB-HAB-02: Per-day habit completion log (one record per habit per day)
+      if (!db.objectStoreNames.contains(STORES.HABIT_LOG)) {
+        const habitLogStore = db.createObjectStore(STORES.HABIT_LOG, {
+          keyPath: 'id'
+        })
+        habitLogStore.createIndex('habitId', 'habitId', { unique: false })
+        habitLogStore.createIndex('date', 'date', { unique: false })
+      }
+
+      // Archived matrix tasks, kept out of the matrix until restored (v5)
+      if (!db.objectStoreNames.contains(STORES.TASK_ARCHIVE)) {
+        const archiveStore = db.createObjectStore(STORES.TASK_ARCHIVE, {
+          keyPath: 'id'
+        })
+        archiveStore.createIndex('archivedAt', 'archivedAt', { unique: false })
+        archiveStore.createIndex('quadrant', 'quadrant', { unique: false })
+      }
     }
   })
 }
@@ -436,17 +471,64 @@ export async function migrateFromLocalStorage() {
   return migrationReport
 }
 
+/**
+ * Move Eisenhower matrix tasks from the legacy localStorage blob
+ * (`aurorae_tasks`, { [quadrant]: Task[] }) into the tasks store
+ * Each task becomes a record with its `quadrant` and `order` in that
+ * quadrant. The blob is removed once copied, so this runs once.
+ * @returns {Promise<number>} Number of tasks migrated
+ */
+export async function migrateTasksFromLocalStorage() {
+  const tasksStr = localStorage.getItem(LEGACY_TASKS_KEY)
+  if (!tasksStr) return 0
+
+  let grouped
+  try {
+    grouped = JSON.parse(tasksStr)
+  } catch (e) {
+    // Leave unreadable data in place rather than lose it
+    console.error('Failed to parse aurorae_tasks during migration:', e)
+    return 0
+  }
+
+  const records = toTaskRecords(grouped)
+  for (const record of records) {
+    await put(STORES.TASKS, record)
+  }
+  localStorage.removeItem(LEGACY_TASKS_KEY)
+  return records.length
+}
+
+/**
+ * Flatten tasks grouped by quadrant into task store records
+ * @param {object} grouped - { [quadrant]: Task[] }
+ * @returns {Array} Records with `quadrant` and `order`
+ */
+function toTaskRecords(grouped) {
+  if (!grouped || typeof grouped !== 'object') return []
+  return Object.entries(grouped).flatMap(([quadrant, list]) =>
+    Array.isArray(list)
+      ? list.map((task, order) => ({ ...task, quadrant, order }))
+      : []
+  )
+}
+
 /**
  * Export all data from IndexedDB
  * @returns {Promise<object>}
  */
 export async function exportAllData() {
+  // Tasks still waiting in localStorage belong in the export
+  await migrateTasksFromLocalStorage()
+
   const data = {
     version: 1,
     exportedAt: new Date().toISOString(),
     tasks: await getAll(STORES.TASKS),
+    taskArchive: await getAll(STORES.TASK_ARCHIVE),
     sequences: await getAll(STORES.SEQUENCES),
     habits: await getAll(STORES.HABITS),
+    habitLog: await getAll(STORES.HABIT_LOG),
     dumps: await getAll(STORES.DUMPS),
     schedule: await getAll(STORES.SCHEDULE),
     stats: await getAll(STORES.STATS),
@@ -461,15 +543,6 @@ export async function exportAllData() {
     entries: JSON.parse(localStorage.getItem('brainDumpEntries') || '[]')
   }
 
-  // Include tasks from aurorae_tasks (Eisenhower matrix format)
-  try {
-    const tasksStr = localStorage.getItem('aurorae_tasks')
-    data.auroraeTasksData = tasksStr ? JSON.parse(tasksStr) : null
-  } catch (e) {
-    console.warn('Failed to parse aurorae_tasks during export:', e)
-    data.auroraeTasksData = null
-  }
-
   return data
 }
 
@@ -488,8 +561,10 @@ export async function importAllData(data) {
   try {
     // Clear existing data
     await clear(STORES.TASKS)
+    await clear(STORES.TASK_ARCHIVE)
     await clear(STORES.SEQUENCES)
     await clear(STORES.HABITS)
+    await clear(STORES.HABIT_LOG)
     await clear(STORES.DUMPS)
     await clear(STORES.SCHEDULE)
     await clear(STORES.STATS)
@@ -503,6 +578,14 @@ export async function importAllData(data) {
       importReport.imported.tasks = data.tasks.length
     }
 
+    // Import archived tasks
+    if (Array.isArray(data.taskArchive)) {
+      for (const task of data.taskArchive) {
+        await put(STORES.TASK_ARCHIVE, task)
+      }
+      importReport.imported.taskArchive = data.taskArchive.length
+    }
+
     // Import sequences
     if (Array.isArray(data.sequences)) {
       for (const seq of data.sequences) {
@@ -519,6 +602,14 @@ export async function importAllData(data) {
       importReport.imported.habits = data.habits.length
     }
 
+    // Import habit completion log
+    if (Array.isArray(data.habitLog)) {
+      for (const entry of data.habitLog) {
+        await put(STORES.HABIT_LOG, entry)
+      }
+      importReport.imported.habitLog = data.habitLog.length
+    }
+
     // Import dumps
     if (Array.isArray(data.dumps)) {
       for (const dump of data.dumps) {
@@ -573,14 +664,16 @@ export async function importAllData(data) {
       }
     }
 
-    // Import tasks to aurorae_tasks (Eisenhower matrix format)
+    // Backups made before tasks moved to IndexedDB carry them grouped by
+    // quadrant; these replace the flattened copies in `tasks`
     if (data.auroraeTasksData && typeof data.auroraeTasksData === 'object') {
-      localStorage.setItem(
-        'aurorae_tasks',
-        JSON.stringify(data.auroraeTasksData)
-      )
-      importReport.imported.auroraeTasksData = true
+      const records = toTaskRecords(data.auroraeTasksData)
+      for (const record of records) {
+        await put(STORES.TASKS, record)
+      }
+      importReport.imported.auroraeTasksData = records.length
     }
+    localStorage.removeItem(LEGACY_TASKS_KEY)
 
     importReport.success = true
   } catch (error) {
@@ -76,6 +76,41 @@ export function deleteNote(notes, noteId) {
   return notes.filter((n) => n.id !== noteId)
 }
 
+/**
+ * Put one note back the way an undo/redo snapshot describes it
+ * @param {Array} notes - Array of notes
+ * @param {string} noteId - ID of the note
+ * @param {Object|null} snapshot - null removes the note, { index, note }
+ *   places the whole note and { changes } merges fields into it
+ * @returns {Array} - Updated notes array (unchanged if there's nothing to
+ *   apply to)
+ */
+export function placeNote(notes, noteId, snapshot) {
+  const exists = notes.some((n) => n.id === noteId)
+  if (!snapshot) return exists ? deleteNote(notes, noteId) : notes
+  if (snapshot.changes) {
+    return exists ? updateNote(notes, noteId, snapshot.changes) : notes
+  }
+
+  const remaining = deleteNote(notes, noteId)
+  const index = Math.min(snapshot.index, remaining.length)
+  return [
+    ...remaining.slice(0, index),
+    snapshot.note,
+    ...remaining.slice(index)
+  ]
+}
+
+/**
+ * Apply an undo/redo snapshot straight to storage, for when the Notes page
+ * isn't open
+ * @param {string} noteId - ID of the note
+ * @param {Object|null} snapshot - See placeNote
+ */
+export function restoreNoteSnapshot(noteId, snapshot) {
+  saveNotesToStorage(placeNote(loadNotesFromStorage(), noteId, snapshot))
+}
+
 /**
  * Migrate notes to add missing fields
  * @param {Array} notes - Array of notes
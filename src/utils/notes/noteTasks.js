@@ -0,0 +1,147 @@
+// Note Tasks - checklist items sent from a note to Tasks
+// The item's line ends with an HTML comment naming its task (hidden in the
+// preview) and the task keeps the note's ID, so the link survives the line
+// moving or being reworded and ticking either side can tick the other.
+
+import { parseListItem } from '../listContinuation'
+import {
+  loadNotesFromStorage,
+  saveNotesToStorage,
+  updateNote
+} from './noteOperations'
+
+const TASK_MARKER = /\s*<!-- task:([\w-]+) -->\s*$/
+
+/**
+ * Parse a checklist line (- [ ] or - [x]) and the task it's linked to
+ * @param {string} line - Line of a note
+ * @returns {object|null} { text, checked, taskId } with taskId null when the
+ *   item isn't linked, or null if the line isn't a checklist item
+ */
+export function parseChecklistLine(line) {
+  const marker = line.match(TASK_MARKER)
+  const item = parseListItem(marker ? line.slice(0, marker.index) : line)
+  if (item?.type !== 'task') return null
+
+  return {
+    text: item.content.trim(),
+    checked: item.checked === 'x',
+    taskId: marker ? marker[1] : null
+  }
+}
+
+/**
+ * Every checklist item in a note
+ * @param {string} content - Note content
+ * @returns {object[]} { line, text, checked, taskId }, line counted from 0
+ */
+export function findChecklistItems(content) {
+  return content.split('\n').flatMap((line, index) => {
+    const item = parseChecklistLine(line)
+    return item ? [{ line: index, ...item }] : []
+  })
+}
+
+/**
+ * Link a checklist line to a task (replacing any earlier link)
+ * @param {string} content - Note content
+ * @param {number} line - Line index
+ * @param {string} taskId - Task ID
+ * @returns {string} New content
+ */
+export function linkChecklistLine(content, line, taskId) {
+  const lines = content.split('\n')
+  lines[line] =
+    `${lines[line].replace(TASK_MARKER, '')} <!-- task:${taskId} -->`
+  return lines.join('\n')
+}
+
+/**
+ * Tick or untick the item linked to a task
+ * @param {string} content - Note content
+ * @param {string} taskId - Task ID
+ * @param {boolean} checked - New state
+ * @returns {string} New content (the same string if nothing changed)
+ */
+export function setLinkedItemChecked(content, taskId, checked) {
+  let changed = false
+  const lines = content.split('\n').map((line) => {
+    const item = parseChecklistLine(line)
+    if (item?.taskId !== taskId || item.checked === checked) return line
+    changed = true
+    return line.replace(/\[[ x]\]/, checked ? '[x]' : '[ ]')
+  })
+  return changed ? lines.join('\n') : content
+}
+
+/**
+ * Tick a stored note's item when its task is ticked elsewhere
+ * Locked notes are left as they are.
+ * @param {string} noteId - Note ID
+ * @param {string} taskId - Task ID
+ * @param {boolean} checked - New state
+ */
+export function syncLinkedItem(noteId, taskId, checked) {
+  const notes = loadNotesFromStorage()
+  const note = notes.find((n) => n.id === noteId)
+  if (!note || note.locked) return
+
+  const content = setLinkedItemChecked(note.content, taskId, checked)
+  if (content !== note.content) {
+    saveNotesToStorage(updateNote(notes, noteId, { content }))
+  }
+}
+
+/**
+ * Where a task sent from a note came from
+ * @param {string} noteId - Note ID
+ * @param {string} taskId - Task ID
+ * @returns {object|null} { title, line } with line counted from 1 (null if
+ *   the item has been removed), or null if the note is gone
+ */
+export function findTaskSource(noteId, taskId) {
+  const note = loadNotesFromStorage().find((n) => n.id === noteId)
+  if (!note) return null
+
+  const item = findChecklistItems(note.content || '').find(
+    (i) => i.taskId === taskId
+  )
+  return { title: note.title, line: item ? item.line + 1 : null }
+}
+
+/**
+ * Whether each task sent from a note is done
+ * @param {object} tasks - { [quadrant]: Task[] }
+ * @param {string} noteId - Note ID
+ * @returns {object} { [taskId]: completed }
+ */
+export function getLinkedTaskStates(tasks, noteId) {
+  return Object.fromEntries(
+    Object.values(tasks)
+      .flat()
+      .filter((task) => task.noteId === noteId)
+      .map((task) => [task.id, task.completed])
+  )
+}
+
+/**
+ * Prepare content for the preview: items whose task still exists get a
+ * "Task" badge, and links to deleted tasks are dropped
+ * @param {string} content - Note content
+ * @param {object} linkedTasks - See getLinkedTaskStates
+ * @returns {string} Content to render
+ */
+export function markTrackedItems(content, linkedTasks) {
+  return content
+    .split('\n')
+    .map((line) => {
+      const item = parseChecklistLine(line)
+      if (!item?.taskId) return line
+
+      const text = line.replace(TASK_MARKER, '')
+      return item.taskId in linkedTasks
+        ? `${text} <span class="note-task-badge" title="Tracked in Tasks">Task</span>`
+        : text
+    })
+    .join('\n')
+}
@@ -0,0 +1,43 @@
+// Page Intents - ask a page to do something from elsewhere in the app, e.g.
+// the command palette opening a note or starting a routine. A mounted page
+// handles the intent straight away; otherwise it waits until the page mounts
+// and registers its handler (usually right after navigating to it).
+
+const handlers = {}
+const queued = {}
+
+/**
+ * Handle an intent while a page is mounted
+ * @param {string} name - Intent name, e.g. 'openNote'
+ * @param {Function} handler - (payload) => void
+ * @returns {Function} Unregister
+ */
+export function registerIntentHandler(name, handler) {
+  handlers[name] = handler
+  if (name in queued) {
+    const payload = queued[name]
+    delete queued[name]
+    handler(payload)
+  }
+  return () => {
+    if (handlers[name] === handler) delete handlers[name]
+  }
+}
+
+/**
+ * Ask the page that handles an intent to act on it
+ * @param {string} name - Intent name
+ * @param {*} payload - Passed to the handler
+ * @param {object} [options]
+ * @param {boolean} [options.queue=true] - Keep the intent for the page to
+ *   pick up when it next mounts, if it isn't mounted now
+ * @returns {boolean} Whether a mounted page handled it
+ */
+export function requestIntent(name, payload, { queue = true } = {}) {
+  if (handlers[name]) {
+    handlers[name](payload)
+    return true
+  }
+  if (queue) queued[name] = payload
+  return false
+}
@@ -0,0 +1,376 @@
+// Quick Add - natural-language task entry
+// Picks a due date and time, quadrant markers, #tags, a ~time estimate and a
+// repeat phrase out of a line like "call mum tomorrow 5pm !urgent #family",
+// leaving the rest as the task text. Everything is worked out on the device,
+// so it works offline.
+
+import { addDays, parseDateKey, toDateKey } from './dateUtils'
+import { MONTHLY_BY, RECURRENCE_FREQS } from './recurrence'
+import {
+  AFTER_COMPLETION,
+  MAX_AFTER_COMPLETION_DAYS,
+  MAX_ESTIMATE_MINUTES,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  QUADRANTS,
+  TAG_COLORS
+} from './tasksManager'
+
+const WEEKDAY =
+  'sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?'
+// Short weekday names are everyday words ("sun", "wed"), so they only count
+// after "on", "next", "this" or "every"
+const FULL_WEEKDAY = 'sunday|monday|tuesday|wednesday|thursday|friday|saturday'
+const MONTH =
+  'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?'
+const WEEKDAY_LIST = `(?:${WEEKDAY})(?:(?:\\s*,\\s*|\\s+and\\s+|\\s*&\\s*)(?:${WEEKDAY}))*`
+const COUNT = '\\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten'
+
+const COUNT_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10
+}
+const MONTHS = [
+  'jan',
+  'feb',
+  'mar',
+  'apr',
+  'may',
+  'jun',
+  'jul',
+  'aug',
+  'sep',
+  'oct',
+  'nov',
+  'dec'
+]
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+const toCount = (word) => COUNT_WORDS[word.toLowerCase()] ?? Number(word)
+const toWeekday = (word) => WEEKDAYS.indexOf(word.slice(0, 3).toLowerCase())
+const toWeekdays = (list) =>
+  [...new Set(list.split(/\s*,\s*|\s+and\s+|\s*&\s*/).map(toWeekday))].sort(
+    (a, b) => a - b
+  )
+
+// Day key `months` calendar months after `day`, or null if that date
+// doesn't exist (e.g. 31 Jan + 1 month)
+const addMonths = (day, months) => {
+  const date = parseDateKey(day)
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1)
+  target.setDate(date.getDate())
+  return target.getDate() === date.getDate() ? toDateKey(target) : null
+}
+
+// First day on or after `from` (or after it, if `excludeFrom`) that falls on
+// one of the weekdays
+const nextWeekday = (from, weekdays, excludeFrom = false) => {
+  for (let offset = excludeFrom ? 1 : 0; offset <= 7; offset += 1) {
+    const day = addDays(from, offset)
+    if (weekdays.includes(parseDateKey(day).getDay())) return day
+  }
+  return null
+}
+
+// A day of the month this year, or next year once it has passed
+const nextDate = (today, month, dayOfMonth) => {
+  const year = parseDateKey(today).getFullYear()
+  for (const candidate of [year, year + 1]) {
+    const date = new Date(candidate, month, dayOfMonth)
+    if (date.getMonth() !== month) return null
+    const day = toDateKey(date)
+    if (day >= today) return day
+  }
+  return null
+}
+
+const toTime = (hours, minutes = 0) =>
+  `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`
+
+// 12-hour clock to HH:MM, or null for an impossible time
+const fromTwelveHour = (hours, minutes, meridiem) => {
+  if (hours < 1 || hours > 12 || minutes > 59) return null
+  const pm = meridiem.toLowerCase() === 'pm'
+  return toTime((hours % 12) + (pm ? 12 : 0), minutes)
+}
+
+/**
+ * Find the first phrase matching `pattern` as whole words and cut it out
+ * @param {object} state - { text } being parsed; its text is updated
+ * @param {string} pattern - Regular expression source for the phrase
+ * @param {Function} handle - (match) => true to accept the phrase
+ * @returns {boolean} Whether a phrase was accepted
+ */
+function take(state, pattern, handle) {
+  const regex = new RegExp(`(^|\\s)(?:${pattern})(?=$|[\\s,.;:!?])`, 'giu')
+  for (const match of state.text.matchAll(regex)) {
+    if (handle(match)) {
+      const start = match.index + match[1].length
+      state.text =
+        state.text.slice(0, start) +
+        state.text.slice(match.index + match[0].length)
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Cut out every phrase matching `pattern` that `handle` accepts
+ * @param {object} state - { text } being parsed; its text is updated
+ * @param {string} pattern - Regular expression source for the phrase
+ * @param {Function} handle - (match) => true to accept the phrase
+ */
+function takeAll(state, pattern, handle) {
+  let found = true
+  while (found) found = take(state, pattern, handle)
+}
+
+// Quadrant markers: "!!" is both urgent and important. Urgent alone means
+// Do First; "!low" or "!notimportant" with it means Delegate.
+const MARKERS = {
+  urgent: { urgent: true },
+  u: { urgent: true },
+  important: { important: true },
+  i: { important: true },
+  ui: { urgent: true, important: true },
+  iu: { urgent: true, important: true },
+  '!': { urgent: true, important: true },
+  notimportant: { low: true },
+  low: { low: true }
+}
+
+// Repeat phrases; the rule's start is filled in once the due date is known
+const RECURRENCE_PHRASES = [
+  [
+    `(?:every\\s+)?(${COUNT})\\s+days?\\s+after\\s+(?:completion|completing|done)`,
+    (m) => {
+      const interval = toCount(m[2])
+      return interval >= 1 && interval <= MAX_AFTER_COMPLETION_DAYS
+        ? { freq: AFTER_COMPLETION, interval }
+        : null
+    }
+  ],
+  [
+    'every\\s+(?:weekday|workday)|weekdays',
+    () => ({ freq: RECURRENCE_FREQS.WEEKDAYS, interval: 1 })
+  ],
+  [
+    `every\\s+(${WEEKDAY_LIST})`,
+    (m) => ({
+      freq: RECURRENCE_FREQS.WEEKLY,
+      interval: 1,
+      byWeekday: toWeekdays(m[2])
+    })
+  ],
+  [
+    '(?:every\\s+(other|\\d+)\\s+|every\\s+)(day|week|month)s?|(daily|weekly|monthly)',
+    (m) => {
+      const interval = m[2]?.toLowerCase() === 'other' ? 2 : Number(m[2] || 1)
+      const unit = (m[3] || m[4]).toLowerCase()
+      const freq = {
+        day: RECURRENCE_FREQS.DAILY,
+        daily: RECURRENCE_FREQS.DAILY,
+        week: RECURRENCE_FREQS.WEEKLY,
+        weekly: RECURRENCE_FREQS.WEEKLY,
+        month: RECURRENCE_FREQS.MONTHLY,
+        monthly: RECURRENCE_FREQS.MONTHLY
+      }[unit]
+      return interval >= 1 && interval <= 99 ? { freq, interval } : null
+    }
+  ]
+]
+
+// Due date phrases, each handled relative to today
+const DATE_PHRASES = [
+  [
+    '(?:on\\s+)?(\\d{4}-\\d{2}-\\d{2})',
+    (m) => (toDateKey(parseDateKey(m[2])) === m[2] ? m[2] : null)
+  ],
+  ['today|tonight', (m, today) => today],
+  ['tomorrow|tmrw|tmr', (m, today) => addDays(today, 1)],
+  [
+    `in\\s+(${COUNT})\\s+(day|week|month)s?`,
+    (m, today) => {
+      const count = toCount(m[2])
+      const unit = m[3].toLowerCase()
+      if (unit === 'month') return addMonths(today, count)
+      return addDays(today, unit === 'week' ? count * 7 : count)
+    }
+  ],
+  ['next\\s+week', (m, today) => addDays(today, 7)],
+  ['next\\s+month', (m, today) => addMonths(today, 1)],
+  [
+    `(on|next|this)\\s+(${WEEKDAY})|(${FULL_WEEKDAY})`,
+    (m, today) =>
+      nextWeekday(
+        today,
+        [toWeekday(m[3] || m[4])],
+        m[2]?.toLowerCase() !== 'this'
+      )
+  ],
+  [
+    `(?:on\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH})`,
+    (m, today) =>
+      nextDate(today, MONTHS.indexOf(m[3].slice(0, 3).toLowerCase()), +m[2])
+  ],
+  [
+    `(?:on\\s+)?(${MONTH})\\s+(\\d{1,2})(?:st|nd|rd|th)?`,
+    (m, today) =>
+      nextDate(today, MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()), +m[3])
+  ]
+]
+
+const TIME_PHRASES = [
+  [
+    '(?:at\\s+)?(\\d{1,2})(?::(\\d{2}))?\\s?(am|pm)',
+    (m) => fromTwelveHour(+m[2], +(m[3] || 0), m[4])
+  ],
+  ['(?:at\\s+)?([01]?\\d|2[0-3]):([0-5]\\d)', (m) => toTime(+m[2], +m[3])],
+  ['at\\s+([01]?\\d|2[0-3])', (m) => toTime(+m[2])],
+  ['(?:at\\s+)?(?:noon|midday)', () => '12:00']
+]
+
+// Estimate in minutes from "~30m", "~1h", "~1.5h" or "~1h30m"
+const ESTIMATE =
+  '~(\\d+(?:\\.\\d+)?)\\s?(h|hrs?|hours?|m|mins?|minutes?)?(?:\\s?(\\d+)\\s?(?:m|mins?|minutes?))?'
+
+const toEstimate = (m) => {
+  const amount = Number(m[2])
+  const hours = /^h/i.test(m[3] || '')
+  if (!hours && m[4]) return null
+  const minutes = Math.round(hours ? amount * 60 + Number(m[4] || 0) : amount)
+  return minutes >= 1 && minutes <= MAX_ESTIMATE_MINUTES ? minutes : null
+}
+
+/**
+ * Parse a quick-add line into a task's text and details
+ * Supported phrases (case-insensitive, anywhere in the line):
+ * - Dates: today, tomorrow, in 3 days / 2 weeks / a month, next week,
+ *   friday, next fri, on mon, this sat, 3 march, march 3rd, 2025-03-01
+ * - Times: 5pm, 5:30pm, 17:30, at 9, noon (a time alone means the next
+ *   time it comes round, so today or tomorrow)
+ * - Quadrant: !urgent (!u) or !! for Do First, !urgent !low (or
+ *   !notimportant) for Delegate, !important (!i) for Schedule, !low for
+ *   Eliminate
+ * - Tags: #family (an existing tag of the same name keeps its colour)
+ * - Estimates: ~30m, ~1h, ~1.5h, ~1h30m
+ * - Repeats: daily, every day, every 2 weeks, every other month, weekdays,
+ *   every mon and thu, 3 days after completion
+ * @param {string} input - What was typed
+ * @param {object} [options]
+ * @param {Date} [options.now] - Current time
+ * @param {object[]} [options.tags] - Existing { label, color } tags
+ * @returns {object} { text, quadrant, dueDate, dueTime, estimate, tags,
+ *   recurrence } with null (or no tags) for anything not given
+ */
+export function parseQuickAdd(input, { now = new Date(), tags = [] } = {}) {
+  const today = toDateKey(now)
+  const state = { text: ` ${input} ` }
+  const result = {
+    text: '',
+    quadrant: null,
+    dueDate: null,
+    dueTime: null,
+    estimate: null,
+    tags: [],
+    recurrence: null
+  }
+
+  // Repeats go first: "every monday" isn't a due date
+  RECURRENCE_PHRASES.some(([pattern, toRule]) =>
+    take(state, pattern, (m) => {
+      result.recurrence = toRule(m)
+      return result.recurrence !== null
+    })
+  )
+
+  take(state, ESTIMATE, (m) => {
+    result.estimate = toEstimate(m)
+    return result.estimate !== null
+  })
+
+  const flags = {}
+  takeAll(state, '!(urgent|important|notimportant|low|ui|iu|u|i|!)', (m) => {
+    Object.assign(flags, MARKERS[m[2].toLowerCase()])
+    return true
+  })
+  if (flags.urgent) {
+    result.quadrant =
+      flags.low && !flags.important ? QUADRANTS.DELEGATE : QUADRANTS.DO_FIRST
+  } else if (flags.important) {
+    result.quadrant = QUADRANTS.SCHEDULE
+  } else if (flags.low) {
+    result.quadrant = QUADRANTS.ELIMINATE
+  }
+
+  const known = new Map(tags.map((tag) => [tag.label.toLowerCase(), tag]))
+  takeAll(state, '#(\\p{L}[\\p{L}\\p{N}_-]*)', (m) => {
+    const label = m[2]
+    const key = label.toLowerCase()
+    if (result.tags.some((tag) => tag.label.toLowerCase() === key)) return true
+    if (result.tags.length >= MAX_TAGS || label.length > MAX_TAG_LENGTH) {
+      return false
+    }
+    const tag = known.get(key)
+    result.tags.push(
+      tag
+        ? { label: tag.label, color: tag.color }
+        : { label, color: TAG_COLORS[0] }
+    )
+    return true
+  })
+
+  DATE_PHRASES.some(([pattern, toDay]) =>
+    take(state, pattern, (m) => {
+      result.dueDate = toDay(m, today)
+      return result.dueDate !== null
+    })
+  )
+
+  TIME_PHRASES.some(([pattern, toDueTime]) =>
+    take(state, pattern, (m) => {
+      result.dueTime = toDueTime(m)
+      return result.dueTime !== null
+    })
+  )
+
+  // A time on its own is the next time it comes round
+  if (result.dueTime && !result.dueDate) {
+    const passed = result.dueTime <= toTime(now.getHours(), now.getMinutes())
+    result.dueDate = passed ? addDays(today, 1) : today
+  }
+
+  // Calendar repeats start on the due date, or the first matching day
+  const rule = result.recurrence
+  if (rule && rule.freq !== AFTER_COMPLETION) {
+    if (!result.dueDate) {
+      result.dueDate =
+        rule.freq === RECURRENCE_FREQS.WEEKDAYS
+          ? nextWeekday(today, [1, 2, 3, 4, 5])
+          : rule.byWeekday
+            ? nextWeekday(today, rule.byWeekday)
+            : today
+    }
+    rule.start = result.dueDate
+    if (rule.freq === RECURRENCE_FREQS.WEEKLY && !rule.byWeekday) {
+      rule.byWeekday = [parseDateKey(rule.start).getDay()]
+    }
+    if (rule.freq === RECURRENCE_FREQS.MONTHLY) {
+      rule.monthlyBy = MONTHLY_BY.DATE
+    }
+  }
+
+  result.text = state.text.replace(/\s+/g, ' ').trim()
+  return result
+}
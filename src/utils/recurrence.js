@@ -0,0 +1,296 @@
+// Recurrence rules for schedule events (a small, RRULE-style subset)
+// TAB-SCH-03: A rule repeats an event daily, on weekdays, weekly on chosen
+// days or monthly (by date or by nth weekday), optionally every N periods,
+// ending on a date or after a number of occurrences.
+// Rule shape: { freq, interval, byWeekday, monthlyBy, until, count }
+
+import { addDays, daysBetween, parseDateKey, toDateKey } from './dateUtils'
+
+export const RECURRENCE_FREQS = {
+  DAILY: 'daily',
+  WEEKDAYS: 'weekdays',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+}
+
+// Monthly rules repeat on the same date or the same nth weekday (e.g. the
+// 3rd Tuesday), both taken from the series' first day
+export const MONTHLY_BY = {
+  DATE: 'date',
+  WEEKDAY: 'weekday'
+}
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const LONG_WEEKDAY_NAMES = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday'
+]
+const ORDINALS = ['', '1st', '2nd', '3rd', '4th']
+const MAX_COUNT = 999
+const MAX_INTERVAL = 99
+
+/**
+ * Check a day key is well-formed
+ * @param {string} date - Day key
+ * @returns {boolean} True if valid
+ */
+function isDateKey(date) {
+  return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+}
+
+/**
+ * Validate a recurrence rule
+ * @param {object} rule - Recurrence rule
+ * @returns {string[]} Error messages (empty if valid)
+ */
+export function validateRecurrence(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return ['Recurrence must be an object']
+  }
+  const errors = []
+  if (!Object.values(RECURRENCE_FREQS).includes(rule.freq)) {
+    errors.push('Unknown repeat frequency')
+  }
+  const interval = rule.interval ?? 1
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    errors.push(`Repeat interval must be between 1 and ${MAX_INTERVAL}`)
+  }
+  if (
+    rule.freq === RECURRENCE_FREQS.WEEKLY &&
+    !(
+      Array.isArray(rule.byWeekday) &&
+      rule.byWeekday.length > 0 &&
+      rule.byWeekday.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+    )
+  ) {
+    errors.push('Pick at least one weekday')
+  }
+  if (
+    rule.freq === RECURRENCE_FREQS.MONTHLY &&
+    rule.monthlyBy !== undefined &&
+    !Object.values(MONTHLY_BY).includes(rule.monthlyBy)
+  ) {
+    errors.push('Monthly repeats are by date or by weekday')
+  }
+  if (rule.until && rule.count) {
+    errors.push('Choose an end date or a number of times, not both')
+  }
+  if (rule.until && !isDateKey(rule.until)) {
+    errors.push('End date must be a valid date')
+  }
+  if (
+    rule.count !== undefined &&
+    rule.count !== null &&
+    (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_COUNT)
+  ) {
+    errors.push(`Number of times must be between 1 and ${MAX_COUNT}`)
+  }
+  return errors
+}
+
+/**
+ * Where a day sits in its month, as used by "monthly by weekday" rules
+ * @param {string} day - Day key
+ * @returns {{weekday: number, nth: number}} nth is 1-4, or -1 for the last
+ */
+export function getNthWeekday(day) {
+  const date = parseDateKey(day)
+  const nth = Math.ceil(date.getDate() / 7)
+  return { weekday: date.getDay(), nth: nth > 4 ? -1 : nth }
+}
+
+/**
+ * Day of a month matching a rule's date or nth weekday
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {string} start - Series start day key
+ * @param {string} monthlyBy - MONTHLY_BY value
+ * @returns {string|null} Day key, or null if the month has no such day
+ */
+function monthlyDay(year, month, start, monthlyBy) {
+  if (monthlyBy === MONTHLY_BY.WEEKDAY) {
+    const { weekday, nth } = getNthWeekday(start)
+    if (nth === -1) {
+      const last = new Date(year, month + 1, 0)
+      last.setDate(last.getDate() - ((last.getDay() - weekday + 7) % 7))
+      return toDateKey(last)
+    }
+    const first = new Date(year, month, 1)
+    const offset = (weekday - first.getDay() + 7) % 7
+    return toDateKey(new Date(year, month, 1 + offset + (nth - 1) * 7))
+  }
+  // Months without the date (e.g. the 31st) are skipped, as in RFC 5545
+  const date = parseDateKey(start).getDate()
+  const candidate = new Date(year, month, date)
+  return candidate.getMonth() === month ? toDateKey(candidate) : null
+}
+
+/**
+ * Generate the days a rule matches, in order, starting at `from`
+ * Jumps straight to `from` instead of walking the series from its start.
+ * @param {object} rule - Recurrence rule
+ * @param {string} start - Series start day key
+ * @param {string} from - First day key to consider (>= start)
+ * @yields {string} Day keys
+ */
+function* matchingDays(rule, start, from) {
+  const interval = rule.interval || 1
+
+  switch (rule.freq) {
+    case RECURRENCE_FREQS.WEEKDAYS: {
+      for (let day = from; ; day = addDays(day, 1)) {
+        const weekday = parseDateKey(day).getDay()
+        if (weekday !== 0 && weekday !== 6) yield day
+      }
+    }
+    case RECURRENCE_FREQS.WEEKLY: {
+      const firstWeek = addDays(start, -parseDateKey(start).getDay())
+      const days = [...rule.byWeekday].sort((a, b) => a - b)
+      let week = Math.floor(daysBetween(firstWeek, from) / 7)
+      week = Math.floor(week / interval) * interval
+      for (; ; week += interval) {
+        const weekStart = addDays(firstWeek, week * 7)
+        for (const weekday of days) {
+          const day = addDays(weekStart, weekday)
+          if (day >= from) yield day
+        }
+      }
+    }
+    case RECURRENCE_FREQS.MONTHLY: {
+      const first = parseDateKey(start)
+      const target = parseDateKey(from)
+      let months =
+        (target.getFullYear() - first.getFullYear()) * 12 +
+        target.getMonth() -
+        first.getMonth()
+      months = Math.floor(months / interval) * interval
+      for (; ; months += interval) {
+        const month = new Date(first.getFullYear(), first.getMonth() + months)
+        const day = monthlyDay(
+          month.getFullYear(),
+          month.getMonth(),
+          start,
+          rule.monthlyBy || MONTHLY_BY.DATE
+        )
+        if (day && day >= from) yield day
+      }
+    }
+    default: {
+      const steps = Math.ceil(daysBetween(start, from) / interval)
+      for (let day = addDays(start, steps * interval); ; ) {
+        yield day
+        day = addDays(day, interval)
+      }
+    }
+  }
+}
+
+/**
+ * Expand a rule into the days it occurs on within a range
+ * Count-limited rules are walked from the start (the count bounds the work);
+ * others jump to the range. Exception days (`exdates`) are left out but still
+ * count towards `count`, as in RFC 5545.
+ * @param {object} rule - Recurrence rule
+ * @param {string} start - Series start day key (always an occurrence)
+ * @param {string} rangeStart - First day key of the range
+ * @param {string} rangeEnd - Last day key of the range
+ * @param {string[]} [exdates] - Skipped days
+ * @returns {string[]} Day keys in order
+ */
+export function expandRecurrence(
+  rule,
+  start,
+  rangeStart,
+  rangeEnd,
+  exdates = []
+) {
+  const end = rule.until && rule.until < rangeEnd ? rule.until : rangeEnd
+  if (end < start || end < rangeStart) return []
+
+  const skipped = new Set(exdates)
+  const from = rule.count || rangeStart < start ? start : rangeStart
+  const days = []
+  let seen = 0
+  let cursor = from
+  // The first day always occurs, even if it does not match the rule itself
+  if (from === start) {
+    seen = 1
+    cursor = addDays(start, 1)
+    if (start >= rangeStart && !skipped.has(start)) days.push(start)
+  }
+
+  for (const day of matchingDays(rule, start, cursor)) {
+    if (day > end || (rule.count && seen >= rule.count)) break
+    seen += 1
+    if (day >= rangeStart && !skipped.has(day)) days.push(day)
+  }
+  return days
+}
+
+/**
+ * Number of occurrences before a day (for splitting count-limited series)
+ * @param {object} rule - Recurrence rule
+ * @param {string} start - Series start day key
+ * @param {string} day - Day key
+ * @returns {number} Occurrences strictly before `day`, exceptions included
+ */
+export function countOccurrencesBefore(rule, start, day) {
+  if (day <= start) return 0
+  return expandRecurrence(
+    { ...rule, until: null },
+    start,
+    start,
+    addDays(day, -1)
+  ).length
+}
+
+/**
+ * Human-readable rule summary
+ * @param {object} rule - Recurrence rule
+ * @param {string} start - Series start day key
+ * @returns {string} e.g. "Weekly on Mon, Wed", "Monthly on the last Friday"
+ */
+export function describeRecurrence(rule, start) {
+  if (!rule) return 'Does not repeat'
+  const interval = rule.interval || 1
+  const every = (unit) =>
+    interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`
+
+  let text
+  switch (rule.freq) {
+    case RECURRENCE_FREQS.WEEKDAYS:
+      text = 'Every weekday'
+      break
+    case RECURRENCE_FREQS.WEEKLY: {
+      const days = [...rule.byWeekday]
+        .sort((a, b) => a - b)
+        .map((d) => WEEKDAY_NAMES[d])
+        .join(', ')
+      text = `${interval === 1 ? 'Weekly' : every('week')} on ${days}`
+      break
+    }
+    case RECURRENCE_FREQS.MONTHLY: {
+      const prefix = interval === 1 ? 'Monthly' : every('month')
+      if (rule.monthlyBy === MONTHLY_BY.WEEKDAY) {
+        const { weekday, nth } = getNthWeekday(start)
+        text = `${prefix} on the ${nth === -1 ? 'last' : ORDINALS[nth]} ${
+          LONG_WEEKDAY_NAMES[weekday]
+        }`
+      } else {
+        text = `${prefix} on day ${parseDateKey(start).getDate()}`
+      }
+      break
+    }
+    default:
+      text = every('day')
+  }
+
+  if (rule.until) return `${text} until ${rule.until}`
+  if (rule.count) return `${text}, ${rule.count} times`
+  return text
+}
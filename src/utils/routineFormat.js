@@ -0,0 +1,204 @@
+// Routine text format - human-editable Markdown for sharing routines
+// TAB-RTN-12: Routines round-trip through plain text so they can live in git
+//
+// # Morning Launch
+// Optional description paragraph
+//
+// - Water (30s)
+// - Stretch (5m)
+//   Indented text becomes the step notes
+//   - [ ] Indented checkboxes become the step checklist
+
+import { validateStep } from './sequencesManager'
+
+const HEADING = /^#(?:\s+(.*))?$/
+const STEP = /^[-*]\s+(.*)$/
+const STEP_WITH_DURATION = /^(.*?)\s*\(([^()]*)\)\s*$/
+const CHECKLIST_ITEM = /^[-*]\s+\[[ xX]?\]\s*(.*)$/
+const COMMENT = /^<!--.*-->$/
+
+/**
+ * Parse a human duration such as "30s", "5m", "1h 30m", "1m30s" or "2:30"
+ * @param {string} text - Duration text
+ * @returns {number|null} Duration in seconds, or null if not recognised
+ */
+export function parseDuration(text) {
+  const value = String(text || '')
+    .trim()
+    .toLowerCase()
+  if (!value) return null
+
+  const clock = value.match(/^(\d+):([0-5]\d)$/)
+  if (clock) {
+    return Number(clock[1]) * 60 + Number(clock[2])
+  }
+
+  const units = value.match(
+    /^(?:(\d+)\s*h)?\s*(?:(\d+)\s*m)?\s*(?:(\d+)\s*s)?$/
+  )
+  if (!units || !(units[1] || units[2] || units[3])) return null
+  return (
+    Number(units[1] || 0) * 3600 +
+    Number(units[2] || 0) * 60 +
+    Number(units[3] || 0)
+  )
+}
+
+/**
+ * Format seconds in the compact form accepted by parseDuration
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "1h 30m", "5m", "1m 30s"
+ */
+export function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0))
+  const parts = []
+  const h = Math.floor(total / 3600)
+  const m = Math.floor((total % 3600) / 60)
+  const s = total % 60
+  if (h) parts.push(`${h}h`)
+  if (m) parts.push(`${m}m`)
+  if (s || parts.length === 0) parts.push(`${s}s`)
+  return parts.join(' ')
+}
+
+/**
+ * Serialize routines to the Markdown routine format
+ * @param {Array} sequences - Sequences to export
+ * @returns {string} Markdown text
+ */
+export function serializeRoutines(sequences) {
+  const blocks = sequences.map((sequence) => {
+    const lines = [`# ${sequence.name}`]
+    if (sequence.description && sequence.description.trim()) {
+      lines.push(sequence.description.trim())
+    }
+    lines.push('')
+    ;(sequence.steps || []).forEach((step) => {
+      lines.push(`- ${step.name} (${formatDuration(step.duration || 60)})`)
+      if (step.notes && step.notes.trim()) {
+        step.notes
+          .trim()
+          .split('\n')
+          .forEach((line) => lines.push(`  ${line.trim()}`))
+      }
+      ;(step.checklist || []).forEach((item) => lines.push(`  - [ ] ${item}`))
+    })
+    return lines.join('\n')
+  })
+  return blocks.join('\n\n') + '\n'
+}
+
+/**
+ * Parse the Markdown routine format
+ * Validation uses the same rules as the routine builder; every error carries
+ * the 1-based line number it was found on.
+ * @param {string} text - Markdown text
+ * @returns {{routines: Array, errors: Array<{line: number, message: string}>}}
+ */
+export function parseRoutines(text) {
+  const routines = []
+  const errors = []
+  let routine = null
+  let step = null
+
+  const addError = (line, message) => errors.push({ line, message })
+
+  String(text || '')
+    .split(/\r?\n/)
+    .forEach((raw, index) => {
+      const lineNumber = index + 1
+      const trimmed = raw.trim()
+      const indented = /^\s+/.test(raw)
+
+      if (!trimmed || COMMENT.test(trimmed)) return
+
+      const heading = !indented && trimmed.match(HEADING)
+      if (heading) {
+        routine = {
+          line: lineNumber,
+          name: (heading[1] || '').trim(),
+          description: '',
+          steps: []
+        }
+        step = null
+        routines.push(routine)
+        if (!routine.name) addError(lineNumber, 'Routine name is required')
+        return
+      }
+
+      if (!routine) {
+        addError(
+          lineNumber,
+          'Expected a routine heading ("# Routine name") before any content'
+        )
+        return
+      }
+
+      if (indented && step) {
+        const item = trimmed.match(CHECKLIST_ITEM)
+        if (item) {
+          if (item[1].trim()) step.checklist.push(item[1].trim())
+        } else {
+          step.notes = step.notes ? `${step.notes}\n${trimmed}` : trimmed
+        }
+        return
+      }
+
+      const listItem = !indented && trimmed.match(STEP)
+      if (listItem) {
+        const parts = listItem[1].match(STEP_WITH_DURATION)
+        if (!parts) {
+          addError(
+            lineNumber,
+            'Step is missing a duration, e.g. "- Stretch (5m)"'
+          )
+          step = null
+          return
+        }
+        const duration = parseDuration(parts[2])
+        if (duration === null) {
+          addError(
+            lineNumber,
+            `Invalid duration "${parts[2]}" (use e.g. 30s, 5m or 1h 30m)`
+          )
+          step = null
+          return
+        }
+        step = { name: parts[1].trim(), duration, notes: '', checklist: [] }
+        validateStep(step).forEach((message) => addError(lineNumber, message))
+        routine.steps.push(step)
+        return
+      }
+
+      if (routine.steps.length === 0 && !indented) {
+        routine.description = routine.description
+          ? `${routine.description}\n${trimmed}`
+          : trimmed
+        return
+      }
+
+      addError(
+        lineNumber,
+        'Unexpected text; indent step notes under their step'
+      )
+    })
+
+  if (routines.length === 0 && errors.length === 0) {
+    addError(1, 'No routines found')
+  }
+
+  errors.sort((a, b) => a.line - b.line)
+  return {
+    routines: routines.map(({ name, description, steps }) => ({
+      name,
+      description,
+      steps: steps.map(({ name: stepName, duration, notes, checklist }) => ({
+        name: stepName,
+        duration,
+        ...(notes && { notes }),
+        ...(checklist.length > 0 && { checklist })
+      }))
+    })),
+    errors
+  }
+}
@@ -1,116 +1,801 @@
-// Schedule Manager - Feature stub for calendar and time blocking
-// TODO: Implement full schedule functionality with time blocking
+// Schedule Manager - calendar events and time blocks
+// Events live in STORES.SCHEDULE as { day, startTime, endTime, duration }
+// blocks within a single day (a block can end at "24:00" but not cross
+// midnight). Blocks can be created, moved, resized, completed (completing
+// a linked task too) and read by day, week or range.
+// TAB-SCH-03: Recurring events are stored once (with a `recurrence` rule and
+// `exdates`) and expanded into occurrences when a range is read. Occurrence
+// IDs are "<seriesId>@<day>"; editing one applies to this occurrence, this and
+// following, or the whole series.
+// TAB-SCH-04: Creating, moving or resizing onto another block is rejected
+// with a ScheduleConflictError carrying suggested resolutions (next free
+// slot, shorten, push flexible blocks later) unless the overlap is allowed.
+// TAB-SCH-05: Free slots come from the per-weekday working hours and
+// protected blocks in settings, ranked by energy level.
+// TAB-SCH-19: Routine blocks link to STORES.SEQUENCES by `sequenceId`.
+// TAB-SCH-31: Events imported from .ics files are read-only and keep their
+// `source` and `uid`, so re-importing a file updates them in place.
 
-import { put, getAll, getByIndex, deleteById, STORES } from './indexedDBManager'
+import { put, getAll, getById, deleteById, STORES } from './indexedDBManager'
+import { toDateKey, addDays, parseDateKey, daysBetween } from './dateUtils'
+import {
+  validateRecurrence,
+  expandRecurrence,
+  countOccurrencesBefore
+} from './recurrence'
+import {
+  validateAvailability,
+  getAvailabilityWindows,
+  getFreeSlots,
+  rankSlots
+} from './availability'
+import { getSetting, updateSettings } from './settingsManager'
+import { findTask, setTaskCompleted, getTasks } from './tasksManager'
+import { serializeCalendar } from './icsFormat'
+
+export const EDIT_SCOPES = {
+  THIS: 'this',
+  FOLLOWING: 'following',
+  ALL: 'all'
+}
+
+// Ways to settle an overlap (see suggestResolutions)
+export const CONFLICT_RESOLUTIONS = {
+  NEXT_SLOT: 'nextSlot',
+  SHORTEN: 'shorten',
+  MOVE_FLEXIBLE: 'moveFlexible',
+  OVERLAP: 'overlap'
+}
+
+const OCCURRENCE_SEPARATOR = '@'
 
 /**
- * Create a schedule event
+ * Raised when a block would overlap others
+ * Carries the proposed event so a resolution can be applied to it.
+ */
+export class ScheduleConflictError extends Error {
+  /**
+   * @param {object} event - Proposed event (or occurrence)
+   * @param {Array} conflicts - Events it overlaps
+   * @param {Array} resolutions - Suggestions from suggestResolutions
+   * @param {boolean} isNew - True if the event is not stored yet
+   */
+  constructor(event, conflicts, resolutions, isNew) {
+    super(`Overlaps ${conflicts.map((e) => e.title || e.type).join(', ')}`)
+    this.name = 'ScheduleConflictError'
+    this.event = event
+    this.conflicts = conflicts
+    this.resolutions = resolutions
+    this.isNew = isNew
+  }
+}
+
+let lastEventId = 0
+
+/**
+ * Generate an event ID (Date.now based, unique within a session)
+ * @returns {number} Event ID
+ */
+function nextEventId() {
+  lastEventId = Math.max(Date.now(), lastEventId + 1)
+  return lastEventId
+}
+
+/**
+ * Build the ID of one occurrence of a recurring event
+ * @param {number|string} seriesId - Recurring event ID
+ * @param {string} day - Occurrence day (YYYY-MM-DD)
+ * @returns {string} Occurrence ID
+ */
+export function getOccurrenceId(seriesId, day) {
+  return `${seriesId}${OCCURRENCE_SEPARATOR}${day}`
+}
+
+/**
+ * Split an occurrence ID into series ID and day
+ * @param {number|string} id - Event or occurrence ID
+ * @returns {{seriesId: number|string, day: string}|null} Null for plain IDs
+ */
+function parseOccurrenceId(id) {
+  if (typeof id !== 'string' || !id.includes(OCCURRENCE_SEPARATOR)) {
+    return null
+  }
+  const index = id.lastIndexOf(OCCURRENCE_SEPARATOR)
+  const raw = id.slice(0, index)
+  const numeric = Number(raw)
+  return {
+    seriesId: raw !== '' && !Number.isNaN(numeric) ? numeric : raw,
+    day: id.slice(index + 1)
+  }
+}
+
+/**
+ * Validate event data
  * @param {object} event - Event data
+ * @throws {Error} If the recurrence rule is invalid
+ */
+function assertValidEvent(event) {
+  if (!event.recurrence) return
+  const errors = validateRecurrence(event.recurrence)
+  if (errors.length > 0) {
+    throw new Error(`Invalid recurrence: ${errors.join(', ')}`)
+  }
+  if (event.recurrence.until && event.recurrence.until < event.day) {
+    throw new Error('Recurrence must end on or after the first day')
+  }
+}
+
+/**
+ * Reject changes to events imported from another calendar
+ * @param {object} event - Stored event or occurrence
+ * @throws {Error} If the event is read-only
+ */
+function assertEditable(event) {
+  if (event.readOnly) {
+    throw new Error(
+      `"${event.title}" is imported from ${event.source} and read-only`
+    )
+  }
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time - Time (HH:MM)
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  return calculateDuration('00:00', time)
+}
+
+/**
+ * When a block of the given length ends
+ * Blocks can't cross midnight; one ending right at midnight ends at "24:00".
+ * @param {string} startTime - Start time (HH:MM)
+ * @param {number} minutes - Length in minutes
+ * @param {string} [name='Event'] - What the block is, for the error
+ * @returns {string} End time (HH:MM)
+ * @throws {Error} If the block would run past midnight
+ */
+function getEndTime(startTime, minutes, name = 'Event') {
+  const end = toMinutes(startTime) + minutes
+  if (end > 24 * 60) {
+    throw new Error(`${name} would run past midnight`)
+  }
+  return end === 24 * 60 ? '24:00' : addMinutes(startTime, minutes)
+}
+
+/**
+ * Check whether an event is the one being checked (or part of its series)
+ * @param {object} event - Event or occurrence
+ * @param {number|string|null} excludeEventId - Event or series ID
+ * @returns {boolean} True if excluded
+ */
+function isExcluded(event, excludeEventId) {
+  return (
+    excludeEventId !== null &&
+    excludeEventId !== undefined &&
+    (event.id === excludeEventId || event.seriesId === excludeEventId)
+  )
+}
+
+/**
+ * Earliest start at or after `from` where a block fits in free time
+ * @param {Array} windows - Available windows on the day
+ * @param {Array} events - Blocks on the day
+ * @param {string} from - Earliest start (HH:MM)
+ * @param {number} duration - Block length (minutes)
+ * @returns {string|null} Start time (HH:MM), or null if nothing fits
+ */
+function findNextFreeStart(windows, events, from, duration) {
+  for (const slot of getFreeSlots(windows, events)) {
+    const start = Math.max(toMinutes(slot.startTime), toMinutes(from))
+    if (start + duration <= toMinutes(slot.endTime)) {
+      return addMinutes('00:00', start)
+    }
+  }
+  return null
+}
+
+/**
+ * Suggest ways to settle an overlap
+ * Flexible blocks may be pushed later to make room for the proposed one.
+ * @param {object} event - Proposed event
+ * @param {Array} conflicts - Events it overlaps
+ * @param {number|string|null} excludeEventId - Event or series ID to ignore
+ * @returns {Promise<Array>} Resolutions: { type, startTime?, endTime?, moves? }
+ */
+async function suggestResolutions(event, conflicts, excludeEventId) {
+  const others = (await getEventsForDay(event.day)).filter(
+    (e) => e.startTime && e.endTime && !isExcluded(e, excludeEventId)
+  )
+  const windows = getAvailabilityWindows(getAvailability(), event.day)
+  const duration = calculateDuration(event.startTime, event.endTime)
+  const resolutions = []
+
+  const nextStart = findNextFreeStart(
+    windows,
+    others,
+    event.startTime,
+    duration
+  )
+  if (nextStart) {
+    resolutions.push({
+      type: CONFLICT_RESOLUTIONS.NEXT_SLOT,
+      startTime: nextStart,
+      endTime: addMinutes(nextStart, duration)
+    })
+  }
+
+  const firstConflict = [...conflicts].sort(compareEvents)[0]
+  if (firstConflict.startTime > event.startTime) {
+    resolutions.push({
+      type: CONFLICT_RESOLUTIONS.SHORTEN,
+      startTime: event.startTime,
+      endTime: firstConflict.startTime
+    })
+  }
+
+  if (conflicts.every((e) => e.flexible)) {
+    const placed = [...others.filter((e) => !conflicts.includes(e)), event]
+    const moves = []
+    for (const conflict of [...conflicts].sort(compareEvents)) {
+      const length = calculateDuration(conflict.startTime, conflict.endTime)
+      const start = findNextFreeStart(
+        windows,
+        placed,
+        conflict.startTime,
+        length
+      )
+      if (!start) break
+      const move = {
+        id: conflict.id,
+        title: conflict.title,
+        day: conflict.day,
+        startTime: start,
+        endTime: addMinutes(start, length)
+      }
+      moves.push(move)
+      placed.push(move)
+    }
+    if (moves.length === conflicts.length) {
+      resolutions.push({ type: CONFLICT_RESOLUTIONS.MOVE_FLEXIBLE, moves })
+    }
+  }
+
+  resolutions.push({ type: CONFLICT_RESOLUTIONS.OVERLAP })
+  return resolutions
+}
+
+/**
+ * Reject a proposed block that overlaps others (on its own day)
+ * @param {object} event - Proposed event
+ * @param {object} options
+ * @param {number|string|null} options.excludeEventId - Event or series ID
+ *   to ignore (the event itself)
+ * @param {boolean} options.allowOverlap - Skip the check
+ * @param {boolean} [options.isNew=false] - True if not stored yet
+ * @throws {ScheduleConflictError} If the block overlaps others
+ */
+async function assertNoConflicts(
+  event,
+  { excludeEventId, allowOverlap, isNew = false }
+) {
+  if (allowOverlap || !event.startTime || !event.endTime) return
+  const conflicts = await checkConflicts(
+    event.day,
+    event.startTime,
+    event.endTime,
+    excludeEventId
+  )
+  if (conflicts.length > 0) {
+    throw new ScheduleConflictError(
+      event,
+      conflicts,
+      await suggestResolutions(event, conflicts, excludeEventId),
+      isNew
+    )
+  }
+}
+
+/**
+ * Expand a recurring event into its occurrences within a range
+ * @param {object} event - Stored recurring event
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Array} Occurrences (copies of the event with their own day/ID)
+ */
+function expandEvent(event, startDate, endDate) {
+  return expandRecurrence(
+    event.recurrence,
+    event.day,
+    startDate,
+    endDate,
+    event.exdates
+  ).map((day) => ({
+    ...event,
+    id: getOccurrenceId(event.id, day),
+    seriesId: event.id,
+    occurrenceDay: day,
+    day
+  }))
+}
+
+/**
+ * Load a stored event or throw
+ * @param {number|string} id - Event ID
+ * @returns {Promise<object>} Event data
+ */
+async function requireEvent(id) {
+  const event = await getById(STORES.SCHEDULE, id)
+  if (!event) {
+    throw new Error('Event not found')
+  }
+  return event
+}
+
+/**
+ * Load an event or a single occurrence of a recurring event
+ * @param {number|string} id - Event or occurrence ID
+ * @returns {Promise<object>} Event data
+ */
+async function requireEventOrOccurrence(id) {
+  const occurrence = parseOccurrenceId(id)
+  if (!occurrence) return await requireEvent(id)
+
+  const series = await requireEvent(occurrence.seriesId)
+  const [match] = series.recurrence
+    ? expandEvent(series, occurrence.day, occurrence.day)
+    : []
+  if (!match) {
+    throw new Error('Event not found')
+  }
+  return match
+}
+
+/**
+ * Create a schedule event
+ * @param {object} event - Event data (with an optional `recurrence` rule and
+ *   `flexible` flag)
+ * @param {object} [options]
+ * @param {boolean} [options.allowOverlap=false] - Store even if it overlaps
  * @returns {Promise<number>} Event ID
+ * @throws {ScheduleConflictError} If it overlaps another block
  */
-export async function createEvent(event) {
-  // TODO: Implement event validation and conflict detection
+export async function createEvent(event, { allowOverlap = false } = {}) {
   const newEvent = {
     ...event,
-    id: event.id || Date.now(),
+    id: event.id || nextEventId(),
     timestamp: Date.now(),
     createdAt: new Date().toISOString(),
     type: event.type || 'task', // 'task', 'sequence', 'break', 'meeting'
-    day: event.day || new Date().toISOString().split('T')[0],
+    day: event.day || toDateKey(),
     startTime: event.startTime,
     endTime: event.endTime,
     duration:
-      event.duration || calculateDuration(event.startTime, event.endTime)
+      event.duration || calculateDuration(event.startTime, event.endTime),
+    recurrence: event.recurrence || null,
+    exdates: event.exdates || [],
+    flexible: Boolean(event.flexible)
   }
+  assertValidEvent(newEvent)
+  await assertNoConflicts(newEvent, {
+    excludeEventId: newEvent.id,
+    allowOverlap,
+    isNew: true
+  })
   return await put(STORES.SCHEDULE, newEvent)
 }
 
+/**
+ * Length of a routine's block in minutes
+ * @param {object} sequence - Sequence with `totalDuration` in seconds
+ * @returns {number} Minutes, rounded up (at least 1)
+ */
+export function getSequenceMinutes(sequence) {
+  return Math.max(1, Math.ceil((sequence.totalDuration || 0) / 60))
+}
+
+/**
+ * Put a routine on the calendar
+ * TAB-SCH-19: The block is linked by `sequenceId` and as long as the
+ * routine's total duration; the runner can be started from it.
+ * @param {string} sequenceId - Sequence ID
+ * @param {string} day - Day key
+ * @param {string} startTime - Start time (HH:MM)
+ * @param {object} [options] - Passed to createEvent
+ * @returns {Promise<number>} Event ID
+ * @throws {ScheduleConflictError} If it overlaps another block
+ */
+export async function scheduleSequence(sequenceId, day, startTime, options) {
+  const sequence = await getById(STORES.SEQUENCES, sequenceId)
+  if (!sequence) {
+    throw new Error('Sequence not found')
+  }
+  const endTime = getEndTime(
+    startTime,
+    getSequenceMinutes(sequence),
+    sequence.name
+  )
+  return await createEvent(
+    {
+      title: sequence.name,
+      type: 'sequence',
+      sequenceId,
+      day,
+      startTime,
+      endTime
+    },
+    options
+  )
+}
+
+/**
+ * Delete every block linked to a routine (used when the routine is deleted)
+ * @param {string} sequenceId - Sequence ID
+ * @returns {Promise<number>} Number of events deleted
+ */
+export async function deleteEventsForSequence(sequenceId) {
+  const events = await getAll(STORES.SCHEDULE)
+  const linked = events.filter((event) => event.sequenceId === sequenceId)
+  for (const event of linked) {
+    await deleteById(STORES.SCHEDULE, event.id)
+  }
+  return linked.length
+}
+
+/**
+ * Store events parsed from an .ics file
+ * Events are matched to earlier imports from the same source by `uid`:
+ * matches are updated in place, new ones added, and ones no longer in the
+ * file removed. Imports may overlap other blocks.
+ * @param {Array} events - Events from parseCalendar
+ * @param {string} source - Where they came from (e.g. the file name)
+ * @returns {Promise<{added: number, updated: number, removed: number}>}
+ */
+export async function importCalendarEvents(events, source) {
+  const previous = new Map(
+    (await getAll(STORES.SCHEDULE))
+      .filter((event) => event.source === source)
+      .map((event) => [event.uid, event])
+  )
+  const records = events.map((event) => {
+    const existing = previous.get(event.uid)
+    const record = withDuration({
+      ...event,
+      id: existing ? existing.id : nextEventId(),
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      recurrence: event.recurrence || null,
+      exdates: event.exdates || [],
+      flexible: false,
+      readOnly: true,
+      source
+    })
+    assertValidEvent(record)
+    return record
+  })
+
+  let updated = 0
+  for (const record of records) {
+    if (previous.delete(record.uid)) updated += 1
+    await put(STORES.SCHEDULE, record)
+  }
+  for (const stale of previous.values()) {
+    await deleteById(STORES.SCHEDULE, stale.id)
+  }
+  return {
+    added: records.length - updated,
+    updated,
+    removed: previous.size
+  }
+}
+
+/**
+ * List the calendars events were imported from
+ * @returns {Promise<Array<{source: string, count: number}>>} Sorted by name
+ */
+export async function getCalendarSources() {
+  const counts = new Map()
+  for (const event of await getAll(STORES.SCHEDULE)) {
+    if (event.source) {
+      counts.set(event.source, (counts.get(event.source) || 0) + 1)
+    }
+  }
+  return [...counts]
+    .map(([source, count]) => ({ source, count }))
+    .sort((a, b) => a.source.localeCompare(b.source))
+}
+
+/**
+ * Delete every event imported from a calendar
+ * @param {string} source - Source name
+ * @returns {Promise<number>} Number of events deleted
+ */
+export async function removeCalendarSource(source) {
+  const events = await getAll(STORES.SCHEDULE)
+  const imported = events.filter((event) => event.source === source)
+  for (const event of imported) {
+    await deleteById(STORES.SCHEDULE, event.id)
+  }
+  return imported.length
+}
+
+/**
+ * Export the schedule and tasks as an .ics file
+ * Imported events are left out; they belong to their own calendar.
+ * @param {number} [now] - Timestamp for DTSTAMP
+ * @returns {Promise<string>} iCalendar text
+ */
+export async function exportCalendar(now = Date.now()) {
+  const events = (await getAll(STORES.SCHEDULE))
+    .filter((event) => !event.source)
+    .sort((a, b) => a.day.localeCompare(b.day) || compareEvents(a, b))
+  return serializeCalendar({ events, tasks: await getTasks() }, now)
+}
+
 /**
  * Get events for a specific day
  * @param {string} day - ISO date string (YYYY-MM-DD)
- * @returns {Promise<Array>} Array of events
+ * @returns {Promise<Array>} Array of events, recurrences expanded
  */
 export async function getEventsForDay(day) {
-  // TODO: Implement sorting by start time
-  return await getByIndex(STORES.SCHEDULE, 'day', day)
+  return await getEventsForRange(day, day)
+}
+
+/**
+ * Order events by start time, then end time
+ * @param {object} a - Event
+ * @param {object} b - Event
+ * @returns {number} Sort order
+ */
+function compareEvents(a, b) {
+  return (
+    (a.startTime || '').localeCompare(b.startTime || '') ||
+    (a.endTime || '').localeCompare(b.endTime || '')
+  )
 }
 
 /**
  * Get events for date range
+ * Recurring events are expanded into one entry per occurrence in the range.
  * @param {string} startDate - Start date (YYYY-MM-DD)
  * @param {string} endDate - End date (YYYY-MM-DD)
  * @returns {Promise<Array>} Array of events
  */
 export async function getEventsForRange(startDate, endDate) {
-  // TODO: Implement efficient date range query
   const allEvents = await getAll(STORES.SCHEDULE)
-  return allEvents.filter(
-    (event) => event.day >= startDate && event.day <= endDate
+  const events = []
+  for (const event of allEvents) {
+    if (event.recurrence) {
+      events.push(...expandEvent(event, startDate, endDate))
+    } else if (event.day >= startDate && event.day <= endDate) {
+      events.push(event)
+    }
+  }
+  return events.sort(
+    (a, b) => a.day.localeCompare(b.day) || compareEvents(a, b)
   )
 }
 
 /**
- * Get events for current week
- * @returns {Promise<Array>} Array of events
+ * First day (Sunday) of the week containing a day
+ * @param {string} [day] - Day key (defaults to today)
+ * @returns {string} Day key of the week's Sunday
  */
-export async function getEventsForWeek() {
-  // TODO: Implement week calculation
-  const today = new Date()
-  const startOfWeek = new Date(today)
-  startOfWeek.setDate(today.getDate() - today.getDay())
-  const endOfWeek = new Date(startOfWeek)
-  endOfWeek.setDate(startOfWeek.getDate() + 6)
-
-  const startDate = startOfWeek.toISOString().split('T')[0]
-  const endDate = endOfWeek.toISOString().split('T')[0]
+export function getWeekStart(day = toDateKey()) {
+  return addDays(day, -parseDateKey(day).getDay())
+}
 
-  return await getEventsForRange(startDate, endDate)
+/**
+ * Get events for the week (Sunday to Saturday) containing a day
+ * @param {string} [day] - Day key (defaults to today)
+ * @returns {Promise<Array>} Array of events
+ */
+export async function getEventsForWeek(day = toDateKey()) {
+  const startDate = getWeekStart(day)
+  return await getEventsForRange(startDate, addDays(startDate, 6))
 }
 
 /**
- * Update event
- * @param {object} event - Updated event data
- * @returns {Promise<number>} Event ID
+ * Fill in derived fields of an event about to be stored
+ * Times win over a stale duration so edits to start/end are reflected.
+ * @param {object} event - Event data
+ * @returns {object} Event ready to store
  */
-export async function updateEvent(event) {
-  // TODO: Add conflict detection and validation
-  const updated = {
+function withDuration(event) {
+  return {
     ...event,
     timestamp: Date.now(),
     duration:
-      event.duration || calculateDuration(event.startTime, event.endTime)
+      event.startTime && event.endTime
+        ? calculateDuration(event.startTime, event.endTime)
+        : event.duration
   }
+}
+
+/**
+ * End a series just before a day (keeping `count` rules count-based)
+ * @param {object} series - Stored recurring event
+ * @param {string} day - First day no longer part of the series
+ * @returns {object} Truncated series
+ */
+function truncateSeries(series, day) {
+  const rule = series.recurrence
+  return {
+    ...series,
+    recurrence: rule.count
+      ? { ...rule, count: countOccurrencesBefore(rule, series.day, day) }
+      : { ...rule, until: addDays(day, -1) },
+    exdates: (series.exdates || []).filter((d) => d < day),
+    timestamp: Date.now()
+  }
+}
+
+/**
+ * Apply changes made to one occurrence of a recurring event
+ * Overlaps are checked on the occurrence's own day only.
+ * @param {object} occurrence - Edited occurrence (from getEventsForRange)
+ * @param {string} scope - EDIT_SCOPES value
+ * @param {boolean} [allowOverlap=false] - Store even if it overlaps
+ * @returns {Promise<object>} The stored event that now holds the changes
+ */
+async function updateOccurrence(occurrence, scope, allowOverlap = false) {
+  // `fields` still carries the occurrence ID; every branch replaces it
+  const { seriesId, occurrenceDay, ...fields } = occurrence
+  const series = await requireEvent(seriesId)
+  assertEditable(series)
+  const shift = daysBetween(occurrenceDay, fields.day)
+  // A lone occurrence may collide with its own series on another day
+  await assertNoConflicts(withDuration(occurrence), {
+    excludeEventId: scope === EDIT_SCOPES.THIS ? occurrence.id : seriesId,
+    allowOverlap
+  })
+
+  if (scope === EDIT_SCOPES.THIS) {
+    // Detach this day: skip it in the series, store it as a plain event
+    await put(STORES.SCHEDULE, {
+      ...series,
+      exdates: [...(series.exdates || []), occurrenceDay],
+      timestamp: Date.now()
+    })
+    const detached = withDuration({
+      ...fields,
+      id: nextEventId(),
+      recurrence: null,
+      exdates: [],
+      recurringEventId: seriesId,
+      originalDay: occurrenceDay
+    })
+    await put(STORES.SCHEDULE, detached)
+    return detached
+  }
+
+  if (scope === EDIT_SCOPES.FOLLOWING && occurrenceDay > series.day) {
+    // Split: the old series ends before this day, a new one starts here
+    const rule = fields.recurrence
+    const unchanged = JSON.stringify(rule) === JSON.stringify(series.recurrence)
+    const following = withDuration({
+      ...fields,
+      id: nextEventId(),
+      recurrence:
+        rule && unchanged && rule.count
+          ? {
+              ...rule,
+              count:
+                rule.count -
+                countOccurrencesBefore(rule, series.day, occurrenceDay)
+            }
+          : rule,
+      exdates: (series.exdates || [])
+        .filter((d) => d >= occurrenceDay)
+        .map((d) => addDays(d, shift)),
+      createdAt: new Date().toISOString()
+    })
+    assertValidEvent(following)
+    await put(STORES.SCHEDULE, truncateSeries(series, occurrenceDay))
+    await put(STORES.SCHEDULE, following)
+    return following
+  }
+
+  // Whole series: day changes shift every occurrence by the same amount
+  const updated = withDuration({
+    ...series,
+    ...fields,
+    id: series.id,
+    day: fields.recurrence ? addDays(series.day, shift) : fields.day,
+    exdates: fields.recurrence
+      ? (series.exdates || []).map((d) => addDays(d, shift))
+      : []
+  })
+  assertValidEvent(updated)
+  await put(STORES.SCHEDULE, updated)
+  return updated
+}
+
+/**
+ * Update event
+ * @param {object} event - Updated event data (or an occurrence of a
+ *   recurring event)
+ * @param {object} [options]
+ * @param {string} [options.scope='all'] - For occurrences: EDIT_SCOPES value
+ * @param {boolean} [options.allowOverlap=false] - Store even if it overlaps
+ * @returns {Promise<number>} ID of the stored event holding the changes
+ * @throws {ScheduleConflictError} If it overlaps another block
+ */
+export async function updateEvent(
+  event,
+  { scope = EDIT_SCOPES.ALL, allowOverlap = false } = {}
+) {
+  if (event.seriesId !== undefined) {
+    return (await updateOccurrence(event, scope, allowOverlap)).id
+  }
+  const stored = await getById(STORES.SCHEDULE, event.id)
+  if (stored) assertEditable(stored)
+  const updated = withDuration(event)
+  assertValidEvent(updated)
+  await assertNoConflicts(updated, { excludeEventId: event.id, allowOverlap })
   return await put(STORES.SCHEDULE, updated)
 }
 
 /**
  * Delete event
- * @param {number} id - Event ID
+ * Deleting a whole recurring event also deletes occurrences detached from it.
+ * @param {number|string} id - Event or occurrence ID
+ * @param {object} [options]
+ * @param {string} [options.scope='all'] - For occurrences: EDIT_SCOPES value
  * @returns {Promise<void>}
  */
-export async function deleteEvent(id) {
-  // TODO: Add confirmation for recurring events
-  return await deleteById(STORES.SCHEDULE, id)
+export async function deleteEvent(id, { scope = EDIT_SCOPES.ALL } = {}) {
+  const occurrence = parseOccurrenceId(id)
+  const seriesId = occurrence ? occurrence.seriesId : id
+  const stored = await getById(STORES.SCHEDULE, seriesId)
+  if (stored) assertEditable(stored)
+
+  if (occurrence && scope !== EDIT_SCOPES.ALL) {
+    const series = await requireEvent(seriesId)
+    if (scope === EDIT_SCOPES.THIS) {
+      await put(STORES.SCHEDULE, {
+        ...series,
+        exdates: [...(series.exdates || []), occurrence.day],
+        timestamp: Date.now()
+      })
+      return
+    }
+    if (occurrence.day > series.day) {
+      await put(STORES.SCHEDULE, truncateSeries(series, occurrence.day))
+      return
+    }
+  }
+
+  const events = await getAll(STORES.SCHEDULE)
+  for (const event of events) {
+    if (event.recurringEventId === seriesId) {
+      await deleteById(STORES.SCHEDULE, event.id)
+    }
+  }
+  return await deleteById(STORES.SCHEDULE, seriesId)
 }
 
 /**
  * Move event to different day/time
- * @param {number} id - Event ID
+ * @param {number|string} id - Event or occurrence ID
  * @param {string} newDay - New day (YYYY-MM-DD)
  * @param {string} newStartTime - New start time (HH:MM)
+ * @param {object} [options]
+ * @param {string} [options.scope='this'] - For occurrences: EDIT_SCOPES value
  * @returns {Promise<object>} Updated event
+ * @throws {Error} If the event would run past midnight
  */
-export async function moveEvent(id, newDay, newStartTime) {
-  // TODO: Implement drag-and-drop logic with conflict detection
-  const events = await getAll(STORES.SCHEDULE)
-  const event = events.find((e) => e.id === id)
-
-  if (!event) {
-    throw new Error('Event not found')
-  }
+export async function moveEvent(
+  id,
+  newDay,
+  newStartTime,
+  { scope = EDIT_SCOPES.THIS, allowOverlap = false } = {}
+) {
+  const event = await requireEventOrOccurrence(id)
+  assertEditable(event)
 
   const duration = event.duration || 60
-  const newEndTime = addMinutes(newStartTime, duration)
+  const newEndTime = getEndTime(newStartTime, duration)
 
   const updated = {
     ...event,
@@ -120,16 +805,129 @@ export async function moveEvent(id, newDay, newStartTime) {
     timestamp: Date.now()
   }
 
+  if (event.seriesId !== undefined) {
+    return await updateOccurrence(updated, scope, allowOverlap)
+  }
+  await assertNoConflicts(updated, { excludeEventId: id, allowOverlap })
+  await put(STORES.SCHEDULE, updated)
+  return updated
+}
+
+/**
+ * Change when an event ends, keeping its start
+ * @param {number|string} id - Event or occurrence ID
+ * @param {string} newEndTime - New end time (HH:MM)
+ * @param {object} [options]
+ * @param {string} [options.scope='this'] - For occurrences: EDIT_SCOPES value
+ * @returns {Promise<object>} Updated event
+ * @throws {Error} If the event would end before it starts or past midnight
+ */
+export async function resizeEvent(
+  id,
+  newEndTime,
+  { scope = EDIT_SCOPES.THIS, allowOverlap = false } = {}
+) {
+  const event = await requireEventOrOccurrence(id)
+  assertEditable(event)
+
+  const duration = calculateDuration(event.startTime, newEndTime)
+  if (duration <= 0) {
+    throw new Error('Event must end after it starts')
+  }
+  if (toMinutes(newEndTime) > 24 * 60) {
+    throw new Error('Event would run past midnight')
+  }
+
+  const updated = {
+    ...event,
+    endTime: newEndTime,
+    duration,
+    timestamp: Date.now()
+  }
+
+  if (event.seriesId !== undefined) {
+    return await updateOccurrence(updated, scope, allowOverlap)
+  }
+  await assertNoConflicts(updated, { excludeEventId: id, allowOverlap })
   await put(STORES.SCHEDULE, updated)
   return updated
 }
 
+/**
+ * Mark an event done (or not done)
+ * TAB-SCH-06: A block linked to a task completes the task as well.
+ * @param {number|string} id - Event or occurrence ID
+ * @param {boolean} [completed=true] - New state
+ * @returns {Promise<object>} Updated event
+ */
+export async function completeEvent(id, completed = true) {
+  const event = await requireEventOrOccurrence(id)
+  assertEditable(event)
+  const updated = {
+    ...event,
+    completed,
+    completedAt: completed ? new Date().toISOString() : null,
+    timestamp: Date.now()
+  }
+
+  let stored = updated
+  if (event.seriesId !== undefined) {
+    stored = await updateOccurrence(updated, EDIT_SCOPES.THIS, true)
+  } else {
+    await put(STORES.SCHEDULE, updated)
+  }
+  // The task may have been deleted since it was planned
+  if (event.taskId && (await findTask(event.taskId))) {
+    await setTaskCompleted(event.taskId, completed)
+  }
+  return stored
+}
+
+/**
+ * Apply a suggested resolution to a rejected change
+ * @param {ScheduleConflictError} conflict - The rejection
+ * @param {object} resolution - One of `conflict.resolutions`
+ * @param {object} [options]
+ * @param {string} [options.scope] - Edit scope of the original change
+ * @returns {Promise<number>} ID of the stored event
+ */
+export async function resolveConflict(conflict, resolution, { scope } = {}) {
+  const save = (fields, allowOverlap = false) =>
+    conflict.isNew
+      ? createEvent(withDuration({ ...conflict.event, ...fields }), {
+          allowOverlap
+        })
+      : updateEvent({ ...conflict.event, ...fields }, { scope, allowOverlap })
+
+  switch (resolution.type) {
+    case CONFLICT_RESOLUTIONS.NEXT_SLOT:
+    case CONFLICT_RESOLUTIONS.SHORTEN:
+      return await save({
+        startTime: resolution.startTime,
+        endTime: resolution.endTime
+      })
+    case CONFLICT_RESOLUTIONS.MOVE_FLEXIBLE:
+      // The moves were planned around the proposed block, not the old layout
+      for (const move of resolution.moves) {
+        await moveEvent(move.id, move.day, move.startTime, {
+          allowOverlap: true
+        })
+      }
+      return await save({})
+    case CONFLICT_RESOLUTIONS.OVERLAP:
+      return await save({}, true)
+    default:
+      throw new Error('Unknown conflict resolution')
+  }
+}
+
 /**
  * Check for scheduling conflicts
  * @param {string} day - Day to check (YYYY-MM-DD)
  * @param {string} startTime - Start time (HH:MM)
  * @param {string} endTime - End time (HH:MM)
- * @param {number} excludeEventId - Event ID to exclude from check
+ * @param {number|string} excludeEventId - Event ID to exclude from check
+ *   (a recurring event's ID excludes all of its occurrences)
  * @returns {Promise<Array>} Array of conflicting events
  */
 export async function checkConflicts(
@@ -138,11 +936,14 @@ export async function checkConflicts(
   endTime,
   excludeEventId = null
 ) {
-  // TODO: Implement comprehensive conflict detection
   const events = await getEventsForDay(day)
 
   return events.filter((event) => {
-    if (excludeEventId && event.id === excludeEventId) {
+    if (
+      !event.startTime ||
+      !event.endTime ||
+      isExcluded(event, excludeEventId)
+    ) {
       return false
     }
 
@@ -156,47 +957,92 @@ export async function checkConflicts(
 }
 
 /**
- * Get available time slots for a day
- * @param {string} day - Day (YYYY-MM-DD)
- * @param {number} duration - Minimum duration needed (minutes)
- * @returns {Promise<Array>} Array of available slots
+ * Find the blocks that overlap another block on the same day
+ * @param {Array} events - Events (e.g. from getEventsForRange)
+ * @returns {Set} IDs of overlapping events
  */
-export async function getAvailableSlots(day, duration = 60) {
-  // TODO: Implement slot calculation with business hours
-  const events = await getEventsForDay(day)
-  const slots = []
-
-  // Simple implementation: find gaps between events
-  const sortedEvents = events.sort((a, b) =>
-    a.startTime.localeCompare(b.startTime)
-  )
+export function findOverlappingEvents(events) {
+  const overlapping = new Set()
+  const timed = events
+    .filter((event) => event.startTime && event.endTime)
+    .sort((a, b) => a.day.localeCompare(b.day) || compareEvents(a, b))
+  timed.forEach((event, index) => {
+    for (const other of timed.slice(index + 1)) {
+      if (other.day !== event.day || other.startTime >= event.endTime) break
+      overlapping.add(event.id)
+      overlapping.add(other.id)
+    }
+  })
+  return overlapping
+}
 
-  let currentTime = '08:00' // Start of day
-  const endOfDay = '22:00'
+/**
+ * Get the working hours, energy windows and protected blocks
+ * @returns {{workingHours: object, protectedBlocks: Array}} Availability
+ */
+export function getAvailability() {
+  return getSetting('schedule')
+}
 
-  for (const event of sortedEvents) {
-    const gapDuration = calculateDuration(currentTime, event.startTime)
-    if (gapDuration >= duration) {
-      slots.push({
-        startTime: currentTime,
-        endTime: event.startTime,
-        duration: gapDuration
-      })
-    }
-    currentTime = event.endTime
+/**
+ * Save the working hours, energy windows and protected blocks
+ * @param {object} availability
+ * @param {object} availability.workingHours - Windows per weekday (0-6)
+ * @param {Array} availability.protectedBlocks - { label, start, end, days }
+ * @returns {object} Saved availability
+ */
+export function updateAvailability({ workingHours, protectedBlocks }) {
+  const errors = validateAvailability({ workingHours, protectedBlocks })
+  if (errors.length > 0) {
+    throw new Error(errors.join(', '))
   }
 
-  // Check remaining time at end of day
-  const finalGap = calculateDuration(currentTime, endOfDay)
-  if (finalGap >= duration) {
-    slots.push({
-      startTime: currentTime,
-      endTime: endOfDay,
-      duration: finalGap
-    })
+  let lastId = Math.max(0, ...protectedBlocks.map((block) => block.id || 0))
+  const schedule = {
+    workingHours: Object.fromEntries(
+      Array.from({ length: 7 }, (_, weekday) => [
+        weekday,
+        [...(workingHours[weekday] || [])]
+          .map(({ start, end, energy }) => ({
+            start,
+            end,
+            energy: energy || null
+          }))
+          .sort((a, b) => a.start.localeCompare(b.start))
+      ])
+    ),
+    protectedBlocks: protectedBlocks.map((block) => ({
+      id: block.id || (lastId = Math.max(Date.now(), lastId + 1)),
+      label: block.label.trim(),
+      start: block.start,
+      end: block.end,
+      days: [...block.days].sort((a, b) => a - b)
+    }))
   }
+  updateSettings({ schedule })
+  return schedule
+}
 
-  return slots
+/**
+ * Get available time slots for a day
+ * Slots lie within the day's working hours, outside protected blocks and
+ * events. With an energy level, matching windows rank first.
+ * @param {string} day - Day (YYYY-MM-DD)
+ * @param {number} duration - Minimum duration needed (minutes)
+ * @param {object} [options]
+ * @param {string} [options.energy] - ENERGY_LEVELS value to prefer
+ * @returns {Promise<Array>} Ranked slots: { startTime, endTime, duration,
+ *   energy }
+ */
+export async function getAvailableSlots(day, duration = 60, { energy } = {}) {
+  const events = (await getEventsForDay(day)).filter(
+    (event) => event.startTime && event.endTime
+  )
+  const windows = getAvailabilityWindows(getAvailability(), day)
+  return rankSlots(
+    getFreeSlots(windows, events).filter((slot) => slot.duration >= duration),
+    energy
+  )
 }
 
 /**
@@ -210,7 +1056,7 @@ export async function getAvailableSlots(day, duration = 60) {
  * @param {string} endTime - End time in "HH:MM" 24-hour format.
  * @returns {number} Duration in minutes between start and end times.
  */
-function calculateDuration(startTime, endTime) {
+export function calculateDuration(startTime, endTime) {
   if (!startTime || !endTime) return 0
 
   const [startHour, startMin] = startTime.split(':').map(Number)
@@ -228,7 +1074,7 @@ function calculateDuration(startTime, endTime) {
  * @param {number} minutes - Minutes to add
  * @returns {string} New time (HH:MM)
  */
-function addMinutes(time, minutes) {
+export function addMinutes(time, minutes) {
   const [hour, min] = time.split(':').map(Number)
   const totalMinutes = hour * 60 + min + minutes
   const newHour = Math.floor(totalMinutes / 60) % 24
@@ -243,7 +1089,7 @@ function addMinutes(time, minutes) {
  */
 export async function getTodaySummary() {
   // TODO: Implement comprehensive summary
-  const today = new Date().toISOString().split('T')[0]
+  const today = toDateKey()
   const events = await getEventsForDay(today)
 
   const totalDuration = events.reduce(
@@ -1,7 +1,118 @@
-// Sequences Manager - Feature stub for routine/sequence management
-// TODO: Implement full sequences functionality with timer integration
+// Sequences Manager - Routine/sequence management and runner engine
+// TAB-RTN-03: Runner state is timestamp-based so it can be persisted and resumed
 
-import { put, getAll, getById, deleteById, STORES } from './indexedDBManager'
+import {
+  put,
+  getAll,
+  getById,
+  deleteById,
+  saveStats,
+  STORES
+} from './indexedDBManager'
+import { generateSecureUUID } from './uuidGenerator'
+import { completeEvent, deleteEventsForSequence } from './scheduleManager'
+
+// Key of the single persisted runner record in STORES.RUNNER
+const RUNNER_STATE_ID = 'current'
+
+// TAB-RTN-21: Step timers accept values from 10s to 2h
+export const MIN_STEP_DURATION = 10
+export const MAX_STEP_DURATION = 2 * 60 * 60
+
+/**
+ * Validate a single step
+ * @param {object} step - Step data
+ * @returns {string[]} Error messages (empty if valid)
+ */
+export function validateStep(step) {
+  const errors = []
+  if (!step || typeof step !== 'object') {
+    return ['Step must be an object']
+  }
+  if (typeof step.name !== 'string' || !step.name.trim()) {
+    errors.push('Step title is required')
+  }
+  if (
+    step.duration !== undefined &&
+    (!Number.isInteger(step.duration) ||
+      step.duration < MIN_STEP_DURATION ||
+      step.duration > MAX_STEP_DURATION)
+  ) {
+    errors.push(
+      `Step duration must be between ${MIN_STEP_DURATION} seconds and 2 hours`
+    )
+  }
+  if (step.checklist !== undefined && !Array.isArray(step.checklist)) {
+    errors.push('Step checklist must be an array')
+  }
+  return errors
+}
+
+/**
+ * Validate a sequence and its steps
+ * @param {object} sequence - Sequence data
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateSequence(sequence) {
+  const errors = []
+  if (!sequence || typeof sequence !== 'object') {
+    return { valid: false, errors: ['Sequence must be an object'] }
+  }
+  if (typeof sequence.name !== 'string' || !sequence.name.trim()) {
+    errors.push('Routine name is required')
+  }
+  if (sequence.steps !== undefined && !Array.isArray(sequence.steps)) {
+    errors.push('Steps must be an array')
+  } else {
+    ;(sequence.steps || []).forEach((step, index) => {
+      validateStep(step).forEach((error) =>
+        errors.push(`Step ${index + 1}: ${error}`)
+      )
+    })
+  }
+  return { valid: errors.length === 0, errors }
+}
+
+/**
+ * Throw if a sequence is invalid
+ * @param {object} sequence - Sequence data
+ */
+function assertValidSequence(sequence) {
+  const { valid, errors } = validateSequence(sequence)
+  if (!valid) {
+    throw new Error(`Invalid sequence: ${errors.join(', ')}`)
+  }
+}
+
+/**
+ * Give steps IDs and contiguous order values
+ * @param {Array} steps - Array of steps
+ * @returns {Array} Normalized steps
+ */
+function normalizeSteps(steps) {
+  return steps.map((step, index) => ({
+    ...step,
+    id: step.id || `step_${generateSecureUUID()}`,
+    order: index
+  }))
+}
+
+/**
+ * A new sequence ID, unlike any already taken
+ * @param {Set<string>} [existingIds] - Taken IDs (read from the store when
+ *   not given)
+ * @returns {Promise<string>} Sequence ID
+ */
+async function generateSequenceId(existingIds) {
+  const taken =
+    existingIds ||
+    new Set((await getAll(STORES.SEQUENCES)).map((sequence) => sequence.id))
+  let id
+  do {
+    id = `seq_${generateSecureUUID()}`
+  } while (taken.has(id))
+  return id
+}
 
 /**
  * Create a new sequence
@@ -9,14 +120,16 @@ import { put, getAll, getById, deleteById, STORES } from './indexedDBManager'
  * @returns {Promise<string>} Sequence ID
  */
 export async function createSequence(sequence) {
-  // TODO: Implement sequence validation and step validation
+  assertValidSequence(sequence)
+  const steps = normalizeSteps(sequence.steps || [])
   const newSequence = {
     ...sequence,
-    id: sequence.id || `seq_${Date.now()}`,
+    id: sequence.id || (await generateSequenceId()),
     timestamp: Date.now(),
     createdAt: new Date().toISOString(),
-    steps: sequence.steps || [],
-    totalDuration: calculateTotalDuration(sequence.steps || [])
+    lastUsedAt: sequence.lastUsedAt || null,
+    steps,
+    totalDuration: calculateTotalDuration(steps)
   }
   await put(STORES.SEQUENCES, newSequence)
   return newSequence.id
@@ -24,11 +137,25 @@ export async function createSequence(sequence) {
 
 /**
  * Get all sequences
+ * @param {string} sortBy - 'recent' (last used, then edited), 'name' or 'duration'
  * @returns {Promise<Array>} Array of sequences
  */
-export async function getSequences() {
-  // TODO: Implement sorting by recently used, name, or duration
-  return await getAll(STORES.SEQUENCES)
+export async function getSequences(sortBy = 'recent') {
+  const sequences = await getAll(STORES.SEQUENCES)
+  const lastTouched = (seq) => seq.lastUsedAt || seq.timestamp || 0
+
+  switch (sortBy) {
+    case 'name':
+      return sequences.sort((a, b) =>
+        (a.name || '').localeCompare(b.name || '')
+      )
+    case 'duration':
+      return sequences.sort(
+        (a, b) => (a.totalDuration || 0) - (b.totalDuration || 0)
+      )
+    default:
+      return sequences.sort((a, b) => lastTouched(b) - lastTouched(a))
+  }
 }
 
 /**
@@ -47,23 +174,25 @@ export async function getSequence(id) {
  * @returns {Promise<string>} Sequence ID
  */
 export async function updateSequence(sequence) {
-  // TODO: Add validation and recalculate total duration
+  assertValidSequence(sequence)
+  const steps = normalizeSteps(sequence.steps || [])
   const updated = {
     ...sequence,
+    steps,
     timestamp: Date.now(),
-    totalDuration: calculateTotalDuration(sequence.steps || [])
+    totalDuration: calculateTotalDuration(steps)
   }
   await put(STORES.SEQUENCES, updated)
   return updated.id
 }
 
 /**
- * Delete sequence
+ * Delete sequence and the schedule blocks linked to it
  * @param {string} id - Sequence ID
  * @returns {Promise<void>}
  */
 export async function deleteSequence(id) {
-  // TODO: Add confirmation and cascade delete from schedule
+  await deleteEventsForSequence(id)
   return await deleteById(STORES.SEQUENCES, id)
 }
 
@@ -74,7 +203,6 @@ export async function deleteSequence(id) {
  * @returns {Promise<object>} Updated sequence
  */
 export async function addStep(sequenceId, step) {
-  // TODO: Implement step validation
   const sequence = await getById(STORES.SEQUENCES, sequenceId)
   if (!sequence) {
     throw new Error('Sequence not found')
@@ -82,10 +210,14 @@ export async function addStep(sequenceId, step) {
 
   const newStep = {
     ...step,
-    id: step.id || `step_${Date.now()}`,
+    id: step.id || `step_${generateSecureUUID()}`,
     order: sequence.steps.length,
     duration: step.duration || 60 // Default 60 seconds
   }
+  const errors = validateStep(newStep)
+  if (errors.length > 0) {
+    throw new Error(`Invalid step: ${errors.join(', ')}`)
+  }
 
   sequence.steps.push(newStep)
   sequence.totalDuration = calculateTotalDuration(sequence.steps)
@@ -102,7 +234,6 @@ export async function addStep(sequenceId, step) {
  * @returns {Promise<object>} Updated sequence
  */
 export async function removeStep(sequenceId, stepId) {
-  // TODO: Implement step removal with order recalculation
   const sequence = await getById(STORES.SEQUENCES, sequenceId)
   if (!sequence) {
     throw new Error('Sequence not found')
@@ -127,7 +258,6 @@ export async function removeStep(sequenceId, stepId) {
  * @returns {Promise<object>} Updated sequence
  */
 export async function reorderStep(sequenceId, stepId, newOrder) {
-  // TODO: Implement drag-and-drop reordering logic
   const sequence = await getById(STORES.SEQUENCES, sequenceId)
   if (!sequence) {
     throw new Error('Sequence not found')
@@ -138,8 +268,10 @@ export async function reorderStep(sequenceId, stepId, newOrder) {
     throw new Error('Step not found')
   }
 
+  // Clamp so out-of-range drops land at the start or end of the list
+  const target = Math.max(0, Math.min(newOrder, sequence.steps.length - 1))
   const [step] = sequence.steps.splice(stepIndex, 1)
-  sequence.steps.splice(newOrder, 0, step)
+  sequence.steps.splice(target, 0, step)
 
   sequence.steps.forEach((s, index) => {
     s.order = index
@@ -166,18 +298,23 @@ function calculateTotalDuration(steps) {
  * @returns {Promise<string>} New sequence ID
  */
 export async function cloneSequence(sequenceId, newName) {
-  // TODO: Implement sequence cloning for templates
   const sequence = await getById(STORES.SEQUENCES, sequenceId)
   if (!sequence) {
     throw new Error('Sequence not found')
   }
 
+  // Steps get fresh IDs so edits to the copy never collide with the original
   const cloned = {
     ...sequence,
-    id: `seq_${Date.now()}`,
+    id: await generateSequenceId(),
     name: newName || `${sequence.name} (Copy)`,
+    steps: sequence.steps.map((step) => ({
+      ...step,
+      id: `step_${generateSecureUUID()}`
+    })),
     timestamp: Date.now(),
-    createdAt: new Date().toISOString()
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
   }
 
   await put(STORES.SEQUENCES, cloned)
@@ -185,43 +322,343 @@ export async function cloneSequence(sequenceId, newName) {
 }
 
 /**
- * Get sequence execution state
- * @param {string} sequenceId - Sequence ID
- * @returns {object} Execution state (for timer integration)
+ * Merge imported sequences into STORES.SEQUENCES
+ * Imports are always added as new routines: incoming IDs are ignored so an
+ * import can never overwrite an existing routine. All sequences are validated
+ * before anything is written.
+ * @param {Array} sequences - Sequences to import
+ * @returns {Promise<string[]>} IDs of the created sequences
  */
-export function getSequenceState(sequenceId) {
-  // TODO: Implement timer state management
-  return {
-    sequenceId,
-    currentStepIndex: 0,
-    isRunning: false,
-    isPaused: false,
-    elapsedTime: 0,
-    startedAt: null
+export async function importSequences(sequences) {
+  sequences.forEach(assertValidSequence)
+
+  const existingIds = new Set(
+    (await getAll(STORES.SEQUENCES)).map((sequence) => sequence.id)
+  )
+  const ids = []
+  for (const sequence of sequences) {
+    const id = await generateSequenceId(existingIds)
+    existingIds.add(id)
+
+    ids.push(
+      await createSequence({
+        ...sequence,
+        id,
+        lastUsedAt: null,
+        // Step IDs are regenerated for the same reason
+        steps: (sequence.steps || []).map((step) => ({ ...step, id: null }))
+      })
+    )
   }
+  return ids
+}
+
+/**
+ * Get the persisted sequence execution state
+ * Returns the in-progress run, or null when nothing is running. When a
+ * sequence ID is given, only a run of that sequence is returned.
+ * @param {string} [sequenceId] - Sequence ID
+ * @returns {Promise<object|null>} Execution state
+ */
+export async function getSequenceState(sequenceId) {
+  const state = await getById(STORES.RUNNER, RUNNER_STATE_ID)
+  if (!state) return null
+  if (sequenceId && state.sequenceId !== sequenceId) return null
+  return state
+}
+
+/**
+ * Persist sequence execution state
+ * @param {object} state - Execution state
+ * @returns {Promise<object>} Saved state
+ */
+export async function saveSequenceState(state) {
+  const saved = { ...state, id: RUNNER_STATE_ID }
+  await put(STORES.RUNNER, saved)
+  return saved
+}
+
+/**
+ * Discard the persisted execution state (stop or dismiss a run)
+ * @returns {Promise<void>}
+ */
+export async function clearSequenceState() {
+  return await deleteById(STORES.RUNNER, RUNNER_STATE_ID)
 }
 
 /**
  * Start sequence execution
- * Initializes a sequence for execution with timer integration.
- * Returns the initial state including sequence data and execution status.
+ * Initializes a sequence for execution with timer integration and persists
+ * the state so a reload resumes mid-routine.
  * @param {string} sequenceId - Sequence ID
+ * @param {number} [now] - Current timestamp (ms)
+ * @param {object} [options]
+ * @param {number|string} [options.eventId] - Schedule block the run was
+ *   started from; it is marked done when the run completes
  * @returns {Promise<object>} Initial execution state with sequence data and timer info
  */
-export async function startSequence(sequenceId) {
-  // TODO: Implement sequence execution with timer
+export async function startSequence(
+  sequenceId,
+  now = Date.now(),
+  { eventId = null } = {}
+) {
   const sequence = await getById(STORES.SEQUENCES, sequenceId)
   if (!sequence) {
     throw new Error('Sequence not found')
   }
 
+  // Feeds the "recently used" library sort
+  const used = { ...sequence, lastUsedAt: now }
+  await put(STORES.SEQUENCES, used)
+
+  return await saveSequenceState({ ...createRunState(used, now), eventId })
+}
+
+/**
+ * Record how long a run took against its plan
+ * ARC-DAT-04: Saved to stats as `routine_time` when a run completes or is
+ * stopped early; a completed run also marks its schedule block done.
+ * @param {object} state - Execution state
+ * @param {number} [now] - Current timestamp (ms)
+ * @returns {Promise<object>} The recorded stat
+ */
+export async function recordRoutineTime(state, now = Date.now()) {
+  const { sequence } = state
+  const completed = Boolean(state.completedAt)
+  const countSteps = (status) =>
+    state.log.filter((entry) => entry.status === status).length
+  const stat = {
+    sequenceId: state.sequenceId,
+    name: sequence.name,
+    eventId: state.eventId ?? null,
+    plannedDuration:
+      sequence.totalDuration ?? calculateTotalDuration(sequence.steps || []),
+    actualDuration: getRunTimes(state, now).totalElapsed,
+    completed,
+    stepsCompleted: countSteps('completed'),
+    stepsSkipped: countSteps('skipped')
+  }
+  await saveStats('routine_time', stat)
+
+  if (completed && state.eventId !== null && state.eventId !== undefined) {
+    try {
+      await completeEvent(state.eventId)
+    } catch (e) {
+      // The block may have been deleted while the routine ran
+      if (e.message !== 'Event not found') throw e
+    }
+  }
+  return stat
+}
+
+/**
+ * Create a fresh execution state for a sequence
+ * Times are stored as accumulated milliseconds plus the timestamp of the last
+ * resume, so elapsed time can always be derived from the clock.
+ * @param {object} sequence - Sequence with steps
+ * @param {number} now - Current timestamp (ms)
+ * @returns {object} Execution state
+ */
+export function createRunState(sequence, now) {
   return {
-    sequenceId,
+    id: RUNNER_STATE_ID,
+    sequenceId: sequence.id,
     sequence,
     currentStepIndex: 0,
     isRunning: true,
     isPaused: false,
-    elapsedTime: 0,
-    startedAt: Date.now()
+    startedAt: now,
+    resumedAt: now,
+    elapsedTime: 0, // ms of active time before resumedAt
+    stepElapsedTime: 0, // ms of active time in current step before resumedAt
+    extensions: {}, // step index -> extra seconds
+    log: [],
+    completedAt: null
+  }
+}
+
+/**
+ * Planned duration of a step including any extensions
+ * @param {object} state - Execution state
+ * @param {number} index - Step index
+ * @returns {number} Duration in seconds
+ */
+function plannedDuration(state, index) {
+  const step = state.sequence.steps[index]
+  return (step.duration || 0) + (state.extensions[index] || 0)
+}
+
+/**
+ * Get derived timer values for an execution state
+ * @param {object} state - Execution state
+ * @param {number} now - Current timestamp (ms)
+ * @returns {object} Times in seconds and overall progress percentage
+ */
+export function getRunTimes(state, now) {
+  const steps = state.sequence?.steps || []
+  const step = steps[state.currentStepIndex]
+  const running = state.isRunning && !state.isPaused && state.resumedAt !== null
+  const sinceResume = running ? Math.max(0, now - state.resumedAt) : 0
+
+  const stepElapsed = Math.floor((state.stepElapsedTime + sinceResume) / 1000)
+  const stepDuration = step ? plannedDuration(state, state.currentStepIndex) : 0
+  const stepRemaining = stepDuration - stepElapsed
+
+  let planned = 0
+  let finished = 0
+  steps.forEach((_, index) => {
+    planned += plannedDuration(state, index)
+    if (index < state.currentStepIndex) {
+      finished += plannedDuration(state, index)
+    }
+  })
+  const done = state.completedAt
+    ? planned
+    : finished + Math.min(stepElapsed, stepDuration)
+
+  return {
+    stepElapsed,
+    stepDuration,
+    stepRemaining,
+    isOvertime: Boolean(step) && stepRemaining < 0,
+    totalElapsed: Math.floor((state.elapsedTime + sinceResume) / 1000),
+    totalPlanned: planned,
+    progress: planned > 0 ? Math.round((done / planned) * 100) : 0
+  }
+}
+
+/**
+ * Fold running time into the accumulators
+ * @param {object} state - Execution state
+ * @param {number} now - Current timestamp (ms)
+ * @returns {object} State with resumedAt reset to now
+ */
+function settle(state, now) {
+  if (!state.isRunning || state.isPaused || state.resumedAt === null) {
+    return state
+  }
+  const delta = Math.max(0, now - state.resumedAt)
+  return {
+    ...state,
+    elapsedTime: state.elapsedTime + delta,
+    stepElapsedTime: state.stepElapsedTime + delta,
+    resumedAt: now
+  }
+}
+
+/**
+ * Pause the step countdown (TAB-RTN-15)
+ * @param {object} state - Execution state
+ * @param {number} now - Current timestamp (ms)
+ * @returns {object} New execution state
+ */
+export function pauseRun(state, now) {
+  if (!state.isRunning || state.isPaused) return state
+  return { ...settle(state, now), isPaused: true, resumedAt: null }
+}
+
+/**
+ * Resume a paused step countdown (TAB-RTN-15)
+ * @param {object} state - Execution state
+ * @param {number} now - Current timestamp (ms)
+ * @returns {object} New execution state
+ */
+export function resumeRun(state, now) {
+  if (!state.isRunning || !state.isPaused) return state
+  return { ...state, isPaused: false, resumedAt: now }
+}
+
+/**
+ * Log the current step and move to the next one
+ * @param {object} state - Execution state
+ * @param {number} now - Current timestamp (ms)
+ * @param {string} status - 'completed' or 'skipped'
+ * @returns {object} New execution state
+ */
+function advance(state, now, status) {
+  if (!state.isRunning) return state
+  const settled = settle(state, now)
+  const steps = settled.sequence?.steps || []
+  const step = steps[settled.currentStepIndex]
+  const { stepDuration } = getRunTimes(settled, now)
+
+  const entry = {
+    index: settled.currentStepIndex,
+    stepId: step?.id,
+    name: step?.name,
+    status,
+    duration: Math.floor(settled.stepElapsedTime / 1000),
+    planned: stepDuration,
+    at: now
+  }
+  const nextIndex = settled.currentStepIndex + 1
+  const isLast = nextIndex >= steps.length
+
+  return {
+    ...settled,
+    log: [...settled.log, entry],
+    currentStepIndex: isLast ? settled.currentStepIndex : nextIndex,
+    stepElapsedTime: 0,
+    isRunning: !isLast,
+    isPaused: isLast ? false : settled.isPaused,
+    resumedAt: isLast || settled.isPaused ? null : now,
+    completedAt: isLast ? now : null
+  }
+}
+
+/**
+ * Mark the current step done and advance (TAB-RTN-13)
+ * @param {object} state - Execution state
+ * @param {number} now - Current timestamp (ms)
+ * @returns {object} New execution state
+ */
+export function completeStep(state, now) {
+  return advance(state, now, 'completed')
+}
+
+/**
+ * Mark the current step skipped and advance (TAB-RTN-14)
+ * @param {object} state - Execution state
+ * @param {number} now - Current timestamp (ms)
+ * @returns {object} New execution state
+ */
+export function skipStep(state, now) {
+  return advance(state, now, 'skipped')
+}
+
+/**
+ * Go back to the previous step and restart its countdown
+ * The previous step's log entry is dropped so it can be redone.
+ * @param {object} state - Execution state
+ * @param {number} now - Current timestamp (ms)
+ * @returns {object} New execution state
+ */
+export function previousStep(state, now) {
+  if (!state.isRunning || state.currentStepIndex === 0) return state
+  const settled = settle(state, now)
+  const index = settled.currentStepIndex - 1
+  return {
+    ...settled,
+    currentStepIndex: index,
+    stepElapsedTime: 0,
+    log: settled.log.filter((entry) => entry.index < index)
+  }
+}
+
+/**
+ * Give the current step extra time
+ * @param {object} state - Execution state
+ * @param {number} seconds - Seconds to add
+ * @returns {object} New execution state
+ */
+export function extendStep(state, seconds) {
+  if (!state.isRunning || !(seconds > 0)) return state
+  const index = state.currentStepIndex
+  return {
+    ...state,
+    extensions: {
+      ...state.extensions,
+      [index]: (state.extensions[index] || 0) + seconds
+    }
   }
 }
@@ -27,6 +27,32 @@ const DEFAULT_SETTINGS = {
   advanced: {
     useIndexedDB: true,
     debugMode: false
+  },
+  habits: {
+    // TAB-HAB-08: One rest token per `earnEvery` check-ins in a streak
+    // (0 turns earning off), holding at most `max` at a time
+    restTokens: {
+      earnEvery: 7,
+      max: 2
+    },
+    vacations: [] // [{ id, start, end }] day keys, inclusive
+  },
+  schedule: {
+    // TAB-SCH-05: Availability windows per weekday (0 = Sunday), each
+    // { start, end, energy } with energy 'high', 'low' or null
+    workingHours: {
+      0: [{ start: '08:00', end: '22:00', energy: null }],
+      1: [{ start: '08:00', end: '22:00', energy: null }],
+      2: [{ start: '08:00', end: '22:00', energy: null }],
+      3: [{ start: '08:00', end: '22:00', energy: null }],
+      4: [{ start: '08:00', end: '22:00', energy: null }],
+      5: [{ start: '08:00', end: '22:00', energy: null }],
+      6: [{ start: '08:00', end: '22:00', energy: null }]
+    },
+    protectedBlocks: [] // [{ id, label, start, end, days }] e.g. lunch
+  },
+  tasks: {
+    archiveAfterDays: 7 // completed tasks move to the archive; 0 keeps them
   }
 }
 
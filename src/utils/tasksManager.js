@@ -0,0 +1,781 @@
+// Tasks Manager - Eisenhower matrix tasks
+// Each task is a record in the IndexedDB tasks store carrying its `quadrant`
+// and `order` within it; these helpers hand tasks out grouped by quadrant.
+// Archived tasks move to their own store with the quadrant they left.
+
+import { addDays, parseDateKey, toDateKey } from './dateUtils'
+import {
+  describeRecurrence,
+  expandRecurrence,
+  validateRecurrence
+} from './recurrence'
+import {
+  STORES,
+  getAll,
+  getById,
+  put,
+  deleteById,
+  saveStats,
+  isIndexedDBAvailable,
+  migrateTasksFromLocalStorage
+} from './indexedDBManager'
+import { generateSecureUUID } from './uuidGenerator'
+import { getSetting, updateSettings } from './settingsManager'
+import { syncLinkedItem } from './notes/noteTasks'
+
+export const QUADRANTS = {
+  DO_FIRST: 'urgent_important',
+  SCHEDULE: 'not_urgent_important',
+  DELEGATE: 'urgent_not_important',
+  ELIMINATE: 'not_urgent_not_important'
+}
+
+export const QUADRANT_TITLES = {
+  [QUADRANTS.DO_FIRST]: 'Urgent & Important',
+  [QUADRANTS.SCHEDULE]: 'Not Urgent & Important',
+  [QUADRANTS.DELEGATE]: 'Urgent & Not Important',
+  [QUADRANTS.ELIMINATE]: 'Not Urgent & Not Important'
+}
+
+// Where each quadrant sits in the 2×2 matrix, as [row, column]
+const QUADRANT_POSITIONS = {
+  [QUADRANTS.DO_FIRST]: [0, 0],
+  [QUADRANTS.SCHEDULE]: [0, 1],
+  [QUADRANTS.DELEGATE]: [1, 0],
+  [QUADRANTS.ELIMINATE]: [1, 1]
+}
+
+const DIRECTION_OFFSETS = {
+  up: [-1, 0],
+  down: [1, 0],
+  left: [0, -1],
+  right: [0, 1]
+}
+
+// Colours a task tag can be given (TAB-TSK-15)
+export const TAG_COLORS = ['red', 'orange', 'yellow', 'green', 'blue', 'purple']
+export const MAX_TAGS = 10
+export const MAX_TAG_LENGTH = 30
+export const MAX_NOTES_LENGTH = 10000
+export const MAX_SUBTASKS = 100
+// Longest time estimate a task can carry (minutes)
+export const MAX_ESTIMATE_MINUTES = 24 * 60
+
+// Recurring tasks repeat on a calendar cadence (the schedule's recurrence
+// rules) or a number of days after each completion
+export const AFTER_COMPLETION = 'after_completion'
+export const MAX_AFTER_COMPLETION_DAYS = 365
+
+// Rough length of one period of each frequency (days), used to bound the
+// search for a task's next due date
+const PERIOD_DAYS = { weekly: 7, monthly: 62 }
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+/**
+ * TAB-TSK-43: The quadrant next to another one in the 2×2 matrix
+ * @param {string} quadrant - Quadrant key
+ * @param {string} direction - 'up', 'down', 'left' or 'right'
+ * @returns {string|null} Quadrant key, or null at the edge of the matrix
+ */
+export function getAdjacentQuadrant(quadrant, direction) {
+  const [row, column] = QUADRANT_POSITIONS[quadrant]
+  const [rowOffset, columnOffset] = DIRECTION_OFFSETS[direction]
+  const target = [row + rowOffset, column + columnOffset]
+  const found = Object.entries(QUADRANT_POSITIONS).find(
+    ([, position]) => position[0] === target[0] && position[1] === target[1]
+  )
+  return found ? found[0] : null
+}
+
+/**
+ * A new, incomplete task with every field at its default
+ * @param {string} text - Task text
+ * @param {object} [details] - Fields to set instead of the defaults, e.g. a
+ *   due date parsed by quick add
+ * @returns {object} Task
+ */
+export function createTask(text, details = {}) {
+  return {
+    id: generateSecureUUID(),
+    text: text.trim(),
+    completed: false,
+    createdAt: Date.now(),
+    dueDate: null,
+    dueTime: null,
+    estimate: null,
+    notes: '',
+    tags: [],
+    subtasks: [],
+    autoComplete: false,
+    completedAt: null,
+    ...details
+  }
+}
+
+/**
+ * Strip the storage fields from a task record
+ * @param {object} record - Stored record
+ * @returns {object} Task
+ */
+function toTask(record) {
+  const task = { ...record }
+  delete task.quadrant
+  delete task.order
+  return task
+}
+
+/**
+ * Get all tasks, grouped by quadrant
+ * Tasks still in the legacy localStorage blob are migrated first.
+ * @returns {Promise<object>} { [quadrant]: Task[] } with every quadrant present
+ */
+export async function getTasks() {
+  await migrateTasksFromLocalStorage()
+
+  const tasks = Object.fromEntries(
+    Object.values(QUADRANTS).map((quadrant) => [quadrant, []])
+  )
+  const records = (await getAll(STORES.TASKS))
+    // Records from older versions without a quadrant aren't matrix tasks
+    .filter((record) => tasks[record.quadrant])
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+  for (const record of records) {
+    tasks[record.quadrant].push(toTask(record))
+  }
+  return tasks
+}
+
+/**
+ * Find a task by ID
+ * @param {string} id - Task ID
+ * @returns {Promise<{task: object, quadrant: string}|null>} Task and its quadrant
+ */
+export async function findTask(id) {
+  const record = await getTaskRecord(id)
+  return record ? { task: toTask(record), quadrant: record.quadrant } : null
+}
+
+/**
+ * Stored record of a matrix task
+ * @param {string} id - Task ID
+ * @returns {Promise<object|null>} Record, or null if there's no such task
+ */
+async function getTaskRecord(id) {
+  await migrateTasksFromLocalStorage()
+
+  const record = await getById(STORES.TASKS, id)
+  return record && Object.values(QUADRANTS).includes(record.quadrant)
+    ? record
+    : null
+}
+
+/**
+ * Mark a task complete (or not)
+ * Completing goes through completeTask, so it's counted in stats and a
+ * recurring task gets its next instance right after it. A task sent from a
+ * note's checklist ticks its item there too.
+ * @param {string} id - Task ID
+ * @param {boolean} [completed=true] - New state
+ * @returns {Promise<object>} Updated task
+ */
+export async function setTaskCompleted(id, completed = true) {
+  const stored = await getTasks()
+  const quadrant = Object.keys(stored).find((key) =>
+    stored[key].some((task) => task.id === id)
+  )
+  if (!quadrant) {
+    throw new Error('Task not found')
+  }
+
+  const list = [...stored[quadrant]]
+  const index = list.findIndex((task) => task.id === id)
+  const current = list[index]
+
+  let updated = {
+    ...current,
+    completed,
+    completedAt: completed ? current.completedAt || Date.now() : null
+  }
+  if (completed && !current.completed) {
+    const { task, next, recorded } = completeTask(current, quadrant)
+    updated = task
+    if (next) list.splice(index + 1, 0, next)
+    await recorded
+  }
+  list[index] = updated
+
+  await saveTaskChanges(stored, { ...stored, [quadrant]: list })
+  if (updated.noteId) syncLinkedItem(updated.noteId, id, completed)
+  return updated
+}
+
+// Batches of task writes run one after another so a later change never
+// lands before an earlier one
+let pendingWrites = Promise.resolve()
+
+/**
+ * Write the difference between two snapshots of the matrix to the store
+ * Only tasks that were added, changed (a new object) or moved are written,
+ * and tasks missing from `next` are deleted.
+ * @param {object} previous - { [quadrant]: Task[] } as currently stored
+ * @param {object} next - { [quadrant]: Task[] } to store
+ * @returns {Promise<number>} Number of records written or deleted
+ */
+export function saveTaskChanges(previous, next) {
+  const write = pendingWrites.then(() => writeTaskChanges(previous, next))
+  pendingWrites = write.catch(() => {})
+  return write
+}
+
+/**
+ * Write one batch of task changes (see saveTaskChanges)
+ * @param {object} previous - { [quadrant]: Task[] } as currently stored
+ * @param {object} next - { [quadrant]: Task[] } to store
+ * @returns {Promise<number>} Number of records written or deleted
+ */
+async function writeTaskChanges(previous, next) {
+  const stored = new Map()
+  for (const [quadrant, list] of Object.entries(previous)) {
+    list.forEach((task, order) =>
+      stored.set(task.id, { task, quadrant, order })
+    )
+  }
+
+  let writes = 0
+  for (const [quadrant, list] of Object.entries(next)) {
+    for (const [order, task] of list.entries()) {
+      const before = stored.get(task.id)
+      stored.delete(task.id)
+      if (
+        before &&
+        before.task === task &&
+        before.quadrant === quadrant &&
+        before.order === order
+      ) {
+        continue
+      }
+      await put(STORES.TASKS, { ...task, quadrant, order })
+      writes += 1
+    }
+  }
+
+  for (const id of stored.keys()) {
+    await deleteById(STORES.TASKS, id)
+    writes += 1
+  }
+  return writes
+}
+
+/**
+ * Put one task back the way an undo/redo snapshot describes it
+ * @param {object} tasks - { [quadrant]: Task[] }
+ * @param {string} id - Task ID
+ * @param {object|null} snapshot - null removes the task; { quadrant, index,
+ *   task } places the whole task; { quadrant, index } moves the current task
+ *   and { changes } merges fields into it. A bulk change's { batch } holds
+ *   [{ id, snapshot }] for each of its tasks, applied in order (`id` is then
+ *   unused).
+ * @returns {object} Updated tasks (unchanged if there's nothing to apply to)
+ */
+export function placeTask(tasks, id, snapshot) {
+  if (snapshot?.batch) {
+    return snapshot.batch.reduce(
+      (placed, entry) => placeTask(placed, entry.id, entry.snapshot),
+      tasks
+    )
+  }
+
+  let current = null
+  for (const [quadrant, list] of Object.entries(tasks)) {
+    const index = list.findIndex((task) => task.id === id)
+    if (index !== -1) current = { quadrant, index, task: list[index] }
+  }
+  if (!current && !snapshot?.task) return tasks
+
+  const next = { ...tasks }
+  if (current) {
+    next[current.quadrant] = next[current.quadrant].filter(
+      (task) => task.id !== id
+    )
+  }
+  if (!snapshot) return next
+
+  const { quadrant, index } = snapshot.changes ? current : snapshot
+  const task = snapshot.changes
+    ? { ...current.task, ...snapshot.changes }
+    : snapshot.task || current.task
+  const list = [...(next[quadrant] || [])]
+  list.splice(Math.min(index, list.length), 0, task)
+  next[quadrant] = list
+  return next
+}
+
+/**
+ * Apply an undo/redo snapshot straight to the store, for when the Tasks page
+ * isn't open
+ * @param {string} id - Task ID
+ * @param {object|null} snapshot - See placeTask
+ * @returns {Promise<void>}
+ */
+export async function restoreTaskSnapshot(id, snapshot) {
+  await applyArchiveSnapshot(snapshot)
+  const stored = await getTasks()
+  await saveTaskChanges(stored, placeTask(stored, id, snapshot))
+}
+
+// Days a completed task stays in the matrix before it's archived; 0 never
+// archives automatically
+export const ARCHIVE_DELAY_OPTIONS = [0, 1, 3, 7, 14, 30]
+export const DEFAULT_ARCHIVE_AFTER_DAYS = 7
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Days after completion before a task is archived
+ * @returns {number} Days, 0 when automatic archiving is off
+ */
+export function getArchiveAfterDays() {
+  const days = getSetting('tasks.archiveAfterDays')
+  return ARCHIVE_DELAY_OPTIONS.includes(days)
+    ? days
+    : DEFAULT_ARCHIVE_AFTER_DAYS
+}
+
+/**
+ * Set how long completed tasks stay in the matrix
+ * @param {number} days - One of ARCHIVE_DELAY_OPTIONS
+ */
+export function setArchiveAfterDays(days) {
+  if (!ARCHIVE_DELAY_OPTIONS.includes(days)) {
+    throw new Error(`Archive delay must be one of ${ARCHIVE_DELAY_OPTIONS}`)
+  }
+  updateSettings({ tasks: { archiveAfterDays: days } })
+}
+
+/**
+ * Completed tasks that have been done for longer than the archive delay
+ * A task restored from the archive gets the full delay again from its
+ * `restoredAt`; tasks completed before completion times were kept are left
+ * alone.
+ * @param {object} tasks - { [quadrant]: Task[] }
+ * @param {number} afterDays - Archive delay in days (0 archives nothing)
+ * @param {number} [now] - Current timestamp
+ * @returns {Array<{task: object, quadrant: string}>} Tasks to archive
+ */
+export function getTasksToArchive(tasks, afterDays, now = Date.now()) {
+  if (!afterDays) return []
+  const cutoff = now - afterDays * DAY_MS
+  return Object.entries(tasks).flatMap(([quadrant, list]) =>
+    list
+      .filter(
+        (task) =>
+          task.completed &&
+          task.completedAt &&
+          Math.max(task.completedAt, task.restoredAt || 0) <= cutoff
+      )
+      .map((task) => ({ task, quadrant }))
+  )
+}
+
+/**
+ * Put tasks in the archive
+ * The caller removes them from the matrix.
+ * @param {Array<{task: object, quadrant: string}>} entries - Tasks and the
+ *   quadrant each leaves
+ * @param {number} [archivedAt] - Archive timestamp
+ * @returns {Promise<Array>} Archived records
+ */
+export async function saveToArchive(entries, archivedAt = Date.now()) {
+  const records = entries.map(({ task, quadrant }) => ({
+    ...task,
+    quadrant,
+    archivedAt
+  }))
+  for (const record of records) {
+    await put(STORES.TASK_ARCHIVE, record)
+  }
+  return records
+}
+
+/**
+ * All archived tasks, most recently archived first
+ * @returns {Promise<Array>} Task records with `quadrant` and `archivedAt`
+ */
+export async function getArchivedTasks() {
+  const records = await getAll(STORES.TASK_ARCHIVE)
+  return records.sort((a, b) => b.archivedAt - a.archivedAt)
+}
+
+/**
+ * Delete tasks from the archive (restoring or purging them)
+ * @param {string[]} ids - Task IDs
+ * @returns {Promise<void>}
+ */
+export async function removeFromArchive(ids) {
+  for (const id of ids) {
+    await deleteById(STORES.TASK_ARCHIVE, id)
+  }
+}
+
+/**
+ * The archive side of a bulk archive's undo/redo snapshot: { archive }
+ * entries ({ task, quadrant }) go into the archive and { unarchive: true }
+ * takes the batch's tasks out of it
+ * @param {object|null} snapshot - See placeTask
+ * @returns {Promise<boolean>} Whether the archive changed
+ */
+export async function applyArchiveSnapshot(snapshot) {
+  if (snapshot?.archive) {
+    await saveToArchive(snapshot.archive)
+    return true
+  }
+  if (snapshot?.unarchive) {
+    await removeFromArchive(snapshot.batch.map(({ id }) => id))
+    return true
+  }
+  return false
+}
+
+/**
+ * Split an archive record back into a task and its quadrant
+ * @param {object} record - Archived record
+ * @returns {{task: object, quadrant: string}} Task and the quadrant it left
+ */
+export function fromArchive(record) {
+  const task = toTask(record)
+  delete task.archivedAt
+  const quadrant = Object.values(QUADRANTS).includes(record.quadrant)
+    ? record.quadrant
+    : QUADRANTS.DO_FIRST
+  return { task, quadrant }
+}
+
+/**
+ * Filter archived tasks
+ * Dates match the day a task was completed, or archived if it never was.
+ * @param {Array} records - Archived records
+ * @param {object} [filters]
+ * @param {string} [filters.query] - Text found in the title, notes or tags
+ * @param {string} [filters.quadrant] - Quadrant key
+ * @param {string} [filters.from] - First day key (inclusive)
+ * @param {string} [filters.to] - Last day key (inclusive)
+ * @returns {Array} Matching records
+ */
+export function searchArchive(records, { query, quadrant, from, to } = {}) {
+  const needle = (query || '').trim().toLowerCase()
+  return records.filter((record) => {
+    if (quadrant && record.quadrant !== quadrant) return false
+
+    const day = toDateKey(new Date(record.completedAt || record.archivedAt))
+    if ((from && day < from) || (to && day > to)) return false
+
+    if (!needle) return true
+    return [
+      record.text,
+      record.notes || '',
+      ...(record.tags || []).map((tag) => tag.label)
+    ].some((value) => value.toLowerCase().includes(needle))
+  })
+}
+
+/**
+ * Check a day key is a real calendar date
+ * @param {*} value - Candidate day key
+ * @returns {boolean} True for a valid YYYY-MM-DD string
+ */
+function isDateKey(value) {
+  return (
+    typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    toDateKey(parseDateKey(value)) === value
+  )
+}
+
+/**
+ * Validate the optional metadata of a task (due date, estimate, notes, tags)
+ * Missing fields are fine, so files exported before they existed still load.
+ * @param {object} task - Task to check
+ * @returns {string|null} What is wrong, or null when the metadata is valid
+ */
+export function getTaskMetadataError(task) {
+  if (task.dueDate != null && !isDateKey(task.dueDate)) {
+    return 'Due dates must be valid YYYY-MM-DD dates.'
+  }
+  if (task.dueTime != null) {
+    if (typeof task.dueTime !== 'string' || !TIME_PATTERN.test(task.dueTime)) {
+      return 'Due times must be HH:MM.'
+    }
+    if (task.dueDate == null) {
+      return 'A due time needs a due date.'
+    }
+  }
+  if (
+    task.estimate != null &&
+    (!Number.isInteger(task.estimate) ||
+      task.estimate < 1 ||
+      task.estimate > MAX_ESTIMATE_MINUTES)
+  ) {
+    return `Estimates must be whole minutes between 1 and ${MAX_ESTIMATE_MINUTES}.`
+  }
+  if (task.notes != null) {
+    if (typeof task.notes !== 'string') {
+      return 'Task notes must be text.'
+    }
+    if (task.notes.length > MAX_NOTES_LENGTH) {
+      return 'Task notes exceed maximum length.'
+    }
+  }
+  if (task.tags != null) {
+    if (!Array.isArray(task.tags) || task.tags.length > MAX_TAGS) {
+      return `Tags must be a list of at most ${MAX_TAGS}.`
+    }
+    const valid = task.tags.every(
+      (tag) =>
+        tag &&
+        typeof tag.label === 'string' &&
+        tag.label.trim() !== '' &&
+        tag.label.length <= MAX_TAG_LENGTH &&
+        TAG_COLORS.includes(tag.color)
+    )
+    if (!valid) {
+      return `Tags need a label of up to ${MAX_TAG_LENGTH} characters and one of the colours ${TAG_COLORS.join(', ')}.`
+    }
+  }
+  if (task.subtasks != null) {
+    if (!Array.isArray(task.subtasks) || task.subtasks.length > MAX_SUBTASKS) {
+      return `Subtasks must be a list of at most ${MAX_SUBTASKS}.`
+    }
+    const valid = task.subtasks.every(
+      (subtask) =>
+        subtask &&
+        (typeof subtask.id === 'string' || typeof subtask.id === 'number') &&
+        typeof subtask.text === 'string' &&
+        subtask.text.length <= 1000 &&
+        typeof subtask.completed === 'boolean'
+    )
+    if (!valid) {
+      return 'Subtasks have incorrect structure.'
+    }
+  }
+  if (task.autoComplete != null && typeof task.autoComplete !== 'boolean') {
+    return 'Auto-complete must be true or false.'
+  }
+  if (task.recurrence != null) {
+    const errors = getTaskRecurrenceErrors(task.recurrence)
+    if (errors.length > 0) {
+      return `Invalid repeat: ${errors.join('. ')}.`
+    }
+  }
+  if (task.history != null) {
+    const valid =
+      Array.isArray(task.history) &&
+      task.history.every(
+        (entry) => entry && typeof entry.completedAt === 'number'
+      )
+    if (!valid) {
+      return 'Task history has incorrect structure.'
+    }
+  }
+  return null
+}
+
+/**
+ * Validate a recurring task's rule
+ * @param {object} rule - { freq, interval, byWeekday, monthlyBy, start }
+ * @returns {string[]} Error messages (empty if valid)
+ */
+export function getTaskRecurrenceErrors(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return ['Recurrence must be an object']
+  }
+  const errors =
+    rule.freq === AFTER_COMPLETION
+      ? []
+      : validateRecurrence(rule).filter(
+          (error) => !error.startsWith('Repeat interval')
+        )
+  const interval = rule.interval ?? 1
+  const maxInterval =
+    rule.freq === AFTER_COMPLETION ? MAX_AFTER_COMPLETION_DAYS : 99
+  if (!Number.isInteger(interval) || interval < 1 || interval > maxInterval) {
+    errors.push(`Repeat interval must be between 1 and ${maxInterval}`)
+  }
+  if (rule.start != null && !isDateKey(rule.start)) {
+    errors.push('Repeat start must be a valid date')
+  }
+  return errors
+}
+
+/**
+ * Due date of the next instance of a recurring task
+ * Calendar cadences continue after the later of the due date and the day it
+ * was completed, so finishing late doesn't spawn an instance that is already
+ * overdue.
+ * @param {object} task - Recurring task
+ * @param {string} completedDay - Day key the task was completed
+ * @returns {string|null} Day key, or null once the rule has ended
+ */
+export function getNextDueDate(task, completedDay) {
+  const rule = task.recurrence
+  const interval = rule.interval || 1
+  if (rule.freq === AFTER_COMPLETION) {
+    return addDays(completedDay, interval)
+  }
+
+  const after =
+    task.dueDate && task.dueDate > completedDay ? task.dueDate : completedDay
+  const start = rule.start || task.dueDate || completedDay
+  const from = addDays(after, 1)
+  const span = (PERIOD_DAYS[rule.freq] || 1) * interval
+  // Monthly rules on the 29th-31st skip short months, so widen the search
+  // a few times before deciding the rule has ended
+  let rangeEnd = addDays(from, span + 7)
+  for (let attempt = 0; attempt < 4; attempt += 1) {
+    const [next] = expandRecurrence(rule, start, from, rangeEnd)
+    if (next) return next
+    if (rule.until && rule.until <= rangeEnd) return null
+    rangeEnd = addDays(rangeEnd, span * 4)
+  }
+  return null
+}
+
+/**
+ * The next instance of a recurring task, as it should appear once the
+ * current one is completed
+ * The new instance keeps the task's details, reopens its subtasks and
+ * carries the series' completion history.
+ * @param {object} task - Recurring task being completed
+ * @param {number} completedAt - Completion timestamp
+ * @returns {object|null} New task, or null once the rule has ended
+ */
+export function createNextInstance(task, completedAt) {
+  const dueDate = getNextDueDate(task, toDateKey(new Date(completedAt)))
+  if (!dueDate) return null
+
+  const next = {
+    ...task,
+    id: generateSecureUUID(),
+    completed: false,
+    completedAt: null,
+    createdAt: completedAt,
+    dueDate,
+    dueTime: task.dueDate ? task.dueTime || null : null,
+    subtasks: (task.subtasks || []).map((subtask) => ({
+      ...subtask,
+      id: generateSecureUUID(),
+      completed: false,
+      completedAt: null
+    })),
+    seriesId: task.seriesId || task.id,
+    history: [
+      ...(task.history || []),
+      { taskId: task.id, dueDate: task.dueDate || null, completedAt }
+    ]
+  }
+  delete next.nextInstanceId
+  // A note's checklist item stays linked to the instance it was sent as
+  delete next.noteId
+  return next
+}
+
+/**
+ * Complete a task: record it in stats and, for a recurring task, create its
+ * next instance
+ * An instance reopened and completed again has already spawned its next, so
+ * it only counts the completion.
+ * @param {object} task - Open task
+ * @param {string} quadrant - Quadrant key
+ * @param {number} [completedAt] - Completion timestamp
+ * @returns {{task: object, next: object|null, recorded: Promise}} The
+ *   completed task, its next instance (to place right after it) and the stat
+ *   being recorded, which never rejects (failures are logged)
+ */
+export function completeTask(task, quadrant, completedAt = Date.now()) {
+  const recorded = recordTaskCompletion(task, quadrant, completedAt).catch(
+    (e) => {
+      console.error('Failed to record task completion:', e)
+    }
+  )
+
+  const next =
+    task.recurrence && !task.nextInstanceId
+      ? createNextInstance(task, completedAt)
+      : null
+  return {
+    task: {
+      ...task,
+      completed: true,
+      completedAt,
+      ...(next && { nextInstanceId: next.id })
+    },
+    next,
+    recorded
+  }
+}
+
+/**
+ * ARC-DAT-04: Record a task completion in stats
+ * @param {object} task - Task as it was before completion
+ * @param {string} quadrant - Quadrant key
+ * @param {number} [completedAt] - Completion timestamp
+ * @returns {Promise<object|null>} Recorded stat, or null without IndexedDB
+ */
+export async function recordTaskCompletion(
+  task,
+  quadrant,
+  completedAt = Date.now()
+) {
+  if (!isIndexedDBAvailable()) return null
+
+  const completedDay = toDateKey(new Date(completedAt))
+  const stat = {
+    taskId: task.id,
+    seriesId: task.seriesId || (task.recurrence ? task.id : null),
+    text: task.text,
+    quadrant,
+    dueDate: task.dueDate || null,
+    completedAt,
+    onTime: task.dueDate ? completedDay <= task.dueDate : null,
+    recurring: Boolean(task.recurrence)
+  }
+  await saveStats('task_completion', stat)
+  return stat
+}
+
+/**
+ * How much of a task's checklist is done
+ * @param {object} task - Task
+ * @returns {{done: number, total: number}} Subtask counts
+ */
+export function getSubtaskProgress(task) {
+  const subtasks = task.subtasks || []
+  return {
+    done: subtasks.filter((subtask) => subtask.completed).length,
+    total: subtasks.length
+  }
+}
+
+/**
+ * Whether an open task is overdue or due today (TAB-TSK-14)
+ * @param {object} task - Task
+ * @param {string} [today] - Today's day key
+ * @returns {'overdue'|'today'|null} Due status
+ */
+export function getDueStatus(task, today = toDateKey()) {
+  if (task.completed || !task.dueDate) return null
+  if (task.dueDate < today) return 'overdue'
+  return task.dueDate === today ? 'today' : null
+}
+
+/**
+ * Human-readable summary of a recurring task's rule
+ * @param {object} rule - Task recurrence rule
+ * @returns {string} e.g. "Weekly on Mon, Thu", "3 days after completion"
+ */
+export function describeTaskRecurrence(rule) {
+  if (rule?.freq !== AFTER_COMPLETION) {
+    return describeRecurrence(rule, rule?.start || toDateKey())
+  }
+  const interval = rule.interval || 1
+  return `${interval} day${interval === 1 ? '' : 's'} after completion`
+}